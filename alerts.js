@@ -0,0 +1,176 @@
+/**
+ * @fileoverview
+ * Reward anomaly alerts: rules evaluated on a validator's fetchValidatorRewards() result after each fetch, and
+ * notifications to a JSON webhook and/or a local command hook.
+ *
+ * Rules (config.json `alertRules`; a false/null value disables a rule):
+ * - missingReward: a newly settled epoch has no reward (zero_reward) or its reward query failed (rpc_error).
+ *   Epochs after the result's settledEpoch are skipped: their rewards may not be distributed yet.
+ * - lowRewardPercent / lowRewardTrailingEpochs: a new reward is below the given percentage of the average of the
+ *   previous rewards (up to lowRewardTrailingEpochs of them).
+ * - commissionChange: the commission changed in a new epoch (see commission.js).
+ * - delinquent: the vote account is in the RPC's delinquent list.
+ * - balanceDropPercent: the vote account balance dropped by at least this percentage (0 = any drop) since the
+ *   previous run, as recorded in the reward cache (rewardCache.js).
+ * "New" epochs are those after `afterEpoch`: by default only the last epoch of the range, so a daily run alerts
+ * on the epoch that just settled rather than on the whole history.
+ *
+ * The webhook receives a POST with the JSON payload { source, generatedAt, alerts }; the command hook is run
+ * through the shell with the same payload on stdin and XNT_ALERT_COUNT in its environment. Notification
+ * failures are logged and never fail the run.
+ *
+ * Exports:
+ * - evaluateAlerts: Evaluates the alert rules for one validator.
+ * - sendAlerts: Sends alerts to the webhook and the command hook.
+ */
+
+import { spawn } from 'child_process';
+import { DEFAULT_CONFIG } from './configLoader.js';
+import { EPOCH_STATUS } from './epochStatus.js';
+import { formatXnt } from './amounts.js';
+
+/**
+ * Percentage as integer basis points, for exact comparisons with BigInt amounts.
+ *
+ * @param {number} percent - Percentage.
+ * @returns {bigint} Basis points.
+ */
+function basisPoints(percent) {
+  return BigInt(Math.round(percent * 100));
+}
+
+/**
+ * Evaluates the alert rules for one validator.
+ *
+ * @param {Object} validator - Validator entry of the fetchValidatorRewards result (see validatorRewards.js); without
+ *   `settledEpoch`, every epoch counts as settled.
+ * @param {Object} [rules] - Alert rules, merged over the defaults (DEFAULT_CONFIG.alertRules).
+ * @param {number} [afterEpoch] - Epochs after this one are new (default: all but the range's last epoch).
+ * @returns {Array<{rule: string, votePubkey: string, epoch: number|null, message: string}>} Alerts (epoch is null
+ *   for rules on the current state: delinquent, balance_drop).
+ */
+export function evaluateAlerts(validator, rules = {}, afterEpoch = validator.range.lastEpoch - 1) {
+  const {
+    missingReward,
+    lowRewardPercent,
+    lowRewardTrailingEpochs,
+    commissionChange,
+    delinquent,
+    balanceDropPercent
+  } = { ...DEFAULT_CONFIG.alertRules, ...rules };
+  const { votePubkey, rewards, epochStatuses, summary, settledEpoch = Infinity } = validator;
+  const alerts = [];
+  const alert = (rule, epoch, message) => alerts.push({ rule, votePubkey, epoch, message });
+
+  if (missingReward) {
+    epochStatuses
+      .filter(e => e.epoch > afterEpoch && e.epoch <= settledEpoch && (e.status === EPOCH_STATUS.ZERO_REWARD || e.status === EPOCH_STATUS.RPC_ERROR))
+      .forEach(e => alert('missing_reward', e.epoch, e.status === EPOCH_STATUS.ZERO_REWARD
+        ? `No reward for settled epoch ${e.epoch}`
+        : `Reward query for epoch ${e.epoch} failed: ${e.error ?? 'RPC error'}`));
+  }
+
+  if (lowRewardPercent !== false && lowRewardPercent !== null && lowRewardTrailingEpochs > 0) {
+    rewards.forEach((reward, i) => {
+      if (reward.epoch <= afterEpoch || i === 0) return;
+      const trailing = rewards.slice(Math.max(0, i - lowRewardTrailingEpochs), i);
+      const trailingLamports = trailing.reduce((sum, r) => sum + r.lamports, 0n);
+      // reward < percent% of the trailing average
+      if (reward.lamports * 10000n * BigInt(trailing.length) < trailingLamports * basisPoints(lowRewardPercent)) {
+        const averageLamports = trailingLamports / BigInt(trailing.length);
+        alert('low_reward', reward.epoch, `Reward for epoch ${reward.epoch} is ${formatXnt(reward.lamports)} XNT, below ${lowRewardPercent}% of the ${trailing.length}-epoch average of ${formatXnt(averageLamports)} XNT`);
+      }
+    });
+  }
+
+  if (commissionChange) {
+    summary.commission.changes
+      .filter(c => c.epoch > afterEpoch)
+      .forEach(c => alert('commission_change', c.epoch, `Commission changed in epoch ${c.epoch}: ${c.oldCommission}% → ${c.newCommission}%`));
+  }
+
+  if (delinquent && validator.delinquent) {
+    alert('delinquent', null, 'Vote account is in the delinquent list');
+  }
+
+  const previous = validator.previousBalance;
+  if (balanceDropPercent !== false && balanceDropPercent !== null && previous && validator.balanceLamports < previous.lamports) {
+    const dropLamports = previous.lamports - validator.balanceLamports;
+    if (dropLamports * 10000n >= previous.lamports * basisPoints(balanceDropPercent)) {
+      alert('balance_drop', null, `Vote account balance dropped by ${formatXnt(dropLamports)} XNT to ${formatXnt(validator.balanceLamports)} XNT since ${previous.recordedAt} (epoch ${previous.epoch})`);
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Runs the command hook with the payload on stdin.
+ *
+ * @param {string} command - Shell command.
+ * @param {string} payload - JSON payload.
+ * @param {number} alertCount - Number of alerts (XNT_ALERT_COUNT).
+ * @param {number} timeoutMs - Time after which the command is killed.
+ * @returns {Promise<number|null>} Exit code (null when killed).
+ */
+function runCommandHook(command, payload, alertCount, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'inherit', 'inherit'],
+      env: { ...process.env, XNT_ALERT_COUNT: String(alertCount) }
+    });
+    const timer = setTimeout(() => child.kill(), timeoutMs);
+    child.on('error', e => {
+      clearTimeout(timer);
+      reject(e);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolve(code);
+    });
+    // The command may exit without reading stdin
+    child.stdin.on('error', () => {});
+    child.stdin.end(payload);
+  });
+}
+
+/**
+ * Sends alerts to the JSON webhook and/or the local command hook. Does nothing without alerts.
+ *
+ * @param {Array<Object>} alerts - Alerts (see evaluateAlerts).
+ * @param {Object} [options]
+ * @param {string|null} [options.webhookUrl=null] - Webhook URL (POST, JSON body).
+ * @param {string|null} [options.command=null] - Shell command receiving the JSON payload on stdin.
+ * @param {number} [options.timeoutMs=10000] - Timeout for the webhook request and the command.
+ * @returns {Promise<void>}
+ */
+export async function sendAlerts(alerts, options = {}) {
+  const { webhookUrl = null, command = null, timeoutMs = 10000 } = options;
+  if (alerts.length === 0) return;
+
+  const payload = JSON.stringify({ source: 'x1-validator-rewards', generatedAt: new Date().toISOString(), alerts });
+
+  if (webhookUrl) {
+    try {
+      const res = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: payload,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!res.ok) console.warn(`Alert webhook answered HTTP ${res.status}`);
+    } catch (e) {
+      console.warn(`Alert webhook failed: ${e.message}`);
+    }
+  }
+
+  if (command) {
+    try {
+      const code = await runCommandHook(command, payload, alerts.length, timeoutMs);
+      if (code !== 0) console.warn(`Alert command exited with ${code === null ? 'a timeout' : `code ${code}`}`);
+    } catch (e) {
+      console.warn(`Alert command failed: ${e.message}`);
+    }
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview
+ * Exact reward amounts: XNT carried as integer lamports and USD values as scaled integers (BigInt),
+ * aggregated once per reward list and formatted only when outputs are written.
+ *
+ * Prices are quantized to micro-USD (the 6 decimals shown in the outputs), so a reward's USD value is
+ * lamports × micro-USD price, i.e. USD scaled by 10^15, and all values and sums are exact. Formatting
+ * rounds half up. Totals therefore equal on-chain lamport sums, and every output shows the same digits.
+ *
+ * Exports:
+ * - XNT_DECIMALS, PRICE_DECIMALS, USD_DECIMALS, USD_VALUE_DECIMALS: Decimal places of each representation.
+ * - toLamports: Converts an RPC lamport amount to BigInt.
+ * - toPriceMicros: Quantizes a USD price to micro-USD (BigInt).
+ * - rewardValueUsd: USD value (scaled by 10^15) of a lamport amount at a micro-USD price.
+ * - formatScaled: Formats a scaled BigInt as a fixed-point decimal string.
+ * - formatXnt, formatPrice, formatUsd: Output formatting of lamports, micro-USD prices and scaled USD values.
+ * - divideRounded: BigInt division rounded half up (averages).
+ * - aggregateRewards: The shared aggregation step: attaches cumulative lamports/USD to each reward.
+ * - rewardTotals: Totals of aggregated rewards.
+ */
+
+export const XNT_DECIMALS = 9;
+export const PRICE_DECIMALS = 6;
+export const USD_DECIMALS = 4;
+export const USD_VALUE_DECIMALS = XNT_DECIMALS + PRICE_DECIMALS;
+
+/**
+ * Converts an RPC lamport amount to BigInt.
+ *
+ * @param {number|string|bigint} amount - Lamports (integer).
+ * @returns {bigint} Lamports.
+ */
+export function toLamports(amount) {
+  return BigInt(amount);
+}
+
+/**
+ * Quantizes a USD price to micro-USD.
+ *
+ * @param {number|string} priceUSD - Price in USD.
+ * @returns {bigint} Price in micro-USD.
+ */
+export function toPriceMicros(priceUSD) {
+  return BigInt(Math.round(Number(priceUSD) * 10 ** PRICE_DECIMALS));
+}
+
+/**
+ * USD value of a lamport amount at a micro-USD price.
+ *
+ * @param {bigint} lamports - Amount in lamports.
+ * @param {bigint} priceMicros - Price in micro-USD.
+ * @returns {bigint} Value in USD scaled by 10^USD_VALUE_DECIMALS.
+ */
+export function rewardValueUsd(lamports, priceMicros) {
+  return lamports * priceMicros;
+}
+
+/**
+ * BigInt division rounded half up (away from zero for negative values).
+ *
+ * @param {bigint} numerator - Numerator.
+ * @param {bigint} denominator - Denominator (non-zero).
+ * @returns {bigint} Rounded quotient.
+ */
+export function divideRounded(numerator, denominator) {
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const n = numerator < 0n ? -numerator : numerator;
+  const d = denominator < 0n ? -denominator : denominator;
+  const quotient = (n + d / 2n) / d;
+  return negative ? -quotient : quotient;
+}
+
+/**
+ * Formats a scaled BigInt as a fixed-point decimal string, rounding half up.
+ *
+ * @param {bigint} value - Value scaled by 10^decimals.
+ * @param {number} decimals - Decimal places of the scaled value.
+ * @param {number} [outputDecimals=decimals] - Decimal places to show (at most `decimals`).
+ * @returns {string} Decimal string, e.g. formatScaled(1234567n, 6, 2) === '1.23'.
+ */
+export function formatScaled(value, decimals, outputDecimals = decimals) {
+  const rounded = divideRounded(value, 10n ** BigInt(decimals - outputDecimals));
+  const negative = rounded < 0n;
+  const digits = (negative ? -rounded : rounded).toString().padStart(outputDecimals + 1, '0');
+  const integerPart = digits.slice(0, digits.length - outputDecimals);
+  const fractionPart = digits.slice(digits.length - outputDecimals);
+  return (negative ? '-' : '') + integerPart + (outputDecimals > 0 ? `.${fractionPart}` : '');
+}
+
+/**
+ * Formats lamports as XNT with full lamport precision.
+ *
+ * @param {bigint} lamports - Amount in lamports.
+ * @returns {string} XNT amount (9 decimals).
+ */
+export function formatXnt(lamports) {
+  return formatScaled(lamports, XNT_DECIMALS);
+}
+
+/**
+ * Formats a micro-USD price.
+ *
+ * @param {bigint|null} priceMicros - Price in micro-USD.
+ * @returns {string} USD price (6 decimals), or '' without a price.
+ */
+export function formatPrice(priceMicros) {
+  return priceMicros === null || priceMicros === undefined ? '' : formatScaled(priceMicros, PRICE_DECIMALS);
+}
+
+/**
+ * Formats a scaled USD value.
+ *
+ * @param {bigint} valueUsd - USD scaled by 10^USD_VALUE_DECIMALS.
+ * @returns {string} USD amount (4 decimals).
+ */
+export function formatUsd(valueUsd) {
+  return formatScaled(valueUsd, USD_VALUE_DECIMALS, USD_DECIMALS);
+}
+
+/**
+ * The shared aggregation step: attaches running totals (cumulativeLamports, cumulativeValueUsd)
+ * to each reward, in the given order (oldest → newest).
+ *
+ * @param {Array<{lamports: bigint, valueUsd: bigint}>} rewards - Reward objects; modified in place.
+ * @returns {{lamports: bigint, valueUsd: bigint, count: number}} Totals.
+ */
+export function aggregateRewards(rewards) {
+  let cumulativeLamports = 0n;
+  let cumulativeValueUsd = 0n;
+  rewards.forEach(r => {
+    cumulativeLamports += r.lamports;
+    cumulativeValueUsd += r.valueUsd;
+    r.cumulativeLamports = cumulativeLamports;
+    r.cumulativeValueUsd = cumulativeValueUsd;
+  });
+  return { lamports: cumulativeLamports, valueUsd: cumulativeValueUsd, count: rewards.length };
+}
+
+/**
+ * Totals of rewards already aggregated by aggregateRewards() (read from the last running total).
+ *
+ * @param {Array} rewards - Aggregated reward objects (oldest → newest).
+ * @returns {{lamports: bigint, valueUsd: bigint, count: number}} Totals.
+ */
+export function rewardTotals(rewards) {
+  const last = rewards[rewards.length - 1];
+  return {
+    lamports: last ? last.cumulativeLamports : 0n,
+    valueUsd: last ? last.cumulativeValueUsd : 0n,
+    count: rewards.length
+  };
+}
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview
+ * Commission analytics from the per-epoch `commission` returned by getInflationReward.
+ *
+ * Exports:
+ * - analyzeCommission: Commission-change log and reward-weighted average commission.
+ */
+
+/**
+ * Analyzes the commission history of rewarded epochs.
+ *
+ * The weighted average weights each epoch's commission by that epoch's XNT reward,
+ * so epochs that earned more count more.
+ *
+ * @param {Array} rewards - Reward objects (oldest → newest), each with `commission` and `lamports`.
+ * @returns {{changes: Array<{epoch: number, oldCommission: number, newCommission: number}>,
+ *   weightedAverage: string, latest: number|null}} Change log, weighted average (2 decimals, or 'N/A')
+ *   and the most recent commission.
+ */
+export function analyzeCommission(rewards) {
+  const withCommission = rewards.filter(r => r.commission !== undefined && r.commission !== null);
+  const changes = [];
+
+  withCommission.forEach((r, i) => {
+    const previous = withCommission[i - 1];
+    if (previous && previous.commission !== r.commission) {
+      changes.push({ epoch: r.epoch, oldCommission: previous.commission, newCommission: r.commission });
+    }
+  });
+
+  const totalWeight = withCommission.reduce((sum, r) => sum + Number(r.lamports), 0);
+  const weightedSum = withCommission.reduce((sum, r) => sum + r.commission * Number(r.lamports), 0);
+
+  return {
+    changes,
+    weightedAverage: totalWeight > 0 ? (weightedSum / totalWeight).toFixed(2) : 'N/A',
+    latest: withCommission.length > 0 ? withCommission[withCommission.length - 1].commission : null
+  };
+}
@@ -1,25 +1,79 @@
 /**
  * @fileoverview
  * Loads configuration from config.json with fallback defaults.
+ *
+ * Exports:
+ * - DEFAULT_CONFIG: Built-in defaults (also used by the programmatic API, which does not read config.json).
+ * - loadConfig: Loads config.json merged over the defaults.
  */
 
 import fs from 'fs';
 
+export const DEFAULT_CONFIG = Object.freeze({
+  rpcUrl: 'https://rpc.mainnet.x1.xyz',
+  rpcUrls: [],
+  rpcFailoverCooldownSeconds: 60,
+  rpcMaxSlotLag: 100,
+  crossCheck: false,
+  leaderIncome: false,
+  costAccounting: false,
+  voteTransactionFeeLamports: 5000,
+  voteTransactionMaxPages: 1000,
+  monthlyCostsUsd: Object.freeze({ server: 0, bandwidth: 0 }),
+  taxExport: null,
+  taxYearStart: '01-01',
+  currencies: Object.freeze(['USD']),
+  fxRateFile: null,
+  fxRateMaxAgeDays: 7,
+  votePubkey: 'YOUR_VOTE_ACCOUNT_PUBKEY_HERE',
+  votePubkeys: [],
+  liquidityPoolAddress: 'CAJeVEoSm1QQZccnCqYu9cnNF7TTD2fcUA3E5HQoxRvR',
+  fallbackPriceUsd: 1.0,
+  poolPriceMaxAgeHours: 24,
+  priceProvider: 'pool,fallback',
+  priceFile: null,
+  cache: true,
+  cacheDir: '.rewards-cache',
+  concurrency: 4,
+  requestsPerSecond: 10,
+  maxRetries: 5,
+  retryBaseDelayMs: 500,
+  requestTimeoutMs: 30000,
+  outputFile: 'xnt_rewards_with_prices.csv',
+  portfolioOutputFile: 'xnt_rewards_portfolio.csv',
+  delegatorOutputDir: 'delegator-reports',
+  delegatorBatchSize: 100,
+  verbose: false,
+  epochs: null,
+  allEpochs: false,
+  htmlReport: true,
+  watchIntervalSeconds: 60,
+  watchSettleSlots: 1000,
+  alertRules: Object.freeze({
+    missingReward: true,
+    lowRewardPercent: 50,
+    lowRewardTrailingEpochs: 10,
+    commissionChange: true,
+    delinquent: true,
+    balanceDropPercent: 10
+  }),
+  alertWebhookUrl: null,
+  alertCommand: null,
+  alertTimeoutMs: 10000,
+  rollbackMaxEpoch: 15,
+  worstEpochsCount: 5,
+  serverHost: '127.0.0.1',
+  serverPort: 8787,
+  metricsPort: 9787
+});
+
 /**
  * Loads configuration from config.json with fallback defaults.
  *
  * @returns {Object} Configuration object with all defaults.
  */
 export function loadConfig() {
-  const defaults = {
-    rpcUrl: 'https://rpc.mainnet.x1.xyz',
-    votePubkey: 'YOUR_VOTE_ACCOUNT_PUBKEY_HERE',
-    liquidityPoolAddress: 'CAJeVEoSm1QQZccnCqYu9cnNF7TTD2fcUA3E5HQoxRvR',
-    fallbackPriceUsd: 1.0,
-    outputFile: 'xnt_rewards_with_prices.csv',
-    verbose: false,
-    epochs: null
-  };
+  const defaults = { ...DEFAULT_CONFIG, votePubkeys: [], rpcUrls: [] };
 
   try {
     const fileContent = fs.readFileSync('./config.json', 'utf8');
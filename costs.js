@@ -0,0 +1,230 @@
+/**
+ * @fileoverview
+ * Cost accounting for the net profit view: vote transaction fees and fixed monthly operating costs per epoch,
+ * set against the epoch's gross earnings (inflation reward plus leader block income, see leaderIncome.js).
+ *
+ * Vote fees are an estimate: the vote transactions are counted from the vote account's signature history
+ * (getSignaturesForAddress, newest first) and each one is charged the configured fee (voteTransactionFeeLamports,
+ * the base fee of a single-signature transaction), including failed ones, which pay fees too. The fees actually
+ * paid by the identity (priority fees included) would take one getTransaction request per vote. Other
+ * transactions on the vote account (withdrawals, commission changes) are rare and counted alike. The costs and net
+ * profit built on these fees are estimates too, and are labelled so in every output. When the RPC's
+ * signature history ends inside the range, the epochs before its oldest signature are reported without vote fee
+ * data rather than with zero fees.
+ *
+ * A validator votes about once per slot, so the sweep takes one request per ~1000 slots. It is limited to
+ * maxPages per run: the epochs it does not reach are reported without vote fee data, and the epochs it finishes
+ * are reported as it goes, with a cursor (the signature ending the oldest finished epoch) from which a later
+ * sweep continues with the older epochs instead of starting over from the newest signature.
+ *
+ * Fixed costs (config monthlyCostsUsd, e.g. { server: 300, bandwidth: 50 }) are spread over time: an epoch
+ * carries the monthly total × its duration / one average month. USD amounts use the scale of amounts.js and are
+ * converted to XNT at the epoch's reward price; epochs without a price (no reward) have no XNT conversion.
+ *
+ * Exports:
+ * - SECONDS_PER_MONTH: Length of the average Gregorian month, in seconds.
+ * - countVoteTransactions: Vote transactions per epoch from the vote account's signature history.
+ * - monthlyCostUsd: Total of the configured monthly costs as a scaled USD amount.
+ * - epochFixedCostUsd: Share of the monthly costs for an epoch of a given duration.
+ * - epochCosts: Costs, gross earnings and net profit of one epoch.
+ * - epochCostsAt: An epoch's costs valued at another price (for the report currencies, see fxRates.js).
+ * - costTotals: Totals of per-epoch costs over a range.
+ */
+
+import { rewardValueUsd, divideRounded, USD_VALUE_DECIMALS } from './amounts.js';
+
+export const SECONDS_PER_MONTH = 2629746;
+
+/** Signatures per getSignaturesForAddress page (the RPC maximum). */
+const SIGNATURE_PAGE_SIZE = 1000;
+
+/**
+ * Counts the vote transactions per epoch from the vote account's signature history.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {PublicKey} votePubkey - Vote account public key.
+ * @param {Array<number>} epochs - Epochs to count (completed).
+ * @param {Object} [options] - Sweep options.
+ * @param {number} [options.maxPages=Infinity] - Maximum getSignaturesForAddress pages to request.
+ * @param {{epoch: number, signature: string}|null} [options.cursor=null] - Cursor of an earlier sweep: every
+ *   signature before `signature` belongs to an epoch older than `epoch`. Used when all requested epochs are older.
+ * @param {Function} [options.onProgress] - Called as (counts, cursor) with the requested epochs each page
+ *   finished (Map of epoch → count) and the cursor the sweep can continue from.
+ * @param {boolean} [options.verbose=false] - Whether to log the sweep.
+ * @returns {Promise<Map<number, number|null>>} Vote transactions per requested epoch; null for epochs before the
+ *   oldest signature the RPC returned or beyond the page limit.
+ * @throws {Error} If a getSignaturesForAddress request fails.
+ */
+export async function countVoteTransactions(connection, votePubkey, epochs, { maxPages = Infinity, cursor = null, onProgress, verbose = false } = {}) {
+  const counts = new Map(epochs.map(epoch => [epoch, 0]));
+  if (epochs.length === 0) return counts;
+
+  const schedule = await connection.getEpochSchedule();
+  const firstEpoch = Math.min(...epochs);
+  const minSlot = schedule.getFirstSlotInEpoch(firstEpoch);
+  const resume = cursor && cursor.epoch > Math.max(...epochs) ? cursor : null;
+  let before = resume?.signature;
+  // Newest signature seen so far and its epoch; crossing into an older epoch finishes the epochs in between
+  let previous = resume;
+  let reported = Infinity;
+  let pages = 0;
+  let unknownBelow = null;
+  let limited = false;
+
+  const report = (finishedEpoch, nextCursor) => {
+    const finished = new Map(epochs.filter(epoch => epoch >= finishedEpoch && epoch < reported).map(epoch => [epoch, counts.get(epoch)]));
+    reported = Math.min(reported, finishedEpoch);
+    if (finished.size > 0 || nextCursor) onProgress?.(finished, nextCursor);
+  };
+
+  for (;;) {
+    const page = await connection.getSignaturesForAddress(votePubkey, { before, limit: SIGNATURE_PAGE_SIZE });
+    pages++;
+    let boundary = null;
+    for (const { signature, slot } of page) {
+      const epoch = schedule.getEpoch(slot);
+      if (previous && epoch < previous.epoch) boundary = { epoch: epoch + 1, signature: previous.signature };
+      if (counts.has(epoch)) counts.set(epoch, counts.get(epoch) + 1);
+      previous = { epoch, signature };
+    }
+    if (boundary) report(boundary.epoch, boundary);
+
+    const oldest = page[page.length - 1];
+    if (page.length < SIGNATURE_PAGE_SIZE) {
+      // End of the signature history: nothing is known about earlier epochs
+      unknownBelow = oldest ? schedule.getEpoch(oldest.slot) : Infinity;
+      break;
+    }
+    if (oldest.slot < minSlot) break;
+    if (pages >= maxPages) {
+      // The oldest signature's epoch is incomplete, like the epochs the sweep did not reach
+      unknownBelow = schedule.getEpoch(oldest.slot) + 1;
+      limited = true;
+      break;
+    }
+    before = oldest.signature;
+  }
+
+  if (unknownBelow !== null) {
+    epochs.filter(epoch => epoch < unknownBelow).forEach(epoch => counts.set(epoch, null));
+  }
+  if (!limited) report(Math.max(firstEpoch, unknownBelow ?? firstEpoch), null);
+  if (verbose) {
+    const reach = limited ? `down to epoch ${unknownBelow}, stopped at the limit of ${maxPages} signature pages` : `back to epoch ${firstEpoch} (${pages} signature pages)`;
+    console.log(`Counted vote transactions of ${votePubkey.toBase58()} ${reach}`);
+  }
+  return counts;
+}
+
+/**
+ * Total of the configured monthly costs.
+ *
+ * @param {Object<string, number>} monthlyCostsUsd - Monthly cost per item in USD (e.g. { server: 300 }).
+ * @returns {bigint} Monthly total in USD scaled by 10^USD_VALUE_DECIMALS.
+ * @throws {Error} If an item is not a non-negative number.
+ */
+export function monthlyCostUsd(monthlyCostsUsd) {
+  return Object.entries(monthlyCostsUsd ?? {}).reduce((total, [item, usd]) => {
+    if (typeof usd !== 'number' || !(usd >= 0)) throw new Error(`Invalid monthly cost "${item}": ${usd} (expected USD >= 0)`);
+    // Cents precision is plenty for configured costs
+    return total + BigInt(Math.round(usd * 100)) * 10n ** BigInt(USD_VALUE_DECIMALS - 2);
+  }, 0n);
+}
+
+/**
+ * Share of the monthly costs for an epoch.
+ *
+ * @param {bigint} monthlyUsd - Monthly total (see monthlyCostUsd).
+ * @param {number} durationSeconds - Epoch duration.
+ * @returns {bigint} Fixed cost in scaled USD.
+ */
+export function epochFixedCostUsd(monthlyUsd, durationSeconds) {
+  return divideRounded(monthlyUsd * BigInt(Math.max(0, Math.round(durationSeconds))), BigInt(SECONDS_PER_MONTH));
+}
+
+/**
+ * Costs, gross earnings and net profit of one epoch. Amounts that need a price are null for an epoch without
+ * one (zero amounts excepted); amounts that need the vote transaction count are null without it.
+ *
+ * @param {Object} epochData - Epoch data.
+ * @param {bigint} epochData.grossLamports - Inflation reward plus leader block income.
+ * @param {bigint|null} epochData.priceMicros - Epoch reward price (null without a reward).
+ * @param {number|null} epochData.voteTransactions - Vote transactions (null when unknown).
+ * @param {bigint} epochData.voteFeeLamportsEach - Fee charged per vote transaction.
+ * @param {bigint} epochData.fixedCostUsd - Fixed cost share (see epochFixedCostUsd).
+ * @returns {{voteTransactions: number|null, voteFeeLamports: bigint|null, voteFeeValueUsd: bigint|null,
+ *   fixedCostUsd: bigint, fixedCostLamports: bigint|null, costLamports: bigint|null, costValueUsd: bigint|null,
+ *   grossLamports: bigint, grossValueUsd: bigint|null, netLamports: bigint|null, netValueUsd: bigint|null}}
+ */
+export function epochCosts({ grossLamports, priceMicros, voteTransactions, voteFeeLamportsEach, fixedCostUsd }) {
+  const voteFeeLamports = voteTransactions === null ? null : BigInt(voteTransactions) * voteFeeLamportsEach;
+  return epochCostsAt({ voteTransactions, voteFeeLamports, grossLamports, fixedCostUsd }, priceMicros);
+}
+
+/**
+ * Values an epoch's costs at a price: used by epochCosts in USD and by valuesIn (fxRates.js) in the other report
+ * currencies, with the reward price and the fixed costs converted. The value fields keep their USD names but are
+ * in the price's currency.
+ *
+ * @param {Object} costs - Epoch costs (see epochCosts), or the fields it is computed from.
+ * @param {number|null} costs.voteTransactions - Vote transactions (null when unknown).
+ * @param {bigint|null} costs.voteFeeLamports - Vote fees (null when unknown).
+ * @param {bigint} costs.grossLamports - Inflation reward plus leader block income.
+ * @param {bigint|null} costs.fixedCostUsd - Fixed cost share in the price's currency (null without an FX rate).
+ * @param {bigint|null} priceMicros - XNT price in the currency (null without a reward).
+ * @returns {Object} Costs, gross earnings and net profit (see epochCosts).
+ */
+export function epochCostsAt({ voteTransactions, voteFeeLamports, grossLamports, fixedCostUsd }, priceMicros) {
+  const priced = priceMicros !== null && priceMicros !== undefined && priceMicros > 0n;
+  const valueAt = lamports => (lamports === null ? null : lamports === 0n ? 0n : priced ? rewardValueUsd(lamports, priceMicros) : null);
+  const lamportsFor = valueUsd => (valueUsd === null ? null : valueUsd === 0n ? 0n : priced ? divideRounded(valueUsd, priceMicros) : null);
+  const add = (a, b) => (a === null || b === null ? null : a + b);
+  const subtract = (a, b) => (a === null || b === null ? null : a - b);
+
+  const voteFeeValueUsd = valueAt(voteFeeLamports);
+  const fixedCostLamports = lamportsFor(fixedCostUsd);
+  const costLamports = add(voteFeeLamports, fixedCostLamports);
+  const costValueUsd = add(voteFeeValueUsd, fixedCostUsd);
+  const grossValueUsd = valueAt(grossLamports);
+
+  return {
+    voteTransactions,
+    voteFeeLamports,
+    voteFeeValueUsd,
+    fixedCostUsd,
+    fixedCostLamports,
+    costLamports,
+    costValueUsd,
+    grossLamports,
+    grossValueUsd,
+    netLamports: subtract(grossLamports, costLamports),
+    netValueUsd: subtract(grossValueUsd, costValueUsd)
+  };
+}
+
+/**
+ * Totals of per-epoch costs. Each amount is summed over the epochs where it is known; the net profit totals are
+ * gross minus costs of those sums, so epochs without vote fee data or price understate the costs (see the counts).
+ *
+ * @param {Array<Object>} epochCostEntries - Per-epoch costs (see epochCosts).
+ * @returns {{epochs: number, epochsWithoutVoteData: number, epochsWithoutPrice: number, voteTransactions: number,
+ *   voteFeeLamports: bigint, voteFeeValueUsd: bigint, fixedCostUsd: bigint, costLamports: bigint, costValueUsd: bigint,
+ *   grossLamports: bigint, grossValueUsd: bigint, netLamports: bigint, netValueUsd: bigint}} Totals.
+ */
+export function costTotals(epochCostEntries) {
+  const sum = field => epochCostEntries.reduce((total, entry) => total + (entry[field] ?? 0n), 0n);
+  const totals = {
+    epochs: epochCostEntries.length,
+    epochsWithoutVoteData: epochCostEntries.filter(entry => entry.voteTransactions === null).length,
+    epochsWithoutPrice: epochCostEntries.filter(entry => entry.grossValueUsd === null || entry.fixedCostLamports === null).length,
+    voteTransactions: epochCostEntries.reduce((total, entry) => total + (entry.voteTransactions ?? 0), 0),
+    voteFeeLamports: sum('voteFeeLamports'),
+    voteFeeValueUsd: sum('voteFeeValueUsd'),
+    fixedCostUsd: sum('fixedCostUsd'),
+    costLamports: sum('voteFeeLamports') + sum('fixedCostLamports'),
+    costValueUsd: sum('voteFeeValueUsd') + sum('fixedCostUsd'),
+    grossLamports: sum('grossLamports'),
+    grossValueUsd: sum('grossValueUsd')
+  };
+  return { ...totals, netLamports: totals.grossLamports - totals.costLamports, netValueUsd: totals.grossValueUsd - totals.costValueUsd };
+}
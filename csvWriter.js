@@ -1,11 +1,22 @@
 /**
  * @fileoverview
- * Module for writing CSV files: main per-epoch rewards CSV (with cumulative columns)
- * and separate analytics summary CSV.
+ * Module for writing CSV files: main per-epoch rewards CSV (with cumulative columns, price and value columns per
+ * report currency, and leader block income and net profit columns when they were computed) and separate analytics
+ * summary CSV.
  *
  * Exports:
+ * - buildMainCsv: Main rewards CSV content (also served by rewardServer.js).
  * - writeMainCsv: Writes main rewards CSV with cumulative XNT/USD columns.
+ * - appendMainCsv: Appends new rows to an existing main rewards CSV (watch mode).
+ * - buildAnalyticsCsv: Summary metrics CSV content (also served by rewardServer.js).
  * - writeAnalyticsCsv: Writes summary metrics CSV.
+ * - writePortfolioCsv: Writes the combined multi-validator portfolio CSV.
+ * - writeDelegatorCsv: Writes one delegator's (stake account's) per-epoch reward statement.
+ * - writeDelegatorSummaryCsv: Writes the delegator list with each stake account's totals.
+ * - writeDelegatorEpochTotalsCsv: Writes the per-epoch totals of the rewards paid to delegators.
+ * - buildTaxLotsCsv: Tax income lot CSV content in a preset layout (see taxExport.js).
+ * - writeTaxLotsCsv: Writes the tax income lots in a preset layout.
+ * - writeTaxYearsCsv: Writes the per-tax-year income totals.
  *
  * All CSV files include UTF-8 BOM (\uFEFF) for correct opening in LibreOffice/Excel,
  * plus a trailing newline for POSIX compliance.
@@ -13,94 +24,624 @@
 
 import { stringify } from 'csv-stringify/sync';
 import fs from 'fs';
-import moment from 'moment';
+import { buildPortfolioRows, portfolioTotalsIn } from './portfolio.js';
+import { EPOCH_STATUS, EPOCH_STATUS_LABELS } from './epochStatus.js';
+import { formatXnt, formatPrice, formatUsd } from './amounts.js';
+import { TAX_PRESETS } from './taxExport.js';
+import { BASE_CURRENCY, valuesIn } from './fxRates.js';
+
+/**
+ * Serializes CSV rows with the UTF-8 BOM and a trailing newline.
+ *
+ * @param {Array<Array>} data - CSV rows.
+ * @returns {string} CSV content.
+ */
+function toCsvContent(data) {
+  return '\uFEFF' + stringify(data) + '\n';
+}
+
+const MAIN_CSV_LEADING_COLUMNS = [
+  'Epoch',
+  'Reward Date (UTC, approx)',
+  'Epoch Start (UTC)',
+  'Epoch End (UTC)',
+  'XNT Amount',
+  'Cumulative XNT'
+];
+
+const MAIN_CSV_TRAILING_COLUMNS = [
+  'Commission (%)',
+  'Activated Stake (XNT)',
+  'Stake Source',
+  'Delegator Epoch Yield (%)',
+  'Delegator APR 10-Epoch (%)',
+  'Delegator APR 30-Epoch (%)',
+  'Status'
+];
+
+/**
+ * Returns the leader block income columns (--leader-income), with the values in each report currency.
+ *
+ * @param {Array<string>} currencies - Currency codes (see parseCurrencies in fxRates.js).
+ * @returns {Array<string>} Column names.
+ */
+function leaderIncomeColumns(currencies) {
+  return [
+    'Leader Slots',
+    'Blocks Produced',
+    'Block Fees (XNT)',
+    'Block Rent (XNT)',
+    ...currencies.map(currency => `Block Income Value (${currency})`),
+    'Total Earnings (XNT)',
+    ...currencies.map(currency => `Total Earnings Value (${currency})`)
+  ];
+}
+
+/**
+ * Returns the cost accounting columns (--costs), with the values in each report currency.
+ *
+ * @param {Array<string>} currencies - Currency codes (see parseCurrencies in fxRates.js).
+ * @returns {Array<string>} Column names.
+ */
+function costColumns(currencies) {
+  return [
+    'Vote Transactions',
+    'Estimated Vote Fees (XNT)',
+    ...currencies.map(currency => `Fixed Costs (${currency})`),
+    'Gross Earnings (XNT)',
+    ...currencies.map(currency => `Gross Earnings (${currency})`),
+    'Estimated Costs (XNT)',
+    ...currencies.map(currency => `Estimated Costs (${currency})`),
+    'Estimated Net Profit (XNT)',
+    ...currencies.map(currency => `Estimated Net Profit (${currency})`)
+  ];
+}
+
+/**
+ * Formats an optional value cell: empty when the amount is unknown.
+ *
+ * @param {bigint|null|undefined} value - Scaled value (see amounts.js).
+ * @returns {string} Formatted value or ''.
+ */
+function valueCell(value) {
+  return value === null || value === undefined ? '' : formatUsd(value);
+}
+
+/**
+ * Builds the leader block income cells of a main CSV row: empty when the epoch's leader data could not be
+ * fetched, and without values for epochs without a reward price.
+ *
+ * @param {Object} r - Main CSV row (see mainCsvRow).
+ * @param {Array<string>} currencies - Currency codes.
+ * @returns {Array} Cells for leaderIncomeColumns.
+ */
+function leaderIncomeCells(r, currencies) {
+  const income = r.leaderIncome;
+  if (!income || income.error) return leaderIncomeColumns(currencies).map(() => '');
+
+  const values = currencies.map(currency => valuesIn(r, currency));
+  return [
+    income.leaderSlots,
+    income.blocksProduced,
+    formatXnt(income.feeLamports),
+    formatXnt(income.rentLamports),
+    ...values.map(({ leaderIncome }) => valueCell(leaderIncome.valueUsd)),
+    formatXnt(r.lamports + income.lamports),
+    ...values.map(({ value, leaderIncome: { valueUsd } }) => valueCell(valueUsd === null || valueUsd === undefined ? null : value + valueUsd))
+  ];
+}
+
+/**
+ * Builds the cost accounting cells of a main CSV row: empty where the vote transaction count or a price for the
+ * conversion is missing.
+ *
+ * @param {Object} r - Main CSV row (see mainCsvRow).
+ * @param {Array<string>} currencies - Currency codes.
+ * @returns {Array} Cells for costColumns.
+ */
+function costCells(r, currencies) {
+  const { costs } = r;
+  const xnt = lamports => (lamports === null ? '' : formatXnt(lamports));
+  const values = currencies.map(currency => valuesIn(r, currency).costs);
+  return [
+    costs.voteTransactions ?? '',
+    xnt(costs.voteFeeLamports),
+    ...values.map(converted => valueCell(converted.fixedCostUsd)),
+    xnt(costs.grossLamports),
+    ...values.map(converted => valueCell(converted.grossValueUsd)),
+    xnt(costs.costLamports),
+    ...values.map(converted => valueCell(converted.costValueUsd)),
+    xnt(costs.netLamports),
+    ...values.map(converted => valueCell(converted.netValueUsd))
+  ];
+}
+
+/**
+ * Optional main CSV column groups, inserted after the currency columns when the rows carry their data (see
+ * fetchRewardsForEpochs and attachEpochCosts in validatorRewards.js).
+ */
+const OPTIONAL_COLUMN_GROUPS = [
+  { columns: leaderIncomeColumns, field: 'leaderIncome', cells: leaderIncomeCells },
+  { columns: costColumns, field: 'costs', cells: costCells }
+];
+
+/**
+ * Returns the optional column groups the main CSV rows have data for.
+ *
+ * @param {Array} rows - Main CSV rows.
+ * @returns {Array<Object>} Column groups (see OPTIONAL_COLUMN_GROUPS).
+ */
+function optionalColumnGroups(rows) {
+  return OPTIONAL_COLUMN_GROUPS.filter(group => rows.some(r => r[group.field]));
+}
+
+/**
+ * Returns the price and value columns of the report currencies: price, value and running total per currency,
+ * preceded by the FX rate for currencies other than USD. The price source follows the first currency's price.
+ *
+ * @param {Array<string>} currencies - Currency codes (see parseCurrencies in fxRates.js).
+ * @returns {Array<string>} Column names.
+ */
+function currencyColumns(currencies) {
+  return currencies.flatMap((currency, index) => [
+    ...(currency !== BASE_CURRENCY ? [`FX Rate (${currency} per ${BASE_CURRENCY})`] : []),
+    `XNT Price (${currency})`,
+    ...(index === 0 ? ['Price Source'] : []),
+    `Value (${currency})`,
+    `Cumulative ${currency}`
+  ]);
+}
+
+/**
+ * Returns a row's price and value cells in the report currencies (see currencyColumns).
+ *
+ * @param {Object} r - Main CSV row (see mainCsvRow).
+ * @param {Array<string>} currencies - Currency codes.
+ * @returns {Array} Cells.
+ */
+function currencyCells(r, currencies) {
+  return currencies.flatMap((currency, index) => {
+    const { fxRate, priceMicros, value, cumulativeValue } = valuesIn(r, currency);
+    return [
+      ...(currency !== BASE_CURRENCY ? [fxRate ?? ''] : []),
+      formatPrice(priceMicros),
+      ...(index === 0 ? [r.priceSource] : []),
+      formatUsd(value),
+      formatUsd(cumulativeValue)
+    ];
+  });
+}
+
+/**
+ * Returns the main CSV header.
+ *
+ * @param {Array<Object>} groups - Optional column groups to include (see optionalColumnGroups).
+ * @param {Array<string>} currencies - Currency codes (see parseCurrencies in fxRates.js).
+ * @returns {Array<string>} Column names.
+ */
+function mainCsvColumns(groups, currencies) {
+  return [
+    ...MAIN_CSV_LEADING_COLUMNS,
+    ...currencyColumns(currencies),
+    ...groups.flatMap(group => group.columns(currencies)),
+    ...MAIN_CSV_TRAILING_COLUMNS
+  ];
+}
+
+/**
+ * Builds one main CSV row.
+ *
+ * @param {Object} r - Aggregated reward object (see amounts.js), or an epoch row with --all-epochs.
+ * @param {Array<Object>} [groups=[]] - Optional column groups to include (see optionalColumnGroups).
+ * @param {Array<string>} [currencies=['USD']] - Currency codes (see parseCurrencies in fxRates.js).
+ * @returns {Array} CSV row.
+ */
+function mainCsvRow(r, groups = [], currencies = [BASE_CURRENCY]) {
+  return [
+    r.epoch,
+    r.rewardDate,
+    r.epochStart ?? '',
+    r.epochEnd ?? '',
+    formatXnt(r.lamports),
+    formatXnt(r.cumulativeLamports),
+    ...currencyCells(r, currencies),
+    ...groups.flatMap(group => (r[group.field] ? group.cells(r, currencies) : group.columns(currencies).map(() => ''))),
+    r.commission ?? '',
+    r.activatedStakeLamports !== null && r.activatedStakeLamports !== undefined ? formatXnt(r.activatedStakeLamports) : '',
+    r.stakeSource ?? '',
+    r.epochYield ?? '',
+    r.apr10 ?? '',
+    r.apr30 ?? '',
+    r.status || EPOCH_STATUS.REWARDED
+  ];
+}
+
+/**
+ * Builds the main per-epoch rewards CSV content with cumulative columns, price and value columns per report
+ * currency, and the leader income and cost columns when the rows carry leader block income or costs.
+ *
+ * @param {Array} rewards - Array of aggregated reward objects (see amounts.js), or one row per epoch
+ *   with --all-epochs (see status).
+ * @param {Array<string>} [currencies=['USD']] - Report currencies (see parseCurrencies in fxRates.js); rows carry
+ *   the values of those other than USD (see attachCurrencyValues).
+ * @returns {string} CSV content.
+ */
+export function buildMainCsv(rewards, currencies = [BASE_CURRENCY]) {
+  const groups = optionalColumnGroups(rewards);
+  return toCsvContent([mainCsvColumns(groups, currencies), ...rewards.map(r => mainCsvRow(r, groups, currencies))]);
+}
 
 /**
  * Writes the main per-epoch rewards CSV with cumulative columns.
  *
- * @param {Array} rewards - Array of reward objects.
+ * @param {Array} rewards - Array of aggregated reward objects (see amounts.js), or one row per epoch
+ *   with --all-epochs (see status).
  * @param {string} outputPath - Path to main CSV file.
+ * @param {Array<string>} [currencies=['USD']] - Report currencies (see buildMainCsv).
  */
-export function writeMainCsv(rewards, outputPath) {
-  let cumulativeXNT = 0;
-  let cumulativeUSD = 0;
-  const rowsWithCumulative = rewards.map(r => {
-    cumulativeXNT += parseFloat(r.xntAmount);
-    cumulativeUSD += parseFloat(r.valueUSD);
-    return {
-      ...r,
-      cumulativeXNT: cumulativeXNT.toFixed(6),
-      cumulativeUSD: cumulativeUSD.toFixed(4)
-    };
-  });
+export function writeMainCsv(rewards, outputPath, currencies = [BASE_CURRENCY]) {
+  fs.writeFileSync(outputPath, buildMainCsv(rewards, currencies), 'utf8');
+
+  const rewardCount = rewards.filter(r => (r.status || EPOCH_STATUS.REWARDED) === EPOCH_STATUS.REWARDED).length;
+  const gapCount = rewards.length - rewardCount;
+  console.log(`Main CSV written to: ${outputPath} (${rewardCount} reward entries${gapCount > 0 ? `, ${gapCount} epochs without reward` : ''})`);
+}
+
+/**
+ * Appends rows to a main CSV written by writeMainCsv (--watch). The rows must carry the cumulative
+ * values of the full, re-aggregated reward list, so the file reads as if written in one go.
+ *
+ * @param {Array} rewards - New aggregated reward objects (see amounts.js), or epoch rows with --all-epochs.
+ * @param {string} outputPath - Path to the existing main CSV file.
+ * @param {Array<string>} [currencies=['USD']] - Report currencies the file was written with.
+ */
+export function appendMainCsv(rewards, outputPath, currencies = [BASE_CURRENCY]) {
+  // The file ends with a blank line (see toCsvContent): drop it so the new rows follow the last one
+  const content = fs.readFileSync(outputPath);
+  if (content.length >= 2 && content[content.length - 1] === 0x0a && content[content.length - 2] === 0x0a) {
+    fs.truncateSync(outputPath, content.length - 1);
+  }
+  const groups = optionalColumnGroups(rewards);
+  if (rewards.length > 0) fs.appendFileSync(outputPath, stringify(rewards.map(r => mainCsvRow(r, groups, currencies))), 'utf8');
+  fs.appendFileSync(outputPath, '\n', 'utf8');
+
+  console.log(`Main CSV appended: ${outputPath} (+${rewards.length} rows)`);
+}
+
+/**
+ * Builds the summary analytics CSV content with all metrics.
+ *
+ * @param {Object} validator - Validator entry of the fetchValidatorRewards result (see validatorRewards.js):
+ *   aggregated `rewards`, `summary` (see rewardSummary.js) and `performance` (see performance.js).
+ * @returns {string} CSV content.
+ */
+export function buildAnalyticsCsv(validator) {
+  const { summary, performance = null } = validator;
+
+  const { commission, yield: yieldSummary, leaderIncome, costs, currencies, currencyTotals } = summary;
+  const formatAverage = lamports => (lamports !== null ? formatXnt(lamports) : 'N/A');
+  const perCurrency = (metric, amount) => currencies.map(currency => [`${metric} (${currency})`, formatUsd(amount(currencyTotals[currency]))]);
+
+  const leaderIncomeData = leaderIncome
+    ? [
+      ['Leader Identity (current nodePubkey; epochs before an identity change are not covered)', leaderIncome.identity ?? 'N/A'],
+      ['Leader Slots', leaderIncome.leaderSlots],
+      ['Blocks Produced', leaderIncome.blocksProduced],
+      ['Skipped Leader Slots', leaderIncome.skippedSlots],
+      ['Block Fees (XNT)', formatXnt(leaderIncome.feeLamports)],
+      ['Block Rent (XNT)', formatXnt(leaderIncome.rentLamports)],
+      ['Leader Block Income (XNT)', formatXnt(leaderIncome.lamports)],
+      ...perCurrency('Leader Block Income Value', totals => totals.leaderIncome.valueUsd),
+      ['Epochs without Leader Data', leaderIncome.failedEpochs],
+      ['Total Earnings (XNT, rewards + block income)', formatXnt(summary.totalEarnings.lamports)],
+      ...perCurrency('Total Earnings Value', totals => totals.totalEarnings.valueUsd)
+    ]
+    : [];
+
+  const costData = costs
+    ? [
+      ['Gross Earnings (XNT)', formatXnt(costs.grossLamports)],
+      ...perCurrency('Gross Earnings', totals => totals.costs.grossValueUsd),
+      ['Vote Transactions', costs.voteTransactions],
+      ['Estimated Vote Transaction Fees (XNT)', formatXnt(costs.voteFeeLamports)],
+      ...perCurrency('Estimated Vote Transaction Fees', totals => totals.costs.voteFeeValueUsd),
+      ...perCurrency('Fixed Operating Costs', totals => totals.costs.fixedCostUsd),
+      ['Estimated Total Costs (XNT)', formatXnt(costs.costLamports)],
+      ...perCurrency('Estimated Total Costs', totals => totals.costs.costValueUsd),
+      ['Estimated Net Profit (XNT)', formatXnt(costs.netLamports)],
+      ...perCurrency('Estimated Net Profit', totals => totals.costs.netValueUsd),
+      ['Epochs without Vote Fee Data', costs.epochsWithoutVoteData],
+      ['Epochs without Price for Cost Conversion', costs.epochsWithoutPrice]
+    ]
+    : [];
+
+  const analyticsData = [
+    ['Metric', 'Value'],
+    ['Final Date Range (approx)', `${summary.firstDate ?? 'N/A'} to ${summary.lastDate ?? 'N/A'}`],
+    ['Days Covered', summary.days],
+    ['Total XNT Earned', formatXnt(summary.totalLamports)],
+    ...summary.currencies.map(currency => [`Total Value (${currency})`, formatUsd(summary.valueByCurrency[currency])]),
+    ...leaderIncomeData,
+    ...costData,
+    ['Average $XNT Earned Per Day', formatAverage(summary.averageDailyLamports)],
+    ['Total Epochs Processed', summary.totalEpochsProcessed],
+    ['Total Epochs with Rewards', summary.epochsWithRewards],
+    ['Percentage of Epochs with Rewards', summary.percentageWithRewards],
+    ['Percentage of Expected Epochs with Rewards (accounts for early chain rollback)', summary.percentageExpectedWithRewards],
+    ['Average $XNT Per Epoch', formatAverage(summary.averagePerEpochLamports)],
+    ['Unexpected Failed Epoch Queries', summary.unexpectedFailures],
+    ['Failed Epoch Queries (due to early X1 chain roll-back - see Unexpected failed epoch queries)', summary.failedEpochs],
+    ['Early Epoch Failures (expected from rollback)', summary.lowEpochFailures],
+    ['Rewards Priced from Liquidity Pool', summary.priceSources.pool],
+    ['Rewards Priced from Price File', summary.priceSources.file],
+    ['Rewards Priced with Fallback', summary.priceSources.fallback],
+    ...Object.entries(summary.statusCounts || {}).map(([status, count]) => [`${EPOCH_STATUS_LABELS[status]} (${status})`, count]),
+    ['Latest Commission (%)', commission.latest ?? 'N/A'],
+    ['Weighted Average Commission (%, by reward)', commission.weightedAverage],
+    ['Commission Changes', commission.changes.length],
+    ['Latest Activated Stake (XNT)', yieldSummary.latestActivatedStake],
+    ['Average Activated Stake (XNT)', yieldSummary.averageActivatedStake],
+    ['Epochs with Recorded Stake', yieldSummary.stakeSnapshots],
+    ['Epochs with Stake Estimated from Current Stake', yieldSummary.stakeEstimates],
+    ['Epochs per Year (measured)', yieldSummary.epochsPerYear],
+    ['Delegator APR, Last 10 Epochs (%)', yieldSummary.apr10],
+    ['Delegator APR, Last 30 Epochs (%)', yieldSummary.apr30],
+    ['Delegator APY (%, compounded 30-epoch yield)', yieldSummary.apy]
+  ];
+
+  if (performance) {
+    analyticsData.push(
+      ['Vote Credit Efficiency (% of cluster median)', performance.overallEfficiency],
+      ['Epochs with Vote Credit History', performance.epochs.length]
+    );
+  }
+
+  // Commission-change log as a separate section below the metrics
+  if (commission.changes.length > 0) {
+    analyticsData.push(
+      [],
+      ['Commission Change Epoch', 'Old Commission (%)', 'New Commission (%)'],
+      ...commission.changes.map(c => [c.epoch, c.oldCommission, c.newCommission])
+    );
+  }
+
+  // Performance section: worst epochs by vote-credit efficiency
+  if (performance?.worstEpochs.length > 0) {
+    analyticsData.push(
+      [],
+      ['Worst Performing Epoch', 'Earned Vote Credits', 'Cluster Median Credits', 'Credit Efficiency (%)'],
+      ...performance.worstEpochs.map(e => [e.epoch, e.earnedCredits, e.clusterMedianCredits, e.efficiency])
+    );
+  }
+
+  return toCsvContent(analyticsData);
+}
+
+/**
+ * Writes the summary analytics CSV with all metrics.
+ *
+ * @param {Object} validator - Validator entry of the fetchValidatorRewards result (see buildAnalyticsCsv).
+ * @param {string} [analyticsPath='xnt_rewards_analytics.csv'] - Path to analytics CSV file.
+ */
+export function writeAnalyticsCsv(validator, analyticsPath = 'xnt_rewards_analytics.csv') {
+  if (validator.rewards.length === 0) return;
+
+  fs.writeFileSync(analyticsPath, buildAnalyticsCsv(validator), 'utf8');
+  console.log(`Analytics summary CSV written to: ${analyticsPath}`);
+}
+
+/**
+ * Writes the combined portfolio CSV for several vote accounts: one row per epoch with
+ * per-validator XNT and cumulative columns, plus portfolio totals, with the values in each report currency.
+ *
+ * @param {Array<{votePubkey: string, rewards: Array, currencies: Array<string>}>} validators - Aggregated rewards
+ *   per vote account, and the report currencies (see fetchValidatorRewards in validatorRewards.js).
+ * @param {string} [portfolioPath='xnt_rewards_portfolio.csv'] - Path to portfolio CSV file.
+ */
+export function writePortfolioCsv(validators, portfolioPath = 'xnt_rewards_portfolio.csv') {
+  const currencies = validators[0]?.currencies ?? [BASE_CURRENCY];
+  const rows = buildPortfolioRows(validators, currencies);
 
   const columns = [
     'Epoch',
     'Reward Date (UTC, approx)',
-    'XNT Amount',
-    'Cumulative XNT',
-    'XNT Price (USD)',
-    'Value (USD)',
-    'Cumulative USD'
+    ...validators.flatMap(({ votePubkey }) => [
+      `${votePubkey} XNT`,
+      `${votePubkey} Cumulative XNT`,
+      ...currencies.map(currency => `${votePubkey} Cumulative ${currency}`)
+    ]),
+    'Total XNT',
+    'Total Cumulative XNT',
+    ...currencies.flatMap(currency => [`Total Value (${currency})`, `Total Cumulative ${currency}`])
   ];
-  const data = [columns, ...rowsWithCumulative.map(r => [
+  const data = [columns, ...rows.map(r => [
     r.epoch,
     r.rewardDate,
-    r.xntAmount,
-    r.cumulativeXNT,
-    r.priceUSD,
-    r.valueUSD,
-    r.cumulativeUSD
+    ...validators.flatMap(({ votePubkey }) => [
+      formatXnt(r.validators[votePubkey].lamports),
+      formatXnt(r.validators[votePubkey].cumulativeLamports),
+      ...currencies.map(currency => formatUsd(valuesIn(r.validators[votePubkey], currency).cumulativeValue))
+    ]),
+    formatXnt(r.totalLamports),
+    formatXnt(r.cumulativeLamports),
+    ...currencies.flatMap(currency => {
+      const { value, cumulativeValue } = portfolioTotalsIn(r, currency);
+      return [formatUsd(value), formatUsd(cumulativeValue)];
+    })
   ])];
 
-  const csvContent = stringify(data);
-  fs.writeFileSync(outputPath, '\uFEFF' + csvContent + '\n', 'utf8');
+  fs.writeFileSync(portfolioPath, toCsvContent(data), 'utf8');
 
-  console.log(`Main CSV written to: ${outputPath} (${rewards.length} reward entries)`);
+  console.log(`Portfolio CSV written to: ${portfolioPath} (${validators.length} vote accounts, ${rows.length} epochs)`);
 }
 
 /**
- * Writes the summary analytics CSV with all metrics.
+ * Total value of aggregated rewards in one currency (their last running total).
  *
- * @param {Array} rewards - Array of reward objects.
- * @param {number} totalEpochsProcessed - Total epochs queried.
- * @param {number} failedEpochs - Total failed queries.
- * @param {number} lowEpochFailures - Failed queries in early epochs (<=15).
- * @param {number} unexpectedFailures - Failed queries outside early range.
- * @param {number} expectedEpochs - Epochs expected to be queryable (processed - low failures).
- * @param {string} [analyticsPath='xnt_rewards_analytics.csv'] - Path to analytics CSV file.
+ * @param {Array} rewards - Aggregated rewards (oldest → newest).
+ * @param {string} currency - Currency code.
+ * @returns {bigint} Total value.
+ */
+function totalValueIn(rewards, currency) {
+  return rewards.length > 0 ? valuesIn(rewards[rewards.length - 1], currency).cumulativeValue : 0n;
+}
+
+/**
+ * Writes one delegator's per-epoch reward statement with cumulative columns, and price and value columns per
+ * report currency like the main CSV.
+ *
+ * @param {Object} delegator - Delegator entry of the fetchDelegatorRewards result (see delegatorRewards.js).
+ * @param {string} statementPath - Path to the statement CSV file.
+ * @param {Array<string>} [currencies=['USD']] - Report currencies (the result's `currencies`).
  */
-export function writeAnalyticsCsv(rewards, totalEpochsProcessed, failedEpochs, lowEpochFailures, unexpectedFailures, expectedEpochs, analyticsPath = 'xnt_rewards_analytics.csv') {
-  if (rewards.length === 0) return;
+export function writeDelegatorCsv(delegator, statementPath, currencies = [BASE_CURRENCY]) {
+  const data = [
+    [
+      'Epoch',
+      'Reward Date (UTC, approx)',
+      'XNT Amount',
+      'Cumulative XNT',
+      ...currencyColumns(currencies),
+      'Stake Account Balance After Reward (XNT)',
+      'Commission (%)'
+    ],
+    ...delegator.rewards.map(r => [
+      r.epoch,
+      r.rewardDate,
+      formatXnt(r.lamports),
+      formatXnt(r.cumulativeLamports),
+      ...currencyCells(r, currencies),
+      r.postBalanceLamports !== null ? formatXnt(r.postBalanceLamports) : '',
+      r.commission ?? ''
+    ])
+  ];
 
-  const firstDate = moment(rewards[0].rewardDate).startOf('day');
-  const lastDate = moment(rewards[rewards.length - 1].rewardDate).startOf('day');
-  const days = lastDate.diff(firstDate, 'days') + 1;
-  const totalXNT = rewards.reduce((sum, r) => sum + parseFloat(r.xntAmount), 0);
-  const avgDaily = days > 0 ? (totalXNT / days).toFixed(6) : 'N/A';
-  const totalEpochsWithRewards = rewards.length;
-  const percentageWithRewards = totalEpochsProcessed > 0 ? ((totalEpochsWithRewards / totalEpochsProcessed) * 100).toFixed(2) : '0.00';
-  const percentageExpectedWithRewards = expectedEpochs > 0 ? ((totalEpochsWithRewards / expectedEpochs) * 100).toFixed(2) : '0.00';
-  const avgPerEpoch = totalEpochsWithRewards > 0 ? (totalXNT / totalEpochsWithRewards).toFixed(6) : 'N/A';
+  fs.writeFileSync(statementPath, toCsvContent(data), 'utf8');
+}
 
-  const analyticsData = [
-    ['Metric', 'Value'],
-    ['Final Date Range (approx)', `${firstDate.format('YYYY-MM-DD')} to ${lastDate.format('YYYY-MM-DD')}`],
-    ['Days Covered', days],
-    ['Total XNT Earned', totalXNT.toFixed(6)],
-    ['Average $XNT Earned Per Day', avgDaily],
-    ['Total Epochs Processed', totalEpochsProcessed],
-    ['Total Epochs with Rewards', totalEpochsWithRewards],
-    ['Percentage of Epochs with Rewards', percentageWithRewards],
-    ['Percentage of Expected Epochs with Rewards (accounts for early chain rollback)', percentageExpectedWithRewards],
-    ['Average $XNT Per Epoch', avgPerEpoch],
-    ['Unexpected Failed Epoch Queries', unexpectedFailures],
-    ['Failed Epoch Queries (due to early X1 chain roll-back - see Unexpected failed epoch queries)', failedEpochs],
-    ['Early Epoch Failures (expected from rollback)', lowEpochFailures]
+/**
+ * Writes the delegator list: one row per stake account with its delegation and reward totals.
+ *
+ * @param {Object} result - fetchDelegatorRewards result (see delegatorRewards.js).
+ * @param {string} summaryPath - Path to the delegator list CSV file.
+ */
+export function writeDelegatorSummaryCsv(result, summaryPath) {
+  const { currencies = [BASE_CURRENCY] } = result;
+  const data = [
+    [
+      'Stake Account',
+      'Staker',
+      'Withdrawer',
+      'Delegated Stake (XNT)',
+      'Activation Epoch',
+      'Deactivation Epoch',
+      'Epochs with Rewards',
+      'Total XNT',
+      ...currencies.map(currency => `Total Value (${currency})`),
+      'Failed Epoch Queries'
+    ],
+    ...result.delegators.map(d => [
+      d.stakePubkey,
+      d.staker ?? '',
+      d.withdrawer ?? '',
+      formatXnt(d.stakeLamports),
+      d.activationEpoch,
+      d.deactivationEpoch ?? '',
+      d.rewards.length,
+      formatXnt(d.totalLamports),
+      ...currencies.map(currency => formatUsd(totalValueIn(d.rewards, currency))),
+      d.failedEpochs.length
+    ])
   ];
 
-  const csvContent = stringify(analyticsData);
-  fs.writeFileSync(analyticsPath, '\uFEFF' + csvContent + '\n', 'utf8');
+  fs.writeFileSync(summaryPath, toCsvContent(data), 'utf8');
+  console.log(`Delegator list CSV written to: ${summaryPath} (${result.delegators.length} stake accounts)`);
+}
 
-  console.log(`Analytics summary CSV written to: ${analyticsPath}`);
+/**
+ * Writes the per-epoch totals of the rewards paid to delegators, with cumulative columns.
+ *
+ * @param {Object} result - fetchDelegatorRewards result (see delegatorRewards.js).
+ * @param {string} totalsPath - Path to the epoch totals CSV file.
+ */
+export function writeDelegatorEpochTotalsCsv(result, totalsPath) {
+  const { currencies = [BASE_CURRENCY] } = result;
+  const data = [
+    [
+      'Epoch',
+      'Reward Date (UTC, approx)',
+      'Delegators Rewarded',
+      'XNT Paid to Delegators',
+      'Cumulative XNT',
+      ...currencies.flatMap(currency => [`Value (${currency})`, `Cumulative ${currency}`])
+    ],
+    ...result.epochTotals.map(t => [
+      t.epoch,
+      t.rewardDate,
+      t.delegatorCount,
+      formatXnt(t.lamports),
+      formatXnt(t.cumulativeLamports),
+      ...currencies.flatMap(currency => {
+        const { value, cumulativeValue } = valuesIn(t, currency);
+        return [formatUsd(value), formatUsd(cumulativeValue)];
+      })
+    ])
+  ];
+
+  fs.writeFileSync(totalsPath, toCsvContent(data), 'utf8');
+  console.log(`Delegator epoch totals CSV written to: ${totalsPath} (${result.epochTotals.length} epochs)`);
+}
+
+/**
+ * Builds the tax income lot CSV content in a preset layout.
+ *
+ * @param {Array<Object>} lots - Income lots (see buildIncomeLots in taxExport.js).
+ * @param {string} preset - Preset name (see TAX_PRESETS in taxExport.js).
+ * @param {string} [currency='USD'] - Currency the lots were built in.
+ * @returns {string} CSV content.
+ * @throws {Error} If the preset is unknown.
+ */
+export function buildTaxLotsCsv(lots, preset, currency = BASE_CURRENCY) {
+  const layout = TAX_PRESETS[preset];
+  if (!layout) throw new Error(`Unknown tax export preset "${preset}" (expected ${Object.keys(TAX_PRESETS).join(', ')})`);
+  return toCsvContent([layout.columns(currency), ...lots.map(layout.row)]);
+}
+
+/**
+ * Writes the tax income lots in a preset layout.
+ *
+ * @param {Array<Object>} lots - Income lots (see buildIncomeLots in taxExport.js).
+ * @param {string} preset - Preset name (see TAX_PRESETS in taxExport.js).
+ * @param {string} lotsPath - Output path.
+ * @param {string} [currency='USD'] - Currency the lots were built in.
+ */
+export function writeTaxLotsCsv(lots, preset, lotsPath, currency = BASE_CURRENCY) {
+  fs.writeFileSync(lotsPath, buildTaxLotsCsv(lots, preset, currency), 'utf8');
+  console.log(`Tax income lots CSV (${preset}) written to: ${lotsPath} (${lots.length} lots)`);
+}
+
+/**
+ * Writes the per-tax-year income totals.
+ *
+ * @param {Array<Object>} totals - Tax year totals (see taxYearTotals in taxExport.js).
+ * @param {string} yearsPath - Output path.
+ */
+export function writeTaxYearsCsv(totals, yearsPath) {
+  const data = [
+    ['Tax Year', 'From (UTC)', 'To (UTC)', 'Income Lots', 'XNT Received', 'Fair Market Value', 'Currency', 'Lots at Fallback Price', 'Lots with Estimated Time'],
+    ...totals.map(t => [
+      t.taxYear,
+      t.from,
+      t.to,
+      t.lots,
+      formatXnt(t.lamports),
+      formatUsd(t.value),
+      t.currency,
+      t.fallbackPricedLots,
+      t.estimatedTimeLots
+    ])
+  ];
+
+  fs.writeFileSync(yearsPath, toCsvContent(data), 'utf8');
+  console.log(`Tax year totals CSV written to: ${yearsPath} (${totals.length} tax years)`);
 }
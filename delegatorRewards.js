@@ -0,0 +1,247 @@
+/**
+ * @fileoverview
+ * Delegator reward reports: finds the stake accounts delegated to a vote account (stake program accounts
+ * filtered by voter) and fetches each one's per-epoch inflation reward, with batched getInflationReward calls,
+ * for per-delegator statements and per-epoch totals of the rewards paid to delegators.
+ *
+ * Only stake accounts that still exist and are delegated to the vote account are found: closed stake accounts
+ * and earlier delegations of redelegated accounts are not reported. Each stake account is queried for the
+ * epochs of its current delegation (activation to deactivation epoch) within the range. Rewards are priced
+ * like the vote account's own rewards (resolveSlotContext in validatorRewards.js); all rewards of an epoch share
+ * its effectiveSlot, so each epoch is priced once, and valued in the report currencies like them (fxRates.js).
+ * Delegator rewards are not cached.
+ *
+ * Exports:
+ * - STAKE_VOTER_OFFSET: Byte offset of the voter pubkey in stake account data (getProgramAccounts filter).
+ * - findDelegatedStakeAccounts: Stake accounts delegated to a vote account.
+ * - fetchDelegatorRewards: Fetches and prices the per-epoch rewards of every stake account delegated to a vote account.
+ */
+
+import { PublicKey, StakeProgram } from '@solana/web3.js';
+import { DEFAULT_CONFIG } from './configLoader.js';
+import { createThrottledFetch, mapWithConcurrency } from './rpcThrottle.js';
+import { createConnection, parseVotePubkeys, resolvePriceProvider, resolveSlotContext } from './validatorRewards.js';
+import { resolveEpochRange } from './epochRange.js';
+import { createEpochTimes, formatBlockTime } from './epochTimes.js';
+import { toLamports, toPriceMicros, rewardValueUsd, aggregateRewards, rewardTotals } from './amounts.js';
+import { parseCurrencies, createFxRates, attachCurrencyValues, valuesIn } from './fxRates.js';
+
+/** Stake state enum (4 bytes) + meta (rent-exempt reserve 8, staker 32, withdrawer 32, lockup 48). */
+export const STAKE_VOTER_OFFSET = 124;
+
+/** Size of a stake account's data. */
+const STAKE_ACCOUNT_SIZE = 200;
+
+/**
+ * Converts a parsed stake epoch (u64 string) to a number, with null for the "never" value (u64 max).
+ *
+ * @param {string|number} epoch - Parsed epoch.
+ * @returns {number|null} Epoch.
+ */
+function parseStakeEpoch(epoch) {
+  const value = BigInt(epoch);
+  return value > BigInt(Number.MAX_SAFE_INTEGER) ? null : Number(value);
+}
+
+/**
+ * Finds the stake accounts delegated to a vote account.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {PublicKey} votePubkey - Vote account public key.
+ * @returns {Promise<Array<{stakePubkey: string, staker: string|null, withdrawer: string|null, stakeLamports: bigint,
+ *   activationEpoch: number, deactivationEpoch: number|null}>>} Stake accounts, largest delegation first
+ *   (deactivationEpoch null while the stake is not deactivating).
+ */
+export async function findDelegatedStakeAccounts(connection, votePubkey) {
+  const accounts = await connection.getParsedProgramAccounts(StakeProgram.programId, {
+    filters: [
+      { dataSize: STAKE_ACCOUNT_SIZE },
+      { memcmp: { offset: STAKE_VOTER_OFFSET, bytes: votePubkey.toBase58() } }
+    ]
+  });
+
+  return accounts
+    .map(({ pubkey, account }) => ({ stakePubkey: pubkey.toBase58(), info: account.data?.parsed?.info }))
+    .filter(({ info }) => info?.stake?.delegation?.voter === votePubkey.toBase58())
+    .map(({ stakePubkey, info }) => ({
+      stakePubkey,
+      staker: info.meta?.authorized?.staker ?? null,
+      withdrawer: info.meta?.authorized?.withdrawer ?? null,
+      stakeLamports: toLamports(info.stake.delegation.stake),
+      activationEpoch: parseStakeEpoch(info.stake.delegation.activationEpoch),
+      deactivationEpoch: parseStakeEpoch(info.stake.delegation.deactivationEpoch)
+    }))
+    .sort((a, b) => (a.stakeLamports === b.stakeLamports ? a.stakePubkey.localeCompare(b.stakePubkey) : (a.stakeLamports > b.stakeLamports ? -1 : 1)));
+}
+
+/**
+ * Fetches one epoch's rewards for the given stake accounts in batches of `batchSize`.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {Array<Object>} stakeAccounts - Stake accounts to query (see findDelegatedStakeAccounts).
+ * @param {number} epoch - Epoch number.
+ * @param {number} batchSize - Stake accounts per getInflationReward call.
+ * @param {boolean} verbose - Whether to log failed queries.
+ * @returns {Promise<Array<{reward: Object|null, error: string|null}>>} Per stake account (same order): the
+ *   getInflationReward entry (null for no reward) and the query error message if its batch failed.
+ */
+async function fetchEpochStakeRewards(connection, stakeAccounts, epoch, batchSize, verbose) {
+  const results = [];
+  for (let start = 0; start < stakeAccounts.length; start += batchSize) {
+    const batch = stakeAccounts.slice(start, start + batchSize);
+    try {
+      const rewards = await connection.getInflationReward(batch.map(s => new PublicKey(s.stakePubkey)), epoch);
+      batch.forEach((_, k) => results.push({ reward: rewards?.[k] ?? null, error: null }));
+    } catch (e) {
+      if (verbose) console.warn(`Failed to query delegator rewards for epoch ${epoch} (${batch.length} stake accounts): ${e.message}`);
+      batch.forEach(() => results.push({ reward: null, error: e.message }));
+    }
+  }
+  return results;
+}
+
+/**
+ * Fetches and prices the per-epoch inflation rewards of every stake account delegated to a vote account.
+ *
+ * Options not given default to the built-in configuration defaults (DEFAULT_CONFIG in configLoader.js).
+ *
+ * @param {Object} options - Options.
+ * @param {string|PublicKey} options.votePubkey - Vote account.
+ * @param {string} [options.rpcUrl] - RPC endpoint (ignored when `connection` is given).
+ * @param {Connection} [options.connection] - Connection to use instead of a throttled one created for `rpcUrl`.
+ * @param {Object} [options.range] - Epoch range options (see resolveEpochRange in epochRange.js); full history by default.
+ * @param {string|Object} [options.priceProvider] - Price provider spec or object (see priceProviders.js).
+ * @param {Object} [options.priceSettings] - Settings for a provider spec (see resolvePriceProvider in validatorRewards.js).
+ * @param {number} [options.concurrency] - Max epochs fetched in parallel.
+ * @param {number} [options.batchSize] - Stake accounts per getInflationReward call.
+ * @param {string|Array<string>} [options.currencies] - Report currencies (see fetchValidatorRewards).
+ * @param {string} [options.fxRateFile] - Daily FX rate file for currencies other than USD (see fxRates.js).
+ * @param {number} [options.fxRateMaxAgeDays] - Days an FX rate is used for later dates without one.
+ * @param {boolean} [options.verbose=false] - Log lookup details to the console.
+ * @param {Function} [options.onProgress] - Called as (completedEpochs, totalEpochs) after each epoch.
+ * @returns {Promise<{votePubkey: string, currentEpoch: number, range: {firstEpoch: number, lastEpoch: number},
+ *   currencies: Array<string>, delegators: Array<Object>, epochTotals: Array<Object>, totalLamports: bigint,
+ *   totalValueUsd: bigint, failedEpochs: Array<number>}>} Result. One delegator entry per stake account (see
+ *   findDelegatedStakeAccounts) with its aggregated `rewards` ({ epoch, rewardDate, blockTime, effectiveSlot,
+ *   postBalanceLamports, commission, lamports, priceMicros, priceSource, valueUsd, cumulativeLamports,
+ *   cumulativeValueUsd }, oldest → newest, amounts as BigInt, see amounts.js), `totalLamports`, `totalValueUsd`
+ *   and the `failedEpochs` whose query failed. `epochTotals` has one aggregated row per epoch with delegator
+ *   rewards ({ epoch, rewardDate, delegatorCount, lamports, valueUsd, cumulativeLamports, cumulativeValueUsd });
+ *   `failedEpochs` lists the epochs with a failed query for any stake account. Rewards and epoch totals carry
+ *   their values in the `currencies` other than USD as `currencyValues` (read them with valuesIn, see fxRates.js).
+ * @throws {Error} On invalid options, RPC failures outside the per-epoch queries, or when no price provider
+ *   has a price for a reward.
+ */
+export async function fetchDelegatorRewards(options) {
+  const {
+    votePubkey: votePubkeyOption,
+    rpcUrl = DEFAULT_CONFIG.rpcUrl,
+    range: rangeOptions = {},
+    priceProvider: priceProviderOption = DEFAULT_CONFIG.priceProvider,
+    priceSettings = {},
+    concurrency = DEFAULT_CONFIG.concurrency,
+    batchSize = DEFAULT_CONFIG.delegatorBatchSize,
+    currencies: currencyOption = DEFAULT_CONFIG.currencies,
+    fxRateFile = DEFAULT_CONFIG.fxRateFile,
+    fxRateMaxAgeDays = DEFAULT_CONFIG.fxRateMaxAgeDays,
+    verbose = false,
+    onProgress = null
+  } = options;
+
+  const [votePubkey] = parseVotePubkeys(votePubkeyOption);
+  const priceProvider = resolvePriceProvider(priceProviderOption, priceSettings);
+  const currencies = parseCurrencies(currencyOption);
+  const fxRates = createFxRates(currencies, { fxRateFile, maxAgeDays: fxRateMaxAgeDays });
+  const connection = options.connection ?? createConnection(rpcUrl, createThrottledFetch({ verbose }).fetch);
+
+  const stakeAccounts = await findDelegatedStakeAccounts(connection, votePubkey);
+  const { epoch: currentEpoch } = await connection.getEpochInfo();
+  const epochTimes = createEpochTimes(connection, currentEpoch);
+  const range = await resolveEpochRange(rangeOptions, currentEpoch, epochTimes.startTime);
+
+  const delegators = stakeAccounts.map(stakeAccount => ({ ...stakeAccount, rewards: [], failedEpochs: [] }));
+  const epochs = Array.from({ length: range.lastEpoch - range.firstEpoch + 1 }, (_, i) => range.lastEpoch - i);
+  let completedCount = 0;
+
+  await mapWithConcurrency(epochs, concurrency, async epoch => {
+    const active = delegators.filter(d => d.activationEpoch <= epoch && (d.deactivationEpoch === null || epoch <= d.deactivationEpoch));
+    const results = active.length > 0 ? await fetchEpochStakeRewards(connection, active, epoch, batchSize, verbose) : [];
+
+    // All rewards of an epoch share its effectiveSlot: resolve its block time and price once
+    const slotContexts = new Map();
+    for (const [k, { reward, error }] of results.entries()) {
+      if (error) {
+        active[k].failedEpochs.push(epoch);
+        continue;
+      }
+      if (!(reward?.amount > 0)) continue;
+
+      if (!slotContexts.has(reward.effectiveSlot)) {
+        slotContexts.set(reward.effectiveSlot, await resolveSlotContext(connection, reward.effectiveSlot, epoch, epochTimes, priceProvider, verbose));
+      }
+      const { timestamp, priceUSD, source } = slotContexts.get(reward.effectiveSlot);
+      const lamports = toLamports(reward.amount);
+      const priceMicros = toPriceMicros(priceUSD);
+      active[k].rewards.push({
+        epoch,
+        rewardDate: formatBlockTime(timestamp),
+        blockTime: timestamp,
+        effectiveSlot: reward.effectiveSlot,
+        postBalanceLamports: reward.postBalance !== undefined ? toLamports(reward.postBalance) : null,
+        commission: reward.commission ?? null,
+        lamports,
+        priceMicros,
+        priceSource: source,
+        valueUsd: rewardValueUsd(lamports, priceMicros)
+      });
+    }
+
+    completedCount++;
+    onProgress?.(completedCount, epochs.length);
+  });
+
+  const byEpoch = new Map();
+  for (const delegator of delegators) {
+    delegator.rewards.sort((a, b) => a.epoch - b.epoch);
+    delegator.failedEpochs.sort((a, b) => a - b);
+    aggregateRewards(delegator.rewards);
+    attachCurrencyValues(delegator.rewards, currencies, fxRates);
+    const totals = rewardTotals(delegator.rewards);
+    delegator.totalLamports = totals.lamports;
+    delegator.totalValueUsd = totals.valueUsd;
+
+    for (const reward of delegator.rewards) {
+      if (!byEpoch.has(reward.epoch)) {
+        const currencyValues = Object.fromEntries(Object.keys(reward.currencyValues).map(currency => [currency, { value: 0n, cumulativeValue: 0n }]));
+        byEpoch.set(reward.epoch, { epoch: reward.epoch, rewardDate: reward.rewardDate, delegatorCount: 0, lamports: 0n, valueUsd: 0n, currencyValues });
+      }
+      const total = byEpoch.get(reward.epoch);
+      total.delegatorCount++;
+      total.lamports += reward.lamports;
+      total.valueUsd += reward.valueUsd;
+      Object.entries(total.currencyValues).forEach(([currency, values]) => { values.value += valuesIn(reward, currency).value; });
+    }
+  }
+
+  const epochTotals = [...byEpoch.values()].sort((a, b) => a.epoch - b.epoch);
+  const { lamports: totalLamports, valueUsd: totalValueUsd } = aggregateRewards(epochTotals);
+  const running = {};
+  for (const total of epochTotals) {
+    Object.entries(total.currencyValues).forEach(([currency, values]) => {
+      running[currency] = (running[currency] ?? 0n) + values.value;
+      values.cumulativeValue = running[currency];
+    });
+  }
+
+  return {
+    votePubkey: votePubkey.toBase58(),
+    currentEpoch,
+    range,
+    currencies,
+    delegators,
+    epochTotals,
+    totalLamports,
+    totalValueUsd,
+    failedEpochs: [...new Set(delegators.flatMap(d => d.failedEpochs))].sort((a, b) => a - b)
+  };
+}
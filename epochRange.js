@@ -0,0 +1,119 @@
+/**
+ * @fileoverview
+ * Resolves the range of epochs to report from --epochs, --from-epoch/--to-epoch and --since/--until.
+ *
+ * All given options apply together (the range is their intersection), and the range never extends
+ * past the last completed epoch (current - 1).
+ *
+ * Dates select epochs by reward date: an epoch's inflation reward is credited at the start of the
+ * next epoch, so epoch E is in [since, until] when epoch E + 1 starts inside it. Epoch start times
+ * come from epochTimes.js; they grow with the epoch, so a date is mapped with a binary search costing
+ * about log2(currentEpoch) lookups.
+ *
+ * Invalid options and empty ranges throw errors with code ERR_INVALID_RANGE.
+ *
+ * Exports:
+ * - parseRangeDate: Parses a --since/--until value into a UTC Unix timestamp.
+ * - resolveEpochRange: Combines the range options into { firstEpoch, lastEpoch }.
+ */
+
+import moment from 'moment';
+
+/**
+ * Creates an invalid-range error (code ERR_INVALID_RANGE).
+ *
+ * @param {string} message - Error message.
+ * @returns {Error} Error.
+ */
+function rangeError(message) {
+  return Object.assign(new Error(message), { code: 'ERR_INVALID_RANGE' });
+}
+
+/**
+ * Parses a --since/--until value: a UTC date (YYYY-MM-DD) or an ISO 8601 date-time.
+ *
+ * @param {string} value - Date string.
+ * @param {string} optionName - Option name for error messages.
+ * @param {boolean} [endOfDay=false] - For a plain date, return the last second of that day (for --until).
+ * @returns {number} Unix timestamp (seconds).
+ * @throws {Error} If the value is not a valid date.
+ */
+export function parseRangeDate(value, optionName, endOfDay = false) {
+  const day = moment.utc(String(value), 'YYYY-MM-DD', true);
+  if (day.isValid()) return (endOfDay ? day.endOf('day') : day).unix();
+
+  const dateTime = moment.utc(String(value), moment.ISO_8601, true);
+  if (!dateTime.isValid()) {
+    throw rangeError(`Invalid date for --${optionName}: "${value}" (expected YYYY-MM-DD or an ISO 8601 date-time)`);
+  }
+  return dateTime.unix();
+}
+
+/**
+ * Binary search for the first epoch in [0, currentEpoch] whose start time passes a test
+ * (currentEpoch + 1 if none does). Epochs without a start time count as starting in the future.
+ *
+ * @param {Function} epochStartTime - async (epoch) => Unix timestamp or null.
+ * @param {number} currentEpoch - Current epoch.
+ * @param {Function} test - (startTime) => boolean, monotonic in the start time.
+ * @returns {Promise<number>} First matching epoch.
+ */
+async function searchFirstEpoch(epochStartTime, currentEpoch, test) {
+  let lo = 0;
+  let hi = currentEpoch + 1;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    const startTime = await epochStartTime(mid);
+    if (test(startTime ?? Infinity)) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+/**
+ * Resolves the inclusive range of epochs to report.
+ *
+ * @param {Object} options - Range options (null/undefined = not set).
+ * @param {number} [options.maxEpochs] - --epochs: number of epochs ending at the last epoch of the range.
+ * @param {number} [options.fromEpoch] - --from-epoch: first epoch (inclusive).
+ * @param {number} [options.toEpoch] - --to-epoch: last epoch (inclusive).
+ * @param {string} [options.since] - --since: first reward date (inclusive).
+ * @param {string} [options.until] - --until: last reward date (inclusive; whole day for a plain date).
+ * @param {number} currentEpoch - Current (in-progress) epoch.
+ * @param {Function} epochStartTime - async (epoch) => Unix timestamp or null (see epochTimes.js startTime).
+ * @returns {Promise<{firstEpoch: number, lastEpoch: number}>} Inclusive epoch range.
+ * @throws {Error} If an option is invalid or the range is empty.
+ */
+export async function resolveEpochRange(options, currentEpoch, epochStartTime) {
+  const { maxEpochs, fromEpoch, toEpoch, since, until } = options;
+  const isSet = value => value !== null && value !== undefined;
+
+  for (const [name, value] of [['epochs', maxEpochs], ['from-epoch', fromEpoch], ['to-epoch', toEpoch]]) {
+    if (isSet(value) && (!Number.isInteger(value) || value < 0)) {
+      throw rangeError(`--${name} must be a non-negative integer (got ${value})`);
+    }
+  }
+
+  let firstEpoch = 0;
+  let lastEpoch = currentEpoch - 1;
+
+  if (isSet(toEpoch)) lastEpoch = Math.min(lastEpoch, toEpoch);
+  if (isSet(until)) {
+    const untilTime = parseRangeDate(until, 'until', true);
+    const firstStartingAfter = await searchFirstEpoch(epochStartTime, currentEpoch, t => t > untilTime);
+    lastEpoch = Math.min(lastEpoch, firstStartingAfter - 2);
+  }
+
+  if (isSet(fromEpoch)) firstEpoch = Math.max(firstEpoch, fromEpoch);
+  if (isSet(since)) {
+    const sinceTime = parseRangeDate(since, 'since');
+    const firstStartingSince = await searchFirstEpoch(epochStartTime, currentEpoch, t => t >= sinceTime);
+    firstEpoch = Math.max(firstEpoch, firstStartingSince - 1);
+  }
+  if (isSet(maxEpochs)) firstEpoch = Math.max(firstEpoch, lastEpoch - maxEpochs + 1);
+
+  if (firstEpoch > lastEpoch) {
+    throw rangeError(`Empty epoch range: from epoch ${firstEpoch} to epoch ${lastEpoch} (last completed epoch is ${currentEpoch - 1})`);
+  }
+  return { firstEpoch, lastEpoch };
+}
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview
+ * Per-epoch status classification for reward queries.
+ *
+ * Every processed epoch gets exactly one status:
+ * - rewarded: a positive inflation reward was paid.
+ * - zero_reward: the query succeeded but no (or a zero) reward was paid.
+ * - before_activation: no reward, and the epoch precedes the vote account's activation epoch.
+ * - rollback_unavailable: the query failed for an epoch lost in the early X1 chain rollback/reboot.
+ * - rpc_error: the query failed for any other reason (after retries).
+ *
+ * Exports:
+ * - EPOCH_STATUS: Status constants.
+ * - EPOCH_STATUS_LABELS: Human-readable labels used in analytics outputs.
+ * - DEFAULT_ROLLBACK_MAX_EPOCH: Last epoch affected by the X1 Mainnet rollback.
+ * - classifyEpoch: Derives an epoch's status from its query outcome.
+ * - countStatuses: Counts epochs per status.
+ */
+
+export const EPOCH_STATUS = Object.freeze({
+  REWARDED: 'rewarded',
+  ZERO_REWARD: 'zero_reward',
+  BEFORE_ACTIVATION: 'before_activation',
+  ROLLBACK_UNAVAILABLE: 'rollback_unavailable',
+  RPC_ERROR: 'rpc_error'
+});
+
+export const EPOCH_STATUS_LABELS = Object.freeze({
+  [EPOCH_STATUS.REWARDED]: 'Epochs Rewarded',
+  [EPOCH_STATUS.ZERO_REWARD]: 'Epochs with Zero Reward',
+  [EPOCH_STATUS.BEFORE_ACTIVATION]: 'Epochs Before Vote Account Activation',
+  [EPOCH_STATUS.ROLLBACK_UNAVAILABLE]: 'Epochs Unavailable due to early X1 chain roll-back',
+  [EPOCH_STATUS.RPC_ERROR]: 'Epochs with RPC Errors'
+});
+
+/** Pre-reboot epochs (<= 15) are not queryable on the current chain (X1 Mainnet Buenos Aires Reboot). */
+export const DEFAULT_ROLLBACK_MAX_EPOCH = 15;
+
+/**
+ * Derives an epoch's status from its query outcome.
+ *
+ * @param {number} epoch - Epoch number.
+ * @param {Object|null} reward - Reward object if a positive reward was found.
+ * @param {string|null} error - Query error message, or null if the query succeeded.
+ * @param {number} activationEpoch - Vote account activation epoch (from epochCredits).
+ * @param {number} [rollbackMaxEpoch=DEFAULT_ROLLBACK_MAX_EPOCH] - Last epoch lost in the chain rollback.
+ * @returns {string} One of EPOCH_STATUS.
+ */
+export function classifyEpoch(epoch, reward, error, activationEpoch, rollbackMaxEpoch = DEFAULT_ROLLBACK_MAX_EPOCH) {
+  if (reward) return EPOCH_STATUS.REWARDED;
+  if (error) {
+    return epoch <= rollbackMaxEpoch ? EPOCH_STATUS.ROLLBACK_UNAVAILABLE : EPOCH_STATUS.RPC_ERROR;
+  }
+  return epoch < activationEpoch ? EPOCH_STATUS.BEFORE_ACTIVATION : EPOCH_STATUS.ZERO_REWARD;
+}
+
+/**
+ * Counts epochs per status (every status present, zero if unused).
+ *
+ * @param {Array<{status: string}>} epochStatuses - Per-epoch statuses.
+ * @returns {Object<string, number>} Count per status.
+ */
+export function countStatuses(epochStatuses) {
+  const counts = Object.fromEntries(Object.values(EPOCH_STATUS).map(status => [status, 0]));
+  epochStatuses.forEach(({ status }) => { counts[status]++; });
+  return counts;
+}
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview
+ * Real epoch and slot times from the epoch schedule and block times.
+ *
+ * getEpochSchedule gives each epoch's first and last slot. Leaders can skip slots, so an epoch's
+ * start time is the block time of its first confirmed block at or after the first slot (skipping
+ * forward), and its end time is the block time of its last confirmed block at or before the last
+ * slot (skipping backward). When no block time is available at all, a slot's time is estimated from
+ * the start of the current epoch and the nominal slot duration; such estimates are flagged.
+ *
+ * Exports:
+ * - SLOT_DURATION_SECONDS: Nominal slot duration used for estimates.
+ * - formatBlockTime: Formats a Unix timestamp as 'YYYY-MM-DD HH:mm:ss' (UTC).
+ * - createEpochTimes: Memoized epoch start/end and block-time lookups for one connection.
+ */
+
+import moment from 'moment';
+
+export const SLOT_DURATION_SECONDS = 0.4;
+
+/** Slots scanned past a skipped slot for the nearest confirmed block. */
+const BLOCK_SEARCH_SLOTS = 1000;
+
+/**
+ * Formats a Unix timestamp as a UTC date-time string.
+ *
+ * @param {number|null} timestamp - Unix timestamp (seconds).
+ * @returns {string} 'YYYY-MM-DD HH:mm:ss', or '' without a timestamp.
+ */
+export function formatBlockTime(timestamp) {
+  return timestamp ? moment.unix(timestamp).utc().format('YYYY-MM-DD HH:mm:ss') : '';
+}
+
+/**
+ * Creates memoized epoch-time lookups.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {number} currentEpoch - Current epoch (anchor for slot-time estimates).
+ * @returns {{firstSlot: Function, lastSlot: Function, blockTimeAtOrAfter: Function, startTime: Function,
+ *   endTime: Function, estimateSlotTime: Function}} Async lookups; start/end times are null for an epoch
+ *   without a confirmed block yet.
+ */
+export function createEpochTimes(connection, currentEpoch) {
+  let schedule = null;
+  const startTimes = new Map();
+  const endTimes = new Map();
+
+  const getSchedule = () => {
+    schedule = schedule || connection.getEpochSchedule().catch(error => {
+      schedule = null;
+      throw error;
+    });
+    return schedule;
+  };
+
+  const firstSlot = async epoch => (await getSchedule()).getFirstSlotInEpoch(epoch);
+  const lastSlot = async epoch => (await getSchedule()).getLastSlotInEpoch(epoch);
+
+  /**
+   * Block time of the first confirmed block at or after a slot.
+   *
+   * @param {number} slot - Slot.
+   * @returns {Promise<number|null>} Unix timestamp, or null if no block follows within the search window.
+   */
+  const blockTimeAtOrAfter = async slot => {
+    const [blockSlot] = await connection.getBlocks(slot, slot + BLOCK_SEARCH_SLOTS);
+    return blockSlot === undefined ? null : connection.getBlockTime(blockSlot);
+  };
+
+  // A failed lookup is forgotten, so a transient RPC error does not stick for the rest of a long-running process
+  const memoize = (memo, epoch, lookup) => {
+    if (!memo.has(epoch)) {
+      memo.set(epoch, lookup().catch(error => {
+        memo.delete(epoch);
+        throw error;
+      }));
+    }
+    return memo.get(epoch);
+  };
+
+  const startTime = epoch => memoize(startTimes, epoch, async () => blockTimeAtOrAfter(await firstSlot(epoch)));
+
+  const endTime = epoch => memoize(endTimes, epoch, async () => {
+    const [first, last] = [await firstSlot(epoch), await lastSlot(epoch)];
+    const blocks = await connection.getBlocks(Math.max(first, last - BLOCK_SEARCH_SLOTS), last);
+    return blocks.length === 0 ? null : connection.getBlockTime(blocks[blocks.length - 1]);
+  });
+
+  /**
+   * Estimates a slot's time from the current epoch's start and the nominal slot duration.
+   *
+   * @param {number} slot - Slot.
+   * @returns {Promise<number>} Estimated Unix timestamp.
+   */
+  const estimateSlotTime = async slot => {
+    const anchorSlot = await firstSlot(currentEpoch);
+    const anchorTime = (await startTime(currentEpoch).catch(() => null)) ?? Math.floor(Date.now() / 1000);
+    return Math.round(anchorTime - (anchorSlot - slot) * SLOT_DURATION_SECONDS);
+  };
+
+  return { firstSlot, lastSlot, blockTimeAtOrAfter, startTime, endTime, estimateSlotTime };
+}
@@ -1,64 +1,154 @@
 /**
  * @fileoverview
  * Fetches inflation rewards for a specified vote account on the X1 blockchain (Solana fork)
- * from the previous completed epoch back to epoch 0 (full history by default), assigns $XNT prices (fallback $1),
+ * from the previous completed epoch back to epoch 0 (full history by default), assigns historical $XNT prices
+ * derived from the configured liquidity pool (fallback price when no pool sample is available),
  * and generates two CSVs: main per-epoch rewards (with cumulative columns) + separate analytics summary.
  * Optional JSON export available.
  *
  * @usage
  * Full history (default): node fetch-total-validator-earnings.js --vote-pubkey YOUR_PUBKEY
  * Last 20 epochs: node fetch-total-validator-earnings.js --epochs 20 --vote-pubkey YOUR_PUBKEY
+ * One tax year: node fetch-total-validator-earnings.js --since 2025-01-01 --until 2025-12-31 --vote-pubkey YOUR_PUBKEY
  * Verbose: node fetch-total-validator-earnings.js --verbose --vote-pubkey YOUR_PUBKEY
  * With JSON export: node fetch-total-validator-earnings.js --json --vote-pubkey YOUR_PUBKEY
+ * Daemon: node fetch-total-validator-earnings.js --watch --vote-pubkey YOUR_PUBKEY
+ * RPC failover: node fetch-total-validator-earnings.js --rpc-url URL_1 --rpc-url URL_2 --cross-check --vote-pubkey YOUR_PUBKEY
+ * Record / replay: node fetch-total-validator-earnings.js --epochs 20 --record report.rpc.json --vote-pubkey YOUR_PUBKEY
+ *   then: node fetch-total-validator-earnings.js --epochs 20 --replay report.rpc.json --vote-pubkey YOUR_PUBKEY
+ * Delegator statements: node fetch-total-validator-earnings.js --delegators --epochs 30 --vote-pubkey YOUR_PUBKEY
+ * With block fee income: node fetch-total-validator-earnings.js --leader-income --epochs 10 --vote-pubkey YOUR_PUBKEY
+ * Net profit: node fetch-total-validator-earnings.js --costs --leader-income --epochs 10 --vote-pubkey YOUR_PUBKEY
+ * Tax export: node fetch-total-validator-earnings.js --tax-export koinly --tax-year-start 04-06 --price-provider file --price-file prices.csv --vote-pubkey YOUR_PUBKEY
+ * In euros and pounds: node fetch-total-validator-earnings.js --currency EUR,GBP --fx-rate-file fx-rates.csv --vote-pubkey YOUR_PUBKEY
+ * Several validators: node fetch-total-validator-earnings.js --vote-pubkey PUBKEY_1 --vote-pubkey PUBKEY_2
+ * Reference prices: node fetch-total-validator-earnings.js --price-provider file --price-file prices.csv --vote-pubkey YOUR_PUBKEY
+ * HTTP API: node fetch-total-validator-earnings.js serve --port 8787 --vote-pubkey YOUR_PUBKEY
+ * Prometheus exporter: node fetch-total-validator-earnings.js metrics --port 9787 --vote-pubkey YOUR_PUBKEY
+ *
+ * @commands
+ * (default)              Fetch the rewards and write the CSV/JSON reports
+ * serve                  Serve the reward data over HTTP instead (endpoints in rewardServer.js)
+ * metrics                Serve Prometheus metrics on /metrics instead (metrics in metricsExporter.js)
  *
  * @commandLineOptions
- * --rpc-url              X1 RPC endpoint                       Default: from config.json
- * --vote-pubkey          Vote account public key               Required if not in config.json
+ * --rpc-url              X1 RPC endpoint(s) in failover order, repeatable or comma-separated  Default: from config.json (rpcUrls, else rpcUrl)
+ * --cross-check          Also query every epoch on the second endpoint and flag disagreements  (flag, default: from config.json, false)
+ * --vote-pubkey          Vote account public key(s), repeatable or comma-separated  Required if not in config.json (votePubkeys)
  * --liquidity-pool-address  Liquidity pool address for price   Default: from config.json
  * --fallback-price-usd   Fallback price ($/XNT)                Default: from config.json
+ * --price-provider       Price provider(s) tried in order: fallback, file, pool  Default: from config.json ("pool,fallback")
+ * --price-file           Daily price history file (.csv or .json) for "file"    Default: from config.json
+ * --currency             Report currency/currencies, repeatable or comma-separated (first: reporting currency)  Default: from config.json ("USD")
+ * --fx-rate-file         Daily FX rate file (.csv or .json, units per USD) for currencies other than USD  Default: from config.json
  * --output, -o           Main CSV file path                    Default: from config.json
  * --verbose, -v          Enable detailed verbose logging      (flag, default: false)
  * --epochs, -n           Number of epochs to process (from current-1 backwards)  (optional, default: null = unlimited/full)
+ * --from-epoch           First epoch to process (inclusive)    (optional)
+ * --to-epoch             Last epoch to process (inclusive)     (optional, default: current-1)
+ * --since                First reward date to include (UTC, YYYY-MM-DD or ISO 8601)  (optional)
+ * --until                Last reward date to include (UTC, YYYY-MM-DD = whole day)   (optional)
+ * --cache / --no-cache   Use the persistent per-validator reward cache  (flag, default: from config.json, true)
+ * --cache-dir            Reward cache directory                Default: from config.json (.rewards-cache)
+ * --concurrency, -c      Max epochs fetched in parallel        Default: from config.json (4)
+ * --rps                  Max RPC requests per second (0 = unlimited)  Default: from config.json (10)
+ * --max-retries          Retries per RPC request on 429/5xx/timeout  Default: from config.json (5)
+ * --all-epochs           Main CSV row for every epoch, with its status  (flag, default: from config.json, false)
  * --json                 Export full data as JSON file (xnt_rewards.json)  (flag, default: false)
+ * --html / --no-html     Write the HTML report (xnt_rewards_report.html)  (flag, default: from config.json, true)
+ * --watch                Keep running: append each newly settled epoch to the outputs  (flag, default: false)
+ * --watch-interval       Seconds between current-epoch polls with --watch  Default: from config.json (60)
+ * --alert-webhook        URL receiving alerts as a JSON POST   Default: from config.json (none)
+ * --alert-command        Shell command run with the alerts as JSON on stdin  Default: from config.json (none)
+ * --delegators           Also report the rewards of every stake account delegated to the vote account(s)  (flag, default: false)
+ * --leader-income        Also collect the block fee/rent income of the identity's leader slots  (flag, default: from config.json, false)
+ * --costs                Report vote transaction fees, fixed monthly costs and net profit per epoch  (flag, default: from config.json, false)
+ * --tax-export           Write tax income lots in a preset layout: generic, koinly, cointracking, cryptotaxcalculator  Default: from config.json (none)
+ * --tax-year-start       First day of the tax year (MM-DD) for the per-tax-year totals  Default: from config.json ("01-01")
+ * --record               Record every RPC request/response to a fixture file  (optional)
+ * --replay               Answer RPC requests from a fixture file, without network  (optional)
+ * --host                 serve/metrics: address to listen on   Default: from config.json (127.0.0.1)
+ * --port                 serve/metrics: port to listen on      Default: from config.json (serve 8787, metrics 9787)
  *
  * @notes
+ * - Fetching and analysis live in the programmatic API (validatorRewards.js); importing this script does not run it.
+ * - `serve` exposes the reward data over HTTP (rewardServer.js); `metrics` exports Prometheus gauges (metricsExporter.js).
+ * - --watch appends each newly settled epoch to the outputs and regenerates the reports (see watchEpochs).
+ * - Alert rules (alerts.js) are checked after each fetch and sent to --alert-webhook / --alert-command.
+ * - --delegators writes per-stake-account statements and totals (delegatorRewards.js).
+ * - --leader-income adds the identity's block fee/rent income per epoch (leaderIncome.js).
+ * - --costs sets gross earnings against estimated vote fees and fixed monthly costs (costs.js).
+ * - --tax-export writes taxable income lots and per-tax-year totals (taxExport.js).
+ * - --currency values rewards, costs and exports in other fiat currencies via --fx-rate-file (fxRates.js).
+ * - Several --rpc-url endpoints fail over to each other; --cross-check compares a second one (rpcEndpoints.js).
+ * - --record / --replay save and answer the run's RPC traffic from a fixture file (rpcFixtures.js).
  * - Processes from current-1 back to epoch 0 by default (full history).
- * - Uses X1-specific getInflationReward (epoch as plain u64).
+ * - Range options combine; --since/--until select epochs by reward date (epochRange.js).
+ * - Settled epochs are cached per vote account, so later and interrupted runs only query new epochs (rewardCache.js).
+ * - Uses X1-specific getInflationReward (epoch as plain u64), one batched call per epoch for all vote accounts.
+ * - Several vote accounts get their own outputs plus a combined portfolio report (portfolio.js).
  * - Per-epoch error handling: skips failed queries without crashing.
+ * - Epochs are fetched concurrently under a requests-per-second limit, with retries (rpcThrottle.js).
  * - Main CSV includes "Cumulative XNT" and "Cumulative USD" running totals.
+ * - Amounts are exact BigInt lamports and scaled USD values, formatted only when written (amounts.js).
  * - Progress bar shown in quiet mode for long runs.
  * - Generates separate analytics CSV (xnt_rewards_analytics.csv).
+ * - Generates a self-contained HTML report with charts (xnt_rewards_report.html, htmlReport.js).
  * - Optional JSON export (xnt_rewards.json) includes metadata, summary, and full rewards array.
  * - CSV files include UTF-8 BOM for correct opening in LibreOffice/Excel.
- * - Early epoch failures (<=15) are expected due to X1 rollback/reboot.
- * - Reward dates now use real block time from effectiveSlot + getBlockTime() when available.
+ * - Early epoch failures (<= rollbackMaxEpoch, 15 by default) are expected due to X1 rollback/reboot.
+ * - Analytics list commission changes (commission.js) and vote-credit performance (performance.js).
+ * - Delegator yield: per-epoch APR and APY from the recorded activated stake (stakeYield.js).
+ * - Every epoch gets a status, e.g. rewarded or rollback_unavailable; --all-epochs writes them all (epochStatus.js).
+ * - Reward dates use the block time of effectiveSlot (or the next confirmed block) when available (epochTimes.js).
+ * - Prices come from pluggable providers tried in order: pool, file, fallback (priceProviders.js, poolPrice.js).
  * - Requires Node.js ≥ 20 for stable ESM support.
  */
 
-import { Connection, PublicKey } from '@solana/web3.js';
 import yargs from 'yargs/yargs';
 import { hideBin } from 'yargs/helpers';
-import moment from 'moment';
 import fs from 'fs';
-import { stringify } from 'csv-stringify/sync';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { loadConfig } from './configLoader.js';
-import { writeMainCsv, writeAnalyticsCsv } from './csvWriter.js';
-import { writeJsonExport } from './jsonWriter.js';
+import { fetchValidatorRewards, createConnection, parseVotePubkeys } from './validatorRewards.js';
+import { createPriceProvider } from './priceProviders.js';
+import { createRewardServer } from './rewardServer.js';
+import { createMetricsServer } from './metricsExporter.js';
+import { createThrottledFetch } from './rpcThrottle.js';
+import { createRpcEndpoints } from './rpcEndpoints.js';
+import { createRecordingFetch, createReplayFetch } from './rpcFixtures.js';
+import { formatXnt } from './amounts.js';
+import { EPOCH_STATUS } from './epochStatus.js';
+import { summaryRows } from './rewardSummary.js';
+import { fetchDelegatorRewards } from './delegatorRewards.js';
+import { TAX_PRESETS, parseTaxYearStart, buildIncomeLots, taxYearTotals } from './taxExport.js';
+import { parseCurrencies } from './fxRates.js';
+import { writeMainCsv, appendMainCsv, writeAnalyticsCsv, writePortfolioCsv, writeDelegatorCsv, writeDelegatorSummaryCsv, writeDelegatorEpochTotalsCsv, writeTaxLotsCsv, writeTaxYearsCsv } from './csvWriter.js';
+import { writeJsonExport, writePortfolioJson, writeDelegatorJson } from './jsonWriter.js';
+import { writeHtmlReport } from './htmlReport.js';
+import { evaluateAlerts, sendAlerts } from './alerts.js';
 
 /**
- * Fetches historical $XNT price at given timestamp from the specified liquidity pool.
- * Currently returns fallback value due to lack of public historical price API.
+ * Returns the vote pubkeys configured in config.json: the votePubkeys list, or the single votePubkey.
  *
- * @param {number} timestamp - Unix timestamp (seconds)
- * @param {string} poolAddress - Liquidity pool address
- * @returns {Promise<number>} Price in USD (currently always fallback)
+ * @param {Object} config - Loaded configuration.
+ * @returns {Array<string>} Configured vote pubkeys.
  */
-async function fetchHistoricalPrice(timestamp, poolAddress) {
-  console.log(
-    `Price lookup for pool ${poolAddress} at ${moment.unix(timestamp).format('YYYY-MM-DD')}: ` +
-    `using fallback $${loadConfig().fallbackPriceUsd} (no historical API available)`
-  );
-  return loadConfig().fallbackPriceUsd;
+function configuredVotePubkeys(config) {
+  if (Array.isArray(config.votePubkeys) && config.votePubkeys.length > 0) return config.votePubkeys;
+  return config.votePubkey ? [config.votePubkey] : [];
+}
+
+/**
+ * Returns the RPC endpoints configured in config.json: the rpcUrls list (failover order), or the single rpcUrl.
+ *
+ * @param {Object} config - Loaded configuration.
+ * @returns {Array<string>} Configured RPC URLs.
+ */
+function configuredRpcUrls(config) {
+  if (Array.isArray(config.rpcUrls) && config.rpcUrls.length > 0) return config.rpcUrls;
+  return config.rpcUrl ? [config.rpcUrl] : [];
 }
 
 /**
@@ -68,10 +158,39 @@ async function fetchHistoricalPrice(timestamp, poolAddress) {
  */
 function parseArguments() {
   return yargs(hideBin(process.argv))
-    .option('rpc-url', { type: 'string', default: loadConfig().rpcUrl })
-    .option('vote-pubkey', { type: 'string', demandOption: true })
+    .command('$0', 'Fetch the rewards and write the CSV/JSON reports')
+    .command('serve', 'Serve the reward data over HTTP (see rewardServer.js)')
+    .command('metrics', 'Serve Prometheus metrics on /metrics (see metricsExporter.js)', command => command
+      .option('port', { type: 'number', description: 'metrics: port to listen on', default: loadConfig().metricsPort }))
+    .option('rpc-url', {
+      type: 'string',
+      array: true,
+      description: 'RPC endpoint(s) in failover order: repeat the option or give a comma-separated list',
+      default: configuredRpcUrls(loadConfig())
+    })
+    .option('cross-check', {
+      type: 'boolean',
+      description: 'Also query every epoch on the second RPC endpoint and flag disagreeing rewards',
+      default: loadConfig().crossCheck
+    })
+    .option('vote-pubkey', {
+      type: 'string',
+      array: true,
+      description: 'Vote account public key(s): repeat the option or give a comma-separated list',
+      default: configuredVotePubkeys(loadConfig())
+    })
     .option('liquidity-pool-address', { type: 'string', default: loadConfig().liquidityPoolAddress })
     .option('fallback-price-usd', { type: 'number', default: loadConfig().fallbackPriceUsd })
+    .option('price-provider', {
+      type: 'string',
+      description: 'Price provider(s), tried in order: fallback, file, pool (e.g. "file,pool,fallback")',
+      default: loadConfig().priceProvider
+    })
+    .option('price-file', {
+      type: 'string',
+      description: 'Daily price history file (.csv "date,price" or .json) for the "file" provider',
+      default: loadConfig().priceFile
+    })
     .option('output', { alias: 'o', type: 'string', default: loadConfig().outputFile })
     .option('verbose', { alias: 'v', type: 'boolean', default: loadConfig().verbose })
     .option('epochs', {
@@ -80,34 +199,139 @@ function parseArguments() {
       description: 'Number of epochs to process (from current-1 backwards)',
       default: loadConfig().epochs
     })
+    .option('from-epoch', { type: 'number', description: 'First epoch to process (inclusive)' })
+    .option('to-epoch', { type: 'number', description: 'Last epoch to process (inclusive, default: current-1)' })
+    .option('since', { type: 'string', description: 'First reward date to include (UTC, YYYY-MM-DD or ISO 8601)' })
+    .option('until', { type: 'string', description: 'Last reward date to include (UTC, YYYY-MM-DD = whole day, or ISO 8601)' })
+    .option('cache', {
+      type: 'boolean',
+      description: 'Use the persistent reward cache (--no-cache to query every epoch again)',
+      default: loadConfig().cache
+    })
+    .option('cache-dir', {
+      type: 'string',
+      description: 'Directory for the per-validator reward cache',
+      default: loadConfig().cacheDir
+    })
+    .option('concurrency', {
+      alias: 'c',
+      type: 'number',
+      description: 'Max epochs fetched in parallel',
+      default: loadConfig().concurrency
+    })
+    .option('rps', {
+      type: 'number',
+      description: 'Max RPC requests per second (0 = unlimited)',
+      default: loadConfig().requestsPerSecond
+    })
+    .option('max-retries', {
+      type: 'number',
+      description: 'Retries per RPC request on 429/5xx/timeout (exponential backoff)',
+      default: loadConfig().maxRetries
+    })
+    .option('all-epochs', {
+      type: 'boolean',
+      description: 'Write a main CSV row for every processed epoch (with its status), not only rewarded ones',
+      default: loadConfig().allEpochs
+    })
     .option('json', {
       type: 'boolean',
       description: 'Export full data as JSON file (xnt_rewards.json)',
       default: false
     })
+    .option('html', {
+      type: 'boolean',
+      description: 'Write the HTML report with charts (xnt_rewards_report.html); --no-html to skip',
+      default: loadConfig().htmlReport
+    })
+    .option('watch', {
+      type: 'boolean',
+      description: 'After the run, keep polling and append each newly settled epoch to the outputs',
+      default: false
+    })
+    .option('watch-interval', {
+      type: 'number',
+      description: 'Seconds between current-epoch polls with --watch',
+      default: loadConfig().watchIntervalSeconds
+    })
+    .option('alert-webhook', {
+      type: 'string',
+      description: 'URL receiving alerts as a JSON POST',
+      default: loadConfig().alertWebhookUrl
+    })
+    .option('alert-command', {
+      type: 'string',
+      description: 'Shell command run with the alerts as JSON on stdin',
+      default: loadConfig().alertCommand
+    })
+    .option('delegators', {
+      type: 'boolean',
+      description: 'Also report the rewards of every stake account delegated to the vote account(s)',
+      default: false
+    })
+    .option('leader-income', {
+      type: 'boolean',
+      description: "Also collect the block fee/rent income of the identity's leader slots (one getBlock request per leader slot)",
+      default: loadConfig().leaderIncome
+    })
+    .option('costs', {
+      type: 'boolean',
+      description: 'Report vote transaction fees, fixed monthly costs (config.json monthlyCostsUsd) and net profit per epoch',
+      default: loadConfig().costAccounting
+    })
+    .option('currency', {
+      type: 'array',
+      description: 'Report currency/currencies (e.g. EUR or EUR,USD; the first is the reporting currency), converted from USD with --fx-rate-file',
+      default: loadConfig().currencies
+    })
+    .option('fx-rate-file', {
+      type: 'string',
+      description: 'Daily FX rate file (.csv or .json, units of the currency per 1 USD) for currencies other than USD',
+      default: loadConfig().fxRateFile
+    })
+    .option('tax-export', {
+      type: 'string',
+      description: `Write tax income lots (xnt_tax_lots.csv) and per-tax-year totals in a preset layout: ${Object.keys(TAX_PRESETS).join(', ')}`,
+      default: loadConfig().taxExport
+    })
+    .option('tax-year-start', {
+      type: 'string',
+      description: 'First day of the tax year (MM-DD, e.g. 04-06) for the per-tax-year totals',
+      default: loadConfig().taxYearStart
+    })
+    .option('record', {
+      type: 'string',
+      description: 'Record every RPC request/response to this fixture file (merged if it exists)'
+    })
+    .option('replay', {
+      type: 'string',
+      description: 'Answer RPC requests from this fixture file instead of the network'
+    })
+    .option('host', { type: 'string', description: 'serve/metrics: address to listen on', default: loadConfig().serverHost })
+    .option('port', { type: 'number', description: 'serve: port to listen on', default: loadConfig().serverPort })
     .argv;
 }
 
 /**
- * Creates and returns a Solana Connection object.
- *
- * @param {string} rpcUrl - The RPC endpoint URL.
- * @returns {Connection} Initialized Solana Connection.
- */
-function createConnection(rpcUrl) {
-  return new Connection(rpcUrl, 'confirmed');
-}
-
-/**
- * Retrieves and logs basic RPC health information if verbose mode is enabled.
+ * Logs the RPC endpoint health checks (unhealthy endpoints always, all details if verbose mode is enabled)
+ * and basic RPC health information if verbose mode is enabled.
  *
  * @param {Connection} connection - Solana connection instance.
+ * @param {Array<Object>|null} endpointHealth - checkHealth() result with several endpoints (see rpcEndpoints.js).
  * @param {boolean} verbose - Whether to print detailed logs.
  * @returns {Promise<void>}
  */
-async function logRpcHealth(connection, verbose) {
+async function logRpcHealth(connection, endpointHealth, verbose) {
+  endpointHealth?.filter(h => !h.healthy).forEach(h => {
+    console.warn(`RPC endpoint ${h.url} is unhealthy (${h.error}); moved to the end of the failover order`);
+  });
   if (!verbose) return;
 
+  endpointHealth?.forEach(h => {
+    const details = h.slot === null ? h.error : `slot ${h.slot}, ${h.slotLag} behind, ${h.latencyMs}ms`;
+    console.log(`RPC endpoint ${h.url}: ${h.healthy ? 'healthy' : 'unhealthy'} (${details})`);
+  });
+
   try {
     const epochInfo = await connection.getEpochInfo();
     console.log('RPC Health - Current Epoch:', epochInfo.epoch);
@@ -119,288 +343,592 @@ async function logRpcHealth(connection, verbose) {
 }
 
 /**
- * Retrieves the current vote account balance in XNT.
+ * Displays a simple text progress bar in reversed colors (white background, black text) with green fill.
  *
- * @param {Connection} connection - Solana connection instance.
- * @param {PublicKey} votePubkey - Vote account public key.
- * @returns {Promise<number>} Balance in XNT.
+ * @param {number} current - Current progress.
+ * @param {number} total - Total to reach.
  */
-async function getVoteBalance(connection, votePubkey) {
-  const balanceLamports = await connection.getBalance(votePubkey);
-  const balanceXNT = balanceLamports / 1_000_000_000;
-  console.log('Vote account balance:', balanceXNT.toFixed(6), 'XNT');
-  return balanceXNT;
+function displayProgressBar(current, total) {
+  const barLength = 30;
+  const filled = Math.round((current / total) * barLength);
+  const bar = '\x1b[42m' + '█'.repeat(filled) + '\x1b[0m' + '▒'.repeat(barLength - filled);
+  const percent = ((current / total) * 100).toFixed(0);
+  process.stdout.write(`\r\x1b[7m Progress: [${bar}] ${percent}% (${current}/${total} epochs) \x1b[0m`);
 }
 
 /**
- * Finds the vote account object from current and delinquent lists.
+ * Prints the final summary statistics.
  *
- * @param {Connection} connection - Solana connection instance.
- * @param {PublicKey} votePubkey - Vote account public key.
- * @returns {Object} Vote account object.
- * @throws {Error} If vote account is not found.
+ * @param {Object} summary - summarizeRewards result (see rewardSummary.js).
  */
-async function findVoteAccount(connection, votePubkey) {
-  const voteAccounts = await connection.getVoteAccounts();
-  const myVoteAccount = [...voteAccounts.current, ...voteAccounts.delinquent].find(
-    acc => acc.votePubkey === votePubkey.toBase58()
-  );
-
-  if (!myVoteAccount) {
-    throw new Error(`Vote account not found: ${votePubkey.toBase58()}`);
-  }
+function printSummary(summary) {
+  console.log('\nSummary:');
+  summaryRows(summary).forEach(({ label, value, level }) => {
+    const indent = '  '.repeat(level + 1);
+    console.log(value === null ? `${indent}${label}:` : `${indent}${label}: ${value}`);
+  });
+}
 
-  return myVoteAccount;
+/**
+ * Prints the vote-credit performance summary.
+ *
+ * @param {Object} performance - analyzeVoteCredits result (see performance.js).
+ */
+function printPerformance(performance) {
+  console.log(`  Vote credit efficiency (vs. cluster median, ${performance.epochs.length} epochs with credit history): ${performance.overallEfficiency}%`);
+  performance.worstEpochs.forEach(e => {
+    console.log(`    Epoch ${e.epoch}: ${e.earnedCredits} credits vs. median ${e.clusterMedianCredits} (${e.efficiency}%)`);
+  });
 }
 
 /**
- * Fetches the current epoch number from the chain.
+ * Prints the delegator yield summary.
  *
- * @param {Connection} connection - Solana connection instance.
- * @returns {Promise<number>} Current epoch number.
+ * @param {Object} yieldSummary - summarizeYield result (see stakeYield.js).
  */
-async function getCurrentEpoch(connection) {
-  const epochInfo = await connection.getEpochInfo();
-  return epochInfo.epoch;
+function printYield(yieldSummary) {
+  console.log(`  Delegator APR: ${yieldSummary.apr10}% (10 epochs), ${yieldSummary.apr30}% (30 epochs); APY: ${yieldSummary.apy}%`);
+  console.log(`  Activated stake: ${yieldSummary.latestActivatedStake} XNT (${yieldSummary.stakeSnapshots} epochs with recorded stake, ${yieldSummary.stakeEstimates} estimated from current stake)`);
 }
 
 /**
- * Fetches reward data for a single epoch with accurate timestamp using effectiveSlot.
+ * Prints one validator's RPC cross-check result: the compared epochs and every disagreement.
  *
- * @param {Connection} connection - Solana connection instance.
- * @param {PublicKey} votePubkey - Vote account public key.
- * @param {number} epoch - Epoch number to query.
- * @param {boolean} verbose - Whether to log raw response and errors.
- * @param {number} currentEpoch - Current epoch (for fallback time approximation).
- * @returns {Promise<Object|null>} Reward object if positive, null otherwise.
+ * @param {Object|null} crossCheck - Validator `crossCheck` entry (see validatorRewards.js); null prints nothing.
+ */
+function printCrossCheck(crossCheck) {
+  if (!crossCheck) return;
+  const describe = fields => (fields ? `${formatXnt(BigInt(fields.amount))} XNT (slot ${fields.effectiveSlot}, commission ${fields.commission ?? 'N/A'}%)` : 'no reward');
+  console.log(`RPC cross-check: ${crossCheck.comparedEpochs} epochs compared, ${crossCheck.mismatches.length} disagreements, ${crossCheck.uncheckedEpochs} not checked (cross-check query failed).`);
+  crossCheck.mismatches.forEach(({ epoch, primary, secondary }) => {
+    console.warn(`  Epoch ${epoch}: ${describe(primary)} vs. ${describe(secondary)} on the cross-check endpoint (not cached)`);
+  });
+}
+
+/**
+ * Prints RPC request and retry statistics for the run.
+ *
+ * @param {Object} rpcStats - Retry statistics from the throttled fetch (see rpcThrottle.js).
+ * @param {string} [label='RPC requests'] - Label of the line.
  */
-async function fetchSingleEpochReward(connection, votePubkey, epoch, verbose, currentEpoch) {
-  if (verbose) console.log(`Querying inflation reward for epoch ${epoch}...`);
+function printRpcStats(rpcStats, label = 'RPC requests') {
+  console.log(`\n${label}: ${rpcStats.requests} (retried: ${rpcStats.retriedRequests}, total retries: ${rpcStats.retries}, failed after retries: ${rpcStats.failedRequests})`);
+}
 
-  try {
-    const inflationReward = await connection.getInflationReward([votePubkey], epoch);
+/**
+ * Returns the output path for one validator: the base path itself for single-validator runs,
+ * otherwise the base path with the vote pubkey inserted before the extension.
+ *
+ * @param {string} basePath - Default output path.
+ * @param {string} votePubkey - Vote account public key.
+ * @param {boolean} isMultiValidator - Whether several vote accounts are processed.
+ * @returns {string} Output path.
+ */
+function validatorOutputPath(basePath, votePubkey, isMultiValidator) {
+  if (!isMultiValidator) return basePath;
+  const ext = path.extname(basePath);
+  return `${basePath.slice(0, basePath.length - ext.length)}_${votePubkey}${ext}`;
+}
 
-    if (verbose) {
-      console.log(`Raw response for epoch ${epoch}:`, JSON.stringify(inflationReward, null, 2));
+/**
+ * Builds one main CSV row per processed epoch: the reward row for rewarded epochs, and a
+ * zero-amount gap row carrying the cumulative totals forward (also those per report currency, and the epoch's
+ * leader income and costs) for every other status.
+ * Expects the rewards' cumulative columns to be attached already.
+ *
+ * @param {Array<{epoch: number, status: string, reward: Object|null, leaderIncome: Object|null, costs: Object|null}>}
+ *   epochStatuses - Per-epoch statuses (oldest → newest).
+ * @returns {Array<Object>} Rows for writeMainCsv.
+ */
+function buildAllEpochRows(epochStatuses) {
+  let cumulativeLamports = 0n;
+  let cumulativeValueUsd = 0n;
+  let currencyValues = {};
+
+  return epochStatuses.map(({ epoch, status, reward, leaderIncome, costs }) => {
+    if (reward) {
+      ({ cumulativeLamports, cumulativeValueUsd } = reward);
+      currencyValues = Object.fromEntries(Object.entries(reward.currencyValues ?? {})
+        .map(([currency, { cumulativeValue }]) => [currency, { fxRate: null, priceMicros: null, value: 0n, cumulativeValue }]));
+      return reward;
     }
+    return {
+      epoch,
+      rewardDate: '',
+      lamports: 0n,
+      priceMicros: null,
+      priceSource: '',
+      valueUsd: 0n,
+      commission: null,
+      cumulativeLamports,
+      cumulativeValueUsd,
+      currencyValues,
+      status,
+      ...(leaderIncome ? { leaderIncome } : {}),
+      ...(costs ? { costs } : {})
+    };
+  });
+}
 
-    const reward = inflationReward?.[0] ?? null;
-
-    if (reward?.amount > 0) {
-      const amountXNT = reward.amount / 1e9;
+/**
+ * Prints one validator's reward log and summary and writes its outputs.
+ *
+ * @param {Object} validator - Validator entry of the fetchValidatorRewards result (see validatorRewards.js).
+ * @param {Object} argv - Parsed CLI arguments.
+ * @param {number} currentEpoch - Current chain epoch.
+ * @param {boolean} isMultiValidator - Whether several vote accounts are processed.
+ * @returns {Array|null} Main CSV rows written, or null when no rewards were found.
+ */
+function reportValidator(validator, argv, currentEpoch, isMultiValidator) {
+  const { votePubkey, rewards, epochStatuses, summary, performance } = validator;
+  const outputPath = basePath => validatorOutputPath(basePath, votePubkey, isMultiValidator);
 
-      let rewardTimestamp;
+  if (isMultiValidator) console.log(`\nVote account ${votePubkey}:`);
 
-      // Try to get real block time from effectiveSlot
-      if (reward.effectiveSlot !== undefined) {
-        try {
-          rewardTimestamp = await connection.getBlockTime(reward.effectiveSlot);
-          if (verbose && rewardTimestamp) {
-            console.log(`Using real block time for epoch ${epoch}: ${rewardTimestamp}`);
-          }
-        } catch (e) {
-          if (verbose) console.warn(`getBlockTime failed for slot ${reward.effectiveSlot} in epoch ${epoch}: ${e.message}`);
-        }
-      }
+  rewards.forEach(r => console.log(`Found reward in epoch ${r.epoch}: ${formatXnt(r.lamports)} XNT`));
+  if (summary.failedEpochs > 0) {
+    console.warn(`Warning: ${summary.failedEpochs} epochs without rewards (skipped gracefully).`);
+  }
+  printCrossCheck(validator.crossCheck);
 
-      // Fallback to approximation if no slot or getBlockTime failed
-      if (!rewardTimestamp) {
-        rewardTimestamp = Math.floor(Date.now() / 1000) - ((currentEpoch - epoch) * 24 * 60 * 60);
-        if (verbose) console.log(`Using fallback timestamp for epoch ${epoch}`);
-      }
+  if (rewards.length === 0) {
+    console.log('No rewards found.');
+    console.log('Tip: Check validator dashboard for credit history.');
+    return null;
+  }
 
-      const priceUSD = await fetchHistoricalPrice(rewardTimestamp, loadConfig().liquidityPoolAddress);
-      const valueUSD = (amountXNT * priceUSD).toFixed(4);
+  const rows = argv['all-epochs'] ? buildAllEpochRows(epochStatuses) : rewards;
 
-      return {
-        epoch,
-        rewardDate: moment.unix(rewardTimestamp).utc().format('YYYY-MM-DD HH:mm:ss'),
-        xntAmount: amountXNT.toFixed(6),
-        priceUSD: priceUSD.toFixed(6),
-        valueUSD
-      };
-    }
+  printSummary(summary);
+  printPerformance(performance);
+  printYield(summary.yield);
+  writeMainCsv(rows, outputPath(argv.output), validator.currencies);
+  writeDerivedOutputs(validator, argv, currentEpoch, outputPath);
+  return rows;
+}
 
-    return null;
-  } catch (e) {
-    if (verbose) console.warn(`Failed to query epoch ${epoch}: ${e.message}`);
-    return null;
+/**
+ * Writes a validator's tax income lots in the --tax-export preset layout and their per-tax-year totals.
+ *
+ * @param {Object} validator - Validator entry of the fetchValidatorRewards result (see validatorRewards.js).
+ * @param {Object} argv - Parsed CLI arguments.
+ * @param {Function} outputPath - Maps a base output path to the validator's path (see validatorOutputPath).
+ */
+function writeTaxExport(validator, argv, outputPath) {
+  const taxYearStart = parseTaxYearStart(argv['tax-year-start']);
+  const [currency] = validator.currencies;
+  const lots = buildIncomeLots(validator, taxYearStart, currency);
+  writeTaxLotsCsv(lots, argv['tax-export'], outputPath('xnt_tax_lots.csv'), currency);
+  writeTaxYearsCsv(taxYearTotals(lots, taxYearStart), outputPath('xnt_tax_years.csv'));
+
+  const fallbackPriced = lots.filter(lot => lot.priceSource === 'fallback').length;
+  if (fallbackPriced > 0) {
+    console.warn(`Warning: ${fallbackPriced} of ${lots.length} tax lots are valued at the fallback price, not a market price (use --price-provider pool or file).`);
   }
 }
 
 /**
- * Displays a simple text progress bar in reversed colors (white background, black text) with green fill.
+ * Writes the outputs derived from a validator's full result: analytics CSV, optional JSON export, HTML report and
+ * tax export.
  *
- * @param {number} current - Current progress.
- * @param {number} total - Total to reach.
+ * @param {Object} validator - Validator entry of the fetchValidatorRewards result (see validatorRewards.js).
+ * @param {Object} argv - Parsed CLI arguments.
+ * @param {number} currentEpoch - Current chain epoch.
+ * @param {Function} outputPath - Maps a base output path to the validator's path (see validatorOutputPath).
  */
-function displayProgressBar(current, total) {
-  const barLength = 30;
-  const filled = Math.round((current / total) * barLength);
-  const bar = '\x1b[42m' + '█'.repeat(filled) + '\x1b[0m' + '▒'.repeat(barLength - filled);
-  const percent = ((current / total) * 100).toFixed(0);
-  process.stdout.write(`\r\x1b[7m Progress: [${bar}] ${percent}% (${current}/${total} epochs) \x1b[0m`);
+function writeDerivedOutputs(validator, argv, currentEpoch, outputPath) {
+  writeAnalyticsCsv(validator, outputPath('xnt_rewards_analytics.csv'));
+
+  // Optional JSON export
+  writeJsonExport(validator, currentEpoch, argv.json, {
+    fullJsonPath: outputPath('xnt_rewards.json'),
+    analyticsJsonPath: outputPath('xnt_rewards_analytics.json')
+  });
+  if (argv.html) writeHtmlReport(validator, currentEpoch, outputPath('xnt_rewards_report.html'));
+  if (argv['tax-export']) writeTaxExport(validator, argv, outputPath);
 }
 
 /**
- * Processes epochs and collects reward data with per-epoch error handling and progress bar.
+ * Brings one validator's outputs up to date after new epochs settled (--watch). The new main CSV rows are
+ * appended; if an earlier epoch changed since the rows were written (e.g. a failed query now succeeded), the
+ * main CSV is rewritten instead, so its cumulative columns stay consistent. The derived outputs are regenerated.
  *
- * @param {Connection} connection - Solana connection instance.
- * @param {PublicKey} votePubkey - Vote account public key.
- * @param {number} currentEpoch - Current epoch number.
- * @param {boolean} verbose - Whether to log detailed information.
- * @param {number|null} maxEpochs - Max number of epochs to process (null = unlimited).
- * @returns {Promise<{rewards: Array, totalEpochsProcessed: number, failedEpochs: number, lowEpochFailures: number, unexpectedFailures: number, expectedEpochs: number}>}
+ * @param {Object} validator - Validator entry of the fetchValidatorRewards result for the extended range.
+ * @param {Object} argv - Parsed CLI arguments.
+ * @param {number} currentEpoch - Current chain epoch.
+ * @param {boolean} isMultiValidator - Whether several vote accounts are processed.
+ * @param {number} afterEpoch - Last epoch of the previous run.
+ * @param {Array|null} previousRows - Main CSV rows written so far (null when none were written).
+ * @returns {Array|null} Main CSV rows now written, or null when there are still no rewards.
  */
-async function fetchRewardsForEpochs(connection, votePubkey, currentEpoch, verbose, maxEpochs = null) {
-  const rewards = [];
-  let processedCount = 0;
-  let failedCount = 0;
-  let lowEpochFailures = 0;
-  let unexpectedFailures = 0;
-
-  const estimatedTotal = maxEpochs !== null && maxEpochs !== undefined ? maxEpochs : currentEpoch;
+function updateValidatorOutputs(validator, argv, currentEpoch, isMultiValidator, afterEpoch, previousRows) {
+  const { votePubkey, rewards, epochStatuses } = validator;
+  const outputPath = basePath => validatorOutputPath(basePath, votePubkey, isMultiValidator);
+  printCrossCheck(validator.crossCheck);
+  const rowKeys = rows => rows.map(r => `${r.epoch}:${r.status || EPOCH_STATUS.REWARDED}:${r.lamports}:${r.leaderIncome?.lamports ?? ''}:${r.costs?.netLamports ?? ''}`).join(',');
+
+  epochStatuses.filter(e => e.epoch > afterEpoch).forEach(({ epoch, status, reward }) => {
+    const account = isMultiValidator ? ` (${votePubkey})` : '';
+    if (reward) console.log(`Found reward in epoch ${epoch}${account}: ${formatXnt(reward.lamports)} XNT, total ${formatXnt(reward.cumulativeLamports)} XNT`);
+    else console.warn(`No reward in epoch ${epoch}${account}: ${status}`);
+  });
+  if (rewards.length === 0) return null;
 
-  console.log(`Processing epochs from ${currentEpoch - 1} back to epoch 0...`);
+  const rows = argv['all-epochs'] ? buildAllEpochRows(epochStatuses) : rewards;
+  const mainCsvPath = outputPath(argv.output);
+  const unchanged = previousRows !== null && rowKeys(rows.filter(r => r.epoch <= afterEpoch)) === rowKeys(previousRows);
 
-  const barLength = 30;
-  const updateInterval = 5;
+  if (unchanged && fs.existsSync(mainCsvPath)) appendMainCsv(rows.filter(r => r.epoch > afterEpoch), mainCsvPath, validator.currencies);
+  else writeMainCsv(rows, mainCsvPath, validator.currencies);
+  writeDerivedOutputs(validator, argv, currentEpoch, outputPath);
+  return rows;
+}
 
-  for (let epoch = currentEpoch - 1; epoch >= 0; epoch--) {
-    const reward = await fetchSingleEpochReward(connection, votePubkey, epoch, verbose, currentEpoch);
+/**
+ * Returns the fetchValidatorRewards() options shared by the report run and the `serve` command.
+ *
+ * @param {Object} argv - Parsed CLI arguments.
+ * @param {Object} config - Loaded configuration.
+ * @param {Connection} connection - Solana connection instance.
+ * @param {Connection|null} crossCheckConnection - Connection to the --cross-check endpoint.
+ * @returns {Object} Fetch options (see validatorRewards.js).
+ */
+function fetchOptionsFromArgs(argv, config, connection, crossCheckConnection) {
+  return {
+    connection,
+    crossCheckConnection,
+    priceProvider: createPriceProvider(argv['price-provider'], {
+      fallbackPriceUsd: argv['fallback-price-usd'],
+      priceFile: argv['price-file'],
+      poolAddress: argv['liquidity-pool-address'],
+      maxAgeHours: config.poolPriceMaxAgeHours
+    }),
+    cacheDir: argv.cache ? argv['cache-dir'] : null,
+    concurrency: argv.concurrency,
+    rollbackMaxEpoch: config.rollbackMaxEpoch,
+    worstEpochsCount: config.worstEpochsCount,
+    settleSlots: config.watchSettleSlots,
+    leaderIncome: argv['leader-income'],
+    costAccounting: argv.costs,
+    voteTransactionFeeLamports: config.voteTransactionFeeLamports,
+    voteTransactionMaxPages: config.voteTransactionMaxPages,
+    monthlyCostsUsd: config.monthlyCostsUsd,
+    currencies: argv.currency,
+    fxRateFile: argv['fx-rate-file'],
+    fxRateMaxAgeDays: config.fxRateMaxAgeDays,
+    verbose: argv.verbose
+  };
+}
 
-    if (reward === null) {
-      failedCount++;
-      if (epoch <= 15) {
-        lowEpochFailures++;
-      } else {
-        unexpectedFailures++;
-      }
-    } else {
-      rewards.push(reward);
-      console.log(`Found reward in epoch ${epoch}: ${reward.xntAmount} XNT`);
-    }
+/**
+ * Returns the fetchValidatorRewards() range options given on the command line.
+ *
+ * @param {Object} argv - Parsed CLI arguments.
+ * @returns {Object} Range options (see resolveEpochRange in epochRange.js).
+ */
+function rangeFromArgs(argv) {
+  return {
+    maxEpochs: argv.epochs,
+    fromEpoch: argv['from-epoch'],
+    toEpoch: argv['to-epoch'],
+    since: argv.since,
+    until: argv.until
+  };
+}
 
-    processedCount++;
+/**
+ * `serve` command: serves the reward data over HTTP until interrupted (see rewardServer.js).
+ *
+ * @param {Object} argv - Parsed CLI arguments.
+ * @param {Object} fetchOptions - Shared fetch options (see fetchOptionsFromArgs).
+ * @param {Object} rpcStats - Retry statistics from the throttled fetch (see rpcThrottle.js).
+ * @returns {Promise<void>} Resolves once the server is listening.
+ */
+async function serve(argv, fetchOptions, rpcStats) {
+  const votePubkeys = parseVotePubkeys(argv['vote-pubkey']).map(key => key.toBase58());
+  const { connection, ...options } = fetchOptions;
+  const server = createRewardServer({ connection, votePubkeys, fetchOptions: options, rpcStats, verbose: argv.verbose });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(argv.port, argv.host, resolve);
+  });
+  console.log(`Serving reward data for ${votePubkeys.length} vote account(s) on http://${argv.host}:${argv.port}`);
+  console.log('  GET /validators/:votePubkey/rewards, /validators/:votePubkey/summary (JSON, or CSV with "Accept: text/csv"), /health');
 
-    if (!verbose && processedCount % updateInterval === 0) {
-      const percent = ((processedCount / estimatedTotal) * 100).toFixed(0);
-      const filled = Math.round((processedCount / estimatedTotal) * barLength);
-      const bar = '\x1b[42m' + '█'.repeat(filled) + '\x1b[0m' + '▒'.repeat(barLength - filled);
-      process.stdout.write(`\r\x1b[7m Progress: [${bar}] ${percent}% (${processedCount}/${estimatedTotal} epochs) \x1b[0m`);
-    }
+  const shutdown = () => server.close(() => process.exit(0));
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
 
-    if (maxEpochs !== null && maxEpochs !== undefined && processedCount >= maxEpochs) {
-      if (verbose) console.log(`Reached requested limit of ${maxEpochs} epochs. Stopping.`);
-      break;
-    }
-  }
+/**
+ * `metrics` command: serves Prometheus metrics until interrupted (see metricsExporter.js).
+ *
+ * @param {Object} argv - Parsed CLI arguments.
+ * @param {Object} fetchOptions - Shared fetch options (see fetchOptionsFromArgs).
+ * @returns {Promise<void>} Resolves once the server is listening.
+ */
+async function serveMetrics(argv, fetchOptions) {
+  const votePubkeys = parseVotePubkeys(argv['vote-pubkey']).map(key => key.toBase58());
+  const server = createMetricsServer({
+    votePubkeys,
+    fetchOptions: { ...fetchOptions, range: rangeFromArgs(argv) },
+    verbose: argv.verbose
+  });
 
-  if (!verbose) process.stdout.write('\r' + ' '.repeat(80) + '\r');
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(argv.port, argv.host, resolve);
+  });
+  console.log(`Serving Prometheus metrics for ${votePubkeys.length} vote account(s) on http://${argv.host}:${argv.port}/metrics`);
 
-  if (failedCount > 0) {
-    console.warn(`Warning: ${failedCount} epochs failed to query (skipped gracefully).`);
-  }
+  const shutdown = () => server.close(() => process.exit(0));
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
 
-  const expectedEpochs = processedCount - lowEpochFailures;
+/**
+ * --delegators: fetches the rewards of the stake accounts delegated to each vote account over the run's epoch
+ * range (delegatorRewards.js) and writes the delegator statements, list and epoch totals.
+ *
+ * @param {Object} argv - Parsed CLI arguments.
+ * @param {Object} config - Loaded configuration.
+ * @param {Object} fetchOptions - Shared fetch options (see fetchOptionsFromArgs).
+ * @param {{firstEpoch: number, lastEpoch: number}} range - Epoch range of the run.
+ * @returns {Promise<void>}
+ */
+async function reportDelegators(argv, config, fetchOptions, range) {
+  for (const votePubkey of parseVotePubkeys(argv['vote-pubkey'])) {
+    console.log(`\nFetching delegator rewards for ${votePubkey.toBase58()} (epochs ${range.firstEpoch}–${range.lastEpoch})...`);
+    const result = await fetchDelegatorRewards({
+      ...fetchOptions,
+      votePubkey,
+      range: { fromEpoch: range.firstEpoch, toEpoch: range.lastEpoch },
+      batchSize: config.delegatorBatchSize,
+      onProgress: (completed, total) => {
+        if (!argv.verbose && completed % 5 === 0) displayProgressBar(completed, total);
+      }
+    });
+    if (!argv.verbose) process.stdout.write('\r' + ' '.repeat(80) + '\r');
 
-  return { rewards, totalEpochsProcessed: processedCount, failedEpochs: failedCount, lowEpochFailures, unexpectedFailures, expectedEpochs };
+    console.log(`Delegators: ${result.delegators.length} stake accounts, ${formatXnt(result.totalLamports)} XNT paid over ${result.epochTotals.length} epochs.`);
+    if (result.failedEpochs.length > 0) {
+      console.warn(`Warning: delegator reward queries failed for epochs ${result.failedEpochs.join(', ')}.`);
+    }
+    if (result.delegators.length === 0) continue;
+
+    const outputDir = path.join(config.delegatorOutputDir, result.votePubkey);
+    fs.mkdirSync(outputDir, { recursive: true });
+    result.delegators.forEach(delegator => writeDelegatorCsv(delegator, path.join(outputDir, `xnt_delegator_${delegator.stakePubkey}.csv`), result.currencies));
+    console.log(`Delegator statement CSVs written to: ${outputDir} (${result.delegators.length} files)`);
+    writeDelegatorSummaryCsv(result, path.join(outputDir, 'xnt_delegators.csv'));
+    writeDelegatorEpochTotalsCsv(result, path.join(outputDir, 'xnt_delegator_epoch_totals.csv'));
+    writeDelegatorJson(result, argv.json, path.join(outputDir, 'xnt_delegator_rewards.json'));
+  }
 }
 
 /**
- * Generates and prints the final summary statistics.
+ * Evaluates the alert rules (alerts.js) for every validator, prints the alerts and sends them to the hooks.
  *
- * @param {Array} rewards - Array of reward objects.
- * @param {number} totalEpochsProcessed - Total epochs queried.
- * @param {number} failedEpochs - Total failed queries.
- * @param {number} lowEpochFailures - Failed queries in early epochs (<=15).
- * @param {number} unexpectedFailures - Failed queries outside early range.
- * @param {number} expectedEpochs - Epochs expected to be queryable (processed - low failures).
+ * @param {Array<Object>} validators - Validator entries of the fetchValidatorRewards result.
+ * @param {Object} argv - Parsed CLI arguments.
+ * @param {Object} config - Loaded configuration.
+ * @param {number} [afterEpoch] - Epochs after this one are checked (default: the range's last epoch only).
+ * @returns {Promise<void>}
  */
-function printSummary(rewards, totalEpochsProcessed, failedEpochs, lowEpochFailures, unexpectedFailures, expectedEpochs) {
-  if (rewards.length === 0) return;
-
-  const firstDate = moment(rewards[0].rewardDate).startOf('day');
-  const lastDate = moment(rewards[rewards.length - 1].rewardDate).startOf('day');
-  const days = lastDate.diff(firstDate, 'days') + 1;
-  const totalXNT = rewards.reduce((sum, r) => sum + parseFloat(r.xntAmount), 0);
-  const avgDaily = days > 0 ? (totalXNT / days).toFixed(6) : 'N/A';
-  const totalEpochsWithRewards = rewards.length;
-  const percentageExpectedWithRewards = expectedEpochs > 0 ? ((totalEpochsWithRewards / expectedEpochs) * 100).toFixed(2) : '0.00';
-  const avgPerEpoch = totalEpochsWithRewards > 0 ? (totalXNT / totalEpochsWithRewards).toFixed(6) : 'N/A';
+async function reportAlerts(validators, argv, config, afterEpoch) {
+  const alerts = validators.flatMap(validator => evaluateAlerts(validator, config.alertRules, afterEpoch));
+  alerts.forEach(({ rule, votePubkey, message }) => {
+    console.warn(`Alert [${rule}]${validators.length > 1 ? ` ${votePubkey}` : ''}: ${message}`);
+  });
+  await sendAlerts(alerts, { webhookUrl: argv['alert-webhook'], command: argv['alert-command'], timeoutMs: config.alertTimeoutMs });
+}
 
-  console.log('\nSummary:');
-  console.log(`  Final date range (approx): ${firstDate.format('YYYY-MM-DD')} to ${lastDate.format('YYYY-MM-DD')}`);
-  console.log(`  Days covered: ${days}`);
-  console.log(`  Total XNT earned: ${totalXNT.toFixed(6)}`);
-  console.log(`  Average $XNT earned per day: ${avgDaily}`);
-  console.log(`  Total epochs processed: ${totalEpochsProcessed}`);
-  console.log(`  Total epochs with rewards: ${totalEpochsWithRewards}`);
-  console.log(`  Percentage of Expected Epochs with Rewards (accounts for early chain rollback): ${percentageExpectedWithRewards}%`);
-  console.log(`  Average $XNT per epoch: ${avgPerEpoch}`);
-  console.log(`  Unexpected failed epoch queries: ${unexpectedFailures} (outside expected early range)`);
-  if (failedEpochs > 0) {
-    console.log(`  Failed epoch queries (due to early X1 chain roll-back, see "Unexpected failed epoch queries"): ${failedEpochs}`);
-  }
-  if (lowEpochFailures > 0) {
-    console.log(`  Note: ${lowEpochFailures} failures in early epochs (<=15) are expected due to the X1 Mainnet Buenos Aires Reboot/rollback — pre-reboot ledger data is not queryable on the current chain.`);
+/**
+ * --watch: polls the current epoch and, once an epoch boundary has passed and the new epoch is
+ * config.watchSettleSlots slots old (so the reward distribution has finished), fetches the range extended to
+ * the just-completed epoch and updates the outputs. Settled epochs come from the reward cache, so only the new
+ * epochs are queried. Failed updates are retried on the next poll. Runs until the process is interrupted.
+ *
+ * @param {Object} argv - Parsed CLI arguments.
+ * @param {Object} config - Loaded configuration.
+ * @param {Object} fetchOptions - Shared fetch options (see fetchOptionsFromArgs).
+ * @param {{firstEpoch: number, lastEpoch: number}} range - Epoch range of the initial run.
+ * @param {Array<Array|null>} writtenRows - Main CSV rows written per validator (see reportValidator).
+ * @returns {Promise<void>} Never resolves.
+ */
+async function watchEpochs(argv, config, fetchOptions, range, writtenRows) {
+  const rows = [...writtenRows];
+  let { lastEpoch } = range;
+  console.log(`\nWatching for epochs after ${lastEpoch} (polling every ${argv['watch-interval']}s, Ctrl+C to stop)...`);
+
+  for (;;) {
+    await new Promise(resolve => setTimeout(resolve, argv['watch-interval'] * 1000));
+    try {
+      const epochInfo = await fetchOptions.connection.getEpochInfo();
+      if (epochInfo.epoch - 1 <= lastEpoch || epochInfo.slotIndex < config.watchSettleSlots) continue;
+
+      const result = await fetchValidatorRewards({
+        ...fetchOptions,
+        votePubkey: argv['vote-pubkey'],
+        range: { fromEpoch: range.firstEpoch, toEpoch: epochInfo.epoch - 1 }
+      });
+      const isMultiValidator = result.validators.length > 1;
+      console.log(`\n${new Date().toISOString()}: epoch ${result.range.lastEpoch} settled.`);
+      result.validators.forEach((validator, i) => {
+        rows[i] = updateValidatorOutputs(validator, argv, result.currentEpoch, isMultiValidator, lastEpoch, rows[i]);
+      });
+      if (isMultiValidator && rows.some(Boolean)) {
+        writePortfolioCsv(result.validators, config.portfolioOutputFile);
+        writePortfolioJson(result.validators, result.currentEpoch, argv.json);
+      }
+      await reportAlerts(result.validators, argv, config, lastEpoch);
+      lastEpoch = result.range.lastEpoch;
+    } catch (e) {
+      console.warn(`Watch update failed (retrying on the next poll): ${e.message}`);
+    }
   }
 }
 
 /**
- * Main entry point: orchestrates the entire process.
+ * Main entry point: fetches the rewards through the programmatic API (validatorRewards.js),
+ * then prints the summaries and writes the outputs (or starts the HTTP server for `serve` or `metrics`).
  */
 async function main() {
   const config = loadConfig();
   const argv = parseArguments();
 
-  const connection = createConnection(argv['rpc-url']);
-  const votePubkey = new PublicKey(argv['vote-pubkey']);
+  if ([argv['vote-pubkey']].flat().filter(Boolean).length === 0) {
+    throw new Error('No vote pubkey given: use --vote-pubkey or set votePubkeys in config.json');
+  }
+  if (argv.watch) {
+    if (argv._[0]) throw new Error(`--watch does not apply to the ${argv._[0]} command`);
+    if (!argv.cache) throw new Error('--watch needs the reward cache (--no-cache would query the whole range on every epoch)');
+    if (argv['to-epoch'] !== undefined || argv.until) throw new Error('--watch cannot be combined with --to-epoch or --until');
+  }
+
+  const rpcUrls = [argv['rpc-url']].flat().flatMap(url => String(url ?? '').split(',')).map(url => url.trim()).filter(Boolean);
+  if (rpcUrls.length === 0) throw new Error('No RPC endpoint given: use --rpc-url or set rpcUrl in config.json');
+  if (argv['cross-check'] && rpcUrls.length < 2) throw new Error('--cross-check needs a second RPC endpoint (--rpc-url URL_1 --rpc-url URL_2)');
 
-  await logRpcHealth(connection, argv.verbose);
-  await getVoteBalance(connection, votePubkey);
+  if (argv.record && argv.replay) throw new Error('--record and --replay cannot be combined');
+  parseCurrencies(argv.currency);
+  if (argv['tax-export']) {
+    if (!TAX_PRESETS[argv['tax-export']]) throw new Error(`Unknown --tax-export preset "${argv['tax-export']}" (expected ${Object.keys(TAX_PRESETS).join(', ')})`);
+    parseTaxYearStart(argv['tax-year-start']);
+  }
+  const recorder = argv.record ? createRecordingFetch(argv.record, { rpcUrl: rpcUrls[0] }) : null;
+  const replay = argv.replay ? createReplayFetch(argv.replay) : null;
+  const networkFetch = (replay ?? recorder)?.fetch;
+
+  // Replayed responses come from one fixture: no failover
+  const endpoints = !replay && rpcUrls.length > 1
+    ? createRpcEndpoints(rpcUrls, {
+      cooldownMs: config.rpcFailoverCooldownSeconds * 1000,
+      maxSlotLag: config.rpcMaxSlotLag,
+      timeoutMs: config.requestTimeoutMs,
+      verbose: argv.verbose,
+      fetchImpl: networkFetch
+    })
+    : null;
+  const endpointHealth = endpoints ? await endpoints.checkHealth() : null;
+
+  const throttleOptions = {
+    // Replayed responses need no rate limit
+    requestsPerSecond: replay ? 0 : argv.rps,
+    maxRetries: argv['max-retries'],
+    baseDelayMs: config.retryBaseDelayMs,
+    timeoutMs: config.requestTimeoutMs,
+    verbose: argv.verbose
+  };
+  const throttle = createThrottledFetch({ ...throttleOptions, fetchImpl: endpoints?.fetch ?? networkFetch });
+  const connection = createConnection(rpcUrls[0], throttle.fetch);
+
+  // Cross-check against the second endpoint of the (health-checked) failover order
+  const crossCheckUrl = argv['cross-check'] ? (endpoints?.urls() ?? rpcUrls)[1] : null;
+  const crossCheckThrottle = crossCheckUrl ? createThrottledFetch({ ...throttleOptions, fetchImpl: networkFetch }) : null;
+  const crossCheckConnection = crossCheckUrl ? createConnection(crossCheckUrl, crossCheckThrottle.fetch) : null;
+  const fetchOptions = fetchOptionsFromArgs(argv, config, connection, crossCheckConnection);
+
+  await logRpcHealth(connection, endpointHealth, argv.verbose);
+  if (crossCheckUrl) console.log(`Cross-checking rewards against ${crossCheckUrl}`);
+
+  if (argv._[0] === 'serve') {
+    await serve(argv, fetchOptions, throttle.stats);
+    return;
+  }
+  if (argv._[0] === 'metrics') {
+    await serveMetrics(argv, fetchOptions);
+    return;
+  }
 
-  const myVoteAccount = await findVoteAccount(connection, votePubkey);
-  const activationEpoch = myVoteAccount.epochCredits?.[0]?.[0] || 0;
+  // Ctrl-C ends the run with a normal exit, so the reward cache and a --record fixture write their pending changes
+  const interrupt = signal => process.exit(signal === 'SIGINT' ? 130 : 143);
+  process.once('SIGINT', interrupt);
+  process.once('SIGTERM', interrupt);
+
+  const result = await fetchValidatorRewards({
+    ...fetchOptions,
+    votePubkey: argv['vote-pubkey'],
+    range: rangeFromArgs(argv),
+    onStart: ({ range, validators }) => {
+      validators.forEach(({ votePubkey, balanceLamports }) => {
+        if (validators.length > 1) console.log(`Vote account ${votePubkey}:`);
+        console.log('Vote account balance:', formatXnt(balanceLamports), 'XNT');
+      });
+      if (argv.since || argv.until) {
+        console.log(`Reward dates ${argv.since || 'start'} to ${argv.until || 'now'} map to epochs ${range.firstEpoch}–${range.lastEpoch}.`);
+      }
+      console.log(`Processing epochs from ${range.lastEpoch} back to epoch ${range.firstEpoch} for ${validators.length} vote account(s) (concurrency ${argv.concurrency})...`);
+    },
+    onProgress: (completed, total) => {
+      if (!argv.verbose && completed % 5 === 0) displayProgressBar(completed, total);
+    }
+  });
 
-  const currentEpoch = await getCurrentEpoch(connection);
+  if (!argv.verbose) process.stdout.write('\r' + ' '.repeat(80) + '\r');
+  if (result.cacheStats) {
+    console.log(`Reward cache: ${result.cacheStats.loaded} settled epoch results loaded, ${result.cacheStats.queried} queried from RPC.`);
+  }
 
-  const { rewards, totalEpochsProcessed, failedEpochs, lowEpochFailures, unexpectedFailures, expectedEpochs } = await fetchRewardsForEpochs(
-    connection,
-    votePubkey,
-    currentEpoch,
-    argv.verbose,
-    argv.epochs
-  );
+  const isMultiValidator = result.validators.length > 1;
+  const writtenRows = result.validators.map(validator => reportValidator(validator, argv, result.currentEpoch, isMultiValidator));
 
-  if (rewards.length === 0) {
-    console.log('No rewards found.');
-    console.log('Tip: Check validator dashboard for credit history.');
-    return;
+  if (isMultiValidator && writtenRows.some(Boolean)) {
+    writePortfolioCsv(result.validators, config.portfolioOutputFile);
+    writePortfolioJson(result.validators, result.currentEpoch, argv.json);
   }
 
-  // Sort oldest → newest
-  rewards.sort((a, b) => moment(a.rewardDate).unix() - moment(b.rewardDate).unix());
-
-  // Compute cumulatives ONCE and attach to each reward object
-  let cumulativeXNT = 0;
-  let cumulativeUSD = 0;
-  rewards.forEach(r => {
-    cumulativeXNT += parseFloat(r.xntAmount);
-    cumulativeUSD += parseFloat(r.valueUSD);
-    r.cumulativeXNT = cumulativeXNT.toFixed(6);
-    r.cumulativeUSD = cumulativeUSD.toFixed(4);
-  });
+  await reportAlerts(result.validators, argv, config);
+  if (argv.delegators) await reportDelegators(argv, config, fetchOptions, result.range);
+  printRpcStats(throttle.stats);
+  if (endpoints) console.log(`RPC failovers: ${endpoints.stats.failovers} (failover order: ${endpoints.urls().join(', ')})`);
+  if (crossCheckThrottle) printRpcStats(crossCheckThrottle.stats, 'Cross-check RPC requests');
+  if (recorder) {
+    recorder.save();
+    console.log(`RPC responses recorded to ${argv.record} (${recorder.stats.recorded} new)`);
+  }
+  if (replay) {
+    console.log(`RPC responses replayed from ${argv.replay}: ${replay.stats.served} (${replay.stats.missed} requests not in the fixture)`);
+  }
 
-  printSummary(rewards, totalEpochsProcessed, failedEpochs, lowEpochFailures, unexpectedFailures, expectedEpochs);
-  writeMainCsv(rewards, argv.output);
-  writeAnalyticsCsv(rewards, totalEpochsProcessed, failedEpochs, lowEpochFailures, unexpectedFailures, expectedEpochs);
+  if (argv.watch) await watchEpochs(argv, config, fetchOptions, result.range, writtenRows);
+}
 
-  // Optional JSON export
-  writeJsonExport(rewards, totalEpochsProcessed, failedEpochs, lowEpochFailures, unexpectedFailures, expectedEpochs, currentEpoch, activationEpoch, argv.json);
+/**
+ * Whether this file was run as the Node.js entry script (rather than imported).
+ *
+ * @returns {boolean} True when executed directly.
+ */
+function isEntryScript() {
+  if (!process.argv[1]) return false;
+  const entry = path.resolve(process.argv[1]);
+  return [entry, `${entry}.js`].some(file => fs.existsSync(file) && fs.realpathSync(file) === fileURLToPath(import.meta.url));
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+if (isEntryScript()) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
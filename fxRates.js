@@ -0,0 +1,226 @@
+/**
+ * @fileoverview
+ * Fiat currencies beyond USD: reward prices come in USD (see priceProviders.js) and are converted with daily FX
+ * rates from a local rate file. Each reward's USD price is converted at the rate of its UTC reward date and
+ * quantized to 6 decimals like the USD price, so a converted value is lamports × converted price (scaled by
+ * 10^USD_VALUE_DECIMALS, see amounts.js) and sums stay exact. Rate tables skip weekends and holidays, so the most
+ * recent rate on or before the date is used, up to fxRateMaxAgeDays back; a reward without a rate fails the run
+ * rather than being valued at another rate.
+ *
+ * A reward's leader block income and costs (leaderIncome.js, costs.js) are valued like the reward: lamport amounts
+ * at its converted price, the fixed costs configured in USD at its FX rate. Epochs without a reward have no price,
+ * so their lamport amounts stay unvalued as in USD, and their fixed costs convert at the epoch end date's rate.
+ *
+ * Rate files hold units of the currency per 1 USD (e.g. EUR 0.92), as:
+ * - CSV with a header row, either long ("date,currency,rate") or wide ("date,EUR,GBP,…", one column per currency);
+ * - JSON, either `{ "EUR": { "YYYY-MM-DD": rate } }` or `[{ date, currency, rate }]`.
+ *
+ * Exports:
+ * - BASE_CURRENCY: Currency of the reward prices ('USD'), needing no rate.
+ * - parseCurrencies: Validates --currency values.
+ * - loadFxRateFile: Loads a rate file into per-currency date → rate Maps.
+ * - createFxRates: Rate lookups with the look-back for dates without a rate.
+ * - attachCurrencyValues: Adds the converted price, value and running total per currency to aggregated rewards.
+ * - valuesIn: A reward's price, value, running total, leader income and costs in one currency.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import moment from 'moment';
+import { toPriceMicros, divideRounded, rewardValueUsd, PRICE_DECIMALS } from './amounts.js';
+import { epochCostsAt } from './costs.js';
+
+export const BASE_CURRENCY = 'USD';
+
+/**
+ * Validates --currency values given as repeated options and/or comma-separated lists.
+ *
+ * @param {string|Array<string>} values - Currency codes (ISO 4217, case-insensitive).
+ * @returns {Array<string>} Unique upper-case codes in the given order (the first is the reporting currency).
+ * @throws {Error} If no currency is given or a code is not three letters.
+ */
+export function parseCurrencies(values) {
+  const codes = [values].flat()
+    .flatMap(value => String(value ?? '').split(','))
+    .map(code => code.trim().toUpperCase())
+    .filter(Boolean);
+
+  if (codes.length === 0) throw new Error('No currency given');
+  const invalid = codes.find(code => !/^[A-Z]{3}$/.test(code));
+  if (invalid) throw new Error(`Invalid currency code: ${invalid} (expected e.g. EUR)`);
+  return [...new Set(codes)];
+}
+
+/**
+ * Splits CSV content into trimmed cells per non-empty line.
+ *
+ * @param {string} content - File content.
+ * @returns {Array<Array<string>>} Rows.
+ */
+function csvRows(content) {
+  return content
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => line.split(',').map(cell => cell.trim().replace(/^"|"$/g, '')));
+}
+
+/**
+ * Parses a CSV rate file (long or wide layout, see the file overview).
+ *
+ * @param {string} content - File content.
+ * @returns {Array<[string, string, number]>} Date/currency/rate entries.
+ */
+function parseRateCsv(content) {
+  const [header = [], ...rows] = csvRows(content);
+  const columns = header.map(cell => cell.toLowerCase());
+  const currencyIndex = columns.indexOf('currency');
+  const rateIndex = columns.indexOf('rate');
+
+  if (currencyIndex !== -1 && rateIndex !== -1) {
+    return rows.map(row => [row[0], row[currencyIndex], parseFloat(row[rateIndex])]);
+  }
+  return rows.flatMap(row => header.slice(1)
+    .map((currency, k) => [row[0], currency, row[k + 1]])
+    .filter(([, , rate]) => rate !== undefined && rate !== '')
+    .map(([date, currency, rate]) => [date, currency, parseFloat(rate)]));
+}
+
+/**
+ * Parses a JSON rate file (see the file overview).
+ *
+ * @param {string} content - File content.
+ * @returns {Array<[string, string, number]>} Date/currency/rate entries.
+ */
+function parseRateJson(content) {
+  const data = JSON.parse(content.replace(/^\uFEFF/, ''));
+  if (Array.isArray(data)) return data.map(entry => [entry.date, entry.currency, Number(entry.rate)]);
+  return Object.entries(data).flatMap(([currency, rates]) => Object.entries(rates).map(([date, rate]) => [date, currency, Number(rate)]));
+}
+
+/**
+ * Loads a daily FX rate file.
+ *
+ * @param {string} filePath - Path to a .csv or .json rate file.
+ * @returns {Map<string, Map<string, number>>} Rates (units per 1 USD) by currency, then by UTC date (YYYY-MM-DD).
+ * @throws {Error} If the file cannot be read or contains invalid entries.
+ */
+export function loadFxRateFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const entries = path.extname(filePath).toLowerCase() === '.json'
+    ? parseRateJson(content)
+    : parseRateCsv(content);
+
+  const rates = new Map();
+  for (const [date, currency, rate] of entries) {
+    const day = moment.utc(date, ['YYYY-MM-DD', moment.ISO_8601], true);
+    if (!day.isValid() || !/^[A-Za-z]{3}$/.test(String(currency)) || !(rate > 0)) {
+      throw new Error(`Invalid FX rate file entry in ${filePath}: ${date} ${currency} → ${rate}`);
+    }
+    const code = currency.toUpperCase();
+    if (!rates.has(code)) rates.set(code, new Map());
+    rates.get(code).set(day.format('YYYY-MM-DD'), rate);
+  }
+  return rates;
+}
+
+/**
+ * Creates FX rate lookups for the given currencies.
+ *
+ * @param {Array<string>} currencies - Currency codes (see parseCurrencies).
+ * @param {Object} [options={}] - Options.
+ * @param {string|null} [options.fxRateFile=null] - Rate file (needed for any currency other than USD).
+ * @param {number} [options.maxAgeDays=7] - Days to look back for a date without a rate.
+ * @returns {{rate: Function}} `rate(currency, date)` returns the rate (units per 1 USD; 1 for USD) of a UTC date
+ *   (YYYY-MM-DD).
+ * @throws {Error} If a currency other than USD is requested without a rate file or the file has no rates for it.
+ *   `rate()` throws if no rate is found within the look-back.
+ */
+export function createFxRates(currencies, { fxRateFile = null, maxAgeDays = 7 } = {}) {
+  const converted = currencies.filter(code => code !== BASE_CURRENCY);
+  if (converted.length > 0 && !fxRateFile) {
+    throw new Error(`Currency ${converted.join(', ')} needs an FX rate file (--fx-rate-file or fxRateFile in config.json)`);
+  }
+
+  const rates = converted.length > 0 ? loadFxRateFile(fxRateFile) : new Map();
+  const missing = converted.find(code => !rates.has(code));
+  if (missing) throw new Error(`FX rate file ${fxRateFile} has no ${missing} rates`);
+
+  return {
+    rate(currency, date) {
+      if (currency === BASE_CURRENCY) return 1;
+      const byDate = rates.get(currency);
+      for (let age = 0; age <= maxAgeDays; age++) {
+        const day = moment.utc(date, 'YYYY-MM-DD').subtract(age, 'days').format('YYYY-MM-DD');
+        if (byDate.has(day)) return byDate.get(day);
+      }
+      throw new Error(`No ${currency} FX rate for ${date} (or up to ${maxAgeDays} days before) in ${fxRateFile}`);
+    }
+  };
+}
+
+/**
+ * Adds each reward's price, value and running total in every currency other than USD, as
+ * `currencyValues: { [currency]: { fxRate, priceMicros, value, cumulativeValue } }` (amounts as BigInt in the
+ * scales of amounts.js). Run after aggregateRewards(), on the same oldest → newest order.
+ *
+ * @param {Array<Object>} rewards - Aggregated rewards with `blockTime`; modified in place.
+ * @param {Array<string>} currencies - Currency codes (see parseCurrencies).
+ * @param {Object} fxRates - Rate lookups (see createFxRates).
+ */
+export function attachCurrencyValues(rewards, currencies, fxRates) {
+  const converted = currencies.filter(code => code !== BASE_CURRENCY);
+  const running = Object.fromEntries(converted.map(code => [code, 0n]));
+
+  for (const r of rewards) {
+    const date = moment.unix(r.blockTime).utc().format('YYYY-MM-DD');
+    r.currencyValues = {};
+    for (const code of converted) {
+      const fxRate = fxRates.rate(code, date);
+      const priceMicros = divideRounded(r.priceMicros * toPriceMicros(fxRate), 10n ** BigInt(PRICE_DECIMALS));
+      const value = rewardValueUsd(r.lamports, priceMicros);
+      running[code] += value;
+      r.currencyValues[code] = { fxRate, priceMicros, value, cumulativeValue: running[code] };
+    }
+  }
+}
+
+/**
+ * Converts a scaled USD amount at an FX rate, quantized like the converted prices.
+ *
+ * @param {bigint} valueUsd - Amount in USD scaled by 10^USD_VALUE_DECIMALS.
+ * @param {number|null} fxRate - Units of the currency per 1 USD.
+ * @returns {bigint|null} Amount in the currency (same scale), null without a rate (zero excepted).
+ */
+function convertUsd(valueUsd, fxRate) {
+  if (valueUsd === 0n) return 0n;
+  return fxRate === null ? null : divideRounded(valueUsd * toPriceMicros(fxRate), 10n ** BigInt(PRICE_DECIMALS));
+}
+
+/**
+ * A reward's price, value and running total in one currency: the USD fields for USD, else its
+ * `currencyValues` entry. Rows without one (gap rows of --all-epochs, epoch statuses without a reward) have no
+ * price and zero values. The row's leader block income and costs come valued in the currency, with the USD field
+ * names (`valueUsd`, see leaderIncome.js; `grossValueUsd` etc., see epochCostsAt in costs.js), so they format and
+ * total like the USD ones. The fixed costs of epochs without a reward convert at the rate of the epoch end date
+ * (`costs.fxRates`, see attachCostFxRates in validatorRewards.js).
+ *
+ * @param {Object} r - Aggregated reward, main CSV row or epoch status.
+ * @param {string} currency - Currency code.
+ * @returns {{fxRate: number|null, priceMicros: bigint|null, value: bigint, cumulativeValue: bigint,
+ *   leaderIncome: Object|null, costs: Object|null}} Amounts; `leaderIncome` and `costs` are null when the row has none.
+ */
+export function valuesIn(r, currency) {
+  if (currency === BASE_CURRENCY) {
+    return { fxRate: 1, priceMicros: r.priceMicros, value: r.valueUsd, cumulativeValue: r.cumulativeValueUsd, leaderIncome: r.leaderIncome ?? null, costs: r.costs ?? null };
+  }
+  const values = r.currencyValues?.[currency] ?? { fxRate: null, priceMicros: null, value: 0n, cumulativeValue: 0n };
+  const { fxRate, priceMicros } = values;
+  const income = r.leaderIncome ?? null;
+  return {
+    ...values,
+    leaderIncome: income && !income.error ? { ...income, valueUsd: priceMicros !== null ? rewardValueUsd(income.lamports, priceMicros) : null } : income,
+    costs: r.costs ? epochCostsAt({ ...r.costs, fixedCostUsd: convertUsd(r.costs.fixedCostUsd, fxRate ?? r.costs.fxRates?.[currency] ?? null) }, priceMicros) : null
+  };
+}
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview
+ * Self-contained HTML report of one validator's rewards: the console summary table plus inline SVG
+ * charts of per-epoch XNT, cumulative XNT, cumulative USD and the reward-gap epochs. The file has no
+ * external assets (inline CSS, no scripts), so it can be emailed and opened in any browser.
+ *
+ * Chart values are converted to floating point for plotting only; every number shown as text comes
+ * from the exact amounts (amounts.js).
+ *
+ * Exports:
+ * - buildHtmlReport: Builds the HTML document.
+ * - writeHtmlReport: Writes the HTML report file.
+ */
+
+import fs from 'fs';
+import { summaryRows } from './rewardSummary.js';
+import { EPOCH_STATUS, EPOCH_STATUS_LABELS } from './epochStatus.js';
+import { XNT_DECIMALS, USD_VALUE_DECIMALS, formatXnt, formatUsd } from './amounts.js';
+
+const CHART_WIDTH = 760;
+const CHART_HEIGHT = 220;
+const MARGIN = { top: 12, right: 16, bottom: 32, left: 84 };
+const Y_TICKS = 4;
+const X_LABELS = 8;
+
+const STATUS_COLORS = {
+  [EPOCH_STATUS.REWARDED]: '#2e7d32',
+  [EPOCH_STATUS.ZERO_REWARD]: '#f9a825',
+  [EPOCH_STATUS.BEFORE_ACTIVATION]: '#9e9e9e',
+  [EPOCH_STATUS.ROLLBACK_UNAVAILABLE]: '#8d6e63',
+  [EPOCH_STATUS.RPC_ERROR]: '#c62828'
+};
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #212121; max-width: 820px; margin: 24px auto; padding: 0 16px; }
+h1 { font-size: 22px; margin-bottom: 4px; }
+h2 { font-size: 17px; margin-top: 28px; border-bottom: 1px solid #e0e0e0; padding-bottom: 4px; }
+p.meta { color: #616161; font-size: 13px; margin-top: 0; }
+code { font-size: 12px; }
+table { border-collapse: collapse; font-size: 13px; width: 100%; }
+td { padding: 4px 8px; border-bottom: 1px solid #eeeeee; vertical-align: top; }
+td.value { text-align: right; white-space: nowrap; }
+tr.level-1 td.label { padding-left: 28px; color: #616161; }
+tr.heading td { font-weight: 600; }
+svg { display: block; margin: 8px 0 4px; }
+svg text { font-size: 11px; fill: #616161; }
+.legend { font-size: 12px; color: #616161; }
+.legend span { display: inline-block; width: 10px; height: 10px; margin: 0 4px 0 12px; vertical-align: middle; }
+`;
+
+/**
+ * Escapes text for HTML content and attribute values.
+ *
+ * @param {*} value - Value to escape.
+ * @returns {string} Escaped text.
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts a scaled BigInt amount to a float for plotting.
+ *
+ * @param {bigint} value - Scaled amount.
+ * @param {number} decimals - Decimal places of the scaling.
+ * @returns {number} Approximate value.
+ */
+function toPlotValue(value, decimals) {
+  return Number(value) / 10 ** decimals;
+}
+
+/**
+ * Builds the x scale over an epoch range and the epochs labelled on the x axis.
+ *
+ * @param {number} firstEpoch - First epoch.
+ * @param {number} lastEpoch - Last epoch.
+ * @returns {{x: Function, step: number, labels: Array<number>}} Scale (epoch → left edge of its slot), slot width and label epochs.
+ */
+function epochScale(firstEpoch, lastEpoch) {
+  const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+  const count = lastEpoch - firstEpoch + 1;
+  const step = plotWidth / count;
+  const every = Math.max(1, Math.ceil(count / X_LABELS));
+  const labels = [];
+  for (let epoch = firstEpoch; epoch <= lastEpoch; epoch += every) labels.push(epoch);
+  return { x: epoch => MARGIN.left + (epoch - firstEpoch) * step, step, labels };
+}
+
+/**
+ * Wraps chart content in an SVG element with the x-axis epoch labels and, optionally, a y axis.
+ *
+ * @param {string} title - Accessible chart title.
+ * @param {Object} scale - epochScale() result.
+ * @param {string} content - SVG marks.
+ * @param {{max: number, format: Function}|null} yAxis - Y axis maximum and tick label formatter, or null for none.
+ * @param {number} [height=CHART_HEIGHT] - SVG height.
+ * @returns {string} SVG markup.
+ */
+function chartSvg(title, scale, content, yAxis, height = CHART_HEIGHT) {
+  const bottom = height - MARGIN.bottom;
+  const parts = [`<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${height}" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img">`, `<title>${escapeHtml(title)}</title>`];
+
+  if (yAxis) {
+    for (let i = 0; i <= Y_TICKS; i++) {
+      const y = bottom - (bottom - MARGIN.top) * (i / Y_TICKS);
+      parts.push(`<line x1="${MARGIN.left}" y1="${y.toFixed(1)}" x2="${CHART_WIDTH - MARGIN.right}" y2="${y.toFixed(1)}" stroke="#eeeeee"/>`);
+      parts.push(`<text x="${MARGIN.left - 6}" y="${(y + 4).toFixed(1)}" text-anchor="end">${escapeHtml(yAxis.format((yAxis.max * i) / Y_TICKS))}</text>`);
+    }
+  }
+  parts.push(content);
+  parts.push(`<line x1="${MARGIN.left}" y1="${bottom}" x2="${CHART_WIDTH - MARGIN.right}" y2="${bottom}" stroke="#9e9e9e"/>`);
+  scale.labels.forEach(epoch => {
+    const x = scale.x(epoch) + scale.step / 2;
+    parts.push(`<text x="${x.toFixed(1)}" y="${bottom + 16}" text-anchor="middle">${epoch}</text>`);
+  });
+  parts.push(`<text x="${CHART_WIDTH - MARGIN.right}" y="${height - 2}" text-anchor="end">epoch</text>`);
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Bar chart with one bar per epoch.
+ *
+ * @param {string} title - Chart title.
+ * @param {Object} scale - epochScale() result.
+ * @param {Array<{epoch: number, value: number, label: string}>} points - Values per epoch (label shown on hover).
+ * @param {Function} formatTick - Y tick label formatter.
+ * @returns {string} SVG markup.
+ */
+function barChart(title, scale, points, formatTick) {
+  const bottom = CHART_HEIGHT - MARGIN.bottom;
+  const max = Math.max(...points.map(p => p.value), 0) || 1;
+  const width = Math.max(scale.step * 0.8, 1);
+  const bars = points.filter(p => p.value > 0).map(p => {
+    const height = (bottom - MARGIN.top) * (p.value / max);
+    return `<rect x="${(scale.x(p.epoch) + (scale.step - width) / 2).toFixed(2)}" y="${(bottom - height).toFixed(2)}" width="${width.toFixed(2)}" height="${height.toFixed(2)}" fill="#1565c0"><title>${escapeHtml(p.label)}</title></rect>`;
+  });
+  return chartSvg(title, scale, bars.join('\n'), { max, format: formatTick });
+}
+
+/**
+ * Line chart through one point per epoch, with a marker per point.
+ *
+ * @param {string} title - Chart title.
+ * @param {Object} scale - epochScale() result.
+ * @param {Array<{epoch: number, value: number, label: string}>} points - Values per epoch (label shown on hover).
+ * @param {Function} formatTick - Y tick label formatter.
+ * @param {string} color - Line color.
+ * @returns {string} SVG markup.
+ */
+function lineChart(title, scale, points, formatTick, color) {
+  const bottom = CHART_HEIGHT - MARGIN.bottom;
+  const max = Math.max(...points.map(p => p.value), 0) || 1;
+  const coords = points.map(p => [scale.x(p.epoch) + scale.step / 2, bottom - (bottom - MARGIN.top) * (p.value / max)]);
+  const line = coords.length > 0
+    ? `<polyline points="${coords.map(([x, y]) => `${x.toFixed(2)},${y.toFixed(2)}`).join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>`
+    : '';
+  const markers = coords.map(([x, y], i) => `<circle cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="2" fill="${color}"><title>${escapeHtml(points[i].label)}</title></circle>`);
+  return chartSvg(title, scale, [line, ...markers].join('\n'), { max, format: formatTick });
+}
+
+/**
+ * Strip with one cell per processed epoch, colored by epoch status, so reward gaps stand out.
+ *
+ * @param {Object} scale - epochScale() result.
+ * @param {Array<{epoch: number, status: string}>} epochStatuses - Status of every processed epoch.
+ * @returns {string} SVG markup.
+ */
+function statusStrip(scale, epochStatuses) {
+  const height = 64;
+  const cells = epochStatuses.map(({ epoch, status }) => `<rect x="${scale.x(epoch).toFixed(2)}" y="${MARGIN.top}" width="${Math.max(scale.step, 1).toFixed(2)}" height="${height - MARGIN.top - MARGIN.bottom}" fill="${STATUS_COLORS[status] || '#000000'}"><title>Epoch ${epoch}: ${escapeHtml(status)}</title></rect>`);
+  return chartSvg('Epoch status', scale, cells.join('\n'), null, height);
+}
+
+/**
+ * Builds the HTML report document for one validator.
+ *
+ * @param {Object} validator - Validator entry of the fetchValidatorRewards result (see validatorRewards.js):
+ *   `votePubkey`, `range`, aggregated `rewards`, `epochStatuses` and `summary` (see rewardSummary.js).
+ * @param {number} currentEpoch - Current chain epoch.
+ * @returns {string} HTML document.
+ */
+export function buildHtmlReport(validator, currentEpoch) {
+  const { votePubkey, range, rewards, epochStatuses, summary } = validator;
+  const scale = epochScale(range.firstEpoch, range.lastEpoch);
+  const formatTick = decimals => value => value.toFixed(decimals);
+  const gaps = epochStatuses.filter(e => e.status !== EPOCH_STATUS.REWARDED);
+
+  const perEpoch = epochStatuses.map(({ epoch, reward }) => ({
+    epoch,
+    value: reward ? toPlotValue(reward.lamports, XNT_DECIMALS) : 0,
+    label: `Epoch ${epoch}: ${reward ? formatXnt(reward.lamports) : '0'} XNT`
+  }));
+  const cumulativeXnt = rewards.map(r => ({
+    epoch: r.epoch,
+    value: toPlotValue(r.cumulativeLamports, XNT_DECIMALS),
+    label: `Epoch ${r.epoch}: ${formatXnt(r.cumulativeLamports)} XNT`
+  }));
+  const cumulativeUsd = rewards.map(r => ({
+    epoch: r.epoch,
+    value: toPlotValue(r.cumulativeValueUsd, USD_VALUE_DECIMALS),
+    label: `Epoch ${r.epoch}: $${formatUsd(r.cumulativeValueUsd)}`
+  }));
+
+  const rows = summaryRows(summary).map(({ label, value, level }) => (value === null
+    ? `<tr class="heading level-${level}"><td class="label" colspan="2">${escapeHtml(label)}</td></tr>`
+    : `<tr class="level-${level}"><td class="label">${escapeHtml(label)}</td><td class="value">${escapeHtml(value)}</td></tr>`));
+  const legend = Object.entries(summary.statusCounts || {})
+    .map(([status, count]) => `<span style="background:${STATUS_COLORS[status]}"></span>${escapeHtml(EPOCH_STATUS_LABELS[status])}: ${count}`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>XNT rewards – ${escapeHtml(votePubkey)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>XNT validator rewards</h1>
+<p class="meta">Vote account <code>${escapeHtml(votePubkey)}</code> · epochs ${range.firstEpoch}–${range.lastEpoch} (current epoch ${currentEpoch}) · generated ${escapeHtml(new Date().toISOString())}</p>
+
+<h2>Summary</h2>
+<table>
+${rows.join('\n')}
+</table>
+
+<h2>XNT per epoch</h2>
+${barChart('XNT per epoch', scale, perEpoch, formatTick(3))}
+
+<h2>Cumulative XNT</h2>
+${lineChart('Cumulative XNT', scale, cumulativeXnt, formatTick(2), '#1565c0')}
+
+<h2>Cumulative USD</h2>
+${lineChart('Cumulative USD', scale, cumulativeUsd, formatTick(2), '#2e7d32')}
+
+<h2>Reward gaps (${gaps.length} of ${epochStatuses.length} epochs without reward)</h2>
+${statusStrip(scale, epochStatuses)}
+<p class="legend">${legend}</p>
+${gaps.length > 0 ? `<p class="legend">Epochs without reward: ${gaps.map(g => `${g.epoch} (${escapeHtml(g.status)})`).join(', ')}</p>` : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes the HTML report for one validator.
+ *
+ * @param {Object} validator - Validator entry of the fetchValidatorRewards result (see buildHtmlReport).
+ * @param {number} currentEpoch - Current chain epoch.
+ * @param {string} [htmlPath='xnt_rewards_report.html'] - Path to the HTML file.
+ */
+export function writeHtmlReport(validator, currentEpoch, htmlPath = 'xnt_rewards_report.html') {
+  fs.writeFileSync(htmlPath, buildHtmlReport(validator, currentEpoch), 'utf8');
+  console.log(`HTML report written to: ${htmlPath}`);
+}
@@ -1,96 +1,492 @@
 /**
  * @fileoverview
  * Module for exporting full data as JSON file when --json flag is set.
- * Now also exports a separate analytics JSON mirroring xnt_rewards_analytics.csv.
+ * Now also exports a separate analytics JSON mirroring xnt_rewards_analytics.csv,
+ * a combined portfolio JSON for multi-validator runs, and the delegator reward JSON (--delegators).
+ * The JSON documents are built by buildFullJson() and buildAnalyticsJson(), which rewardServer.js also serves.
  */
 
 import fs from 'fs';
-import moment from 'moment';
+import { buildPortfolioRows, portfolioTotalsIn } from './portfolio.js';
+import { EPOCH_STATUS, EPOCH_STATUS_LABELS } from './epochStatus.js';
+import { formatXnt, formatPrice, formatUsd } from './amounts.js';
+import { BASE_CURRENCY, valuesIn } from './fxRates.js';
 
 /**
- * Writes full data as JSON files if exportJson is true.
+ * Formats an average lamport amount ('N/A' when not computable).
+ *
+ * @param {bigint|null} lamports - Average in lamports.
+ * @returns {string} XNT amount or 'N/A'.
+ */
+function formatAverage(lamports) {
+  return lamports !== null ? formatXnt(lamports) : 'N/A';
+}
+
+/**
+ * Formats an optional value (null when unknown).
+ *
+ * @param {bigint|null|undefined} value - Scaled value (see amounts.js).
+ * @returns {string|null} Formatted value or null.
+ */
+function formatValue(value) {
+  return value === null || value === undefined ? null : formatUsd(value);
+}
+
+/**
+ * Returns one amount per report currency, keyed `${prefix}${currency}${suffix}` (e.g. grossEUR).
+ *
+ * @param {Array<string>} currencies - Currency codes.
+ * @param {string} prefix - Key before the currency code.
+ * @param {Function} amount - Formatted amount for a currency.
+ * @param {string} [suffix=''] - Key after the currency code.
+ * @returns {Object} Keyed amounts.
+ */
+function keyedByCurrency(currencies, prefix, amount, suffix = '') {
+  return Object.fromEntries(currencies.map(currency => [`${prefix}${currency}${suffix}`, amount(currency)]));
+}
+
+/**
+ * Formats one epoch's leader block income for the full JSON (see fetchRewardsForEpochs in validatorRewards.js),
+ * valued in each report currency (`valueUSD`, `valueEUR`).
+ *
+ * @param {Object} r - Reward or epoch status (the reward's, when it has one) carrying the `leaderIncome`.
+ * @param {Array<string>} currencies - Currency codes.
+ * @returns {Object|null} Formatted leader income ({ error } when it could not be fetched), or null when not fetched.
+ */
+function leaderIncomeJson(r, currencies) {
+  const income = r.leaderIncome;
+  if (!income) return null;
+  if (income.error) return { error: income.error };
+  return {
+    leaderSlots: income.leaderSlots,
+    blocksProduced: income.blocksProduced,
+    feeXNT: formatXnt(income.feeLamports),
+    rentXNT: formatXnt(income.rentLamports),
+    totalXNT: formatXnt(income.lamports),
+    lamports: income.lamports.toString(),
+    ...keyedByCurrency(currencies, 'value', currency => formatValue(valuesIn(r, currency).leaderIncome.valueUsd))
+  };
+}
+
+/**
+ * Formats one epoch's costs and net profit for the full JSON (see attachEpochCosts in validatorRewards.js), with
+ * the values in each report currency (`grossUSD`, `grossEUR`).
+ *
+ * @param {Object} r - Reward or epoch status (the reward's, when it has one) carrying the `costs`.
+ * @param {Array<string>} currencies - Currency codes.
+ * @returns {Object|null} Formatted costs (null amounts where the vote transaction count or price is missing), or
+ *   null when not computed.
+ */
+function costsJson(r, currencies) {
+  const { costs } = r;
+  if (!costs) return null;
+  const xnt = lamports => (lamports === null ? null : formatXnt(lamports));
+  const converted = Object.fromEntries(currencies.map(currency => [currency, valuesIn(r, currency).costs]));
+  const values = (prefix, field) => keyedByCurrency(currencies, prefix, currency => formatValue(converted[currency][field]));
+  return {
+    voteTransactions: costs.voteTransactions,
+    estimatedVoteFeeXNT: xnt(costs.voteFeeLamports),
+    ...values('estimatedVoteFee', 'voteFeeValueUsd'),
+    ...values('fixedCost', 'fixedCostUsd'),
+    fixedCostXNT: xnt(costs.fixedCostLamports),
+    grossXNT: xnt(costs.grossLamports),
+    ...values('gross', 'grossValueUsd'),
+    estimatedCostXNT: xnt(costs.costLamports),
+    ...values('estimatedCost', 'costValueUsd'),
+    estimatedNetProfitXNT: xnt(costs.netLamports),
+    ...values('estimatedNetProfit', 'netValueUsd')
+  };
+}
+
+/**
+ * Total value of rows carrying running totals (rewards or epoch totals) in one currency: the last row's.
+ *
+ * @param {Array<Object>} rows - Rows (oldest → newest).
+ * @param {string} currency - Currency code.
+ * @returns {bigint} Total value.
+ */
+function totalValueIn(rows, currency) {
+  return rows.length > 0 ? valuesIn(rows[rows.length - 1], currency).cumulativeValue : 0n;
+}
+
+/**
+ * Formats a reward's price and values in the report currencies for the full JSON, keyed by currency
+ * (`priceEUR`, `valueEUR`, `cumulativeEUR`, plus `fxRateEUR` for currencies other than USD). The price source
+ * follows the first currency's price.
+ *
+ * @param {Object} r - Aggregated reward or epoch row.
+ * @param {Array<string>} currencies - Currency codes (see parseCurrencies in fxRates.js).
+ * @returns {Object} Price and value fields.
+ */
+function currencyValuesJson(r, currencies) {
+  return Object.assign({}, ...currencies.map((currency, index) => {
+    const { fxRate, priceMicros, value, cumulativeValue } = valuesIn(r, currency);
+    return {
+      ...(currency !== BASE_CURRENCY ? { [`fxRate${currency}`]: fxRate } : {}),
+      [`price${currency}`]: formatPrice(priceMicros),
+      ...(index === 0 ? { priceSource: r.priceSource } : {}),
+      [`value${currency}`]: formatUsd(value),
+      [`cumulative${currency}`]: formatUsd(cumulativeValue)
+    };
+  }));
+}
+
+/**
+ * Builds the full data JSON document (xnt_rewards.json): metadata, summary, performance, RPC cross-check (when
+ * enabled), rewards and epoch statuses. With leader income or cost accounting, the summary, rewards and epochs
+ * include it. Reward prices and values, and the leader income and cost values, are keyed by the report currencies
+ * (see currencyValuesJson).
  *
- * @param {Array} rewards - Array of reward objects.
- * @param {number} totalEpochsProcessed - Total epochs queried.
- * @param {number} failedEpochs - Total failed queries.
- * @param {number} lowEpochFailures - Failed queries in early epochs (<=15).
- * @param {number} unexpectedFailures - Failed queries outside early range.
- * @param {number} expectedEpochs - Epochs expected to be queryable (processed - low failures).
+ * @param {Object} validator - Validator entry of the fetchValidatorRewards result (see validatorRewards.js):
+ *   aggregated `rewards`, `epochStatuses`, `range`, `activationEpoch`, `summary` (see rewardSummary.js),
+ *   `performance` (see performance.js) and `crossCheck`.
  * @param {number} currentEpoch - Current chain epoch.
- * @param {number} activationEpoch - Approx activation epoch.
- * @param {boolean} exportJson - Whether to write JSON (from --json flag).
+ * @returns {Object} JSON document.
  */
-export function writeJsonExport(rewards, totalEpochsProcessed, failedEpochs, lowEpochFailures, unexpectedFailures, expectedEpochs, currentEpoch, activationEpoch, exportJson) {
-  if (!exportJson) return;
+export function buildFullJson(validator, currentEpoch) {
+  const { rewards, range = null, activationEpoch, summary, performance = null } = validator;
+  const { currencies = [BASE_CURRENCY] } = validator;
+  const { commission, statusCounts, yield: yieldSummary, leaderIncome, costs, currencyTotals } = summary;
+  const firstDate = summary.firstDate ?? 'N/A';
+  const lastDate = summary.lastDate ?? 'N/A';
+  const epochStatuses = validator.epochStatuses.map(e => ({
+    epoch: e.epoch,
+    status: e.status,
+    ...(e.error ? { error: e.error } : {}),
+    ...(e.leaderIncome ? { leaderIncome: leaderIncomeJson(e.reward ?? e, currencies) } : {}),
+    ...(e.costs ? { costs: costsJson(e.reward ?? e, currencies) } : {})
+  }));
+  const totalsIn = (prefix, amount, suffix = '') => keyedByCurrency(currencies, prefix, currency => formatUsd(amount(currencyTotals[currency])), suffix);
 
-  const firstDate = rewards.length > 0 ? moment(rewards[0].rewardDate).startOf('day').format('YYYY-MM-DD') : 'N/A';
-  const lastDate = rewards.length > 0 ? moment(rewards[rewards.length - 1].rewardDate).startOf('day').format('YYYY-MM-DD') : 'N/A';
-  const days = rewards.length > 0 ? moment(lastDate).diff(firstDate, 'days') + 1 : 0;
-  const totalXNT = rewards.reduce((sum, r) => sum + parseFloat(r.xntAmount), 0);
-  const avgDaily = days > 0 ? (totalXNT / days).toFixed(6) : 'N/A';
-  const totalEpochsWithRewards = rewards.length;
-  const percentageWithRewards = totalEpochsProcessed > 0 ? ((totalEpochsWithRewards / totalEpochsProcessed) * 100).toFixed(2) : '0.00';
-  const percentageExpectedWithRewards = expectedEpochs > 0 ? ((totalEpochsWithRewards / expectedEpochs) * 100).toFixed(2) : '0.00';
-  const avgPerEpoch = totalEpochsWithRewards > 0 ? (totalXNT / totalEpochsWithRewards).toFixed(6) : 'N/A';
-
-  // 1. Full data JSON (xnt_rewards.json) - same as before
-  const fullJsonData = {
+  return {
     metadata: {
       generatedAt: new Date().toISOString(),
       currentEpoch,
       activationEpochApprox: activationEpoch,
-      totalEpochsProcessed,
-      failedEpochs,
-      lowEpochFailures,
-      unexpectedFailures,
-      expectedEpochs,
-      epochsWithRewards: totalEpochsWithRewards,
-      percentageWithRewards,
-      percentageExpectedWithRewards
+      firstEpoch: range ? range.firstEpoch : null,
+      lastEpoch: range ? range.lastEpoch : null,
+      totalEpochsProcessed: summary.totalEpochsProcessed,
+      failedEpochs: summary.failedEpochs,
+      lowEpochFailures: summary.lowEpochFailures,
+      unexpectedFailures: summary.unexpectedFailures,
+      expectedEpochs: summary.expectedEpochs,
+      epochsWithRewards: summary.epochsWithRewards,
+      percentageWithRewards: summary.percentageWithRewards,
+      percentageExpectedWithRewards: summary.percentageExpectedWithRewards,
+      currencies
     },
     summary: {
       dateRangeApprox: `${firstDate} to ${lastDate}`,
-      daysCovered: days,
-      totalXNTEarned: totalXNT.toFixed(6),
-      averageDailyXNT: avgDaily,
-      averagePerEpochXNT: avgPerEpoch,
-      percentageOfExpectedEpochsWithRewards: percentageExpectedWithRewards + '% (accounts for early chain rollback)',
-      unexpectedFailedEpochQueries: unexpectedFailures + ' (outside expected early range)',
-      failedEpochQueriesDueToRollback: failedEpochs,
-      earlyEpochFailuresExpectedFromRollback: lowEpochFailures
+      daysCovered: summary.days,
+      totalXNTEarned: formatXnt(summary.totalLamports),
+      totalLamportsEarned: summary.totalLamports.toString(),
+      ...Object.fromEntries(summary.currencies.map(currency => [`total${currency}Value`, formatUsd(summary.valueByCurrency[currency])])),
+      averageDailyXNT: formatAverage(summary.averageDailyLamports),
+      averagePerEpochXNT: formatAverage(summary.averagePerEpochLamports),
+      percentageOfExpectedEpochsWithRewards: summary.percentageExpectedWithRewards + '% (accounts for early chain rollback)',
+      unexpectedFailedEpochQueries: summary.unexpectedFailures + ' (outside expected early range)',
+      failedEpochQueriesDueToRollback: summary.failedEpochs,
+      earlyEpochFailuresExpectedFromRollback: summary.lowEpochFailures,
+      rewardsPricedFromPool: summary.priceSources.pool,
+      rewardsPricedFromPriceFile: summary.priceSources.file,
+      rewardsPricedWithFallback: summary.priceSources.fallback,
+      epochsByStatus: statusCounts,
+      latestCommission: commission.latest,
+      weightedAverageCommission: commission.weightedAverage,
+      commissionChanges: commission.changes,
+      voteCreditEfficiency: performance ? performance.overallEfficiency : 'N/A',
+      delegatorYield: yieldSummary,
+      ...(leaderIncome
+        ? {
+          leaderIncome: {
+            identity: leaderIncome.identity,
+            epochs: leaderIncome.epochs,
+            failedEpochs: leaderIncome.failedEpochs,
+            leaderSlots: leaderIncome.leaderSlots,
+            blocksProduced: leaderIncome.blocksProduced,
+            skippedSlots: leaderIncome.skippedSlots,
+            feeXNT: formatXnt(leaderIncome.feeLamports),
+            rentXNT: formatXnt(leaderIncome.rentLamports),
+            totalXNT: formatXnt(leaderIncome.lamports),
+            totalLamports: leaderIncome.lamports.toString(),
+            ...totalsIn('total', totals => totals.leaderIncome.valueUsd, 'Value')
+          },
+          totalEarningsXNT: formatXnt(summary.totalEarnings.lamports),
+          ...totalsIn('totalEarnings', totals => totals.totalEarnings.valueUsd, 'Value')
+        }
+        : {}),
+      ...(costs
+        ? {
+          costs: {
+            epochs: costs.epochs,
+            epochsWithoutVoteData: costs.epochsWithoutVoteData,
+            epochsWithoutPrice: costs.epochsWithoutPrice,
+            voteTransactions: costs.voteTransactions,
+            estimatedVoteFeeXNT: formatXnt(costs.voteFeeLamports),
+            ...totalsIn('estimatedVoteFee', totals => totals.costs.voteFeeValueUsd),
+            ...totalsIn('fixedCost', totals => totals.costs.fixedCostUsd),
+            grossXNT: formatXnt(costs.grossLamports),
+            ...totalsIn('gross', totals => totals.costs.grossValueUsd),
+            estimatedCostXNT: formatXnt(costs.costLamports),
+            ...totalsIn('estimatedCost', totals => totals.costs.costValueUsd),
+            estimatedNetProfitXNT: formatXnt(costs.netLamports),
+            ...totalsIn('estimatedNetProfit', totals => totals.costs.netValueUsd)
+          }
+        }
+        : {})
     },
+    performance,
+    ...(validator.crossCheck ? { crossCheck: validator.crossCheck } : {}),
     rewards: rewards.map(r => ({
       epoch: r.epoch,
       rewardDate: r.rewardDate,
-      xntAmount: r.xntAmount,
-      cumulativeXNT: r.cumulativeXNT || 'N/A',
-      priceUSD: r.priceUSD,
-      valueUSD: r.valueUSD,
-      cumulativeUSD: r.cumulativeUSD || 'N/A'
-    }))
+      epochStart: r.epochStart || null,
+      epochEnd: r.epochEnd || null,
+      lamports: r.lamports.toString(),
+      xntAmount: formatXnt(r.lamports),
+      cumulativeXNT: formatXnt(r.cumulativeLamports),
+      ...currencyValuesJson(r, currencies),
+      commission: r.commission ?? null,
+      activatedStake: r.activatedStakeLamports !== null && r.activatedStakeLamports !== undefined ? formatXnt(r.activatedStakeLamports) : 'N/A',
+      stakeSource: r.stakeSource ?? 'N/A',
+      epochYield: r.epochYield ?? 'N/A',
+      apr10: r.apr10 ?? 'N/A',
+      apr30: r.apr30 ?? 'N/A',
+      status: r.status || EPOCH_STATUS.REWARDED,
+      ...(r.leaderIncome ? { leaderIncome: leaderIncomeJson(r, currencies) } : {}),
+      ...(r.costs ? { costs: costsJson(r, currencies) } : {})
+    })),
+    epochs: epochStatuses
   };
+}
 
-  const fullJsonPath = 'xnt_rewards.json';
-  fs.writeFileSync(fullJsonPath, JSON.stringify(fullJsonData, null, 2) + '\n');
-  console.log(`Full JSON export written to: ${fullJsonPath}`);
+/**
+ * Builds the analytics JSON document (xnt_rewards_analytics.json), an exact mirror of the analytics CSV.
+ *
+ * @param {Object} validator - Validator entry of the fetchValidatorRewards result (see buildFullJson).
+ * @returns {Array<Object>} One { Metric, Value } entry per metric, then the commission changes and worst epochs.
+ */
+export function buildAnalyticsJson(validator) {
+  const { summary, performance = null } = validator;
+  const { commission, yield: yieldSummary, leaderIncome, costs, currencies, currencyTotals } = summary;
+  const firstDate = summary.firstDate ?? 'N/A';
+  const lastDate = summary.lastDate ?? 'N/A';
+  const perCurrency = (metric, amount) => currencies.map(currency => ({ Metric: `${metric} (${currency})`, Value: formatUsd(amount(currencyTotals[currency])) }));
 
-  // 2. Analytics-only JSON (xnt_rewards_analytics.json) - exact mirror of CSV
-  const analyticsData = [
+  return [
     { Metric: 'Final Date Range (approx)', Value: `${firstDate} to ${lastDate}` },
-    { Metric: 'Days Covered', Value: days },
-    { Metric: 'Total XNT Earned', Value: totalXNT.toFixed(6) },
-    { Metric: 'Average $XNT Earned Per Day', Value: avgDaily },
-    { Metric: 'Total Epochs Processed', Value: totalEpochsProcessed },
-    { Metric: 'Total Epochs with Rewards', Value: totalEpochsWithRewards },
-    { Metric: 'Percentage of Epochs with Rewards', Value: percentageWithRewards },
-    { Metric: 'Percentage of Expected Epochs with Rewards (accounts for early chain rollback)', Value: percentageExpectedWithRewards },
-    { Metric: 'Average $XNT Per Epoch', Value: avgPerEpoch },
-    { Metric: 'Unexpected Failed Epoch Queries', Value: unexpectedFailures },
-    { Metric: 'Failed Epoch Queries (due to early X1 chain roll-back - see Unexpected failed epoch queries)', Value: failedEpochs },
-    { Metric: 'Early Epoch Failures (expected from rollback)', Value: lowEpochFailures }
+    { Metric: 'Days Covered', Value: summary.days },
+    { Metric: 'Total XNT Earned', Value: formatXnt(summary.totalLamports) },
+    ...summary.currencies.map(currency => ({ Metric: `Total Value (${currency})`, Value: formatUsd(summary.valueByCurrency[currency]) })),
+    ...(leaderIncome ? [
+      { Metric: 'Leader Identity (current nodePubkey; epochs before an identity change are not covered)', Value: leaderIncome.identity ?? 'N/A' },
+      { Metric: 'Leader Slots', Value: leaderIncome.leaderSlots },
+      { Metric: 'Blocks Produced', Value: leaderIncome.blocksProduced },
+      { Metric: 'Skipped Leader Slots', Value: leaderIncome.skippedSlots },
+      { Metric: 'Block Fees (XNT)', Value: formatXnt(leaderIncome.feeLamports) },
+      { Metric: 'Block Rent (XNT)', Value: formatXnt(leaderIncome.rentLamports) },
+      { Metric: 'Leader Block Income (XNT)', Value: formatXnt(leaderIncome.lamports) },
+      ...perCurrency('Leader Block Income Value', totals => totals.leaderIncome.valueUsd),
+      { Metric: 'Epochs without Leader Data', Value: leaderIncome.failedEpochs },
+      { Metric: 'Total Earnings (XNT, rewards + block income)', Value: formatXnt(summary.totalEarnings.lamports) },
+      ...perCurrency('Total Earnings Value', totals => totals.totalEarnings.valueUsd)
+    ] : []),
+    ...(costs ? [
+      { Metric: 'Gross Earnings (XNT)', Value: formatXnt(costs.grossLamports) },
+      ...perCurrency('Gross Earnings', totals => totals.costs.grossValueUsd),
+      { Metric: 'Vote Transactions', Value: costs.voteTransactions },
+      { Metric: 'Estimated Vote Transaction Fees (XNT)', Value: formatXnt(costs.voteFeeLamports) },
+      ...perCurrency('Estimated Vote Transaction Fees', totals => totals.costs.voteFeeValueUsd),
+      ...perCurrency('Fixed Operating Costs', totals => totals.costs.fixedCostUsd),
+      { Metric: 'Estimated Total Costs (XNT)', Value: formatXnt(costs.costLamports) },
+      ...perCurrency('Estimated Total Costs', totals => totals.costs.costValueUsd),
+      { Metric: 'Estimated Net Profit (XNT)', Value: formatXnt(costs.netLamports) },
+      ...perCurrency('Estimated Net Profit', totals => totals.costs.netValueUsd),
+      { Metric: 'Epochs without Vote Fee Data', Value: costs.epochsWithoutVoteData },
+      { Metric: 'Epochs without Price for Cost Conversion', Value: costs.epochsWithoutPrice }
+    ] : []),
+    { Metric: 'Average $XNT Earned Per Day', Value: formatAverage(summary.averageDailyLamports) },
+    { Metric: 'Total Epochs Processed', Value: summary.totalEpochsProcessed },
+    { Metric: 'Total Epochs with Rewards', Value: summary.epochsWithRewards },
+    { Metric: 'Percentage of Epochs with Rewards', Value: summary.percentageWithRewards },
+    { Metric: 'Percentage of Expected Epochs with Rewards (accounts for early chain rollback)', Value: summary.percentageExpectedWithRewards },
+    { Metric: 'Average $XNT Per Epoch', Value: formatAverage(summary.averagePerEpochLamports) },
+    { Metric: 'Unexpected Failed Epoch Queries', Value: summary.unexpectedFailures },
+    { Metric: 'Failed Epoch Queries (due to early X1 chain roll-back - see Unexpected failed epoch queries)', Value: summary.failedEpochs },
+    { Metric: 'Early Epoch Failures (expected from rollback)', Value: summary.lowEpochFailures },
+    { Metric: 'Rewards Priced from Liquidity Pool', Value: summary.priceSources.pool },
+    { Metric: 'Rewards Priced from Price File', Value: summary.priceSources.file },
+    { Metric: 'Rewards Priced with Fallback', Value: summary.priceSources.fallback },
+    ...Object.entries(summary.statusCounts || {}).map(([status, count]) => ({ Metric: `${EPOCH_STATUS_LABELS[status]} (${status})`, Value: count })),
+    { Metric: 'Latest Commission (%)', Value: commission.latest ?? 'N/A' },
+    { Metric: 'Weighted Average Commission (%, by reward)', Value: commission.weightedAverage },
+    { Metric: 'Commission Changes', Value: commission.changes.length },
+    { Metric: 'Latest Activated Stake (XNT)', Value: yieldSummary.latestActivatedStake },
+    { Metric: 'Average Activated Stake (XNT)', Value: yieldSummary.averageActivatedStake },
+    { Metric: 'Epochs with Recorded Stake', Value: yieldSummary.stakeSnapshots },
+    { Metric: 'Epochs with Stake Estimated from Current Stake', Value: yieldSummary.stakeEstimates },
+    { Metric: 'Epochs per Year (measured)', Value: yieldSummary.epochsPerYear },
+    { Metric: 'Delegator APR, Last 10 Epochs (%)', Value: yieldSummary.apr10 },
+    { Metric: 'Delegator APR, Last 30 Epochs (%)', Value: yieldSummary.apr30 },
+    { Metric: 'Delegator APY (%, compounded 30-epoch yield)', Value: yieldSummary.apy },
+    ...(performance ? [
+      { Metric: 'Vote Credit Efficiency (% of cluster median)', Value: performance.overallEfficiency },
+      { Metric: 'Epochs with Vote Credit History', Value: performance.epochs.length }
+    ] : []),
+    ...commission.changes.map(c => ({
+      Metric: 'Commission Change',
+      'Commission Change Epoch': c.epoch,
+      'Old Commission (%)': c.oldCommission,
+      'New Commission (%)': c.newCommission
+    })),
+    ...(performance?.worstEpochs || []).map(e => ({
+      Metric: 'Worst Performing Epoch',
+      'Worst Performing Epoch': e.epoch,
+      'Earned Vote Credits': e.earnedCredits,
+      'Cluster Median Credits': e.clusterMedianCredits,
+      'Credit Efficiency (%)': e.efficiency
+    }))
   ];
+}
+
+/**
+ * Writes full data as JSON files if exportJson is true.
+ *
+ * @param {Object} validator - Validator entry of the fetchValidatorRewards result (see buildFullJson).
+ * @param {number} currentEpoch - Current chain epoch.
+ * @param {boolean} exportJson - Whether to write JSON (from --json flag).
+ * @param {Object} [outputPaths] - Output file paths.
+ * @param {string} [outputPaths.fullJsonPath='xnt_rewards.json'] - Path to full data JSON.
+ * @param {string} [outputPaths.analyticsJsonPath='xnt_rewards_analytics.json'] - Path to analytics JSON.
+ */
+export function writeJsonExport(validator, currentEpoch, exportJson, outputPaths = {}) {
+  if (!exportJson) return;
+
+  const { fullJsonPath = 'xnt_rewards.json', analyticsJsonPath = 'xnt_rewards_analytics.json' } = outputPaths;
+
+  // 1. Full data JSON (xnt_rewards.json)
+  fs.writeFileSync(fullJsonPath, JSON.stringify(buildFullJson(validator, currentEpoch), null, 2) + '\n');
+  console.log(`Full JSON export written to: ${fullJsonPath}`);
+
+  // 2. Analytics-only JSON (xnt_rewards_analytics.json) - exact mirror of CSV
+  const analyticsData = buildAnalyticsJson(validator);
 
-  const analyticsJsonPath = 'xnt_rewards_analytics.json';
   fs.writeFileSync(analyticsJsonPath, JSON.stringify(analyticsData, null, 2) + '\n');
   console.log(`Analytics JSON export written to: ${analyticsJsonPath}`);
 }
+
+/**
+ * Writes the combined portfolio JSON for several vote accounts if exportJson is true, with the values keyed by
+ * report currency (`valueEUR`, `cumulativeEUR`).
+ *
+ * @param {Array<{votePubkey: string, rewards: Array, currencies: Array<string>}>} validators - Aggregated rewards
+ *   per vote account, and the report currencies (see fetchValidatorRewards in validatorRewards.js).
+ * @param {number} currentEpoch - Current chain epoch.
+ * @param {boolean} exportJson - Whether to write JSON (from --json flag).
+ * @param {string} [portfolioJsonPath='xnt_rewards_portfolio.json'] - Path to portfolio JSON.
+ */
+export function writePortfolioJson(validators, currentEpoch, exportJson, portfolioJsonPath = 'xnt_rewards_portfolio.json') {
+  if (!exportJson) return;
+
+  const currencies = validators[0]?.currencies ?? [BASE_CURRENCY];
+  const rows = buildPortfolioRows(validators, currencies);
+  const last = rows[rows.length - 1];
+
+  const portfolioData = {
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      currentEpoch,
+      voteAccounts: validators.map(v => v.votePubkey)
+    },
+    summary: {
+      totalXNTEarned: formatXnt(last ? last.cumulativeLamports : 0n),
+      ...keyedByCurrency(currencies, 'total', currency => formatUsd(last ? portfolioTotalsIn(last, currency).cumulativeValue : 0n), 'Value'),
+      perValidator: Object.fromEntries(validators.map(({ votePubkey, rewards }) => [votePubkey, {
+        epochsWithRewards: rewards.length,
+        totalXNTEarned: formatXnt(last ? last.validators[votePubkey].cumulativeLamports : 0n),
+        ...keyedByCurrency(currencies, 'total', currency => formatUsd(last ? valuesIn(last.validators[votePubkey], currency).cumulativeValue : 0n), 'Value')
+      }]))
+    },
+    epochs: rows.map(r => ({
+      epoch: r.epoch,
+      rewardDate: r.rewardDate,
+      validators: Object.fromEntries(Object.entries(r.validators).map(([votePubkey, v]) => [votePubkey, {
+        xntAmount: formatXnt(v.lamports),
+        ...keyedByCurrency(currencies, 'value', currency => formatUsd(valuesIn(v, currency).value)),
+        cumulativeXNT: formatXnt(v.cumulativeLamports),
+        ...keyedByCurrency(currencies, 'cumulative', currency => formatUsd(valuesIn(v, currency).cumulativeValue))
+      }])),
+      totalXNT: formatXnt(r.totalLamports),
+      ...keyedByCurrency(currencies, 'total', currency => formatUsd(portfolioTotalsIn(r, currency).value)),
+      cumulativeXNT: formatXnt(r.cumulativeLamports),
+      ...keyedByCurrency(currencies, 'cumulative', currency => formatUsd(portfolioTotalsIn(r, currency).cumulativeValue))
+    }))
+  };
+
+  fs.writeFileSync(portfolioJsonPath, JSON.stringify(portfolioData, null, 2) + '\n');
+  console.log(`Portfolio JSON export written to: ${portfolioJsonPath}`);
+}
+
+/**
+ * Writes the delegator reward JSON (--delegators) if exportJson is true: every stake account delegated to the
+ * vote account with its per-epoch rewards, and the per-epoch totals paid to delegators, with the prices and values
+ * keyed by report currency like the full JSON.
+ *
+ * @param {Object} result - fetchDelegatorRewards result (see delegatorRewards.js).
+ * @param {boolean} exportJson - Whether to write JSON (from --json flag).
+ * @param {string} delegatorJsonPath - Path to the delegator reward JSON.
+ */
+export function writeDelegatorJson(result, exportJson, delegatorJsonPath) {
+  if (!exportJson) return;
+
+  const { currencies = [BASE_CURRENCY] } = result;
+  const delegatorData = {
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      currentEpoch: result.currentEpoch,
+      votePubkey: result.votePubkey,
+      firstEpoch: result.range.firstEpoch,
+      lastEpoch: result.range.lastEpoch,
+      stakeAccounts: result.delegators.length,
+      failedEpochs: result.failedEpochs
+    },
+    summary: {
+      totalXNTPaidToDelegators: formatXnt(result.totalLamports),
+      ...keyedByCurrency(currencies, 'total', currency => formatUsd(totalValueIn(result.epochTotals, currency)), 'Value')
+    },
+    delegators: result.delegators.map(d => ({
+      stakePubkey: d.stakePubkey,
+      staker: d.staker,
+      withdrawer: d.withdrawer,
+      delegatedStakeXNT: formatXnt(d.stakeLamports),
+      activationEpoch: d.activationEpoch,
+      deactivationEpoch: d.deactivationEpoch,
+      totalXNT: formatXnt(d.totalLamports),
+      ...keyedByCurrency(currencies, 'total', currency => formatUsd(totalValueIn(d.rewards, currency))),
+      failedEpochs: d.failedEpochs,
+      rewards: d.rewards.map(r => ({
+        epoch: r.epoch,
+        rewardDate: r.rewardDate,
+        effectiveSlot: r.effectiveSlot,
+        lamports: r.lamports.toString(),
+        xntAmount: formatXnt(r.lamports),
+        cumulativeXNT: formatXnt(r.cumulativeLamports),
+        ...currencyValuesJson(r, currencies),
+        postBalanceXNT: r.postBalanceLamports !== null ? formatXnt(r.postBalanceLamports) : null,
+        commission: r.commission
+      }))
+    })),
+    epochTotals: result.epochTotals.map(t => ({
+      epoch: t.epoch,
+      rewardDate: t.rewardDate,
+      delegatorsRewarded: t.delegatorCount,
+      xntAmount: formatXnt(t.lamports),
+      cumulativeXNT: formatXnt(t.cumulativeLamports),
+      ...keyedByCurrency(currencies, 'value', currency => formatUsd(valuesIn(t, currency).value)),
+      ...keyedByCurrency(currencies, 'cumulative', currency => formatUsd(valuesIn(t, currency).cumulativeValue))
+    }))
+  };
+
+  fs.writeFileSync(delegatorJsonPath, JSON.stringify(delegatorData, null, 2) + '\n');
+  console.log(`Delegator JSON export written to: ${delegatorJsonPath}`);
+}
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview
+ * Leader block income: the transaction fee and rent rewards credited to a validator's identity account in the
+ * blocks it produced as leader, summed per epoch. Inflation rewards go to the vote account (validatorRewards.js);
+ * this is the validator's other income stream.
+ *
+ * The identity's leader slots come from the epoch's leader schedule; each slot's block is fetched with its
+ * rewards only (no transactions), and the 'Fee' and 'Rent' rewards paid to the identity are added up. Skipped
+ * leader slots produce no block and no income. The RPC only keeps leader schedules for recent epochs: older
+ * epochs fail with an error rather than reporting zero income.
+ *
+ * The identity is the vote account's current one (nodePubkey): the RPC keeps no history of a vote account's
+ * identities, so after an identity change the earlier epochs report the new identity's leader slots (usually
+ * none) and miss the old identity's income. The totals name the identity, and the analytics outputs flag it.
+ *
+ * Exports:
+ * - fetchLeaderSlots: Absolute slots an identity leads in an epoch.
+ * - fetchEpochLeaderIncome: An identity's block fee/rent income in one epoch.
+ * - leaderIncomeTotals: Totals of per-epoch leader income over a range.
+ */
+
+import { SolanaJSONRPCErrorCode } from '@solana/web3.js';
+import { toLamports } from './amounts.js';
+
+/** getBlock error codes of a leader slot without a block. */
+const SKIPPED_SLOT_CODES = new Set([
+  SolanaJSONRPCErrorCode.JSON_RPC_SERVER_ERROR_SLOT_SKIPPED,
+  SolanaJSONRPCErrorCode.JSON_RPC_SERVER_ERROR_LONG_TERM_STORAGE_SLOT_SKIPPED
+]);
+
+/**
+ * Sends one JSON-RPC request through the connection's fetch (see createConnection in validatorRewards.js), so it
+ * is throttled, retried, failed over and recorded like the Connection's own requests; connections created
+ * elsewhere use the global fetch.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {string} method - RPC method.
+ * @param {Array} params - RPC parameters.
+ * @returns {Promise<*>} The JSON-RPC result.
+ * @throws {Error} On HTTP, network or JSON-RPC errors.
+ */
+async function rpcRequest(connection, method, params) {
+  const rpcFetch = connection.rpcFetch ?? globalThis.fetch;
+  const res = await rpcFetch(connection.rpcEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const body = await res.json();
+  if (body.error) throw new Error(body.error.message ?? `RPC error ${body.error.code}`);
+  return body.result;
+}
+
+/**
+ * Fetches the absolute slots an identity leads in an epoch.
+ *
+ * Connection.getLeaderSchedule() only returns the current epoch's schedule, so the RPC method is called directly
+ * with the epoch's first slot and an identity filter.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {string} identity - Validator identity public key (base58).
+ * @param {number} epoch - Epoch number.
+ * @param {Object} epochTimes - Epoch-time lookups (see epochTimes.js).
+ * @returns {Promise<Array<number>>} Leader slots, ascending.
+ * @throws {Error} If the RPC fails or has no leader schedule for the epoch.
+ */
+export async function fetchLeaderSlots(connection, identity, epoch, epochTimes) {
+  const firstSlot = await epochTimes.firstSlot(epoch);
+  let schedule;
+  try {
+    schedule = await rpcRequest(connection, 'getLeaderSchedule', [firstSlot, { identity, commitment: 'confirmed' }]);
+  } catch (e) {
+    throw new Error(`failed to get leader schedule: ${e.message}`);
+  }
+  if (!schedule) throw new Error(`leader schedule for epoch ${epoch} is unavailable`);
+
+  return (schedule[identity] ?? []).map(index => firstSlot + index).sort((a, b) => a - b);
+}
+
+/**
+ * Fetches an identity's leader block income in one epoch.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {string} identity - Validator identity public key (base58).
+ * @param {number} epoch - Epoch number (completed).
+ * @param {Object} epochTimes - Epoch-time lookups (see epochTimes.js).
+ * @param {boolean} [verbose=false] - Whether to log the per-epoch result.
+ * @returns {Promise<{identity: string, leaderSlots: number, blocksProduced: number, feeLamports: bigint,
+ *   rentLamports: bigint, lamports: bigint}>} Leader slots, blocks produced in them, and the fee, rent and total
+ *   rewards credited to the identity (lamports).
+ * @throws {Error} If the leader schedule or a produced block cannot be fetched.
+ */
+export async function fetchEpochLeaderIncome(connection, identity, epoch, epochTimes, verbose = false) {
+  const slots = await fetchLeaderSlots(connection, identity, epoch, epochTimes);
+  let blocksProduced = 0;
+  let feeLamports = 0n;
+  let rentLamports = 0n;
+
+  for (const slot of slots) {
+    let block;
+    try {
+      block = await connection.getBlock(slot, { maxSupportedTransactionVersion: 0, transactionDetails: 'none', rewards: true });
+    } catch (e) {
+      if (SKIPPED_SLOT_CODES.has(e.code)) continue;
+      throw new Error(`failed to get block ${slot}: ${e.message}`);
+    }
+    if (!block) continue;
+
+    blocksProduced++;
+    for (const reward of block.rewards ?? []) {
+      if (reward.pubkey !== identity) continue;
+      if (reward.rewardType === 'Fee') feeLamports += toLamports(reward.lamports);
+      else if (reward.rewardType === 'Rent') rentLamports += toLamports(reward.lamports);
+    }
+  }
+
+  if (verbose) console.log(`Epoch ${epoch} leader income: ${blocksProduced}/${slots.length} blocks produced, ${feeLamports} fee + ${rentLamports} rent lamports`);
+  return { identity, leaderSlots: slots.length, blocksProduced, feeLamports, rentLamports, lamports: feeLamports + rentLamports };
+}
+
+/**
+ * Totals of per-epoch leader income over a range.
+ *
+ * @param {Array<Object|null>} epochIncomes - Per-epoch leader income (see fetchEpochLeaderIncome, with `error`
+ *   set when the epoch could not be fetched, and `valueUsd` when priced).
+ * @returns {{identity: string|null, epochs: number, failedEpochs: number, leaderSlots: number, blocksProduced: number,
+ *   skippedSlots: number, feeLamports: bigint, rentLamports: bigint, lamports: bigint, valueUsd: bigint}} Totals over
+ *   the fetched epochs, and the identity they were fetched for.
+ */
+export function leaderIncomeTotals(epochIncomes) {
+  const fetched = epochIncomes.filter(income => income && !income.error);
+  const sum = field => fetched.reduce((total, income) => total + (income[field] ?? 0n), 0n);
+  const leaderSlots = fetched.reduce((total, income) => total + income.leaderSlots, 0);
+  const blocksProduced = fetched.reduce((total, income) => total + income.blocksProduced, 0);
+
+  return {
+    identity: epochIncomes.find(income => income?.identity)?.identity ?? null,
+    epochs: fetched.length,
+    failedEpochs: epochIncomes.filter(income => income?.error).length,
+    leaderSlots,
+    blocksProduced,
+    skippedSlots: leaderSlots - blocksProduced,
+    feeLamports: sum('feeLamports'),
+    rentLamports: sum('rentLamports'),
+    lamports: sum('lamports'),
+    valueUsd: sum('valueUsd')
+  };
+}
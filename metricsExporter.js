@@ -0,0 +1,194 @@
+/**
+ * @fileoverview
+ * Prometheus exporter for validator earnings (the `metrics` command of fetch-total-validator-earnings.js), so that
+ * rewards show up in Grafana next to the node's uptime metrics.
+ *
+ * Every scrape of /metrics runs fetchValidatorRewards() (validatorRewards.js) for the configured range; scrapes
+ * arriving while one is running share its result. With the reward cache enabled, settled epochs come from the
+ * cache and only new epochs are queried from the RPC, so after the first scrape has filled the cache a scrape
+ * costs a few RPC requests. The metrics are gauges in the Prometheus text exposition format (version 0.0.4),
+ * labeled by vote pubkey:
+ * - xnt_current_epoch: Current chain epoch (no labels).
+ * - xnt_validator_last_reward_epoch / xnt_validator_last_reward_xnt: Epoch and amount of the latest reward.
+ * - xnt_validator_cumulative_rewards_xnt / xnt_validator_cumulative_rewards_usd: Totals over the range.
+ * - xnt_validator_cumulative_rewards_value: Total value over the range in each report currency (also labeled by
+ *   currency, e.g. currency="EUR"; see fxRates.js).
+ * - xnt_validator_vote_balance_xnt: Vote account balance.
+ * - xnt_validator_delinquent: 1 when the vote account is in the RPC's delinquent list, else 0.
+ * - xnt_validator_commission_percent: Current commission.
+ * - xnt_validator_last_epoch_vote_credits: Vote credits earned in the last completed epoch.
+ * Series without a value (no reward in the range, no credit history for the last epoch) are omitted.
+ * A failed scrape answers 500, which Prometheus records as `up` = 0.
+ *
+ * Exports:
+ * - buildMetrics: Renders a fetchValidatorRewards() result in the Prometheus text format.
+ * - createMetricsServer: Creates the HTTP server serving GET /metrics (call listen() to start it).
+ */
+
+import http from 'http';
+import { fetchValidatorRewards } from './validatorRewards.js';
+import { formatXnt, formatUsd } from './amounts.js';
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Metric definitions: name, help text and value per validator entry (null to omit the series).
+ */
+const VALIDATOR_METRICS = [
+  {
+    name: 'xnt_validator_last_reward_epoch',
+    help: 'Epoch of the latest inflation reward in the range.',
+    value: v => (v.rewards.length > 0 ? v.rewards[v.rewards.length - 1].epoch : null)
+  },
+  {
+    name: 'xnt_validator_last_reward_xnt',
+    help: 'Latest inflation reward in the range (XNT).',
+    value: v => (v.rewards.length > 0 ? formatXnt(v.rewards[v.rewards.length - 1].lamports) : null)
+  },
+  {
+    name: 'xnt_validator_cumulative_rewards_xnt',
+    help: 'Total inflation rewards over the range (XNT).',
+    value: v => formatXnt(v.summary.totalLamports)
+  },
+  {
+    name: 'xnt_validator_cumulative_rewards_usd',
+    help: 'Total USD value of the inflation rewards over the range, at each reward\'s price.',
+    value: v => formatUsd(v.summary.totalValueUsd)
+  },
+  {
+    name: 'xnt_validator_vote_balance_xnt',
+    help: 'Vote account balance (XNT).',
+    value: v => formatXnt(v.balanceLamports)
+  },
+  {
+    name: 'xnt_validator_delinquent',
+    help: 'Whether the vote account is delinquent (1) or current (0).',
+    value: v => (v.delinquent ? 1 : 0)
+  },
+  {
+    name: 'xnt_validator_commission_percent',
+    help: 'Current commission of the vote account (%).',
+    value: v => v.commission
+  },
+  {
+    name: 'xnt_validator_last_epoch_vote_credits',
+    help: 'Vote credits earned in the last completed epoch.',
+    value: v => v.lastEpochVoteCredits
+  }
+];
+
+/**
+ * Per-currency metric: total value of the rewards in each report currency (see valueByCurrency in rewardSummary.js).
+ */
+const CURRENCY_VALUE_METRIC = {
+  name: 'xnt_validator_cumulative_rewards_value',
+  help: 'Total value of the inflation rewards over the range in the currency label, at each reward\'s price and FX rate.'
+};
+
+/**
+ * Escapes a Prometheus label value.
+ *
+ * @param {string} value - Label value.
+ * @returns {string} Escaped value.
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Renders a fetchValidatorRewards() result in the Prometheus text exposition format.
+ *
+ * @param {Object} result - fetchValidatorRewards() result (see validatorRewards.js).
+ * @returns {string} Metrics text.
+ */
+export function buildMetrics(result) {
+  const lines = [
+    '# HELP xnt_current_epoch Current chain epoch.',
+    '# TYPE xnt_current_epoch gauge',
+    `xnt_current_epoch ${result.currentEpoch}`
+  ];
+
+  for (const { name, help, value } of VALIDATOR_METRICS) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    for (const validator of result.validators) {
+      const metricValue = value(validator);
+      if (metricValue !== null && metricValue !== undefined) {
+        lines.push(`${name}{vote_pubkey="${escapeLabelValue(validator.votePubkey)}"} ${metricValue}`);
+      }
+    }
+  }
+
+  const { name, help } = CURRENCY_VALUE_METRIC;
+  lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+  for (const validator of result.validators) {
+    for (const [currency, value] of Object.entries(validator.summary.valueByCurrency ?? {})) {
+      lines.push(`${name}{vote_pubkey="${escapeLabelValue(validator.votePubkey)}",currency="${escapeLabelValue(currency)}"} ${formatUsd(value)}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Sends a plain-text response.
+ *
+ * @param {http.ServerResponse} res - Response.
+ * @param {number} status - HTTP status.
+ * @param {string} body - Response body.
+ */
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPE, 'Content-Length': Buffer.byteLength(body) });
+  res.end(body);
+}
+
+/**
+ * Creates the Prometheus metrics HTTP server.
+ *
+ * @param {Object} options - Server options.
+ * @param {Array<string>} options.votePubkeys - Vote accounts exported (base58).
+ * @param {Object} options.fetchOptions - fetchValidatorRewards() options other than the vote pubkeys (connection,
+ *   range, priceProvider, cacheDir, concurrency, ...).
+ * @param {boolean} [options.verbose=false] - Log every request.
+ * @returns {http.Server} Server (not yet listening).
+ */
+export function createMetricsServer(options) {
+  const { votePubkeys, fetchOptions, verbose = false } = options;
+  let inFlight = null;
+
+  /**
+   * Renders the metrics, sharing a scrape that is already running.
+   *
+   * @returns {Promise<string>} Metrics text.
+   */
+  function scrape() {
+    if (!inFlight) {
+      inFlight = fetchValidatorRewards({ ...fetchOptions, votePubkey: votePubkeys })
+        .then(buildMetrics)
+        .finally(() => {
+          inFlight = null;
+        });
+    }
+    return inFlight;
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    res.on('finish', () => {
+      if (verbose) console.log(`${req.method} ${req.url} → ${res.statusCode}`);
+    });
+
+    if (req.method !== 'GET') {
+      send(res, 405, `Method not allowed: ${req.method}\n`);
+      return;
+    }
+    if (url.pathname !== '/metrics') {
+      send(res, 404, `Not found: ${url.pathname}\n`);
+      return;
+    }
+    try {
+      send(res, 200, await scrape());
+    } catch (e) {
+      console.error(`Metrics scrape failed: ${e.message}`);
+      send(res, 500, `Scrape failed: ${e.message}\n`);
+    }
+  });
+}
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview
+ * Vote-credit performance analytics from getVoteAccounts `epochCredits`.
+ *
+ * Each epochCredits entry is [epoch, credits, previousCredits]; credits earned in that epoch are
+ * credits - previousCredits. A validator's earned credits are compared with the median earned by
+ * all vote accounts (current and delinquent) in the same epoch. The RPC only keeps the most recent
+ * epochs of credit history (typically 64), so older epochs cannot be compared.
+ *
+ * Exports:
+ * - earnedCreditsByEpoch: Earned credits per epoch for one vote account.
+ * - analyzeVoteCredits: Per-epoch credit efficiency vs. cluster median, overall efficiency and worst epochs.
+ */
+
+/**
+ * Returns the credits earned per epoch from a vote account's epochCredits history.
+ *
+ * @param {Object} voteAccount - getVoteAccounts entry.
+ * @returns {Map<number, number>} Earned credits by epoch.
+ */
+export function earnedCreditsByEpoch(voteAccount) {
+  return new Map((voteAccount.epochCredits || []).map(([epoch, credits, previousCredits]) => [epoch, credits - previousCredits]));
+}
+
+/**
+ * Median of a non-empty list of numbers.
+ *
+ * @param {Array<number>} values - Values.
+ * @returns {number} Median.
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Compares a vote account's earned credits with the cluster median per epoch.
+ *
+ * @param {Object} voteAccount - getVoteAccounts entry of the analyzed vote account.
+ * @param {Object} voteAccounts - Full getVoteAccounts result ({ current, delinquent }).
+ * @param {Object} [options]
+ * @param {number} [options.fromEpoch=0] - First epoch to include.
+ * @param {number} [options.toEpoch=Infinity] - Last epoch to include (exclude the epoch in progress).
+ * @param {number} [options.worstCount=5] - Number of worst epochs to report.
+ * @returns {{epochs: Array<{epoch: number, earnedCredits: number, clusterMedianCredits: number, efficiency: string}>,
+ *   overallEfficiency: string, worstEpochs: Array}} Per-epoch comparison (oldest → newest), overall efficiency
+ *   (sum of earned / sum of medians, 2 decimals, or 'N/A') and the lowest-efficiency epochs.
+ */
+export function analyzeVoteCredits(voteAccount, voteAccounts, options = {}) {
+  const { fromEpoch = 0, toEpoch = Infinity, worstCount = 5 } = options;
+
+  const clusterCredits = new Map();
+  for (const account of [...voteAccounts.current, ...voteAccounts.delinquent]) {
+    for (const [epoch, earned] of earnedCreditsByEpoch(account)) {
+      if (!clusterCredits.has(epoch)) clusterCredits.set(epoch, []);
+      clusterCredits.get(epoch).push(earned);
+    }
+  }
+
+  const epochs = [...earnedCreditsByEpoch(voteAccount)]
+    .filter(([epoch]) => epoch >= fromEpoch && epoch <= toEpoch && clusterCredits.has(epoch))
+    .sort(([a], [b]) => a - b)
+    .map(([epoch, earnedCredits]) => {
+      const clusterMedianCredits = median(clusterCredits.get(epoch));
+      return {
+        epoch,
+        earnedCredits,
+        clusterMedianCredits,
+        efficiency: clusterMedianCredits > 0 ? ((earnedCredits / clusterMedianCredits) * 100).toFixed(2) : 'N/A'
+      };
+    });
+
+  const totalEarned = epochs.reduce((sum, e) => sum + e.earnedCredits, 0);
+  const totalMedian = epochs.reduce((sum, e) => sum + e.clusterMedianCredits, 0);
+
+  const worstEpochs = epochs
+    .filter(e => e.efficiency !== 'N/A')
+    .sort((a, b) => parseFloat(a.efficiency) - parseFloat(b.efficiency) || a.epoch - b.epoch)
+    .slice(0, worstCount);
+
+  return {
+    epochs,
+    overallEfficiency: totalMedian > 0 ? ((totalEarned / totalMedian) * 100).toFixed(2) : 'N/A',
+    worstEpochs
+  };
+}
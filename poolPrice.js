@@ -0,0 +1,203 @@
+/**
+ * @fileoverview
+ * Reconstructs the historical $XNT price from an on-chain liquidity pool.
+ *
+ * The pool's token vaults are discovered once from the pool account data. For a given slot,
+ * the most recent pool transaction at or before that slot is located (using a signature from
+ * the first produced block at or after that slot as the `before` cursor of getSignaturesForAddress,
+ * scanning up to MAX_SIGNATURES_SCANNED signatures), and the vault balances recorded in that
+ * transaction's postTokenBalances give the pool reserves at that time.
+ *
+ * Price = quote reserve / XNT reserve. The quote token is assumed to be a USD stablecoin.
+ *
+ * Exports:
+ * - WRAPPED_XNT_MINT: Mint address of wrapped native XNT.
+ * - discoverPoolVaults: Finds the XNT and quote token vaults of a pool.
+ * - fetchPoolPriceAtSlot: Returns the pool price at (or just before) a given slot.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+
+export const WRAPPED_XNT_MINT = 'So11111111111111111111111111111111111111112';
+
+const TOKEN_PROGRAM_IDS = [
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'
+];
+
+const TOKEN_ACCOUNT_SIZE = 165;
+const MAX_ACCOUNTS_PER_REQUEST = 100;
+const SIGNATURES_PER_PAGE = 100;
+const MAX_SIGNATURES_SCANNED = 1000;
+// Slots searched past a skipped slot for the next produced block
+const CURSOR_SLOT_LOOKAHEAD = 100;
+
+const vaultCache = new Map();
+
+/**
+ * Extracts candidate public keys stored in an account's data, at every byte offset after the
+ * discriminator (pool layouts are packed Borsh, so keys need not be aligned).
+ *
+ * @param {Buffer} data - Raw account data.
+ * @returns {Array<PublicKey>} Unique candidate public keys.
+ */
+function extractCandidateKeys(data) {
+  const seen = new Set();
+  const keys = [];
+  for (let offset = 8; offset + 32 <= data.length; offset++) {
+    const slice = data.subarray(offset, offset + 32);
+    if (slice.every(b => b === 0)) continue;
+    const key = new PublicKey(slice);
+    const base58 = key.toBase58();
+    if (!seen.has(base58)) {
+      seen.add(base58);
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Finds the XNT and quote token vaults referenced by a liquidity pool account.
+ * Results are cached per pool address.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {string} poolAddress - Liquidity pool address.
+ * @param {string} [xntMint=WRAPPED_XNT_MINT] - Mint address of wrapped XNT.
+ * @returns {Promise<{xntVault: string, quoteVault: string, quoteMint: string}>}
+ * @throws {Error} If the pool account or its vaults cannot be found.
+ */
+export async function discoverPoolVaults(connection, poolAddress, xntMint = WRAPPED_XNT_MINT) {
+  if (vaultCache.has(poolAddress)) return vaultCache.get(poolAddress);
+
+  const poolInfo = await connection.getAccountInfo(new PublicKey(poolAddress));
+  if (!poolInfo) {
+    throw new Error(`Liquidity pool account not found: ${poolAddress}`);
+  }
+
+  const candidates = extractCandidateKeys(poolInfo.data);
+  const tokenAccounts = [];
+
+  for (let i = 0; i < candidates.length; i += MAX_ACCOUNTS_PER_REQUEST) {
+    const chunk = candidates.slice(i, i + MAX_ACCOUNTS_PER_REQUEST);
+    const infos = await connection.getMultipleAccountsInfo(chunk);
+    infos.forEach((info, idx) => {
+      if (!info || info.data.length < TOKEN_ACCOUNT_SIZE) return;
+      if (!TOKEN_PROGRAM_IDS.includes(info.owner.toBase58())) return;
+      tokenAccounts.push({
+        address: chunk[idx].toBase58(),
+        mint: new PublicKey(info.data.subarray(0, 32)).toBase58(),
+        authority: new PublicKey(info.data.subarray(32, 64)).toBase58()
+      });
+    });
+  }
+
+  const xntVault = tokenAccounts.find(acc => acc.mint === xntMint);
+  const quoteVault = xntVault && tokenAccounts.find(
+    acc => acc.mint !== xntMint && acc.authority === xntVault.authority
+  );
+
+  if (!xntVault || !quoteVault) {
+    throw new Error(`Could not identify XNT/quote vaults for pool ${poolAddress}`);
+  }
+
+  const vaults = { xntVault: xntVault.address, quoteVault: quoteVault.address, quoteMint: quoteVault.mint };
+  vaultCache.set(poolAddress, vaults);
+  return vaults;
+}
+
+/**
+ * Reads the post-transaction UI balance of a token account from a parsed transaction.
+ *
+ * @param {Object} tx - Parsed transaction (getParsedTransaction result).
+ * @param {string} tokenAccount - Token account address.
+ * @returns {number|null} UI amount, or null if the account is not in the transaction's token balances.
+ */
+function readPostTokenBalance(tx, tokenAccount) {
+  const accountKeys = tx.transaction.message.accountKeys.map(k => (k.pubkey ?? k).toString());
+  const index = accountKeys.indexOf(tokenAccount);
+  if (index === -1) return null;
+
+  const balance = tx.meta?.postTokenBalances?.find(b => b.accountIndex === index);
+  if (!balance) return null;
+
+  return Number(balance.uiTokenAmount.uiAmountString ?? balance.uiTokenAmount.uiAmount);
+}
+
+/**
+ * Returns a signature from the first produced block at or after the given slot, used as a
+ * pagination cursor. Skipped slots have no block, so the search walks forward with getBlocks.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {number} slot - Target slot.
+ * @returns {Promise<string|null>} Last signature of that block, or null if none was found.
+ */
+async function getCursorSignature(connection, slot) {
+  const producedSlots = await connection.getBlocks(slot, slot + CURSOR_SLOT_LOOKAHEAD);
+  for (const producedSlot of producedSlots) {
+    const block = await connection.getBlock(producedSlot, {
+      maxSupportedTransactionVersion: 0,
+      transactionDetails: 'signatures',
+      rewards: false
+    });
+    const signatures = block?.signatures ?? [];
+    if (signatures.length > 0) return signatures[signatures.length - 1];
+  }
+  return null;
+}
+
+/**
+ * Fetches the pool price at (or just before) the given slot from pool vault balances.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {string} poolAddress - Liquidity pool address.
+ * @param {number} slot - Target slot (e.g. the reward's effectiveSlot).
+ * @param {Object} [options]
+ * @param {number} [options.targetTimestamp] - Unix timestamp of the target slot (for staleness check).
+ * @param {number} [options.maxAgeHours=24] - Max age of the pool sample relative to the target.
+ * @param {string} [options.xntMint=WRAPPED_XNT_MINT] - Mint address of wrapped XNT.
+ * @returns {Promise<{price: number, slot: number, blockTime: number, signature: string}|null>}
+ *   Pool price sample, or null if no usable pool transaction was found within maxAgeHours
+ *   or the first MAX_SIGNATURES_SCANNED signatures.
+ */
+export async function fetchPoolPriceAtSlot(connection, poolAddress, slot, options = {}) {
+  const { targetTimestamp, maxAgeHours = 24, xntMint = WRAPPED_XNT_MINT } = options;
+
+  const { xntVault, quoteVault } = await discoverPoolVaults(connection, poolAddress, xntMint);
+
+  let cursor = await getCursorSignature(connection, slot);
+  if (!cursor) return null;
+
+  for (let scanned = 0; scanned < MAX_SIGNATURES_SCANNED; scanned += SIGNATURES_PER_PAGE) {
+    const signatures = await connection.getSignaturesForAddress(
+      new PublicKey(poolAddress),
+      { before: cursor, limit: SIGNATURES_PER_PAGE }
+    );
+
+    for (const sigInfo of signatures) {
+      if (sigInfo.slot > slot) continue;
+      if (targetTimestamp && sigInfo.blockTime && targetTimestamp - sigInfo.blockTime > maxAgeHours * 3600) {
+        return null;
+      }
+
+      const tx = await connection.getParsedTransaction(sigInfo.signature, { maxSupportedTransactionVersion: 0 });
+      if (!tx) continue;
+
+      const xntReserve = readPostTokenBalance(tx, xntVault);
+      const quoteReserve = readPostTokenBalance(tx, quoteVault);
+      if (!xntReserve || quoteReserve === null) continue;
+
+      return {
+        price: quoteReserve / xntReserve,
+        slot: sigInfo.slot,
+        blockTime: sigInfo.blockTime ?? tx.blockTime,
+        signature: sigInfo.signature
+      };
+    }
+
+    if (signatures.length < SIGNATURES_PER_PAGE) return null;
+    cursor = signatures[signatures.length - 1].signature;
+  }
+
+  return null;
+}
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview
+ * Combines the rewards of several vote accounts into one per-epoch portfolio view,
+ * shared by the portfolio CSV and JSON writers.
+ *
+ * Exports:
+ * - buildPortfolioRows: Merges per-validator rewards into per-epoch rows with per-validator and total cumulative values.
+ * - portfolioTotalsIn: A portfolio row's total value and running total in one currency.
+ */
+
+import { BASE_CURRENCY, valuesIn } from './fxRates.js';
+
+/**
+ * Merges per-validator rewards into per-epoch portfolio rows (oldest → newest).
+ * Validators without a reward in an epoch contribute 0 and keep their cumulative values.
+ * Per-validator running totals are read from the shared aggregation step (amounts.js), and
+ * portfolio totals are exact BigInt sums of them.
+ *
+ * @param {Array<{votePubkey: string, rewards: Array}>} validators - Aggregated rewards per vote account.
+ * @param {Array<string>} [currencies=['USD']] - Report currencies (see parseCurrencies in fxRates.js); the rewards
+ *   carry the values of those other than USD (see attachCurrencyValues).
+ * @returns {Array<Object>} Rows: { epoch, rewardDate, validators: { [votePubkey]: { lamports, valueUsd,
+ *   cumulativeLamports, cumulativeValueUsd } }, totalLamports, totalValueUsd, cumulativeLamports,
+ *   cumulativeValueUsd } (amounts as BigInt, see amounts.js). With currencies other than USD, the per-validator
+ *   entries (read with valuesIn) and the rows (read with portfolioTotalsIn) add `currencyValues`:
+ *   { [currency]: { value, cumulativeValue } }.
+ */
+export function buildPortfolioRows(validators, currencies = [BASE_CURRENCY]) {
+  const converted = currencies.filter(code => code !== BASE_CURRENCY);
+  const byEpoch = new Map();
+  for (const { votePubkey, rewards } of validators) {
+    for (const reward of rewards) {
+      if (!byEpoch.has(reward.epoch)) byEpoch.set(reward.epoch, { epoch: reward.epoch, rewardDate: reward.rewardDate, entries: {} });
+      byEpoch.get(reward.epoch).entries[votePubkey] = reward;
+    }
+  }
+  const zeroValues = () => Object.fromEntries(converted.map(code => [code, { value: 0n, cumulativeValue: 0n }]));
+  const withCurrencyValues = (entry, currencyValues) => (converted.length > 0 ? { ...entry, currencyValues } : entry);
+  const running = Object.fromEntries(validators.map(v => [v.votePubkey, { cumulativeLamports: 0n, cumulativeValueUsd: 0n, cumulativeValues: zeroValues() }]));
+  return [...byEpoch.values()]
+    .sort((a, b) => a.epoch - b.epoch)
+    .map(({ epoch, rewardDate, entries }) => {
+      const row = withCurrencyValues({ epoch, rewardDate, validators: {}, totalLamports: 0n, totalValueUsd: 0n, cumulativeLamports: 0n, cumulativeValueUsd: 0n }, zeroValues());
+      for (const { votePubkey } of validators) {
+        const reward = entries[votePubkey];
+        if (reward) {
+          running[votePubkey] = {
+            cumulativeLamports: reward.cumulativeLamports,
+            cumulativeValueUsd: reward.cumulativeValueUsd,
+            cumulativeValues: Object.fromEntries(converted.map(code => [code, valuesIn(reward, code).cumulativeValue]))
+          };
+        }
+        const { cumulativeLamports, cumulativeValueUsd, cumulativeValues } = running[votePubkey];
+        const entry = withCurrencyValues(
+          { lamports: reward ? reward.lamports : 0n, valueUsd: reward ? reward.valueUsd : 0n, cumulativeLamports, cumulativeValueUsd },
+          Object.fromEntries(converted.map(code => [code, { value: reward ? valuesIn(reward, code).value : 0n, cumulativeValue: cumulativeValues[code] ?? 0n }]))
+        );
+        row.validators[votePubkey] = entry;
+        row.totalLamports += entry.lamports;
+        row.totalValueUsd += entry.valueUsd;
+        row.cumulativeLamports += entry.cumulativeLamports;
+        row.cumulativeValueUsd += entry.cumulativeValueUsd;
+        for (const code of converted) {
+          row.currencyValues[code].value += entry.currencyValues[code].value;
+          row.currencyValues[code].cumulativeValue += entry.currencyValues[code].cumulativeValue;
+        }
+      }
+      return row;
+    });
+}
+
+/**
+ * A portfolio row's total value and running total in one currency (see buildPortfolioRows).
+ *
+ * @param {Object} row - Portfolio row.
+ * @param {string} currency - Currency code.
+ * @returns {{value: bigint, cumulativeValue: bigint}} Totals.
+ */
+export function portfolioTotalsIn(row, currency) {
+  if (currency === BASE_CURRENCY) return { value: row.totalValueUsd, cumulativeValue: row.cumulativeValueUsd };
+  return row.currencyValues?.[currency] ?? { value: 0n, cumulativeValue: 0n };
+}
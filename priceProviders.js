@@ -0,0 +1,198 @@
+/**
+ * @fileoverview
+ * Pluggable $XNT price providers used by fetchHistoricalPrice().
+ *
+ * A price provider is an object with a `name` and an async `getPrice(query)` method, where
+ * `query` is `{ connection, slot, timestamp, verbose }`. `getPrice` resolves to
+ * `{ priceUSD, source }`, or null when the provider has no price for that point in time.
+ *
+ * Exports:
+ * - createFallbackProvider: Fixed fallback price.
+ * - loadPriceFile: Loads a CSV or JSON price history file into a date → price Map.
+ * - createPriceFileProvider: Daily prices from a local CSV or JSON price history file.
+ * - createPoolProvider: Prices rebuilt from an on-chain liquidity pool.
+ * - createChainProvider: Tries a list of providers in order.
+ * - createPriceProvider: Builds a provider from a spec string (e.g. "file,pool,fallback").
+ */
+
+import fs from 'fs';
+import path from 'path';
+import moment from 'moment';
+import { fetchPoolPriceAtSlot } from './poolPrice.js';
+
+/**
+ * Creates a provider that always returns the fixed fallback price.
+ *
+ * @param {number} fallbackPriceUsd - Fallback price ($/XNT).
+ * @returns {Object} Price provider.
+ */
+export function createFallbackProvider(fallbackPriceUsd) {
+  return {
+    name: 'fallback',
+    async getPrice() {
+      return { priceUSD: fallbackPriceUsd, source: 'fallback' };
+    }
+  };
+}
+
+/**
+ * Parses a CSV price history ("date,price" per line, optional header row).
+ *
+ * @param {string} content - File content.
+ * @returns {Array<[string, number]>} Date/price pairs.
+ */
+function parsePriceCsv(content) {
+  return content
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => line.split(',').map(cell => cell.trim().replace(/^"|"$/g, '')))
+    .filter(([, price]) => price !== undefined && !isNaN(parseFloat(price)))
+    .map(([date, price]) => [date, parseFloat(price)]);
+}
+
+/**
+ * Parses a JSON price history: either `{ "YYYY-MM-DD": price }` or `[{ date, price }]`.
+ *
+ * @param {string} content - File content.
+ * @returns {Array<[string, number]>} Date/price pairs.
+ */
+function parsePriceJson(content) {
+  const data = JSON.parse(content.replace(/^\uFEFF/, ''));
+  if (Array.isArray(data)) {
+    return data.map(entry => [entry.date, Number(entry.price ?? entry.priceUSD)]);
+  }
+  return Object.entries(data).map(([date, price]) => [date, Number(price)]);
+}
+
+/**
+ * Loads a daily price history file into a Map keyed by UTC date (YYYY-MM-DD).
+ *
+ * @param {string} filePath - Path to a .csv or .json price file.
+ * @returns {Map<string, number>} Prices by date.
+ * @throws {Error} If the file cannot be read or contains invalid entries.
+ */
+export function loadPriceFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const entries = path.extname(filePath).toLowerCase() === '.json'
+    ? parsePriceJson(content)
+    : parsePriceCsv(content);
+
+  const prices = new Map();
+  for (const [date, price] of entries) {
+    const day = moment.utc(date, ['YYYY-MM-DD', moment.ISO_8601], true);
+    if (!day.isValid() || !Number.isFinite(price)) {
+      throw new Error(`Invalid price file entry in ${filePath}: ${date} → ${price}`);
+    }
+    prices.set(day.format('YYYY-MM-DD'), price);
+  }
+  return prices;
+}
+
+/**
+ * Creates a provider backed by a local daily price history file (date → price).
+ *
+ * @param {string} filePath - Path to a .csv or .json price file.
+ * @returns {Object} Price provider.
+ */
+export function createPriceFileProvider(filePath) {
+  const prices = loadPriceFile(filePath);
+  return {
+    name: 'file',
+    async getPrice({ timestamp }) {
+      const date = moment.unix(timestamp).utc().format('YYYY-MM-DD');
+      return prices.has(date) ? { priceUSD: prices.get(date), source: 'file' } : null;
+    }
+  };
+}
+
+/**
+ * Creates a provider that rebuilds the price from an on-chain liquidity pool.
+ * The first slot without a pool sample is warned about (every one when verbose).
+ *
+ * @param {string} poolAddress - Liquidity pool address.
+ * @param {number} maxAgeHours - Max age of a pool sample relative to the priced slot.
+ * @returns {Object} Price provider.
+ */
+export function createPoolProvider(poolAddress, maxAgeHours) {
+  let warnedMiss = false;
+  return {
+    name: 'pool',
+    async getPrice({ connection, slot, timestamp, verbose }) {
+      if (!poolAddress || slot === undefined) return null;
+      try {
+        const sample = await fetchPoolPriceAtSlot(connection, poolAddress, slot, { targetTimestamp: timestamp, maxAgeHours });
+        if (!sample) {
+          if (verbose || !warnedMiss) {
+            console.warn(`Pool ${poolAddress} has no usable transaction shortly before slot ${slot}; using the next price provider`);
+            warnedMiss = true;
+          }
+          return null;
+        }
+        if (verbose) console.log(`Pool ${poolAddress} price at slot ${sample.slot} (tx ${sample.signature}): $${sample.price.toFixed(6)}`);
+        return { priceUSD: sample.price, source: 'pool' };
+      } catch (e) {
+        if (verbose) console.warn(`Pool price lookup failed for slot ${slot}: ${e.message}`);
+        return null;
+      }
+    }
+  };
+}
+
+/**
+ * Creates a provider that tries each provider in order and returns the first price found.
+ *
+ * @param {Array<Object>} providers - Price providers, highest priority first.
+ * @returns {Object} Price provider.
+ */
+export function createChainProvider(providers) {
+  return {
+    name: providers.map(p => p.name).join(','),
+    async getPrice(query) {
+      for (const provider of providers) {
+        const result = await provider.getPrice(query);
+        if (result) return result;
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Builds a price provider from a spec string. A single name selects one provider;
+ * a comma-separated list builds a chain tried in that order.
+ *
+ * Provider names: "fallback", "file", "pool".
+ *
+ * @param {string} spec - Provider spec, e.g. "pool,fallback" or "file".
+ * @param {Object} settings - Provider settings.
+ * @param {number} settings.fallbackPriceUsd - Fallback price ($/XNT).
+ * @param {string} [settings.priceFile] - Path to the price history file (required for "file").
+ * @param {string} [settings.poolAddress] - Liquidity pool address (for "pool").
+ * @param {number} [settings.maxAgeHours] - Max pool sample age (for "pool").
+ * @returns {Object} Price provider.
+ * @throws {Error} On unknown provider names or missing settings.
+ */
+export function createPriceProvider(spec, settings) {
+  const names = String(spec).split(',').map(n => n.trim()).filter(Boolean);
+  if (names.length === 0) {
+    throw new Error('Price provider spec is empty');
+  }
+
+  const providers = names.map(name => {
+    switch (name) {
+      case 'fallback':
+        return createFallbackProvider(settings.fallbackPriceUsd);
+      case 'file':
+        if (!settings.priceFile) throw new Error('Price provider "file" requires --price-file (or priceFile in config.json)');
+        return createPriceFileProvider(settings.priceFile);
+      case 'pool':
+        return createPoolProvider(settings.poolAddress, settings.maxAgeHours);
+      default:
+        throw new Error(`Unknown price provider: ${name}`);
+    }
+  });
+
+  return providers.length === 1 ? providers[0] : createChainProvider(providers);
+}
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview
+ * Persistent per-validator reward cache, keyed by vote pubkey and epoch.
+ *
+ * One JSON file per vote account (<cacheDir>/<votePubkey>.json) stores every settled epoch:
+ * either the reward (with its effectiveSlot, block time and price) or `null` for a settled
+ * epoch without a reward. Epochs whose query failed are never stored, so they are re-queried
+ * on the next run; neither is a missing reward of the last completed epoch before its rewards are distributed
+ * (see getCurrentEpoch in validatorRewards.js). Changes are written atomically and batched: at most one rewrite
+ * per SAVE_DELAY_MS, plus one on save(), before the file is opened again and when the process exits (an exit hook
+ * registered when the first cache is opened; the CLI turns Ctrl-C into a normal exit), so a long run does not
+ * rewrite the growing file once per epoch and an interrupted run still resumes where it stopped. The file also
+ * records the vote account's activated stake per epoch (`stakes`), snapshotted on each run, since the RPC only
+ * reports the current stake, and the vote account balance seen by the last run (`lastBalance`), against which
+ * balance drops are alerted (alerts.js).
+ * With --leader-income, each settled epoch's leader block income (leaderIncome.js) is stored under `leaderIncome`,
+ * with the identity it was fetched for; with --costs, each settled epoch's vote transaction count (costs.js) is
+ * stored under `voteTransactions`, as soon as the signature sweep has passed it, and the sweep's cursor reaching
+ * the oldest epoch under `voteSignatureCursor`, so a sweep cut short by its page limit or Ctrl-C continues there.
+ *
+ * Exports:
+ * - openRewardCache: Opens (or creates) the cache for one vote account.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const CACHE_VERSION = 2;
+const SAVE_DELAY_MS = 1000;
+
+/** save() of each cache with unsaved changes, by file path. */
+const pendingSaves = new Map();
+let exitFlushRegistered = false;
+
+/**
+ * Saves every cache with unsaved changes when the process exits. Registered by the first openRewardCache()
+ * call, so importing this module adds no process listener.
+ */
+function flushOnExit() {
+  if (exitFlushRegistered) return;
+  exitFlushRegistered = true;
+  process.once('exit', () => pendingSaves.forEach(save => save()));
+}
+
+/**
+ * Reads a cache file, returning empty maps if it is missing or from another version.
+ *
+ * @param {string} filePath - Cache file path.
+ * @param {string} votePubkey - Vote account public key (base58).
+ * @returns {{epochs: Object, stakes: Object, leaderIncome: Object, voteTransactions: Object,
+ *   voteSignatureCursor: Object|null, lastBalance: Object|null}} Epoch entries, activated stakes (lamports), leader
+ *   income entries and vote transaction counts, keyed by epoch number, the vote signature sweep cursor and the last
+ *   recorded balance.
+ */
+function readCacheFile(filePath, votePubkey) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.version === CACHE_VERSION && data.votePubkey === votePubkey) {
+      return {
+        epochs: data.epochs || {},
+        stakes: data.stakes || {},
+        leaderIncome: data.leaderIncome || {},
+        voteTransactions: data.voteTransactions || {},
+        voteSignatureCursor: data.voteSignatureCursor || null,
+        lastBalance: data.lastBalance || null
+      };
+    }
+    console.warn(`Ignoring incompatible reward cache: ${filePath}`);
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`Ignoring unreadable reward cache ${filePath}: ${e.message}`);
+  }
+  return { epochs: {}, stakes: {}, leaderIncome: {}, voteTransactions: {}, voteSignatureCursor: null, lastBalance: null };
+}
+
+/**
+ * Opens the reward cache for a vote account.
+ *
+ * @param {string} cacheDir - Directory holding cache files.
+ * @param {string} votePubkey - Vote account public key (base58).
+ * @returns {{has: Function, get: Function, set: Function, getStake: Function, setStake: Function,
+ *   getLeaderIncome: Function, setLeaderIncome: Function, getVoteTransactions: Function, setVoteTransactions: Function,
+ *   getVoteSignatureCursor: Function, getLastBalance: Function, setLastBalance: Function, save: Function, size: number,
+ *   filePath: string}} Cache handle. `set()`, `setStake()`, `setLeaderIncome()`, `setVoteTransactions(counts, cursor)`
+ *   (Map of epoch → count, and optionally the sweep cursor, kept if it reaches an older epoch) and
+ *   `setLastBalance(epoch, lamports)` are persisted within SAVE_DELAY_MS, or at once by `save()`;
+ *   `getLeaderIncome(epoch, identity)` returns the epoch's leader income (amounts as BigInt) if it was stored for
+ *   that identity, else undefined; `getLastBalance()` returns { epoch, lamports (BigInt), recordedAt } or null.
+ */
+export function openRewardCache(cacheDir, votePubkey) {
+  flushOnExit();
+  const filePath = path.join(cacheDir, `${votePubkey}.json`);
+  // Changes of an earlier handle on the same file are written first, so they are read back
+  pendingSaves.get(filePath)?.();
+  const cached = readCacheFile(filePath, votePubkey);
+  const { epochs, stakes, leaderIncome, voteTransactions } = cached;
+  let { voteSignatureCursor, lastBalance } = cached;
+  let saveTimer = null;
+
+  const save = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (pendingSaves.get(filePath) === save) pendingSaves.delete(filePath);
+    fs.mkdirSync(cacheDir, { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    const data = { version: CACHE_VERSION, votePubkey, updatedAt: new Date().toISOString(), epochs, stakes, leaderIncome, voteTransactions, voteSignatureCursor, lastBalance };
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  const scheduleSave = () => {
+    pendingSaves.set(filePath, save);
+    if (!saveTimer) {
+      saveTimer = setTimeout(save, SAVE_DELAY_MS);
+      saveTimer.unref();
+    }
+  };
+
+  return {
+    filePath,
+    get size() {
+      return Object.keys(epochs).length;
+    },
+    has(epoch) {
+      return Object.prototype.hasOwnProperty.call(epochs, epoch);
+    },
+    get(epoch) {
+      return epochs[epoch];
+    },
+    set(epoch, entry) {
+      epochs[epoch] = entry;
+      scheduleSave();
+    },
+    getStake(epoch) {
+      return stakes[epoch];
+    },
+    setStake(epoch, lamports) {
+      if (stakes[epoch] === lamports) return;
+      stakes[epoch] = lamports;
+      scheduleSave();
+    },
+    getLeaderIncome(epoch, identity) {
+      const entry = leaderIncome[epoch];
+      if (!entry || entry.identity !== identity) return undefined;
+      const { feeLamports, rentLamports } = entry;
+      return { ...entry, feeLamports: BigInt(feeLamports), rentLamports: BigInt(rentLamports), lamports: BigInt(feeLamports) + BigInt(rentLamports) };
+    },
+    setLeaderIncome(epoch, income) {
+      const { identity, leaderSlots, blocksProduced, feeLamports, rentLamports } = income;
+      leaderIncome[epoch] = { identity, leaderSlots, blocksProduced, feeLamports: feeLamports.toString(), rentLamports: rentLamports.toString() };
+      scheduleSave();
+    },
+    getVoteTransactions(epoch) {
+      return voteTransactions[epoch];
+    },
+    setVoteTransactions(counts, cursor = null) {
+      const newCursor = cursor && (!voteSignatureCursor || cursor.epoch < voteSignatureCursor.epoch);
+      if (counts.size === 0 && !newCursor) return;
+      counts.forEach((count, epoch) => { voteTransactions[epoch] = count; });
+      if (newCursor) voteSignatureCursor = { epoch: cursor.epoch, signature: cursor.signature };
+      scheduleSave();
+    },
+    getVoteSignatureCursor() {
+      return voteSignatureCursor;
+    },
+    getLastBalance() {
+      return lastBalance ? { ...lastBalance, lamports: BigInt(lastBalance.lamports) } : null;
+    },
+    setLastBalance(epoch, lamports) {
+      lastBalance = { epoch, lamports: lamports.toString(), recordedAt: new Date().toISOString() };
+      scheduleSave();
+    },
+    save
+  };
+}
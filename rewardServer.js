@@ -0,0 +1,194 @@
+/**
+ * @fileoverview
+ * Local HTTP API serving reward data (the `serve` command of fetch-total-validator-earnings.js), so that
+ * dashboards and accounting tools can pull it on demand instead of reading report files from disk.
+ *
+ * Every data request runs fetchValidatorRewards() (validatorRewards.js) for the requested range. With the
+ * reward cache enabled, settled epochs come from the cache and only new epochs are queried from the RPC.
+ * Requests for the same vote account are handled one at a time, so they do not race on its cache file.
+ *
+ * Endpoints (GET):
+ * - /health: RPC reachability and current epoch (status 503 when the RPC is unreachable).
+ * - /validators/:votePubkey/rewards: Full reward data as in xnt_rewards.json, or the main CSV with `Accept: text/csv`.
+ * - /validators/:votePubkey/summary: The analytics metrics as in xnt_rewards_analytics.json, or the analytics CSV
+ *   with `Accept: text/csv`.
+ * Range query parameters (rewards and summary, combined like the CLI options): epochs, fromEpoch, toEpoch, since, until.
+ * Errors are JSON `{ error }` with status 400 (invalid range), 404 (unknown path or vote account not served),
+ * 405 (method other than GET) or 500.
+ *
+ * Exports:
+ * - createRewardServer: Creates the HTTP server (call listen() to start it).
+ */
+
+import http from 'http';
+import { fetchValidatorRewards } from './validatorRewards.js';
+import { buildMainCsv, buildAnalyticsCsv } from './csvWriter.js';
+import { buildFullJson, buildAnalyticsJson } from './jsonWriter.js';
+
+const ERROR_STATUS = {
+  ERR_INVALID_RANGE: 400,
+  ERR_INVALID_VOTE_PUBKEY: 400,
+  ERR_VOTE_ACCOUNT_NOT_FOUND: 404
+};
+
+const NUMERIC_RANGE_PARAMS = { epochs: 'maxEpochs', fromEpoch: 'fromEpoch', toEpoch: 'toEpoch' };
+
+/**
+ * Reads the range query parameters into fetchValidatorRewards() range options.
+ *
+ * @param {URLSearchParams} searchParams - Request query parameters.
+ * @returns {Object} Range options (see resolveEpochRange in epochRange.js); invalid numbers are left for it to reject.
+ */
+function parseRangeQuery(searchParams) {
+  const range = {};
+  for (const [param, option] of Object.entries(NUMERIC_RANGE_PARAMS)) {
+    const value = searchParams.get(param);
+    if (value !== null && value !== '') range[option] = Number(value);
+  }
+  for (const param of ['since', 'until']) {
+    const value = searchParams.get(param);
+    if (value) range[param] = value;
+  }
+  return range;
+}
+
+/**
+ * Sends a response.
+ *
+ * @param {http.ServerResponse} res - Response.
+ * @param {number} status - HTTP status.
+ * @param {string} contentType - Content-Type header.
+ * @param {string} body - Response body.
+ */
+function send(res, status, contentType, body) {
+  res.writeHead(status, { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(body) });
+  res.end(body);
+}
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {http.ServerResponse} res - Response.
+ * @param {number} status - HTTP status.
+ * @param {*} data - JSON-serializable data.
+ */
+function sendJson(res, status, data) {
+  send(res, status, 'application/json; charset=utf-8', JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Creates the reward data HTTP server.
+ *
+ * @param {Object} options - Server options.
+ * @param {Connection} options.connection - Solana connection instance (shared by all requests).
+ * @param {Array<string>} options.votePubkeys - Vote accounts served (base58); other vote pubkeys get 404.
+ * @param {Object} [options.fetchOptions] - Further fetchValidatorRewards() options (priceProvider, priceSettings,
+ *   cacheDir, concurrency, rollbackMaxEpoch, worstEpochsCount, verbose); the range comes from the query.
+ * @param {Object} [options.rpcStats] - Retry statistics reported by /health (see rpcThrottle.js).
+ * @param {boolean} [options.verbose=false] - Log every request.
+ * @returns {http.Server} Server (not yet listening).
+ */
+export function createRewardServer(options) {
+  const { connection, votePubkeys, fetchOptions = {}, rpcStats = null, verbose = false } = options;
+  const served = new Set(votePubkeys);
+  const pending = new Map();
+
+  /**
+   * Runs a task after all earlier tasks for the same key have settled.
+   *
+   * @param {string} key - Serialization key (vote pubkey).
+   * @param {Function} task - async () => result.
+   * @returns {Promise<*>} Task result.
+   */
+  function runExclusive(key, task) {
+    const run = (pending.get(key) || Promise.resolve()).then(task, task);
+    pending.set(key, run);
+    run.finally(() => {
+      if (pending.get(key) === run) pending.delete(key);
+    }).catch(() => {});
+    return run;
+  }
+
+  /**
+   * GET /health.
+   *
+   * @param {http.ServerResponse} res - Response.
+   */
+  async function handleHealth(res) {
+    try {
+      const epochInfo = await connection.getEpochInfo();
+      sendJson(res, 200, { status: 'ok', currentEpoch: epochInfo.epoch, voteAccounts: votePubkeys, rpcStats });
+    } catch (e) {
+      sendJson(res, 503, { status: 'error', error: e.message });
+    }
+  }
+
+  /**
+   * GET /validators/:votePubkey/rewards and /validators/:votePubkey/summary.
+   *
+   * @param {http.IncomingMessage} req - Request.
+   * @param {http.ServerResponse} res - Response.
+   * @param {string} votePubkey - Vote account public key from the path.
+   * @param {string} resource - 'rewards' or 'summary'.
+   * @param {URLSearchParams} searchParams - Query parameters (range).
+   */
+  async function handleValidator(req, res, votePubkey, resource, searchParams) {
+    if (!served.has(votePubkey)) {
+      sendJson(res, 404, { error: `Vote account not served: ${votePubkey}` });
+      return;
+    }
+
+    const result = await runExclusive(votePubkey, () => fetchValidatorRewards({
+      ...fetchOptions,
+      connection,
+      votePubkey,
+      range: parseRangeQuery(searchParams)
+    }));
+    const [validator] = result.validators;
+    const wantsCsv = /\btext\/csv\b/.test(req.headers.accept || '');
+
+    if (resource === 'rewards') {
+      if (wantsCsv) send(res, 200, 'text/csv; charset=utf-8', buildMainCsv(validator.rewards, validator.currencies));
+      else sendJson(res, 200, buildFullJson(validator, result.currentEpoch));
+    } else if (wantsCsv) {
+      send(res, 200, 'text/csv; charset=utf-8', buildAnalyticsCsv(validator));
+    } else {
+      sendJson(res, 200, {
+        votePubkey,
+        currentEpoch: result.currentEpoch,
+        firstEpoch: result.range.firstEpoch,
+        lastEpoch: result.range.lastEpoch,
+        metrics: buildAnalyticsJson(validator)
+      });
+    }
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    res.on('finish', () => {
+      if (verbose) console.log(`${req.method} ${req.url} → ${res.statusCode}`);
+    });
+
+    try {
+      if (req.method !== 'GET') {
+        sendJson(res, 405, { error: `Method not allowed: ${req.method}` });
+        return;
+      }
+      if (url.pathname === '/health') {
+        await handleHealth(res);
+        return;
+      }
+      const match = url.pathname.match(/^\/validators\/([^/]+)\/(rewards|summary)$/);
+      if (!match) {
+        sendJson(res, 404, { error: `Not found: ${url.pathname}` });
+        return;
+      }
+      await handleValidator(req, res, decodeURIComponent(match[1]), match[2], url.searchParams);
+    } catch (e) {
+      const status = ERROR_STATUS[e.code] || 500;
+      if (status === 500) console.error(`${req.method} ${req.url} failed: ${e.message}`);
+      if (!res.headersSent) sendJson(res, status, { error: e.message });
+      else res.destroy(e);
+    }
+  });
+}
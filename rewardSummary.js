@@ -0,0 +1,173 @@
+/**
+ * @fileoverview
+ * Summary metrics of one validator's rewards, computed once and shared by the console summary,
+ * the analytics CSV/JSON outputs and the programmatic API (validatorRewards.js).
+ *
+ * Exports:
+ * - summarizeRewards: Date range, totals (also per valuation currency), averages, epoch counts, price sources, commission,
+ *   yield, leader income and costs.
+ * - summaryRows: The summary as labelled rows, shared by the console summary and the HTML report.
+ */
+
+import moment from 'moment';
+import { rewardTotals, divideRounded, formatXnt, formatUsd } from './amounts.js';
+import { analyzeCommission } from './commission.js';
+import { summarizeYield } from './stakeYield.js';
+import { BASE_CURRENCY, valuesIn } from './fxRates.js';
+import { leaderIncomeTotals } from './leaderIncome.js';
+import { costTotals } from './costs.js';
+
+/**
+ * Percentage of `count` in `total` with 2 decimals ('0.00' when total is 0).
+ *
+ * @param {number} count - Part.
+ * @param {number} total - Whole.
+ * @returns {string} Percentage.
+ */
+function percentage(count, total) {
+  return total > 0 ? ((count / total) * 100).toFixed(2) : '0.00';
+}
+
+/**
+ * Computes the summary metrics of one validator's rewards.
+ *
+ * Amounts stay exact (BigInt lamports and scaled USD, see amounts.js); percentages are strings with 2 decimals.
+ *
+ * @param {Array} rewards - Aggregated reward objects with yield fields (oldest → newest).
+ * @param {Object} epochCounts - Epoch counts of the run (see fetchValidatorRewards in validatorRewards.js).
+ * @param {number} epochCounts.totalEpochsProcessed - Total epochs queried.
+ * @param {number} epochCounts.failedEpochs - Epochs without a reward (any status).
+ * @param {number} epochCounts.lowEpochFailures - rollback_unavailable epochs.
+ * @param {number} epochCounts.unexpectedFailures - rpc_error epochs.
+ * @param {number} epochCounts.expectedEpochs - Epochs expected to be rewarded (processed - rollback - before activation).
+ * @param {Object} [epochCounts.statusCounts] - Epoch count per status (see epochStatus.js).
+ * @param {Object} [epochCounts.leaderIncome] - Leader block income totals (see leaderIncomeTotals in leaderIncome.js).
+ * @param {Object} [epochCounts.costs] - Cost and net profit totals (see costTotals in costs.js).
+ * @param {Array<string>} [epochCounts.currencies] - Valuation currencies (see fxRates.js); USD by default.
+ * @param {Array<Object>} [epochCounts.epochStatuses] - Epoch statuses (see fetchRewardsForEpochs in
+ *   validatorRewards.js), whose leader income and costs are totaled per valuation currency.
+ * @returns {Object} Summary: { firstDate, lastDate, days, totalLamports, totalValueUsd, averageDailyLamports,
+ *   averagePerEpochLamports, totalEpochsProcessed, epochsWithRewards, percentageWithRewards,
+ *   percentageExpectedWithRewards, failedEpochs, lowEpochFailures, unexpectedFailures, expectedEpochs,
+ *   statusCounts, priceSources: { pool, file, fallback }, commission, yield, leaderIncome, totalEarnings, costs,
+ *   currencies, valueByCurrency, currencyTotals }. `valueByCurrency` holds the total value in each valuation currency
+ *   (scaled like totalValueUsd), and `currencyTotals` the `leaderIncome`, `totalEarnings` and `costs` totals in each
+ *   one, valued in that currency under the USD field names (see valuesIn in fxRates.js). Dates are UTC
+ *   'YYYY-MM-DD' (null without rewards); averages are null when not computable. `totalEarnings` ({ lamports,
+ *   valueUsd }: inflation rewards plus leader income) and `leaderIncome` are null without leader income, `costs`
+ *   without cost accounting.
+ */
+export function summarizeRewards(rewards, epochCounts) {
+  const { totalEpochsProcessed, failedEpochs, lowEpochFailures, unexpectedFailures, expectedEpochs, statusCounts = null, leaderIncome = null, costs = null, currencies = [BASE_CURRENCY], epochStatuses = [] } = epochCounts;
+  const totals = rewardTotals(rewards);
+  const first = rewards.length > 0 ? moment.utc(rewards[0].rewardDate).startOf('day') : null;
+  const last = rewards.length > 0 ? moment.utc(rewards[rewards.length - 1].rewardDate).startOf('day') : null;
+  const days = first ? last.diff(first, 'days') + 1 : 0;
+  const countPricedBy = source => rewards.filter(r => r.priceSource === source).length;
+  const valueByCurrency = Object.fromEntries(currencies.map(currency => [currency, rewards.length > 0 ? valuesIn(rewards[rewards.length - 1], currency).cumulativeValue : 0n]));
+  const earningsIn = (income, value) => (income ? { lamports: totals.lamports + income.lamports, valueUsd: value + income.valueUsd } : null);
+
+  const currencyTotals = Object.fromEntries(currencies.map(currency => {
+    if (currency === BASE_CURRENCY) return [currency, { leaderIncome, totalEarnings: earningsIn(leaderIncome, totals.valueUsd), costs }];
+    const epochValues = epochStatuses.map(e => valuesIn(e.reward ?? e, currency));
+    const income = leaderIncome && leaderIncomeTotals(epochValues.map(values => values.leaderIncome));
+    return [currency, {
+      leaderIncome: income,
+      totalEarnings: earningsIn(income, valueByCurrency[currency]),
+      costs: costs && costTotals(epochValues.map(values => values.costs).filter(Boolean))
+    }];
+  }));
+
+  return {
+    firstDate: first ? first.format('YYYY-MM-DD') : null,
+    lastDate: last ? last.format('YYYY-MM-DD') : null,
+    days,
+    totalLamports: totals.lamports,
+    totalValueUsd: totals.valueUsd,
+    averageDailyLamports: days > 0 ? divideRounded(totals.lamports, BigInt(days)) : null,
+    averagePerEpochLamports: totals.count > 0 ? divideRounded(totals.lamports, BigInt(totals.count)) : null,
+    totalEpochsProcessed,
+    epochsWithRewards: totals.count,
+    percentageWithRewards: percentage(totals.count, totalEpochsProcessed),
+    percentageExpectedWithRewards: percentage(totals.count, expectedEpochs),
+    failedEpochs,
+    lowEpochFailures,
+    unexpectedFailures,
+    expectedEpochs,
+    statusCounts,
+    priceSources: { pool: countPricedBy('pool'), file: countPricedBy('file'), fallback: countPricedBy('fallback') },
+    commission: analyzeCommission(rewards),
+    yield: summarizeYield(rewards),
+    leaderIncome,
+    totalEarnings: earningsIn(leaderIncome, totals.valueUsd),
+    costs,
+    currencies,
+    valueByCurrency,
+    currencyTotals
+  };
+}
+
+/**
+ * The summary as labelled rows, in the order of the console summary. Rows with level 1 belong to the
+ * preceding level-0 row; a null value marks a group heading.
+ *
+ * @param {Object} summary - summarizeRewards() result.
+ * @returns {Array<{label: string, value: string|number|null, level: number}>} Summary rows.
+ */
+export function summaryRows(summary) {
+  const { commission, statusCounts, leaderIncome, costs, currencies, currencyTotals } = summary;
+  const formatAverage = lamports => (lamports !== null ? formatXnt(lamports) : 'N/A');
+  const row = (label, value, level = 0) => ({ label, value, level });
+  // One row per currency, or the amount in each currency after the XNT amount
+  const perCurrency = (label, amount, level = 0) => currencies.map(currency => row(`${label} (${currency})`, formatUsd(amount(currencyTotals[currency])), level));
+  const inCurrencies = (lamports, amount) => [`${formatXnt(lamports)} XNT`, ...currencies.map(currency => `${formatUsd(amount(currencyTotals[currency].costs))} ${currency}`)].join(' / ');
+
+  return [
+    row('Final date range (approx)', `${summary.firstDate ?? 'N/A'} to ${summary.lastDate ?? 'N/A'}`),
+    row('Days covered', summary.days),
+    row('Total XNT earned', formatXnt(summary.totalLamports)),
+    ...summary.currencies.map(currency => row(`Total value (${currency})`, formatUsd(summary.valueByCurrency[currency]))),
+    ...(leaderIncome
+      ? [
+        row('Leader block income (XNT)', formatXnt(leaderIncome.lamports)),
+        row('Block fees (XNT)', formatXnt(leaderIncome.feeLamports), 1),
+        row('Block rent (XNT)', formatXnt(leaderIncome.rentLamports), 1),
+        row('Blocks produced', `${leaderIncome.blocksProduced} of ${leaderIncome.leaderSlots} leader slots (${percentage(leaderIncome.skippedSlots, leaderIncome.leaderSlots)}% skipped)`, 1),
+        ...(leaderIncome.failedEpochs > 0 ? [row('Epochs without leader data', leaderIncome.failedEpochs, 1)] : []),
+        ...perCurrency('Leader block income value', totals => totals.leaderIncome.valueUsd),
+        row('Total earnings (XNT, rewards + block income)', formatXnt(summary.totalEarnings.lamports)),
+        ...perCurrency('Total earnings value', totals => totals.totalEarnings.valueUsd)
+      ]
+      : []),
+    ...(costs
+      ? [
+        row('Gross earnings', inCurrencies(costs.grossLamports, totals => totals.grossValueUsd)),
+        row('Estimated costs', inCurrencies(costs.costLamports, totals => totals.costValueUsd)),
+        row('Estimated vote fees', `${formatXnt(costs.voteFeeLamports)} XNT (${costs.voteTransactions} transactions)`, 1),
+        ...perCurrency('Fixed operating costs', totals => totals.costs.fixedCostUsd, 1),
+        row('Estimated net profit', inCurrencies(costs.netLamports, totals => totals.netValueUsd)),
+        ...(costs.epochsWithoutVoteData > 0 ? [row('Epochs without vote fee data (costs understated)', costs.epochsWithoutVoteData, 1)] : []),
+        ...(costs.epochsWithoutPrice > 0 ? [row('Epochs without price (not converted)', costs.epochsWithoutPrice, 1)] : [])
+      ]
+      : []),
+    row('Average $XNT earned per day', formatAverage(summary.averageDailyLamports)),
+    row('Total epochs processed', summary.totalEpochsProcessed),
+    row('Total epochs with rewards', summary.epochsWithRewards),
+    row('Percentage of Expected Epochs with Rewards (accounts for early chain rollback)', `${summary.percentageExpectedWithRewards}%`),
+    row('Average $XNT per epoch', formatAverage(summary.averagePerEpochLamports)),
+    row('Unexpected failed epoch queries', `${summary.unexpectedFailures} (outside expected early range)`),
+    ...(summary.failedEpochs > 0
+      ? [row('Failed epoch queries (due to early X1 chain roll-back, see "Unexpected failed epoch queries")', summary.failedEpochs)]
+      : []),
+    ...(summary.lowEpochFailures > 0
+      ? [row('Note', `${summary.lowEpochFailures} failures in early epochs (<=15) are expected due to the X1 Mainnet Buenos Aires Reboot/rollback — pre-reboot ledger data is not queryable on the current chain.`)]
+      : []),
+    ...(summary.priceSources.fallback > 0 ? [row('Rewards priced with the fallback price', summary.priceSources.fallback)] : []),
+    row('Weighted average commission (by reward)', `${commission.weightedAverage}%`),
+    row('Commission changes', commission.changes.length),
+    ...commission.changes.map(c => row(`Epoch ${c.epoch}`, `${c.oldCommission}% → ${c.newCommission}%`, 1)),
+    ...(statusCounts
+      ? [row('Epochs by status', null), ...Object.entries(statusCounts).map(([status, count]) => row(status, count, 1))]
+      : [])
+  ];
+}
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview
+ * Multiple RPC endpoints with failover: a fetch() replacement for the Connection that sends each request to the
+ * first available endpoint of a failover order, and health checks that move unhealthy or lagging endpoints to
+ * the end of that order. Public X1 endpoints are often unstable or behind the cluster, so a run should not
+ * depend on a single one.
+ *
+ * An endpoint answering HTTP 429/5xx, timing out or dropping the connection is marked down for a cooldown
+ * period and the request goes to the next endpoint; once the cooldown has passed, the endpoint is preferred
+ * again in its original place. When every endpoint is down, the request still goes to the first one, and the
+ * failure is returned to the throttled fetch (rpcThrottle.js, `fetchImpl`), which retries it with backoff.
+ * JSON-RPC errors are answers, not endpoint failures: a lagging endpoint is caught by the health check (slot
+ * lag) or by cross-checking the rewards against a second endpoint (validatorRewards.js, `crossCheckConnection`).
+ *
+ * Exports:
+ * - createRpcEndpoints: Failover fetch over a list of RPC URLs, with health checks and failover statistics.
+ */
+
+import { isTransientHttpStatus } from './rpcThrottle.js';
+
+/**
+ * Sends one JSON-RPC request to an endpoint.
+ *
+ * @param {Function} fetchImpl - fetch implementation.
+ * @param {string} url - RPC URL.
+ * @param {string} method - RPC method.
+ * @param {number} timeoutMs - Request timeout.
+ * @returns {Promise<*>} The JSON-RPC result.
+ * @throws {Error} On HTTP, network or JSON-RPC errors.
+ */
+async function rpcRequest(fetchImpl, url, method, timeoutMs) {
+  const res = await fetchImpl(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method }),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const body = await res.json();
+  if (body.error) throw new Error(body.error.message ?? `RPC error ${body.error.code}`);
+  return body.result;
+}
+
+/**
+ * Creates a failover fetch over a list of RPC URLs for Connection's `fetch` option (usually below the throttled
+ * fetch). The URL the Connection passes in is ignored: requests go to the endpoints of the failover order.
+ *
+ * @param {Array<string>} rpcUrls - RPC URLs in failover order (at least one).
+ * @param {Object} [options]
+ * @param {number} [options.cooldownMs=60000] - How long a failed endpoint is skipped.
+ * @param {number} [options.maxSlotLag=100] - Slots an endpoint may be behind the most advanced one in a health check.
+ * @param {number} [options.timeoutMs=10000] - Health check request timeout.
+ * @param {boolean} [options.verbose=false] - Whether to log each failover.
+ * @param {Function} [options.fetchImpl=globalThis.fetch] - Underlying fetch implementation.
+ * @returns {{fetch: Function, checkHealth: Function, urls: Function, stats: {failovers: number}}} Failover fetch,
+ *   checkHealth() to check every endpoint and reorder the failover order, urls() returning the current failover
+ *   order, and the number of requests moved to another endpoint.
+ * @throws {Error} If no RPC URL is given.
+ */
+export function createRpcEndpoints(rpcUrls, options = {}) {
+  const {
+    cooldownMs = 60000,
+    maxSlotLag = 100,
+    timeoutMs = 10000,
+    verbose = false,
+    fetchImpl = globalThis.fetch
+  } = options;
+
+  if (rpcUrls.length === 0) throw new Error('No RPC URL given');
+
+  let order = [...rpcUrls];
+  const downUntil = new Map();
+  const stats = { failovers: 0 };
+
+  const markDown = (url, failure) => {
+    downUntil.set(url, Date.now() + cooldownMs);
+    if (verbose && order.length > 1) console.warn(`RPC endpoint ${url} failed (${failure}); skipping it for ${cooldownMs / 1000}s`);
+  };
+
+  const failoverFetch = async (_url, init = {}) => {
+    const now = Date.now();
+    const available = order.filter(url => !(downUntil.get(url) > now));
+    const candidates = available.length > 0 ? available : order.slice(0, 1);
+
+    let lastResponse;
+    for (const [i, url] of candidates.entries()) {
+      if (i > 0) stats.failovers++;
+      try {
+        const response = await fetchImpl(url, init);
+        if (!isTransientHttpStatus(response.status)) return response;
+        markDown(url, `HTTP ${response.status}`);
+        lastResponse = response;
+      } catch (err) {
+        markDown(url, err.message);
+        // A timed-out request cannot be sent again: the throttled fetch retries it on the next endpoint
+        if (init.signal?.aborted || i === candidates.length - 1) throw err;
+      }
+    }
+    return lastResponse;
+  };
+
+  /**
+   * Checks every endpoint (getHealth and getSlot) and moves unhealthy endpoints, and those more than maxSlotLag
+   * slots behind the most advanced one, to the end of the failover order.
+   *
+   * @returns {Promise<Array<{url: string, healthy: boolean, slot: number|null, slotLag: number|null, latencyMs: number|null, error: string|null}>>}
+   *   One entry per endpoint, in the new failover order.
+   */
+  const checkHealth = async () => {
+    const results = await Promise.all(rpcUrls.map(async url => {
+      const started = Date.now();
+      try {
+        const health = await rpcRequest(fetchImpl, url, 'getHealth', timeoutMs);
+        const slot = await rpcRequest(fetchImpl, url, 'getSlot', timeoutMs);
+        return { url, healthy: health === 'ok', slot, slotLag: null, latencyMs: Date.now() - started, error: health === 'ok' ? null : `getHealth: ${health}` };
+      } catch (e) {
+        return { url, healthy: false, slot: null, slotLag: null, latencyMs: null, error: e.message };
+      }
+    }));
+
+    const maxSlot = Math.max(...results.map(r => r.slot ?? -Infinity));
+    results.forEach(r => {
+      if (r.slot === null) return;
+      r.slotLag = maxSlot - r.slot;
+      if (r.healthy && r.slotLag > maxSlotLag) {
+        r.healthy = false;
+        r.error = `${r.slotLag} slots behind`;
+      }
+    });
+
+    const sorted = [...results.filter(r => r.healthy), ...results.filter(r => !r.healthy)];
+    order = sorted.map(r => r.url);
+    return sorted;
+  };
+
+  return { fetch: failoverFetch, checkHealth, urls: () => [...order], stats };
+}
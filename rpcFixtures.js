@@ -0,0 +1,221 @@
+/**
+ * @fileoverview
+ * RPC record/replay: saves the JSON-RPC requests and responses of a run to a fixture file, and serves them back
+ * without network access, either as a fetch() replacement for the Connection or as a local JSON-RPC stand-in
+ * server. Used to reproduce a reported run exactly and to run the tests offline (see test/README.md).
+ *
+ * Fixture file format (JSON):
+ *   { version, rpcUrl, recordedAt, entries: [{ method, params, result } or { method, params, error }] }
+ * A recording merges into an existing fixture file, skipping responses it already holds. When a request was
+ * recorded with several different responses (e.g. getEpochInfo during a --watch run), replay serves them in
+ * recorded order and repeats the last one. Requests without a recorded response get a JSON-RPC error (code
+ * -32000), which the fetch pipeline handles like any RPC error. A replayed run therefore needs the same options
+ * (and a cold or identical reward cache) as the recorded one; price files are still read from disk.
+ *
+ * The recording fetch sits below the throttled fetch (rpcThrottle.js, `fetchImpl`), so it sees every attempt;
+ * only HTTP 200 JSON-RPC responses are recorded. Request ids are not part of the match.
+ *
+ * Exports:
+ * - createRecordingFetch: fetch() wrapper saving every JSON-RPC request/response pair to a fixture file.
+ * - createReplayFetch: fetch() replacement answering from a fixture file.
+ * - createFixtureServer: Local JSON-RPC server answering from a fixture file (call listen() to start it).
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+
+const FIXTURE_VERSION = 1;
+const REPLAY_MISS_CODE = -32000;
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Matching key of a JSON-RPC request.
+ *
+ * @param {string} method - RPC method.
+ * @param {Array} [params] - RPC params.
+ * @returns {string} Key.
+ */
+function requestKey(method, params) {
+  return `${method} ${JSON.stringify(params ?? [])}`;
+}
+
+/**
+ * Reads a fixture file.
+ *
+ * @param {string} fixturePath - Fixture file path.
+ * @param {boolean} [allowMissing=false] - Return an empty fixture when the file does not exist.
+ * @returns {{version: number, rpcUrl: string|null, recordedAt: string|null, entries: Array}} Fixture.
+ * @throws {Error} If the file is missing (unless allowed), unreadable or from another version.
+ */
+function readFixture(fixturePath, allowMissing = false) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT' && allowMissing) return { version: FIXTURE_VERSION, rpcUrl: null, recordedAt: null, entries: [] };
+    throw new Error(`Cannot read RPC fixture ${fixturePath}: ${e.message}`);
+  }
+  if (data.version !== FIXTURE_VERSION || !Array.isArray(data.entries)) {
+    throw new Error(`Unsupported RPC fixture ${fixturePath} (expected version ${FIXTURE_VERSION})`);
+  }
+  return data;
+}
+
+/**
+ * Creates a fetch() wrapper that records every JSON-RPC request/response pair to a fixture file. The file is
+ * written shortly after new responses arrive and when the process exits.
+ *
+ * @param {string} fixturePath - Fixture file path (merged into if it exists).
+ * @param {Object} [options]
+ * @param {string|null} [options.rpcUrl=null] - RPC URL stored in the fixture.
+ * @param {Function} [options.fetchImpl=globalThis.fetch] - Underlying fetch implementation.
+ * @returns {{fetch: Function, save: Function, stats: {recorded: number}}} Recording fetch, save() to write the
+ *   fixture immediately, and the number of new responses recorded.
+ */
+export function createRecordingFetch(fixturePath, options = {}) {
+  const { rpcUrl = null, fetchImpl = globalThis.fetch } = options;
+  const fixture = readFixture(fixturePath, true);
+  const known = new Set(fixture.entries.map(entry => JSON.stringify(entry)));
+  const stats = { recorded: 0 };
+  let dirty = false;
+  let saveTimer = null;
+
+  const save = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!dirty) return;
+    fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+    const tmpPath = `${fixturePath}.tmp`;
+    const data = { ...fixture, version: FIXTURE_VERSION, rpcUrl: rpcUrl ?? fixture.rpcUrl, recordedAt: new Date().toISOString() };
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(tmpPath, fixturePath);
+    dirty = false;
+  };
+  process.once('exit', save);
+
+  const record = (request, response) => {
+    if (!request?.method || !response || (!('result' in response) && !('error' in response))) return;
+    const entry = { method: request.method, params: request.params ?? [] };
+    if ('error' in response) entry.error = response.error;
+    else entry.result = response.result;
+
+    const serialized = JSON.stringify(entry);
+    if (known.has(serialized)) return;
+    known.add(serialized);
+    fixture.entries.push(entry);
+    stats.recorded++;
+    dirty = true;
+    if (!saveTimer) {
+      saveTimer = setTimeout(save, SAVE_DELAY_MS);
+      saveTimer.unref();
+    }
+  };
+
+  const recordingFetch = async (url, init = {}) => {
+    const response = await fetchImpl(url, init);
+    if (response.status !== 200) return response;
+
+    try {
+      const requestBody = JSON.parse(init.body);
+      const responseBody = await response.clone().json();
+      if (Array.isArray(requestBody) && Array.isArray(responseBody)) {
+        requestBody.forEach(request => record(request, responseBody.find(r => r.id === request.id)));
+      } else {
+        record(requestBody, responseBody);
+      }
+    } catch {
+      // Not a JSON-RPC exchange: pass it through unrecorded
+    }
+    return response;
+  };
+
+  return { fetch: recordingFetch, save, stats };
+}
+
+/**
+ * Creates the JSON-RPC responder answering from a fixture file.
+ *
+ * @param {string} fixturePath - Fixture file path.
+ * @returns {{respond: Function, stats: {served: number, missed: number}}} respond(requestBody) returns the response
+ *   body for a JSON-RPC request or batch.
+ */
+function createFixtureResponder(fixturePath) {
+  const responses = new Map();
+  for (const entry of readFixture(fixturePath).entries) {
+    const key = requestKey(entry.method, entry.params);
+    if (!responses.has(key)) responses.set(key, []);
+    responses.get(key).push(entry);
+  }
+  const served = new Map();
+  const stats = { served: 0, missed: 0 };
+
+  const respondOne = request => {
+    const key = requestKey(request.method, request.params);
+    const recorded = responses.get(key);
+    if (!recorded) {
+      stats.missed++;
+      return { jsonrpc: '2.0', id: request.id, error: { code: REPLAY_MISS_CODE, message: `No recorded response for ${key}` } };
+    }
+    const index = served.get(key) ?? 0;
+    served.set(key, index + 1);
+    stats.served++;
+    const entry = recorded[Math.min(index, recorded.length - 1)];
+    return 'error' in entry
+      ? { jsonrpc: '2.0', id: request.id, error: entry.error }
+      : { jsonrpc: '2.0', id: request.id, result: entry.result };
+  };
+
+  return {
+    respond: body => (Array.isArray(body) ? body.map(respondOne) : respondOne(body)),
+    stats
+  };
+}
+
+/**
+ * Creates a fetch() replacement answering every JSON-RPC request from a fixture file, without network access.
+ *
+ * @param {string} fixturePath - Fixture file path.
+ * @returns {{fetch: Function, stats: {served: number, missed: number}}} Replay fetch and counts of requests
+ *   served from the fixture and missing from it.
+ * @throws {Error} If the fixture file cannot be read.
+ */
+export function createReplayFetch(fixturePath) {
+  const { respond, stats } = createFixtureResponder(fixturePath);
+
+  const replayFetch = async (url, init = {}) => new Response(JSON.stringify(respond(JSON.parse(init.body))), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  return { fetch: replayFetch, stats };
+}
+
+/**
+ * Creates a local JSON-RPC stand-in server answering from a fixture file, for tools that take an RPC URL
+ * (e.g. the CLI with `--rpc-url http://127.0.0.1:<port>`).
+ *
+ * @param {string} fixturePath - Fixture file path.
+ * @returns {http.Server} Server (not yet listening); `server.stats` counts served and missing requests.
+ * @throws {Error} If the fixture file cannot be read.
+ */
+export function createFixtureServer(fixturePath) {
+  const { respond, stats } = createFixtureResponder(fixturePath);
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let responseBody;
+      try {
+        responseBody = JSON.stringify(respond(JSON.parse(body)));
+      } catch (e) {
+        responseBody = JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: `Parse error: ${e.message}` } });
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(responseBody) });
+      res.end(responseBody);
+    });
+  });
+  server.stats = stats;
+  return server;
+}
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview
+ * Request throttling for the RPC connection: a requests-per-second limit, per-request timeouts
+ * and retries with exponential backoff for transient failures (HTTP 429/5xx, timeouts, dropped
+ * connections), plus a bounded-concurrency helper for the epoch fetch pipeline.
+ *
+ * Exports:
+ * - createThrottledFetch: fetch() replacement for Connection's `fetch` option, with retry statistics.
+ * - isTransientHttpStatus: Whether an HTTP status is worth retrying.
+ * - mapWithConcurrency: Maps items through an async function with at most N in flight.
+ */
+
+const TRANSIENT_NETWORK_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether an HTTP status code indicates a transient failure worth retrying.
+ *
+ * @param {number} status - HTTP status code.
+ * @returns {boolean}
+ */
+export function isTransientHttpStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * Whether a thrown fetch error is a timeout or dropped connection.
+ *
+ * @param {Error} err - Error thrown by fetch.
+ * @returns {boolean}
+ */
+function isTransientNetworkError(err) {
+  if (err?.name === 'TimeoutError' || err?.name === 'AbortError') return true;
+  const code = err?.code ?? err?.cause?.code;
+  return TRANSIENT_NETWORK_CODES.includes(code) || /fetch failed|socket hang up|timed? ?out/i.test(err?.message ?? '');
+}
+
+/**
+ * Creates a simple rate limiter that spaces request starts evenly.
+ *
+ * @param {number} requestsPerSecond - Max request starts per second (0 or less = unlimited).
+ * @returns {Function} Async function that resolves when the next request may start.
+ */
+function createRateLimiter(requestsPerSecond) {
+  if (!(requestsPerSecond > 0)) return async () => {};
+
+  const intervalMs = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+
+  return async () => {
+    const now = Date.now();
+    const startAt = Math.max(now, nextSlot);
+    nextSlot = startAt + intervalMs;
+    if (startAt > now) await sleep(startAt - now);
+  };
+}
+
+/**
+ * Creates a throttled fetch for the Connection `fetch` option. Every RPC request waits for the
+ * rate limiter, is aborted after the timeout, and is retried with exponential backoff (plus jitter)
+ * on HTTP 429/5xx or network errors. Non-transient responses are returned unchanged.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.requestsPerSecond=10] - Max requests per second (0 = unlimited).
+ * @param {number} [options.maxRetries=5] - Retries per request after the first attempt.
+ * @param {number} [options.baseDelayMs=500] - Backoff delay before the first retry (doubles each retry).
+ * @param {number} [options.timeoutMs=30000] - Per-attempt timeout.
+ * @param {boolean} [options.verbose=false] - Whether to log each retry.
+ * @param {Function} [options.fetchImpl=globalThis.fetch] - Underlying fetch implementation.
+ * @returns {{fetch: Function, stats: {requests: number, retries: number, retriedRequests: number, failedRequests: number}}}
+ */
+export function createThrottledFetch(options = {}) {
+  const {
+    requestsPerSecond = 10,
+    maxRetries = 5,
+    baseDelayMs = 500,
+    timeoutMs = 30000,
+    verbose = false,
+    fetchImpl = globalThis.fetch
+  } = options;
+
+  const waitForSlot = createRateLimiter(requestsPerSecond);
+  const stats = { requests: 0, retries: 0, retriedRequests: 0, failedRequests: 0 };
+
+  const throttledFetch = async (url, init = {}) => {
+    stats.requests++;
+
+    for (let attempt = 0; ; attempt++) {
+      await waitForSlot();
+
+      let response;
+      let failure;
+      try {
+        response = await fetchImpl(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+        if (!isTransientHttpStatus(response.status)) return response;
+        failure = `HTTP ${response.status}`;
+      } catch (err) {
+        if (!isTransientNetworkError(err)) throw err;
+        failure = err.message;
+      }
+
+      if (attempt >= maxRetries) {
+        stats.failedRequests++;
+        if (response) return response;
+        throw new Error(`RPC request failed after ${maxRetries} retries: ${failure}`);
+      }
+
+      if (attempt === 0) stats.retriedRequests++;
+      stats.retries++;
+      const delay = baseDelayMs * 2 ** attempt + Math.floor(Math.random() * baseDelayMs);
+      if (verbose) console.warn(`RPC ${failure}; retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  };
+
+  return { fetch: throttledFetch, stats };
+}
+
+/**
+ * Maps items through an async function with at most `concurrency` calls in flight.
+ * Results keep the input order.
+ *
+ * @param {Array} items - Items to process.
+ * @param {number} concurrency - Max concurrent calls (at least 1).
+ * @param {Function} fn - Async function (item, index) => result.
+ * @returns {Promise<Array>} Results in input order.
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview
+ * Delegator yield analytics: per-epoch yield, rolling 10/30-epoch APR and annualized APY,
+ * computed from the same reward rows as the reward report.
+ *
+ * getInflationReward on a vote account returns only the commission share of the staking rewards
+ * earned by the stake delegated to it, so the delegators' (post-commission) reward for an epoch is
+ * reward × (100 - commission) / commission, and the epoch yield is that amount divided by the
+ * vote account's activated stake in the epoch. Epochs with 0% commission pay no vote reward and
+ * therefore have no yield.
+ *
+ * The RPC only reports the current activated stake, so each run records it per epoch (reward cache);
+ * epochs without a recorded snapshot use the current stake and are flagged as estimates.
+ *
+ * Exports:
+ * - ROLLING_APR_WINDOWS: Rolling APR window sizes (epochs).
+ * - epochYield: Delegator yield of one reward for a given activated stake.
+ * - estimateEpochsPerYear: Epochs per year measured from reward block times.
+ * - attachYieldMetrics: Adds stake, epoch yield and rolling APR fields to each reward.
+ * - summarizeYield: Latest APRs, APY and stake figures for the analytics outputs.
+ */
+
+import moment from 'moment';
+import { divideRounded, formatXnt } from './amounts.js';
+
+export const ROLLING_APR_WINDOWS = Object.freeze([10, 30]);
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+/**
+ * Delegator (post-commission) yield of one reward.
+ *
+ * @param {{lamports: bigint, commission: number|null}} reward - Reward object.
+ * @param {number|bigint} activatedStakeLamports - Vote account's activated stake in the reward's epoch.
+ * @returns {number|null} Yield as a fraction of stake, or null if commission or stake is unknown/zero.
+ */
+export function epochYield(reward, activatedStakeLamports) {
+  const { commission } = reward;
+  if (!commission || !activatedStakeLamports) return null;
+  const delegatorLamports = Number(reward.lamports) * (100 - commission) / commission;
+  return delegatorLamports / Number(activatedStakeLamports);
+}
+
+/**
+ * Epochs per year, measured from the block times of the first and last rewards.
+ *
+ * @param {Array} rewards - Reward objects (oldest → newest).
+ * @returns {number|null} Epochs per year, or null with fewer than two distinct epochs.
+ */
+export function estimateEpochsPerYear(rewards) {
+  if (rewards.length < 2) return null;
+  const first = rewards[0];
+  const last = rewards[rewards.length - 1];
+  const seconds = moment.utc(last.rewardDate).unix() - moment.utc(first.rewardDate).unix();
+  const epochs = last.epoch - first.epoch;
+  return epochs > 0 && seconds > 0 ? SECONDS_PER_YEAR / (seconds / epochs) : null;
+}
+
+/**
+ * Adds activatedStakeLamports (BigInt), stakeSource, epochYield and rolling APR fields to each reward.
+ *
+ * Rolling APRs average the epoch yields over the last N epochs (epochs without a reward count
+ * as 0%, epochs before the first reward are left out) and annualize them with the measured
+ * epochs per year. Percentages are strings; 'N/A' when not computable.
+ *
+ * @param {Array} rewards - Reward objects (oldest → newest); modified in place.
+ * @param {Function} stakeForEpoch - (epoch) => { lamports: number, source: 'snapshot'|'current' } | null.
+ * @returns {Array} The same rewards.
+ */
+export function attachYieldMetrics(rewards, stakeForEpoch) {
+  const epochsPerYear = estimateEpochsPerYear(rewards);
+  const yields = new Map();
+
+  rewards.forEach(r => {
+    const stake = stakeForEpoch(r.epoch);
+    const value = stake ? epochYield(r, stake.lamports) : null;
+    if (value !== null) yields.set(r.epoch, value);
+    r.activatedStakeLamports = stake ? BigInt(stake.lamports) : null;
+    r.stakeSource = stake ? stake.source : 'N/A';
+    r.epochYield = value !== null ? (value * 100).toFixed(6) : 'N/A';
+  });
+
+  const firstEpoch = Math.min(...yields.keys());
+  rewards.forEach(r => {
+    for (const window of ROLLING_APR_WINDOWS) {
+      const start = Math.max(r.epoch - window + 1, firstEpoch);
+      let sum = 0;
+      for (let epoch = start; epoch <= r.epoch; epoch++) sum += yields.get(epoch) || 0;
+      const epochs = r.epoch - start + 1;
+      r[`apr${window}`] = epochsPerYear && epochs > 0 ? ((sum / epochs) * epochsPerYear * 100).toFixed(2) : 'N/A';
+    }
+  });
+
+  return rewards;
+}
+
+/**
+ * Summarizes the yield fields attached by attachYieldMetrics().
+ *
+ * APY compounds the latest 30-epoch average epoch yield over the measured epochs per year.
+ *
+ * @param {Array} rewards - Reward objects (oldest → newest) with yield fields.
+ * @returns {{apr10: string, apr30: string, apy: string, epochsPerYear: string, averageActivatedStake: string,
+ *   latestActivatedStake: string, stakeSnapshots: number, stakeEstimates: number}} Yield summary ('N/A' when unknown).
+ */
+export function summarizeYield(rewards) {
+  const latest = rewards[rewards.length - 1] || {};
+  const epochsPerYear = estimateEpochsPerYear(rewards);
+  const apr30 = parseFloat(latest.apr30);
+  const apy = epochsPerYear && !Number.isNaN(apr30)
+    ? ((Math.pow(1 + apr30 / 100 / epochsPerYear, epochsPerYear) - 1) * 100).toFixed(2)
+    : 'N/A';
+  const stakes = rewards.map(r => r.activatedStakeLamports).filter(stake => stake !== null && stake !== undefined);
+  const latestStake = latest.activatedStakeLamports ?? null;
+
+  return {
+    apr10: latest.apr10 ?? 'N/A',
+    apr30: latest.apr30 ?? 'N/A',
+    apy,
+    epochsPerYear: epochsPerYear ? epochsPerYear.toFixed(1) : 'N/A',
+    averageActivatedStake: stakes.length > 0 ? formatXnt(divideRounded(stakes.reduce((sum, s) => sum + s, 0n), BigInt(stakes.length))) : 'N/A',
+    latestActivatedStake: latestStake !== null ? formatXnt(latestStake) : 'N/A',
+    stakeSnapshots: rewards.filter(r => r.stakeSource === 'snapshot').length,
+    stakeEstimates: rewards.filter(r => r.stakeSource === 'current').length
+  };
+}
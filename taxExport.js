@@ -0,0 +1,251 @@
+/**
+ * @fileoverview
+ * Tax income lots: each epoch's inflation reward is income received at the block time of its effectiveSlot (the
+ * first block of the following epoch, where the reward is credited). One lot per rewarded epoch carries that exact
+ * timestamp, the amount, its fair market value at the reward price, the fiat currency and a source reference
+ * (vote account, epoch and slot), and lots are totalled per tax year with a configurable start (e.g. 04-06 for
+ * the UK). Tax years are delimited in UTC, like the timestamps. Values are in the reporting currency (the first
+ * --currency, see fxRates.js), converted at the rate of the receipt date.
+ *
+ * Lots are written in the column layout of a preset: a generic one with every field, or the CSV import layouts of
+ * common crypto-tax services (Koinly universal CSV, CoinTracking CSV import, CryptoTaxCalculator advanced CSV).
+ * The service layouts follow their documented import templates; if an import is rejected, compare with the
+ * service's current template. A lot is only as good as its price: lots valued at the fallback price, or with a
+ * block time estimated from the epoch schedule, are flagged in the generic layout and counted in the totals.
+ *
+ * Exports:
+ * - TAX_PRESETS: Lot CSV layouts by preset name.
+ * - parseTaxYearStart: Validates a tax year start (MM-DD).
+ * - taxYearOf: Tax year a timestamp falls in.
+ * - buildIncomeLots: One income lot per reward of a validator.
+ * - taxYearTotals: Per-tax-year totals of income lots.
+ */
+
+import moment from 'moment';
+import { formatXnt, formatPrice, formatUsd } from './amounts.js';
+import { BASE_CURRENCY, valuesIn } from './fxRates.js';
+
+/** Asset symbol of the lots. */
+const ASSET = 'XNT';
+
+/**
+ * Formats a lot's receipt time.
+ *
+ * @param {Object} lot - Income lot (see buildIncomeLots).
+ * @param {string} format - moment format string.
+ * @returns {string} UTC time.
+ */
+function receivedAt(lot, format) {
+  return moment.unix(lot.receivedAt).utc().format(format);
+}
+
+/**
+ * Lot CSV layouts: `columns(currency)` building the header for lots in a currency, and `row(lot)` building one
+ * row per lot.
+ */
+export const TAX_PRESETS = Object.freeze({
+  generic: {
+    description: 'Every lot field',
+    columns: currency => [
+      'Lot ID',
+      'Received At (UTC)',
+      'Tax Year',
+      'Type',
+      'Asset',
+      'Amount',
+      `Price per Unit (${currency})`,
+      'Fair Market Value',
+      'Currency',
+      'Price Source',
+      'Timestamp Source',
+      'Vote Account',
+      'Epoch',
+      'Slot'
+    ],
+    row: lot => [
+      lot.lotId,
+      receivedAt(lot, 'YYYY-MM-DDTHH:mm:ss[Z]'),
+      lot.taxYear,
+      'Staking reward',
+      ASSET,
+      formatXnt(lot.lamports),
+      formatPrice(lot.priceMicros),
+      formatUsd(lot.value),
+      lot.currency,
+      lot.priceSource,
+      lot.timestampSource,
+      lot.votePubkey,
+      lot.epoch,
+      lot.slot
+    ]
+  },
+  koinly: {
+    description: 'Koinly universal CSV',
+    columns: () => ['Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency', 'Fee Amount', 'Fee Currency', 'Net Worth Amount', 'Net Worth Currency', 'Label', 'Description', 'TxHash'],
+    row: lot => [
+      receivedAt(lot, 'YYYY-MM-DD HH:mm:ss [UTC]'),
+      '',
+      '',
+      formatXnt(lot.lamports),
+      ASSET,
+      '',
+      '',
+      formatUsd(lot.value),
+      lot.currency,
+      'reward',
+      `X1 staking reward, vote account ${lot.votePubkey}, epoch ${lot.epoch}, slot ${lot.slot}`,
+      ''
+    ]
+  },
+  cointracking: {
+    description: 'CoinTracking CSV import',
+    columns: () => ['Type', 'Buy Amount', 'Buy Currency', 'Sell Amount', 'Sell Currency', 'Fee', 'Fee Currency', 'Exchange', 'Trade-Group', 'Comment', 'Date', 'Tx-ID', 'Buy Value in Account Currency', 'Sell Value in Account Currency'],
+    row: lot => [
+      'Staking',
+      formatXnt(lot.lamports),
+      ASSET,
+      '',
+      '',
+      '',
+      '',
+      'X1 validator',
+      '',
+      `Vote account ${lot.votePubkey}, epoch ${lot.epoch}, slot ${lot.slot}`,
+      receivedAt(lot, 'DD.MM.YYYY HH:mm:ss'),
+      lot.lotId,
+      formatUsd(lot.value),
+      ''
+    ]
+  },
+  cryptotaxcalculator: {
+    description: 'CryptoTaxCalculator advanced CSV',
+    columns: () => [
+      'Timestamp (UTC)',
+      'Type',
+      'Base Currency',
+      'Base Amount',
+      'Quote Currency (Optional)',
+      'Quote Amount (Optional)',
+      'Fee Currency (Optional)',
+      'Fee Amount (Optional)',
+      'From (Optional)',
+      'To (Optional)',
+      'Blockchain (Optional)',
+      'ID (Optional)',
+      'Description (Optional)',
+      'Reference Price Per Unit (Optional)',
+      'Reference Price Currency (Optional)'
+    ],
+    row: lot => [
+      receivedAt(lot, 'DD/MM/YYYY HH:mm:ss'),
+      'staking',
+      ASSET,
+      formatXnt(lot.lamports),
+      '',
+      '',
+      '',
+      '',
+      '',
+      lot.votePubkey,
+      'X1',
+      lot.lotId,
+      `X1 staking reward, epoch ${lot.epoch}, slot ${lot.slot}`,
+      formatPrice(lot.priceMicros),
+      lot.currency
+    ]
+  }
+});
+
+/**
+ * Validates a tax year start.
+ *
+ * @param {string} spec - Month and day the tax year starts on, 'MM-DD' (e.g. '01-01', '04-06').
+ * @returns {{month: number, day: number}} Start month (1-12) and day.
+ * @throws {Error} If the spec is not a valid day of a non-leap year.
+ */
+export function parseTaxYearStart(spec) {
+  const date = moment.utc(`2001-${spec}`, 'YYYY-MM-DD', true);
+  if (!/^\d{2}-\d{2}$/.test(String(spec)) || !date.isValid()) {
+    throw new Error(`Invalid tax year start "${spec}" (expected MM-DD, e.g. 01-01 or 04-06)`);
+  }
+  return { month: date.month() + 1, day: date.date() };
+}
+
+/**
+ * Tax year a timestamp falls in. Calendar tax years are labelled by their year ('2025'), others by the years they
+ * span ('2024/25' for 2024-04-06 to 2025-04-05).
+ *
+ * @param {number} timestamp - Unix timestamp (seconds).
+ * @param {{month: number, day: number}} start - Tax year start (see parseTaxYearStart).
+ * @returns {{taxYear: string, from: string, to: string}} Label and first/last day (UTC, 'YYYY-MM-DD').
+ */
+export function taxYearOf(timestamp, start) {
+  const time = moment.unix(timestamp).utc();
+  const startIn = year => moment.utc({ year, month: start.month - 1, date: start.day });
+  const year = time.isBefore(startIn(time.year())) ? time.year() - 1 : time.year();
+  const calendar = start.month === 1 && start.day === 1;
+
+  return {
+    taxYear: calendar ? String(year) : `${year}/${String((year + 1) % 100).padStart(2, '0')}`,
+    from: startIn(year).format('YYYY-MM-DD'),
+    to: startIn(year + 1).subtract(1, 'day').format('YYYY-MM-DD')
+  };
+}
+
+/**
+ * Builds one income lot per reward of a validator.
+ *
+ * @param {Object} validator - Validator entry of the fetchValidatorRewards result (see validatorRewards.js), with
+ *   rewards carrying `effectiveSlot`, `blockTime` and `isApproxTimestamp`.
+ * @param {{month: number, day: number}} taxYearStart - Tax year start (see parseTaxYearStart).
+ * @param {string} [currency] - Currency of the prices and values; defaults to the validator's reporting currency
+ *   (the first of its `currencies`, USD without).
+ * @returns {Array<{lotId: string, votePubkey: string, epoch: number, slot: number, receivedAt: number,
+ *   timestampSource: string, taxYear: string, lamports: bigint, priceMicros: bigint, priceSource: string,
+ *   value: bigint, currency: string}>} Lots by receipt time. `timestampSource` is 'block' for the block time of
+ *   the reward's slot (or the next produced block), 'estimated' when derived from the epoch schedule. `value` is
+ *   scaled like USD values (see amounts.js).
+ */
+export function buildIncomeLots(validator, taxYearStart, currency = validator.currencies?.[0] ?? BASE_CURRENCY) {
+  return validator.rewards
+    .map(r => ({
+      lotId: `${validator.votePubkey}:${r.epoch}`,
+      votePubkey: validator.votePubkey,
+      epoch: r.epoch,
+      slot: r.effectiveSlot,
+      receivedAt: r.blockTime,
+      timestampSource: r.isApproxTimestamp ? 'estimated' : 'block',
+      taxYear: taxYearOf(r.blockTime, taxYearStart).taxYear,
+      lamports: r.lamports,
+      priceMicros: valuesIn(r, currency).priceMicros,
+      priceSource: r.priceSource,
+      value: valuesIn(r, currency).value,
+      currency
+    }))
+    .sort((a, b) => a.receivedAt - b.receivedAt || a.epoch - b.epoch);
+}
+
+/**
+ * Per-tax-year totals of income lots.
+ *
+ * @param {Array<Object>} lots - Income lots (see buildIncomeLots).
+ * @param {{month: number, day: number}} taxYearStart - Tax year start the lots were built with.
+ * @returns {Array<{taxYear: string, from: string, to: string, lots: number, lamports: bigint, value: bigint,
+ *   currency: string, fallbackPricedLots: number, estimatedTimeLots: number}>} One entry per tax year with lots,
+ *   oldest first.
+ */
+export function taxYearTotals(lots, taxYearStart) {
+  const byYear = new Map();
+  for (const lot of lots) {
+    if (!byYear.has(lot.taxYear)) {
+      byYear.set(lot.taxYear, { ...taxYearOf(lot.receivedAt, taxYearStart), lots: 0, lamports: 0n, value: 0n, currency: lot.currency, fallbackPricedLots: 0, estimatedTimeLots: 0 });
+    }
+    const total = byYear.get(lot.taxYear);
+    total.lots++;
+    total.lamports += lot.lamports;
+    total.value += lot.value;
+    if (lot.priceSource === 'fallback') total.fallbackPricedLots++;
+    if (lot.timestampSource === 'estimated') total.estimatedTimeLots++;
+  }
+  return [...byYear.values()].sort((a, b) => a.from.localeCompare(b.from));
+}
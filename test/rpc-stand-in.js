@@ -0,0 +1,76 @@
+const http = require('http');
+
+// Local JSON-RPC stand-in for X1 mainnet, serving the integration tests without network access (see
+// test-utils.js). A synthetic chain for the fixed vote pubkey: mainnet-sized epochs of 432,000 slots at 0.2 s
+// (one day each), current epoch 40, a block in every slot, the vote account active since epoch 0 with a
+// 5 XNT reward in every epoch after the early rollback (epochs 0–15 are unavailable, like on mainnet), and no
+// liquidity pool account, so rewards get the fallback price.
+
+const VOTE_PUBKEY = 'Ce5RppixDArjtH588uXMCryNYcAtbNqaWncY4tBCdYUs';
+const NODE_PUBKEY = 'GEw5kqT7kXCWxGeD4p8d1XkvuHAfnPvWKLWUqP1GXwUE';
+const SLOTS_PER_EPOCH = 432000;
+const CURRENT_EPOCH = 40;
+const CURRENT_SLOT = CURRENT_EPOCH * SLOTS_PER_EPOCH + 200000;
+const ROLLBACK_MAX_EPOCH = 15;
+// 2025-01-01 12:00 UTC, so every epoch's reward falls on its own day
+const GENESIS_TIME = Date.UTC(2025, 0, 1, 12) / 1000;
+
+const blockTime = slot => GENESIS_TIME + Math.floor(slot / 5);
+
+const handlers = {
+  getEpochInfo: () => ({ epoch: CURRENT_EPOCH, absoluteSlot: CURRENT_SLOT, slotIndex: CURRENT_SLOT % SLOTS_PER_EPOCH, slotsInEpoch: SLOTS_PER_EPOCH, blockHeight: CURRENT_SLOT, transactionCount: 1 }),
+  getEpochSchedule: () => ({ slotsPerEpoch: SLOTS_PER_EPOCH, leaderScheduleSlotOffset: SLOTS_PER_EPOCH, warmup: false, firstNormalEpoch: 0, firstNormalSlot: 0 }),
+  getSlot: () => CURRENT_SLOT,
+  getHealth: () => 'ok',
+  getBalance: () => ({ context: { slot: CURRENT_SLOT }, value: 25000000000 }),
+  getAccountInfo: () => ({ context: { slot: CURRENT_SLOT }, value: null }),
+  getVoteAccounts: () => ({
+    current: [{
+      votePubkey: VOTE_PUBKEY,
+      nodePubkey: NODE_PUBKEY,
+      activatedStake: 1e15,
+      commission: 5,
+      epochVoteAccount: true,
+      lastVote: CURRENT_SLOT,
+      rootSlot: CURRENT_SLOT,
+      epochCredits: Array.from({ length: CURRENT_EPOCH + 1 }, (_, epoch) => [epoch, (epoch + 1) * 400000, epoch * 400000])
+    }],
+    delinquent: []
+  }),
+  getInflationReward: ([pubkeys, { epoch }]) => {
+    if (epoch <= ROLLBACK_MAX_EPOCH) throw { code: -32004, message: `Block not available for slot ${epoch * SLOTS_PER_EPOCH}` };
+    return pubkeys.map(pubkey => (pubkey === VOTE_PUBKEY
+      ? { epoch, effectiveSlot: (epoch + 1) * SLOTS_PER_EPOCH, amount: 5000000000 + epoch, postBalance: 25000000000, commission: 5 }
+      : null));
+  },
+  getBlocks: ([start, end]) => Array.from({ length: Math.min(end, CURRENT_SLOT) - start + 1 }, (_, i) => start + i),
+  getBlockTime: ([slot]) => blockTime(slot)
+};
+
+function answer({ id, method, params }) {
+  const handler = handlers[method];
+  if (!handler) return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } };
+  try {
+    return { jsonrpc: '2.0', id, result: handler(params ?? []) };
+  } catch (error) {
+    return { jsonrpc: '2.0', id, error };
+  }
+}
+
+// Starts the stand-in on a free local port. The server does not keep the test process alive.
+async function startRpcStandIn() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(Array.isArray(request) ? request.map(answer) : answer(request)));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.unref();
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+module.exports = { startRpcStandIn };
@@ -0,0 +1,124 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+describe('Reward alerts (offline)', function () {
+  let evaluateAlerts, sendAlerts, analyzeCommission, fetchValidatorRewards;
+
+  const VOTE_PUBKEY = 'Ce5RppixDArjtH588uXMCryNYcAtbNqaWncY4tBCdYUs';
+
+  const reward = (epoch, lamports, commission = 10) => ({ epoch, lamports, commission });
+
+  // Rewards for epochs 1..4, epoch 5 without reward, epoch 6 with a low reward and a commission change
+  const buildValidator = (overrides = {}) => {
+    const rewards = [reward(1, 1000000000n), reward(2, 1000000000n), reward(3, 1000000000n), reward(4, 1000000000n), reward(6, 400000000n, 20)];
+    return {
+      votePubkey: VOTE_PUBKEY,
+      range: { firstEpoch: 1, lastEpoch: 6 },
+      rewards,
+      epochStatuses: [
+        ...rewards.slice(0, 4).map(r => ({ epoch: r.epoch, status: 'rewarded', reward: r, error: null })),
+        { epoch: 5, status: 'zero_reward', reward: null, error: null },
+        { epoch: 6, status: 'rewarded', reward: rewards[4], error: null }
+      ],
+      summary: { commission: analyzeCommission(rewards) },
+      delinquent: false,
+      balanceLamports: 5000000000n,
+      previousBalance: null,
+      ...overrides
+    };
+  };
+
+  before(async function () {
+    ({ evaluateAlerts, sendAlerts } = await import('../alerts.js'));
+    ({ analyzeCommission } = await import('../commission.js'));
+    ({ fetchValidatorRewards } = await import('../validatorRewards.js'));
+  });
+
+  it('checks only the last epoch of the range by default', function () {
+    const alerts = evaluateAlerts(buildValidator());
+    expect(alerts.map(a => a.rule)).to.deep.equal(['low_reward', 'commission_change']);
+    expect(alerts[0]).to.include({ votePubkey: VOTE_PUBKEY, epoch: 6 });
+    expect(alerts[0].message).to.include('below 50% of the 4-epoch average of 1.000000000 XNT');
+    expect(alerts[1].message).to.equal('Commission changed in epoch 6: 10% → 20%');
+  });
+
+  it('alerts missing rewards after a given epoch and respects disabled rules', function () {
+    const alerts = evaluateAlerts(buildValidator(), { lowRewardPercent: null, commissionChange: false }, 4);
+    expect(alerts).to.deep.equal([{ rule: 'missing_reward', votePubkey: VOTE_PUBKEY, epoch: 5, message: 'No reward for settled epoch 5' }]);
+    expect(evaluateAlerts(buildValidator(), { lowRewardPercent: 30 }).map(a => a.rule)).to.deep.equal(['commission_change']);
+  });
+
+  it('alerts delinquency and balance drops since the previous run', function () {
+    const previousBalance = { epoch: 5, lamports: 6000000000n, recordedAt: '2025-01-05T00:00:00.000Z' };
+    const rules = { lowRewardPercent: null, commissionChange: false };
+
+    const alerts = evaluateAlerts(buildValidator({ delinquent: true, previousBalance }), rules);
+    expect(alerts.map(a => a.rule)).to.deep.equal(['delinquent', 'balance_drop']);
+    expect(alerts[1].message).to.include('dropped by 1.000000000 XNT to 5.000000000 XNT');
+    // A 1/6 drop is below a 20% threshold
+    expect(evaluateAlerts(buildValidator({ previousBalance }), { ...rules, balanceDropPercent: 20 })).to.deep.equal([]);
+  });
+
+  it('does not alert a missing reward of the last epoch before its rewards are distributed', async function () {
+    // 1000 slots per epoch, a block in every slot; epoch 29 has no reward
+    let slotIndex = 10;
+    const connection = {
+      getVoteAccounts: async () => ({ current: [{ votePubkey: VOTE_PUBKEY, nodePubkey: 'NodePubkey111111111111111111111111111111111', activatedStake: 9000e9, commission: 10, epochCredits: [[20, 1000, 0]] }], delinquent: [] }),
+      getBalance: async () => 5e9,
+      getEpochInfo: async () => ({ epoch: 30, slotIndex }),
+      getEpochSchedule: async () => ({ getFirstSlotInEpoch: epoch => epoch * 1000, getLastSlotInEpoch: epoch => epoch * 1000 + 999 }),
+      getBlocks: async (start, end) => Array.from({ length: end - start + 1 }, (_, i) => start + i).filter(slot => slot < 30010),
+      getBlockTime: async slot => Date.UTC(2025, 0, 1) / 1000 + slot,
+      getInflationReward: async (pubkeys, epoch) => pubkeys.map(() => (epoch === 29 ? null : { amount: 1e9, effectiveSlot: (epoch + 1) * 1000, commission: 10 }))
+    };
+    const options = { connection, votePubkey: VOTE_PUBKEY, range: { fromEpoch: 27 }, priceProvider: 'fallback', settleSlots: 1000 };
+
+    // slotIndex < settleSlots: epoch 29's rewards may still be paid
+    const early = await fetchValidatorRewards(options);
+    expect(early.settledEpoch).to.equal(28);
+    expect(early.validators[0].epochStatuses.map(e => e.status)).to.deep.equal(['rewarded', 'rewarded', 'zero_reward']);
+    expect(evaluateAlerts(early.validators[0])).to.deep.equal([]);
+
+    slotIndex = 1000;
+    const settled = await fetchValidatorRewards(options);
+    expect(settled.settledEpoch).to.equal(29);
+    expect(evaluateAlerts(settled.validators[0])).to.deep.equal([{ rule: 'missing_reward', votePubkey: VOTE_PUBKEY, epoch: 29, message: 'No reward for settled epoch 29' }]);
+  });
+
+  it('posts the alerts to the webhook and passes them to the command hook', async function () {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ contentType: req.headers['content-type'], body: JSON.parse(body) });
+        res.end('ok');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rewards-alerts-'));
+    const outputPath = path.join(dir, 'alerts.json');
+
+    try {
+      const alerts = evaluateAlerts(buildValidator());
+      const script = `require('fs').writeFileSync(${JSON.stringify(outputPath)}, process.env.XNT_ALERT_COUNT + require('fs').readFileSync(0, 'utf8'))`;
+      await sendAlerts(alerts, {
+        webhookUrl: `http://127.0.0.1:${server.address().port}/hook`,
+        command: `"${process.execPath}" -e "${script.replace(/"/g, '\\"')}"`
+      });
+
+      expect(received).to.have.lengthOf(1);
+      expect(received[0].contentType).to.equal('application/json');
+      expect(received[0].body.alerts).to.deep.equal(alerts);
+      const commandOutput = fs.readFileSync(outputPath, 'utf8');
+      expect(commandOutput.startsWith('2{')).to.equal(true);
+      expect(JSON.parse(commandOutput.slice(1)).alerts).to.deep.equal(alerts);
+    } finally {
+      server.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,37 @@
+const { expect } = require('chai');
+
+describe('Exact reward amounts (offline)', function () {
+  let toPriceMicros, rewardValueUsd, formatScaled, formatXnt, formatPrice, formatUsd, divideRounded, aggregateRewards, rewardTotals;
+
+  before(async function () {
+    ({ toPriceMicros, rewardValueUsd, formatScaled, formatXnt, formatPrice, formatUsd, divideRounded, aggregateRewards, rewardTotals } = await import('../amounts.js'));
+  });
+
+  it('formats scaled integers with half-up rounding', function () {
+    expect(formatScaled(1234567n, 6, 2)).to.equal('1.23');
+    expect(formatScaled(1235000n, 6, 2)).to.equal('1.24');
+    expect(formatScaled(5n, 6)).to.equal('0.000005');
+    expect(formatScaled(-1500n, 3, 0)).to.equal('-2');
+    expect(formatXnt(1000000001n)).to.equal('1.000000001');
+    expect(formatPrice(toPriceMicros(0.1234567))).to.equal('0.123457');
+    expect(formatPrice(null)).to.equal('');
+    expect(divideRounded(10n, 4n)).to.equal(3n);
+  });
+
+  it('computes USD values exactly from lamports and the micro-USD price', function () {
+    // 0.1 XNT + 0.2 XNT at $0.3: float arithmetic would give 0.09000000000000001
+    const value = rewardValueUsd(100000000n, toPriceMicros(0.3)) + rewardValueUsd(200000000n, toPriceMicros(0.3));
+    expect(value).to.equal(90000000000000n);
+    expect(formatUsd(value)).to.equal('0.0900');
+  });
+
+  it('aggregates once and exposes totals equal to the lamport sum', function () {
+    const rewards = [1n, 2n, 9007199254740993n].map((lamports, i) => ({ epoch: i, lamports, valueUsd: lamports * 1000000n }));
+    const totals = aggregateRewards(rewards);
+
+    expect(totals.lamports).to.equal(9007199254740996n);
+    expect(rewards.map(r => r.cumulativeLamports)).to.deep.equal([1n, 3n, 9007199254740996n]);
+    expect(rewardTotals(rewards)).to.deep.equal(totals);
+    expect(rewardTotals([])).to.deep.equal({ lamports: 0n, valueUsd: 0n, count: 0 });
+  });
+});
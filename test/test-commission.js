@@ -0,0 +1,29 @@
+const { expect } = require('chai');
+
+describe('Commission analytics (offline)', function () {
+  let analyzeCommission;
+
+  before(async function () {
+    ({ analyzeCommission } = await import('../commission.js'));
+  });
+
+  it('logs each commission change and weights the average by reward', function () {
+    const result = analyzeCommission([
+      { epoch: 10, lamports: 1000000000n, commission: 5 },
+      { epoch: 11, lamports: 1000000000n, commission: 5 },
+      { epoch: 12, lamports: 2000000000n, commission: 10 },
+      { epoch: 13, lamports: 1000000000n, commission: 5 }
+    ]);
+
+    expect(result.changes).to.deep.equal([
+      { epoch: 12, oldCommission: 5, newCommission: 10 },
+      { epoch: 13, oldCommission: 10, newCommission: 5 }
+    ]);
+    expect(result.weightedAverage).to.equal('7.00');
+    expect(result.latest).to.equal(5);
+  });
+
+  it('reports N/A without commission data', function () {
+    expect(analyzeCommission([{ epoch: 1, lamports: 1000000000n }])).to.deep.equal({ changes: [], weightedAverage: 'N/A', latest: null });
+  });
+});
@@ -0,0 +1,153 @@
+const { expect } = require('chai');
+
+describe('Cost accounting (offline)', function () {
+  let PublicKey, countVoteTransactions, monthlyCostUsd, epochFixedCostUsd, epochCosts, costTotals, SECONDS_PER_MONTH, buildMainCsv;
+
+  const VOTE = 'Ce5RppixDArjtH588uXMCryNYcAtbNqaWncY4tBCdYUs';
+  // 1 USD in the scale of amounts.js
+  const USD = 10n ** 15n;
+
+  // 1000 slots per epoch; a vote transaction every 4th slot from `oldestSlot` up to `newestSlot`
+  const createMockConnection = ({ newestSlot, oldestSlot }) => {
+    const pages = [];
+    return {
+      pages,
+      getEpochSchedule: async () => ({ getEpoch: slot => Math.floor(slot / 1000), getFirstSlotInEpoch: epoch => epoch * 1000 }),
+      getSignaturesForAddress: async (pubkey, { before, limit }) => {
+        expect(pubkey.toBase58()).to.equal(VOTE);
+        pages.push(before ?? null);
+        const top = before ? Number(before.slice(3)) - 4 : newestSlot;
+        const page = [];
+        for (let slot = top; slot >= oldestSlot && page.length < limit; slot -= 4) page.push({ signature: `sig${slot}`, slot });
+        return page;
+      }
+    };
+  };
+
+  before(async function () {
+    ({ PublicKey } = await import('@solana/web3.js'));
+    ({ countVoteTransactions, monthlyCostUsd, epochFixedCostUsd, epochCosts, costTotals, SECONDS_PER_MONTH } = await import('../costs.js'));
+    ({ buildMainCsv } = await import('../csvWriter.js'));
+  });
+
+  it('counts vote transactions per epoch in one signature sweep, without data before the end of the history', async function () {
+    const votePubkey = new PublicKey(VOTE);
+
+    // Epochs 10-12 fully kept: stops after the page reaching below epoch 10
+    let connection = createMockConnection({ newestSlot: 14996, oldestSlot: 0 });
+    let counts = await countVoteTransactions(connection, votePubkey, [12, 11, 10]);
+    expect([...counts]).to.deep.equal([[12, 250], [11, 250], [10, 250]]);
+    expect(connection.pages).to.deep.equal([null, 'sig11000']);
+
+    // History ends inside epoch 11: epoch 11 counts what is kept, epoch 10 is unknown rather than free of fees
+    connection = createMockConnection({ newestSlot: 12996, oldestSlot: 11500 });
+    counts = await countVoteTransactions(connection, votePubkey, [10, 11, 12]);
+    expect([...counts]).to.deep.equal([[10, null], [11, 125], [12, 250]]);
+  });
+
+  it('stops the sweep at the page limit and continues it from the cursor of the finished epochs', async function () {
+    const votePubkey = new PublicKey(VOTE);
+    const progress = [];
+    const onProgress = (finished, cursor) => progress.push([[...finished], cursor]);
+
+    // One page of 1000 signatures covers 4 epochs: epoch 11 is cut off, so it and the older ones are unknown
+    let connection = createMockConnection({ newestSlot: 14996, oldestSlot: 0 });
+    let counts = await countVoteTransactions(connection, votePubkey, [12, 11, 10, 9, 8, 7, 6, 5], { maxPages: 1, onProgress });
+    expect([...counts]).to.deep.equal([[12, 250], [11, null], [10, null], [9, null], [8, null], [7, null], [6, null], [5, null]]);
+    expect(progress).to.deep.equal([[[[12, 250]], { epoch: 12, signature: 'sig12000' }]]);
+
+    // The next run only misses older epochs, so it starts before the cursor instead of at the newest signature
+    progress.length = 0;
+    connection = createMockConnection({ newestSlot: 14996, oldestSlot: 0 });
+    counts = await countVoteTransactions(connection, votePubkey, [11, 10, 9, 8, 7, 6, 5], { maxPages: 1, cursor: { epoch: 12, signature: 'sig12000' }, onProgress });
+    expect(connection.pages).to.deep.equal(['sig12000']);
+    expect([...counts].filter(([, count]) => count !== null)).to.deep.equal([[11, 250], [10, 250], [9, 250]]);
+    expect(progress).to.deep.equal([[[[11, 250], [10, 250], [9, 250]], { epoch: 9, signature: 'sig9000' }]]);
+
+    progress.length = 0;
+    connection = createMockConnection({ newestSlot: 14996, oldestSlot: 0 });
+    counts = await countVoteTransactions(connection, votePubkey, [8, 7, 6, 5], { cursor: { epoch: 9, signature: 'sig9000' }, onProgress });
+    expect(connection.pages).to.deep.equal(['sig9000', 'sig5000']);
+    expect([...counts]).to.deep.equal([[8, 250], [7, 250], [6, 250], [5, 250]]);
+    expect(progress).to.deep.equal([
+      [[[8, 250], [7, 250], [6, 250]], { epoch: 6, signature: 'sig6000' }],
+      [[[5, 250]], { epoch: 2, signature: 'sig2000' }]
+    ]);
+
+    // A cursor newer than a requested epoch is of no use: the sweep starts at the newest signature
+    connection = createMockConnection({ newestSlot: 14996, oldestSlot: 0 });
+    await countVoteTransactions(connection, votePubkey, [13, 5], { maxPages: 1, cursor: { epoch: 9, signature: 'sig9000' } });
+    expect(connection.pages).to.deep.equal([null]);
+  });
+
+  it('spreads the monthly costs over epoch duration and nets them against gross earnings', function () {
+    const monthlyUsd = monthlyCostUsd({ server: 300, bandwidth: 50.5 });
+    expect(monthlyUsd).to.equal(35050n * USD / 100n);
+    expect(epochFixedCostUsd(monthlyUsd, SECONDS_PER_MONTH / 2)).to.equal(17525n * USD / 100n);
+    expect(() => monthlyCostUsd({ server: -1 })).to.throw('Invalid monthly cost "server"');
+    expect(() => monthlyCostUsd({ server: '300' })).to.throw('Invalid monthly cost "server"');
+
+    // 2 XNT at $2.00: $4 gross; 100 votes × 5000 lamports; $1 fixed = 0.5 XNT
+    const priced = epochCosts({ grossLamports: 2000000000n, priceMicros: 2000000n, voteTransactions: 100, voteFeeLamportsEach: 5000n, fixedCostUsd: USD });
+    expect(priced).to.deep.equal({
+      voteTransactions: 100,
+      voteFeeLamports: 500000n,
+      voteFeeValueUsd: 1000000000000n,
+      fixedCostUsd: USD,
+      fixedCostLamports: 500000000n,
+      costLamports: 500500000n,
+      costValueUsd: USD + 1000000000000n,
+      grossLamports: 2000000000n,
+      grossValueUsd: 4n * USD,
+      netLamports: 1499500000n,
+      netValueUsd: 3n * USD - 1000000000000n
+    });
+
+    // No reward price and no vote data: only the amounts that need neither are known
+    const unpriced = epochCosts({ grossLamports: 0n, priceMicros: null, voteTransactions: null, voteFeeLamportsEach: 5000n, fixedCostUsd: USD });
+    expect(unpriced).to.include({ voteFeeLamports: null, fixedCostLamports: null, costLamports: null, costValueUsd: null, grossValueUsd: 0n, netLamports: null, netValueUsd: null });
+
+    const totals = costTotals([priced, unpriced]);
+    expect(totals).to.deep.equal({
+      epochs: 2,
+      epochsWithoutVoteData: 1,
+      epochsWithoutPrice: 1,
+      voteTransactions: 100,
+      voteFeeLamports: 500000n,
+      voteFeeValueUsd: 1000000000000n,
+      fixedCostUsd: 2n * USD,
+      costLamports: 500500000n,
+      costValueUsd: 2n * USD + 1000000000000n,
+      grossLamports: 2000000000n,
+      grossValueUsd: 4n * USD,
+      netLamports: 1499500000n,
+      netValueUsd: 2n * USD - 1000000000000n
+    });
+  });
+
+  it('adds the cost columns to the main CSV only when computed, empty where unknown', function () {
+    const reward = {
+      epoch: 12,
+      rewardDate: '2025-01-01 00:00:00',
+      lamports: 2000000000n,
+      cumulativeLamports: 2000000000n,
+      priceMicros: 2000000n,
+      priceSource: 'fallback',
+      valueUsd: 4n * USD,
+      cumulativeValueUsd: 4n * USD,
+      commission: 5
+    };
+    const costs = epochCosts({ grossLamports: 2000000000n, priceMicros: 2000000n, voteTransactions: 100, voteFeeLamportsEach: 5000n, fixedCostUsd: USD });
+
+    const [plainHeader] = buildMainCsv([reward]).split('\n');
+    expect(plainHeader).to.not.include('Net Profit');
+
+    const [header, row, gapRow] = buildMainCsv([
+      { ...reward, costs },
+      { ...reward, epoch: 13, costs: { ...costs, voteTransactions: null, voteFeeLamports: null, costLamports: null, costValueUsd: null, netLamports: null, netValueUsd: null } }
+    ]).replace('\uFEFF', '').split('\n');
+    expect(header).to.include('Cumulative USD,Vote Transactions,Estimated Vote Fees (XNT),Fixed Costs (USD),Gross Earnings (XNT),Gross Earnings (USD),Estimated Costs (XNT),Estimated Costs (USD),Estimated Net Profit (XNT),Estimated Net Profit (USD),Commission (%)');
+    expect(row).to.include(',4.0000,100,0.000500000,1.0000,2.000000000,4.0000,0.500500000,1.0010,1.499500000,2.9990,5,');
+    expect(gapRow).to.include(',4.0000,,,1.0000,2.000000000,4.0000,,,,,5,');
+  });
+});
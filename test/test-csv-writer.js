@@ -0,0 +1,54 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Main CSV append (offline)', function () {
+  let buildMainCsv, writeMainCsv, appendMainCsv, aggregateRewards;
+  let dir;
+
+  const reward = (epoch, lamports) => ({
+    epoch,
+    lamports,
+    priceMicros: 500000n,
+    valueUsd: lamports * 500000n,
+    priceSource: 'fallback',
+    commission: 10,
+    rewardDate: `2025-01-${String(epoch).padStart(2, '0')} 00:00:00`
+  });
+
+  before(async function () {
+    ({ buildMainCsv, writeMainCsv, appendMainCsv } = await import('../csvWriter.js'));
+    ({ aggregateRewards } = await import('../amounts.js'));
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rewards-csv-'));
+  });
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('appends rows so the file equals one written in one go', function () {
+    const rewards = [reward(1, 1000000000n), reward(2, 2000000000n), reward(3, 1500000000n), reward(4, 500000000n)];
+    aggregateRewards(rewards);
+    const csvPath = path.join(dir, 'main.csv');
+
+    writeMainCsv(rewards.slice(0, 2), csvPath);
+    appendMainCsv(rewards.slice(2, 3), csvPath);
+    appendMainCsv(rewards.slice(3), csvPath);
+
+    const content = fs.readFileSync(csvPath, 'utf8');
+    expect(content).to.equal(buildMainCsv(rewards));
+    expect(content.trim().split('\n').pop()).to.match(/^4,.*,5\.000000000,/);
+  });
+
+  it('leaves the file unchanged when there are no new rows', function () {
+    const rewards = [reward(1, 1000000000n)];
+    aggregateRewards(rewards);
+    const csvPath = path.join(dir, 'unchanged.csv');
+
+    writeMainCsv(rewards, csvPath);
+    appendMainCsv([], csvPath);
+
+    expect(fs.readFileSync(csvPath, 'utf8')).to.equal(buildMainCsv(rewards));
+  });
+});
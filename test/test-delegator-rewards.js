@@ -0,0 +1,148 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Delegator rewards (offline)', function () {
+  let fetchDelegatorRewards, STAKE_VOTER_OFFSET, writeDelegatorCsv, writeDelegatorEpochTotalsCsv, PublicKey;
+
+  const VOTE_PUBKEY = 'Ce5RppixDArjtH588uXMCryNYcAtbNqaWncY4tBCdYUs';
+  const STAKE_A = 'Stake11111111111111111111111111111111111111';
+  const STAKE_B = 'SysvarRent111111111111111111111111111111111';
+  const STAKE_C = 'SysvarC1ock11111111111111111111111111111111';
+  const OTHER_VOTE = 'Vote111111111111111111111111111111111111111';
+  // 1000 slots per epoch, a block in every slot; block time = BASE + slot
+  const BASE = Date.UTC(2025, 0, 1) / 1000;
+
+  const stakeAccount = (pubkey, voter, stake, activationEpoch, deactivationEpoch = '18446744073709551615') => ({
+    pubkey: new PublicKey(pubkey),
+    account: {
+      data: {
+        parsed: {
+          type: 'delegated',
+          info: {
+            meta: { authorized: { staker: `${pubkey}-staker`, withdrawer: `${pubkey}-withdrawer` } },
+            stake: { delegation: { voter, stake: String(stake), activationEpoch: String(activationEpoch), deactivationEpoch } }
+          }
+        }
+      }
+    }
+  });
+
+  const createMockConnection = (failEpoch = null) => {
+    const queries = [];
+    const connection = {
+      queries,
+      programAccountFilters: null,
+      getParsedProgramAccounts: async (programId, { filters }) => {
+        connection.programAccountFilters = filters;
+        return [
+          stakeAccount(STAKE_A, VOTE_PUBKEY, 1000e9, 20),
+          stakeAccount(STAKE_B, VOTE_PUBKEY, 5000e9, 28),
+          stakeAccount(STAKE_C, VOTE_PUBKEY, 2000e9, 10, '26'),
+          // Not delegated to the vote account
+          stakeAccount(STAKE_C, OTHER_VOTE, 2000e9, 10)
+        ];
+      },
+      getEpochInfo: async () => ({ epoch: 30 }),
+      getEpochSchedule: async () => ({
+        getFirstSlotInEpoch: epoch => epoch * 1000,
+        getLastSlotInEpoch: epoch => epoch * 1000 + 999
+      }),
+      getBlocks: async (start, end) => Array.from({ length: end - start + 1 }, (_, i) => start + i).filter(slot => slot < 30500),
+      getBlockTime: async slot => BASE + slot,
+      getInflationReward: async (pubkeys, epoch) => {
+        queries.push([epoch, pubkeys.map(p => p.toBase58())]);
+        if (epoch === failEpoch) throw new Error('RPC error');
+        return pubkeys.map(p => ({ amount: (p.toBase58() === STAKE_B ? 5e6 : 1e6) + epoch, effectiveSlot: (epoch + 1) * 1000, postBalance: 1e12, commission: 10 }));
+      }
+    };
+    return connection;
+  };
+
+  before(async function () {
+    ({ PublicKey } = await import('@solana/web3.js'));
+    ({ fetchDelegatorRewards, STAKE_VOTER_OFFSET } = await import('../delegatorRewards.js'));
+    ({ writeDelegatorCsv, writeDelegatorEpochTotalsCsv } = await import('../csvWriter.js'));
+  });
+
+  it('queries each stake account for its delegation epochs in batches and totals the rewards per epoch', async function () {
+    const connection = createMockConnection(28);
+    const result = await fetchDelegatorRewards({
+      connection,
+      votePubkey: VOTE_PUBKEY,
+      range: { fromEpoch: 25 },
+      priceProvider: 'fallback',
+      priceSettings: { fallbackPriceUsd: 2 },
+      concurrency: 1,
+      batchSize: 2
+    });
+    const keysByEpoch = epoch => connection.queries.filter(([e]) => e === epoch).map(([, keys]) => keys);
+
+    expect(connection.programAccountFilters).to.deep.include({ memcmp: { offset: STAKE_VOTER_OFFSET, bytes: VOTE_PUBKEY } });
+    expect(result.range).to.deep.equal({ firstEpoch: 25, lastEpoch: 29 });
+    // Largest delegation first
+    expect(result.delegators.map(d => [d.stakePubkey, d.activationEpoch, d.deactivationEpoch])).to.deep.equal([
+      [STAKE_B, 28, null],
+      [STAKE_C, 10, 26],
+      [STAKE_A, 20, null]
+    ]);
+    // STAKE_B from epoch 28, STAKE_C until epoch 26
+    expect(keysByEpoch(29)).to.deep.equal([[STAKE_B, STAKE_A]]);
+    expect(keysByEpoch(27)).to.deep.equal([[STAKE_A]]);
+    expect(keysByEpoch(26)).to.deep.equal([[STAKE_C, STAKE_A]]);
+
+    // One getInflationReward call per batch
+    const batched = createMockConnection();
+    await fetchDelegatorRewards({ connection: batched, votePubkey: VOTE_PUBKEY, range: { fromEpoch: 29 }, priceProvider: 'fallback', batchSize: 1 });
+    expect(batched.queries.map(([, keys]) => keys)).to.deep.equal([[STAKE_B], [STAKE_A]]);
+
+    const [b, c, a] = result.delegators;
+    expect(a.rewards.map(r => r.epoch)).to.deep.equal([25, 26, 27, 29]);
+    expect(a.failedEpochs).to.deep.equal([28]);
+    expect(b.rewards.map(r => r.epoch)).to.deep.equal([29]);
+    expect(b.failedEpochs).to.deep.equal([28]);
+    expect(c.totalLamports).to.equal(2000051n);
+    expect(a.rewards[0]).to.include({ rewardDate: '2025-01-01 07:13:20', priceMicros: 2000000n, priceSource: 'fallback', postBalanceLamports: 1000000000000n });
+    expect(a.totalLamports).to.equal(a.rewards[3].cumulativeLamports);
+
+    expect(result.failedEpochs).to.deep.equal([28]);
+    expect(result.epochTotals.map(t => [t.epoch, t.delegatorCount, t.lamports])).to.deep.equal([
+      [25, 2, 2000050n],
+      [26, 2, 2000052n],
+      [27, 1, 1000027n],
+      [29, 2, 6000058n]
+    ]);
+    expect(result.totalLamports).to.equal(a.totalLamports + b.totalLamports + c.totalLamports);
+    expect(result.totalValueUsd).to.equal(result.totalLamports * 2000000n);
+  });
+
+  it('writes delegator statements and epoch totals with cumulative columns', async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rewards-delegators-'));
+    try {
+      const result = await fetchDelegatorRewards({
+        connection: createMockConnection(),
+        votePubkey: VOTE_PUBKEY,
+        range: { fromEpoch: 28 },
+        priceProvider: 'fallback',
+        priceSettings: { fallbackPriceUsd: 2 }
+      });
+      const originalLog = console.log;
+      console.log = () => {};
+      try {
+        writeDelegatorCsv(result.delegators[0], path.join(dir, 'statement.csv'));
+        writeDelegatorEpochTotalsCsv(result, path.join(dir, 'totals.csv'));
+      } finally {
+        console.log = originalLog;
+      }
+
+      const statement = fs.readFileSync(path.join(dir, 'statement.csv'), 'utf8').trim().split('\n');
+      expect(statement).to.have.length(3);
+      expect(statement[2]).to.equal('29,2025-01-01 08:20:00,0.005000029,0.010000057,2.000000,fallback,0.0100,0.0200,1000.000000000,10');
+      const totals = fs.readFileSync(path.join(dir, 'totals.csv'), 'utf8').trim().split('\n');
+      expect(totals[2]).to.equal('29,2025-01-01 08:20:00,2,0.006000058,0.012000114,0.0120,0.0240');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
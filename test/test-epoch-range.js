@@ -0,0 +1,50 @@
+const { expect } = require('chai');
+
+describe('Epoch range options (offline)', function () {
+  let parseRangeDate, resolveEpochRange;
+
+  // Epoch E starts at 2025-01-01 + E days (UTC); current epoch 100
+  const DAY = 86400;
+  const BASE = Date.UTC(2025, 0, 1) / 1000;
+  const epochStartTime = async epoch => BASE + epoch * DAY;
+  const CURRENT_EPOCH = 100;
+
+  before(async function () {
+    ({ parseRangeDate, resolveEpochRange } = await import('../epochRange.js'));
+  });
+
+  it('defaults to the full history up to the last completed epoch', async function () {
+    expect(await resolveEpochRange({}, CURRENT_EPOCH, epochStartTime)).to.deep.equal({ firstEpoch: 0, lastEpoch: 99 });
+    expect(await resolveEpochRange({ maxEpochs: 20 }, CURRENT_EPOCH, epochStartTime)).to.deep.equal({ firstEpoch: 80, lastEpoch: 99 });
+  });
+
+  it('applies --from-epoch/--to-epoch and counts --epochs back from --to-epoch', async function () {
+    expect(await resolveEpochRange({ fromEpoch: 10, toEpoch: 20 }, CURRENT_EPOCH, epochStartTime)).to.deep.equal({ firstEpoch: 10, lastEpoch: 20 });
+    expect(await resolveEpochRange({ toEpoch: 20, maxEpochs: 5 }, CURRENT_EPOCH, epochStartTime)).to.deep.equal({ firstEpoch: 16, lastEpoch: 20 });
+    expect(await resolveEpochRange({ toEpoch: 500 }, CURRENT_EPOCH, epochStartTime)).to.deep.equal({ firstEpoch: 0, lastEpoch: 99 });
+  });
+
+  it('maps --since/--until to the epochs whose reward is credited within the dates', async function () {
+    // Rewards credited 2025-01-11 .. 2025-01-20 belong to epochs 9 .. 18 (credited at the start of epochs 10 .. 19)
+    const range = await resolveEpochRange({ since: '2025-01-11', until: '2025-01-20' }, CURRENT_EPOCH, epochStartTime);
+    expect(range).to.deep.equal({ firstEpoch: 9, lastEpoch: 18 });
+  });
+
+  it('caps --until at the last completed epoch', async function () {
+    const range = await resolveEpochRange({ since: '2025-04-01', until: '2030-01-01' }, CURRENT_EPOCH, epochStartTime);
+    expect(range).to.deep.equal({ firstEpoch: 89, lastEpoch: 99 });
+  });
+
+  it('rejects invalid dates, invalid epochs and empty ranges', async function () {
+    expect(() => parseRangeDate('2025-02-30', 'since')).to.throw('Invalid date for --since');
+    for (const options of [{ fromEpoch: -1 }, { toEpoch: 1.5 }, { fromEpoch: 30, toEpoch: 20 }, { since: '2030-01-01' }]) {
+      let error = null;
+      try {
+        await resolveEpochRange(options, CURRENT_EPOCH, epochStartTime);
+      } catch (e) {
+        error = e;
+      }
+      expect(error, JSON.stringify(options)).to.be.an('error');
+    }
+  });
+});
@@ -0,0 +1,29 @@
+const { expect } = require('chai');
+
+describe('Per-epoch status classification (offline)', function () {
+  let classifyEpoch;
+  let countStatuses;
+
+  before(async function () {
+    ({ classifyEpoch, countStatuses } = await import('../epochStatus.js'));
+  });
+
+  it('classifies each query outcome', function () {
+    const activationEpoch = 20;
+    expect(classifyEpoch(30, { epoch: 30 }, null, activationEpoch)).to.equal('rewarded');
+    expect(classifyEpoch(30, null, null, activationEpoch)).to.equal('zero_reward');
+    expect(classifyEpoch(18, null, null, activationEpoch)).to.equal('before_activation');
+    expect(classifyEpoch(10, null, 'Block not available for slot 100', activationEpoch)).to.equal('rollback_unavailable');
+    expect(classifyEpoch(30, null, '503 Service Unavailable', activationEpoch)).to.equal('rpc_error');
+  });
+
+  it('honours a configured rollback epoch limit', function () {
+    expect(classifyEpoch(16, null, 'error', 0, 20)).to.equal('rollback_unavailable');
+    expect(classifyEpoch(16, null, 'error', 0)).to.equal('rpc_error');
+  });
+
+  it('counts every status, including unused ones', function () {
+    const counts = countStatuses([{ status: 'rewarded' }, { status: 'rewarded' }, { status: 'rpc_error' }]);
+    expect(counts).to.deep.equal({ rewarded: 2, zero_reward: 0, before_activation: 0, rollback_unavailable: 0, rpc_error: 1 });
+  });
+});
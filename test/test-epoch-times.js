@@ -0,0 +1,78 @@
+const { expect } = require('chai');
+
+describe('Epoch times from the epoch schedule (offline)', function () {
+  let createEpochTimes, formatBlockTime;
+
+  // 1000 slots per epoch; every 7th slot is skipped; block time = BASE + slot
+  const BASE = Date.UTC(2025, 0, 1) / 1000;
+  const isSkipped = slot => slot % 7 === 0;
+
+  const mockConnection = calls => ({
+    getEpochSchedule: async () => ({
+      getFirstSlotInEpoch: epoch => epoch * 1000,
+      getLastSlotInEpoch: epoch => epoch * 1000 + 999
+    }),
+    getBlocks: async (start, end) => {
+      calls.push([start, end]);
+      return Array.from({ length: end - start + 1 }, (_, i) => start + i).filter(slot => !isSkipped(slot) && slot < 10000);
+    },
+    getBlockTime: async slot => {
+      if (isSkipped(slot)) throw new Error(`Slot ${slot} was skipped`);
+      return BASE + slot;
+    }
+  });
+
+  before(async function () {
+    ({ createEpochTimes, formatBlockTime } = await import('../epochTimes.js'));
+  });
+
+  it('skips forward past skipped slots for the epoch start and backward for the epoch end', async function () {
+    const epochTimes = createEpochTimes(mockConnection([]), 9);
+
+    // Slot 7000 is skipped → first block 7001; slot 7999 is the last one
+    expect(await epochTimes.startTime(7)).to.equal(BASE + 7001);
+    expect(await epochTimes.endTime(7)).to.equal(BASE + 7999);
+    // Slot 5999 is skipped → last block 5998
+    expect(await epochTimes.endTime(5)).to.equal(BASE + 5998);
+    expect(await epochTimes.blockTimeAtOrAfter(14)).to.equal(BASE + 15);
+  });
+
+  it('memoizes epoch start times', async function () {
+    const calls = [];
+    const epochTimes = createEpochTimes(mockConnection(calls), 9);
+
+    await epochTimes.startTime(5);
+    await epochTimes.startTime(5);
+    expect(calls).to.have.lengthOf(1);
+  });
+
+  it('retries a lookup that failed instead of memoizing the error', async function () {
+    const calls = [];
+    const connection = mockConnection(calls);
+    const getBlocks = connection.getBlocks;
+    connection.getBlocks = async () => {
+      connection.getBlocks = getBlocks;
+      throw new Error('429 Too Many Requests');
+    };
+    const epochTimes = createEpochTimes(connection, 9);
+
+    let error = null;
+    await epochTimes.startTime(5).catch(e => { error = e; });
+    expect(error.message).to.equal('429 Too Many Requests');
+    expect(await epochTimes.startTime(5)).to.equal(BASE + 5000);
+    expect(calls).to.have.lengthOf(1);
+  });
+
+  it('returns null for an epoch without blocks and estimates slot times from the current epoch', async function () {
+    const epochTimes = createEpochTimes(mockConnection([]), 9);
+
+    expect(await epochTimes.startTime(20)).to.equal(null);
+    // Current epoch 9 starts at slot 9000 → slot 8000 is 1000 slots × 0.4 s earlier
+    expect(await epochTimes.estimateSlotTime(8000)).to.equal(BASE + 9000 - 400);
+  });
+
+  it('formats block times as UTC date-times', function () {
+    expect(formatBlockTime(BASE + 3661)).to.equal('2025-01-01 01:01:01');
+    expect(formatBlockTime(null)).to.equal('');
+  });
+});
@@ -0,0 +1,132 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+
+const FX_LONG_CSV = 'test-fx-long.csv';
+const FX_WIDE_CSV = 'test-fx-wide.csv';
+const FX_JSON = 'test-fx.json';
+
+describe('FX rates and report currencies (offline)', function () {
+  let parseCurrencies, loadFxRateFile, createFxRates, attachCurrencyValues, valuesIn, buildMainCsv, buildIncomeLots, parseTaxYearStart;
+  let buildAnalyticsCsv, summarizeRewards, leaderIncomeTotals, epochCosts, costTotals;
+
+  // 1 USD in the scale of amounts.js
+  const USD = 10n ** 15n;
+  const unix = iso => Math.floor(Date.parse(iso) / 1000);
+
+  // 2 XNT at $1.50 on Friday and Saturday (no rate published on Saturday)
+  const rewards = () => [
+    { epoch: 10, rewardDate: '2025-03-07 12:00:00', blockTime: unix('2025-03-07T12:00:00Z'), lamports: 2000000000n, priceMicros: 1500000n, priceSource: 'file', valueUsd: 3n * USD, cumulativeLamports: 2000000000n, cumulativeValueUsd: 3n * USD },
+    { epoch: 11, rewardDate: '2025-03-08 12:00:00', blockTime: unix('2025-03-08T12:00:00Z'), lamports: 2000000000n, priceMicros: 1500000n, priceSource: 'file', valueUsd: 3n * USD, cumulativeLamports: 4000000000n, cumulativeValueUsd: 6n * USD }
+  ];
+
+  before(async function () {
+    ({ parseCurrencies, loadFxRateFile, createFxRates, attachCurrencyValues, valuesIn } = await import('../fxRates.js'));
+    ({ buildMainCsv, buildAnalyticsCsv } = await import('../csvWriter.js'));
+    ({ summarizeRewards } = await import('../rewardSummary.js'));
+    ({ leaderIncomeTotals } = await import('../leaderIncome.js'));
+    ({ epochCosts, costTotals } = await import('../costs.js'));
+    ({ buildIncomeLots, parseTaxYearStart } = await import('../taxExport.js'));
+    await fs.writeFile(FX_LONG_CSV, '\uFEFFdate,currency,rate\n2025-03-07,EUR,0.92\n2025-03-07,gbp,0.79\n');
+    await fs.writeFile(FX_WIDE_CSV, 'date,EUR,CHF\n2025-03-07,0.92,0.88\n2025-03-10,0.93,\n');
+    await fs.writeFile(FX_JSON, JSON.stringify({ EUR: { '2025-03-07': 0.92 } }));
+  });
+
+  it('reads long, wide and JSON rate files and looks back over days without a rate', function () {
+    expect(parseCurrencies(['eur, usd', 'GBP', 'EUR'])).to.deep.equal(['EUR', 'USD', 'GBP']);
+    expect(() => parseCurrencies('EURO')).to.throw('Invalid currency code: EURO');
+    expect(() => parseCurrencies([])).to.throw('No currency given');
+
+    expect([...loadFxRateFile(FX_LONG_CSV)].map(([code, rates]) => [code, [...rates]])).to.deep.equal([
+      ['EUR', [['2025-03-07', 0.92]]],
+      ['GBP', [['2025-03-07', 0.79]]]
+    ]);
+    expect([...loadFxRateFile(FX_WIDE_CSV)].map(([code, rates]) => [code, [...rates]])).to.deep.equal([
+      ['EUR', [['2025-03-07', 0.92], ['2025-03-10', 0.93]]],
+      ['CHF', [['2025-03-07', 0.88]]]
+    ]);
+    expect([...loadFxRateFile(FX_JSON).get('EUR')]).to.deep.equal([['2025-03-07', 0.92]]);
+
+    const fxRates = createFxRates(['EUR', 'USD'], { fxRateFile: FX_WIDE_CSV, maxAgeDays: 2 });
+    expect(fxRates.rate('USD', '2025-03-09')).to.equal(1);
+    expect(fxRates.rate('EUR', '2025-03-09')).to.equal(0.92);
+    expect(fxRates.rate('EUR', '2025-03-10')).to.equal(0.93);
+    expect(() => fxRates.rate('EUR', '2025-03-06')).to.throw('No EUR FX rate for 2025-03-06');
+
+    expect(() => createFxRates(['EUR'])).to.throw('needs an FX rate file');
+    expect(() => createFxRates(['JPY'], { fxRateFile: FX_LONG_CSV })).to.throw(`FX rate file ${FX_LONG_CSV} has no JPY rates`);
+    expect(createFxRates(['USD']).rate('USD', '2025-03-07')).to.equal(1);
+  });
+
+  it('converts each reward at its date rate with exact running totals, also for the tax lots', function () {
+    const converted = rewards();
+    attachCurrencyValues(converted, ['EUR', 'USD'], createFxRates(['EUR', 'USD'], { fxRateFile: FX_LONG_CSV }));
+
+    // $1.50 × 0.92 = €1.38 per XNT
+    expect(converted[1].currencyValues).to.deep.equal({
+      EUR: { fxRate: 0.92, priceMicros: 1380000n, value: 2760000000000000n, cumulativeValue: 5520000000000000n }
+    });
+    expect(valuesIn(converted[1], 'USD')).to.deep.equal({ fxRate: 1, priceMicros: 1500000n, value: 3n * USD, cumulativeValue: 6n * USD, leaderIncome: null, costs: null });
+    expect(valuesIn({ epoch: 9 }, 'EUR')).to.deep.equal({ fxRate: null, priceMicros: null, value: 0n, cumulativeValue: 0n, leaderIncome: null, costs: null });
+
+    const lots = buildIncomeLots({ votePubkey: 'vote', currencies: ['EUR', 'USD'], rewards: converted }, parseTaxYearStart('01-01'));
+    expect(lots[0]).to.include({ priceMicros: 1380000n, value: 2760000000000000n, currency: 'EUR' });
+  });
+
+  it('writes price and value columns per currency in the given order, keeping the USD-only layout', function () {
+    const converted = rewards();
+    attachCurrencyValues(converted, ['EUR', 'USD'], createFxRates(['EUR', 'USD'], { fxRateFile: FX_LONG_CSV }));
+    const gapRow = { epoch: 12, rewardDate: '', lamports: 0n, priceMicros: null, priceSource: '', valueUsd: 0n, cumulativeLamports: 4000000000n, cumulativeValueUsd: 6n * USD, currencyValues: { EUR: { fxRate: null, priceMicros: null, value: 0n, cumulativeValue: 5520000000000000n } }, status: 'delinquent' };
+
+    const [header, , row, gap] = buildMainCsv([...converted, gapRow], ['EUR', 'USD']).replace('\uFEFF', '').split('\n');
+    expect(header).to.include('Cumulative XNT,FX Rate (EUR per USD),XNT Price (EUR),Price Source,Value (EUR),Cumulative EUR,XNT Price (USD),Value (USD),Cumulative USD,Commission (%)');
+    expect(row).to.include(',4.000000000,0.92,1.380000,file,2.7600,5.5200,1.500000,3.0000,6.0000,');
+    expect(gap).to.include(',4.000000000,,,,0.0000,5.5200,,0.0000,6.0000,');
+
+    const [usdHeader] = buildMainCsv(converted).replace('\uFEFF', '').split('\n');
+    expect(usdHeader).to.include('Cumulative XNT,XNT Price (USD),Price Source,Value (USD),Cumulative USD,Commission (%)');
+    expect(usdHeader).to.not.include('EUR');
+  });
+
+  it('values leader income, costs and net profit in each currency in the main CSV and analytics', function () {
+    // 1 XNT of block income, 1000 votes at 5000 lamports and $3 of fixed costs per epoch
+    const converted = rewards().map(r => {
+      const leaderIncome = { leaderSlots: 4, blocksProduced: 4, feeLamports: 500000000n, rentLamports: 500000000n, lamports: 1000000000n, valueUsd: 1500000000000000n };
+      const costs = epochCosts({ grossLamports: r.lamports + leaderIncome.lamports, priceMicros: r.priceMicros, voteTransactions: 1000, voteFeeLamportsEach: 5000n, fixedCostUsd: 3n * USD });
+      return { ...r, leaderIncome, costs };
+    });
+    attachCurrencyValues(converted, ['EUR', 'USD'], createFxRates(['EUR', 'USD'], { fxRateFile: FX_LONG_CSV }));
+
+    // €1.38 per XNT; $3 × 0.92 = €2.76 of fixed costs; 0.005 XNT of vote fees = €0.0069
+    const { leaderIncome, costs } = valuesIn(converted[1], 'EUR');
+    expect(leaderIncome.valueUsd).to.equal(1380000000000000n);
+    expect(costs).to.include({ fixedCostUsd: 2760000000000000n, grossValueUsd: 4140000000000000n, costValueUsd: 2766900000000000n, netValueUsd: 1373100000000000n });
+
+    const [header, , row] = buildMainCsv(converted, ['EUR', 'USD']).replace('\uFEFF', '').split('\n');
+    expect(header).to.include('Block Income Value (EUR),Block Income Value (USD),Total Earnings (XNT),Total Earnings Value (EUR),Total Earnings Value (USD)');
+    expect(header).to.include('Fixed Costs (EUR),Fixed Costs (USD),Gross Earnings (XNT),Gross Earnings (EUR),Gross Earnings (USD)');
+    expect(header).to.include('Estimated Net Profit (XNT),Estimated Net Profit (EUR),Estimated Net Profit (USD)');
+    expect(row).to.include(',1.3800,1.5000,3.000000000,4.1400,4.5000,1000,0.005000000,2.7600,3.0000,3.000000000,4.1400,4.5000,2.005000000,2.7669,3.0075,0.995000000,1.3731,1.4925');
+
+    // An epoch without a reward converts its fixed costs at the epoch end date's rate
+    const epochStatuses = [...converted.map(r => ({ epoch: r.epoch, reward: r, leaderIncome: r.leaderIncome, costs: r.costs })),
+      { epoch: 12, leaderIncome: { leaderSlots: 0, blocksProduced: 0, feeLamports: 0n, rentLamports: 0n, lamports: 0n, valueUsd: 0n }, costs: { ...epochCosts({ grossLamports: 0n, priceMicros: null, voteTransactions: 0, voteFeeLamportsEach: 5000n, fixedCostUsd: 3n * USD }), fxRates: { EUR: 0.92 } } }];
+    const summary = summarizeRewards(converted, {
+      totalEpochsProcessed: 3, failedEpochs: 0, lowEpochFailures: 0, unexpectedFailures: 0, expectedEpochs: 3,
+      leaderIncome: leaderIncomeTotals(epochStatuses.map(e => e.leaderIncome)),
+      costs: costTotals(epochStatuses.map(e => e.costs)),
+      currencies: ['EUR', 'USD'],
+      epochStatuses
+    });
+    const analytics = buildAnalyticsCsv({ votePubkey: 'vote', rewards: converted, summary });
+    expect(analytics).to.include('Leader Block Income Value (EUR),2.7600\nLeader Block Income Value (USD),3.0000');
+    expect(analytics).to.include('Total Earnings Value (EUR),8.2800\nTotal Earnings Value (USD),9.0000');
+    expect(analytics).to.include('Estimated Net Profit (EUR),-0.0138\nEstimated Net Profit (USD),-0.0150');
+    expect(analytics).to.include('Fixed Operating Costs (EUR),8.2800\nFixed Operating Costs (USD),9.0000');
+  });
+
+  after(async function () {
+    try { await fs.unlink(FX_LONG_CSV); } catch {}
+    try { await fs.unlink(FX_WIDE_CSV); } catch {}
+    try { await fs.unlink(FX_JSON); } catch {}
+  });
+});
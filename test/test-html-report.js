@@ -0,0 +1,73 @@
+const { expect } = require('chai');
+
+describe('HTML report (offline)', function () {
+  let buildHtmlReport;
+  let validator;
+
+  const reward = (epoch, lamports) => ({
+    epoch,
+    lamports,
+    priceMicros: 500000n,
+    valueUsd: lamports * 500000n,
+    priceSource: 'fallback',
+    commission: 10,
+    rewardDate: `2025-01-${String(epoch).padStart(2, '0')} 00:00:00`
+  });
+
+  before(async function () {
+    ({ buildHtmlReport } = await import('../htmlReport.js'));
+    const { aggregateRewards } = await import('../amounts.js');
+    const { attachYieldMetrics } = await import('../stakeYield.js');
+    const { countStatuses } = await import('../epochStatus.js');
+    const { summarizeRewards } = await import('../rewardSummary.js');
+
+    // Epoch 3 has no reward, epoch 4 failed
+    const rewards = [reward(1, 1000000000n), reward(2, 2000000000n), reward(5, 1500000000n)];
+    aggregateRewards(rewards);
+    attachYieldMetrics(rewards, () => ({ lamports: 9000e9, source: 'current' }));
+    const epochStatuses = [
+      { epoch: 1, status: 'rewarded', reward: rewards[0] },
+      { epoch: 2, status: 'rewarded', reward: rewards[1] },
+      { epoch: 3, status: 'zero_reward', reward: null },
+      { epoch: 4, status: 'rpc_error', reward: null },
+      { epoch: 5, status: 'rewarded', reward: rewards[2] }
+    ];
+    const summary = summarizeRewards(rewards, {
+      totalEpochsProcessed: 5,
+      failedEpochs: 2,
+      lowEpochFailures: 0,
+      unexpectedFailures: 1,
+      expectedEpochs: 5,
+      statusCounts: countStatuses(epochStatuses)
+    });
+    validator = {
+      votePubkey: '<Ce5Rppix&>',
+      range: { firstEpoch: 1, lastEpoch: 5 },
+      rewards,
+      epochStatuses,
+      summary
+    };
+  });
+
+  it('renders the summary table and the four inline SVG charts', function () {
+    const html = buildHtmlReport(validator, 6);
+
+    expect(html).to.match(/^<!DOCTYPE html>/);
+    expect(html.match(/<svg /g)).to.have.lengthOf(4);
+    expect(html).to.include('<td class="label">Total XNT earned</td><td class="value">4.500000000</td>');
+    expect(html).to.include('<td class="label">Total value (USD)</td><td class="value">2.2500</td>');
+    expect(html).to.include('<td class="label">rpc_error</td><td class="value">1</td>');
+    expect(html).to.include('Cumulative XNT');
+    expect(html).to.include('Cumulative USD');
+    expect(html).to.include('Reward gaps (2 of 5 epochs without reward)');
+    expect(html).to.include('Epochs without reward: 3 (zero_reward), 4 (rpc_error)');
+  });
+
+  it('has no scripts or external assets and escapes text', function () {
+    const html = buildHtmlReport(validator, 6);
+
+    expect(html).to.not.match(/<script|<link|\ssrc=|\shref=/);
+    expect(html).to.include('&lt;Ce5Rppix&amp;&gt;');
+    expect(html).to.not.include('<Ce5Rppix&>');
+  });
+});
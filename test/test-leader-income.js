@@ -0,0 +1,134 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Leader block income (offline)', function () {
+  let fetchEpochLeaderIncome, leaderIncomeTotals, buildMainCsv, openRewardCache;
+
+  const IDENTITY = 'GEw5kqT7kXCWxGeD4p8d1XkvuHAfnPvWKLWUqP1GXwUE';
+  const OTHER = 'Vote111111111111111111111111111111111111111';
+  const epochTimes = { firstSlot: async epoch => epoch * 1000 };
+
+  // Leads slots 0, 100, …, 400 of each epoch from epoch 10; slot x100 is skipped, slot x300 is not available with missingBlock
+  const createMockConnection = ({ missingBlock = false } = {}) => {
+    const blockRequests = [];
+    return {
+      blockRequests,
+      rpcEndpoint: 'http://rpc.test',
+      rpcFetch: async (url, init) => {
+        const { id, method, params: [slot, { identity }] } = JSON.parse(init.body);
+        expect(url).to.equal('http://rpc.test');
+        expect(method).to.equal('getLeaderSchedule');
+        const result = slot < 10000 ? null : { [identity]: [400, 0, 100, 200, 300] };
+        return new Response(JSON.stringify({ jsonrpc: '2.0', id, result }));
+      },
+      getBlock: async (slot, config) => {
+        blockRequests.push([slot, config]);
+        if (slot % 1000 === 100) throw Object.assign(new Error(`Slot ${slot} was skipped`), { code: -32007 });
+        if (slot % 1000 === 300 && missingBlock) throw Object.assign(new Error(`Block not available for slot ${slot}`), { code: -32004 });
+        return {
+          rewards: [
+            { pubkey: IDENTITY, lamports: 5000, rewardType: 'Fee' },
+            { pubkey: IDENTITY, lamports: 7, rewardType: 'Rent' },
+            { pubkey: OTHER, lamports: 999, rewardType: 'Fee' },
+            { pubkey: IDENTITY, lamports: 1e9, rewardType: 'Staking' }
+          ]
+        };
+      }
+    };
+  };
+
+  before(async function () {
+    ({ fetchEpochLeaderIncome, leaderIncomeTotals } = await import('../leaderIncome.js'));
+    ({ buildMainCsv } = await import('../csvWriter.js'));
+    ({ openRewardCache } = await import('../rewardCache.js'));
+  });
+
+  it('sums the fee and rent rewards credited to the identity in its produced blocks', async function () {
+    const connection = createMockConnection();
+    const income = await fetchEpochLeaderIncome(connection, IDENTITY, 12, epochTimes);
+
+    expect(connection.blockRequests.map(([slot]) => slot)).to.deep.equal([12000, 12100, 12200, 12300, 12400]);
+    expect(connection.blockRequests[0][1]).to.include({ transactionDetails: 'none', rewards: true });
+    expect(income).to.deep.equal({
+      identity: IDENTITY,
+      leaderSlots: 5,
+      blocksProduced: 4,
+      feeLamports: 20000n,
+      rentLamports: 28n,
+      lamports: 20028n
+    });
+  });
+
+  it('fails epochs without a leader schedule or with an unavailable block instead of reporting zero income', async function () {
+    let error;
+    try {
+      await fetchEpochLeaderIncome(createMockConnection(), IDENTITY, 9, epochTimes);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('leader schedule for epoch 9 is unavailable');
+
+    error = null;
+    try {
+      await fetchEpochLeaderIncome(createMockConnection({ missingBlock: true }), IDENTITY, 12, epochTimes);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/^failed to get block 12300: Block not available/);
+
+    const totals = leaderIncomeTotals([
+      { identity: IDENTITY, leaderSlots: 5, blocksProduced: 4, feeLamports: 20000n, rentLamports: 28n, lamports: 20028n, valueUsd: 40056n, error: null },
+      { leaderSlots: 3, blocksProduced: 3, feeLamports: 100n, rentLamports: 0n, lamports: 100n, valueUsd: null, error: null },
+      { leaderSlots: null, blocksProduced: null, feeLamports: null, rentLamports: null, lamports: null, error: 'leader schedule for epoch 9 is unavailable' },
+      null
+    ]);
+    expect(totals).to.deep.equal({
+      identity: IDENTITY,
+      epochs: 2,
+      failedEpochs: 1,
+      leaderSlots: 8,
+      blocksProduced: 7,
+      skippedSlots: 1,
+      feeLamports: 20100n,
+      rentLamports: 28n,
+      lamports: 20128n,
+      valueUsd: 40056n
+    });
+  });
+
+  it('caches leader income per identity and adds the main CSV columns only when fetched', function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rewards-leader-income-'));
+    try {
+      const cache = openRewardCache(dir, 'Ce5RppixDArjtH588uXMCryNYcAtbNqaWncY4tBCdYUs');
+      cache.setLeaderIncome(12, { identity: IDENTITY, leaderSlots: 5, blocksProduced: 4, feeLamports: 20000n, rentLamports: 28n, lamports: 20028n });
+      const reopened = openRewardCache(dir, 'Ce5RppixDArjtH588uXMCryNYcAtbNqaWncY4tBCdYUs');
+      expect(reopened.getLeaderIncome(12, IDENTITY)).to.deep.equal({ identity: IDENTITY, leaderSlots: 5, blocksProduced: 4, feeLamports: 20000n, rentLamports: 28n, lamports: 20028n });
+      // Fetched for another identity: not reused
+      expect(reopened.getLeaderIncome(12, OTHER)).to.equal(undefined);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const reward = {
+      epoch: 12,
+      rewardDate: '2025-01-01 00:00:00',
+      lamports: 1000000000n,
+      cumulativeLamports: 1000000000n,
+      priceMicros: 2000000n,
+      priceSource: 'fallback',
+      valueUsd: 2000000000000000n,
+      cumulativeValueUsd: 2000000000000000n,
+      commission: 5
+    };
+    const leaderIncome = { leaderSlots: 5, blocksProduced: 4, feeLamports: 20000n, rentLamports: 28n, lamports: 20028n, valueUsd: 40056000000n, error: null };
+
+    const [plainHeader] = buildMainCsv([reward]).split('\n');
+    expect(plainHeader).to.not.include('Leader Slots');
+
+    const [header, row] = buildMainCsv([{ ...reward, leaderIncome }]).replace('\uFEFF', '').split('\n');
+    expect(header).to.include('Cumulative USD,Leader Slots,Blocks Produced,Block Fees (XNT),Block Rent (XNT),Block Income Value (USD),Total Earnings (XNT),Total Earnings Value (USD),Commission (%)');
+    expect(row).to.include(',2.0000,2.0000,5,4,0.000020000,0.000000028,0.0000,1.000020028,2.0000,5,');
+  });
+});
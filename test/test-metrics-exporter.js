@@ -0,0 +1,90 @@
+const { expect } = require('chai');
+
+describe('Prometheus metrics exporter (offline)', function () {
+  let server;
+  let baseUrl;
+  let scrapes = 0;
+
+  const VOTE_PUBKEY = 'Ce5RppixDArjtH588uXMCryNYcAtbNqaWncY4tBCdYUs';
+  const DELINQUENT_PUBKEY = 'Vote111111111111111111111111111111111111111';
+  // 1000 slots per epoch, a block in every slot; block time = BASE + slot
+  const BASE = Date.UTC(2025, 0, 1) / 1000;
+
+  const connection = {
+    // Slow enough for concurrent scrapes to overlap
+    getVoteAccounts: async () => {
+      scrapes++;
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return {
+        current: [{ votePubkey: VOTE_PUBKEY, activatedStake: 9000e9, commission: 10, epochCredits: [[20, 1000, 0], [29, 5000, 1000]] }],
+        delinquent: [{ votePubkey: DELINQUENT_PUBKEY, activatedStake: 9000e9, commission: 100, epochCredits: [[20, 1000, 0]] }]
+      };
+    },
+    getBalance: async () => 5e9,
+    getEpochInfo: async () => ({ epoch: 30 }),
+    getEpochSchedule: async () => ({
+      getFirstSlotInEpoch: epoch => epoch * 1000,
+      getLastSlotInEpoch: epoch => epoch * 1000 + 999
+    }),
+    getBlocks: async (start, end) => Array.from({ length: end - start + 1 }, (_, i) => start + i).filter(slot => slot < 30500),
+    getBlockTime: async slot => BASE + slot,
+    // The delinquent vote account has no rewards
+    getInflationReward: async (pubkeys, epoch) => pubkeys.map(pubkey => (pubkey.toBase58() === VOTE_PUBKEY
+      ? { amount: 1e9 + epoch, effectiveSlot: (epoch + 1) * 1000, commission: 10 }
+      : null))
+  };
+
+  before(async function () {
+    const { createMetricsServer } = await import('../metricsExporter.js');
+    server = createMetricsServer({
+      votePubkeys: [VOTE_PUBKEY, DELINQUENT_PUBKEY],
+      fetchOptions: {
+        connection,
+        range: { fromEpoch: 27 },
+        priceProvider: 'fallback',
+        priceSettings: { fallbackPriceUsd: 0.5 }
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  it('exports reward, balance, delinquency, commission and vote credit gauges by vote pubkey', async function () {
+    const res = await fetch(`${baseUrl}/metrics`);
+    expect(res.status).to.equal(200);
+    expect(res.headers.get('content-type')).to.match(/^text\/plain; version=0\.0\.4/);
+    const lines = (await res.text()).split('\n');
+    const label = `{vote_pubkey="${VOTE_PUBKEY}"}`;
+    const delinquentLabel = `{vote_pubkey="${DELINQUENT_PUBKEY}"}`;
+
+    expect(lines).to.include('xnt_current_epoch 30');
+    expect(lines).to.include('# TYPE xnt_validator_last_reward_xnt gauge');
+    expect(lines).to.include(`xnt_validator_last_reward_epoch${label} 29`);
+    expect(lines).to.include(`xnt_validator_last_reward_xnt${label} 1.000000029`);
+    expect(lines).to.include(`xnt_validator_cumulative_rewards_xnt${label} 3.000000084`);
+    expect(lines).to.include(`xnt_validator_cumulative_rewards_usd${label} 1.5000`);
+    expect(lines).to.include(`xnt_validator_cumulative_rewards_value{vote_pubkey="${VOTE_PUBKEY}",currency="USD"} 1.5000`);
+    expect(lines).to.include(`xnt_validator_vote_balance_xnt${label} 5.000000000`);
+    expect(lines).to.include(`xnt_validator_delinquent${label} 0`);
+    expect(lines).to.include(`xnt_validator_delinquent${delinquentLabel} 1`);
+    expect(lines).to.include(`xnt_validator_commission_percent${delinquentLabel} 100`);
+    expect(lines).to.include(`xnt_validator_last_epoch_vote_credits${label} 4000`);
+    // No reward and no credit history for epoch 29: those series are omitted
+    expect(lines.some(line => line.startsWith(`xnt_validator_last_reward_xnt${delinquentLabel}`))).to.equal(false);
+    expect(lines.some(line => line.startsWith(`xnt_validator_last_epoch_vote_credits${delinquentLabel}`))).to.equal(false);
+  });
+
+  it('shares a running scrape between concurrent requests and rejects other paths', async function () {
+    const before = scrapes;
+    const responses = await Promise.all([fetch(`${baseUrl}/metrics`), fetch(`${baseUrl}/metrics`)]);
+    expect(responses.map(res => res.status)).to.deep.equal([200, 200]);
+    expect(scrapes - before).to.equal(1);
+
+    expect((await fetch(`${baseUrl}/`)).status).to.equal(404);
+    expect((await fetch(`${baseUrl}/metrics`, { method: 'POST' })).status).to.equal(405);
+  });
+});
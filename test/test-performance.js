@@ -0,0 +1,35 @@
+const { expect } = require('chai');
+
+const account = (votePubkey, earnedByEpoch) => ({
+  votePubkey,
+  epochCredits: Object.entries(earnedByEpoch).map(([epoch, earned]) => [Number(epoch), 10000 + earned, 10000])
+});
+
+describe('Vote-credit performance analytics (offline)', function () {
+  let analyzeVoteCredits;
+
+  before(async function () {
+    ({ analyzeVoteCredits } = await import('../performance.js'));
+  });
+
+  it('compares earned credits with the cluster median and lists the worst epochs', function () {
+    const mine = account('A', { 10: 400, 11: 380, 12: 200 });
+    const voteAccounts = {
+      current: [mine, account('B', { 10: 400, 11: 400, 12: 400 }), account('C', { 10: 300, 11: 420, 12: 400 })],
+      delinquent: [account('D', { 10: 500, 11: 400, 12: 0 })]
+    };
+
+    const result = analyzeVoteCredits(mine, voteAccounts, { worstCount: 2 });
+
+    expect(result.epochs.map(e => e.clusterMedianCredits)).to.deep.equal([400, 400, 300]);
+    expect(result.epochs.map(e => e.efficiency)).to.deep.equal(['100.00', '95.00', '66.67']);
+    expect(result.overallEfficiency).to.equal('89.09');
+    expect(result.worstEpochs.map(e => e.epoch)).to.deep.equal([12, 11]);
+  });
+
+  it('limits the comparison to the requested epoch range', function () {
+    const mine = account('A', { 10: 400, 11: 380, 12: 200 });
+    const result = analyzeVoteCredits(mine, { current: [mine], delinquent: [] }, { fromEpoch: 11, toEpoch: 11 });
+    expect(result.epochs.map(e => e.epoch)).to.deep.equal([11]);
+  });
+});
@@ -0,0 +1,139 @@
+const { expect } = require('chai');
+
+describe('Pool price (offline)', function () {
+  let discoverPoolVaults, fetchPoolPriceAtSlot, WRAPPED_XNT_MINT, createPriceProvider, PublicKey;
+
+  const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+  const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+  const key = seed => new PublicKey(Buffer.alloc(32, seed));
+
+  // Pool account in a packed Borsh layout: discriminator, a u8 bump, then the two vault keys at
+  // unaligned offsets 9 and 41
+  const poolAccount = (xntVault, quoteVault) => ({
+    data: Buffer.concat([Buffer.alloc(8, 7), Buffer.from([255]), xntVault.toBuffer(), quoteVault.toBuffer(), Buffer.alloc(16)])
+  });
+
+  const tokenAccount = (mint, authority) => ({
+    owner: new PublicKey(TOKEN_PROGRAM),
+    data: Buffer.concat([new PublicKey(mint).toBuffer(), authority.toBuffer(), Buffer.alloc(101)])
+  });
+
+  // Swap transaction leaving the given vault balances
+  const swap = (xntVault, quoteVault, xnt, quote) => ({
+    blockTime: null,
+    transaction: { message: { accountKeys: [{ pubkey: key(1) }, { pubkey: xntVault }, { pubkey: quoteVault }] } },
+    meta: {
+      postTokenBalances: [
+        { accountIndex: 1, uiTokenAmount: { uiAmountString: String(xnt) } },
+        { accountIndex: 2, uiTokenAmount: { uiAmountString: String(quote) } }
+      ]
+    }
+  });
+
+  // Stub connection for one pool. `blocks` maps produced slots to their signatures; `history` lists
+  // the pool's transactions newest first as { signature, slot, blockTime, tx }.
+  const buildConnection = ({ pool, xntVault, quoteVault, blocks, history }) => {
+    const calls = { getBlock: [], getSignaturesForAddress: [] };
+    const authority = key(9);
+    const accounts = new Map([
+      [xntVault.toBase58(), tokenAccount(WRAPPED_XNT_MINT, authority)],
+      [quoteVault.toBase58(), tokenAccount(USDC_MINT, authority)]
+    ]);
+    const connection = {
+      calls,
+      getAccountInfo: async address => (address.toBase58() === pool ? poolAccount(xntVault, quoteVault) : null),
+      getMultipleAccountsInfo: async keys => keys.map(k => accounts.get(k.toBase58()) ?? null),
+      getBlocks: async (start, end) => Object.keys(blocks).map(Number).filter(s => s >= start && s <= end),
+      getBlock: async slot => {
+        calls.getBlock.push(slot);
+        if (!blocks[slot]) throw new Error(`Slot ${slot} was skipped, or missing in long-term storage`);
+        return { signatures: blocks[slot] };
+      },
+      getSignaturesForAddress: async (address, { before, limit }) => {
+        calls.getSignaturesForAddress.push(before);
+        const cursor = history.findIndex(h => h.signature === before);
+        return history.slice(cursor + 1, cursor + 1 + limit).map(({ signature, slot, blockTime }) => ({ signature, slot, blockTime }));
+      },
+      getParsedTransaction: async signature => history.find(h => h.signature === signature)?.tx ?? null
+    };
+    return connection;
+  };
+
+  before(async function () {
+    ({ discoverPoolVaults, fetchPoolPriceAtSlot, WRAPPED_XNT_MINT } = await import('../poolPrice.js'));
+    ({ createPriceProvider } = await import('../priceProviders.js'));
+    ({ PublicKey } = await import('@solana/web3.js'));
+  });
+
+  it('discovers the XNT and quote vaults at unaligned offsets of a packed pool layout', async function () {
+    const pool = key(21).toBase58();
+    const connection = buildConnection({ pool, xntVault: key(22), quoteVault: key(23), blocks: {}, history: [] });
+    expect(await discoverPoolVaults(connection, pool)).to.deep.equal({
+      xntVault: key(22).toBase58(),
+      quoteVault: key(23).toBase58(),
+      quoteMint: USDC_MINT
+    });
+  });
+
+  it('takes the cursor from the next produced block when the target slot was skipped', async function () {
+    const pool = key(31).toBase58();
+    const xntVault = key(32);
+    const quoteVault = key(33);
+    const connection = buildConnection({
+      pool, xntVault, quoteVault,
+      blocks: { 1003: ['block-1003-a', 'block-1003-b'] },
+      history: [
+        { signature: 'block-1003-b', slot: 1003, blockTime: 2003, tx: null },
+        { signature: 'swap-1002', slot: 1002, blockTime: 2002, tx: swap(xntVault, quoteVault, 10, 99) },
+        { signature: 'swap-998', slot: 998, blockTime: 1998, tx: swap(xntVault, quoteVault, 100, 42) }
+      ]
+    });
+
+    const sample = await fetchPoolPriceAtSlot(connection, pool, 1000, { targetTimestamp: 2000 });
+    expect(connection.calls.getBlock).to.deep.equal([1003]);
+    expect(sample).to.deep.equal({ price: 0.42, slot: 998, blockTime: 1998, signature: 'swap-998' });
+  });
+
+  it('pages past pool transactions that do not touch the vaults', async function () {
+    const pool = key(41).toBase58();
+    const xntVault = key(42);
+    const quoteVault = key(43);
+    const unrelated = Array.from({ length: 150 }, (_, i) => ({ signature: `other-${i}`, slot: 990, blockTime: 1990, tx: swap(key(44), key(45), 1, 1) }));
+    const connection = buildConnection({
+      pool, xntVault, quoteVault,
+      blocks: { 1000: ['cursor'] },
+      history: [{ signature: 'cursor', slot: 1000, blockTime: 2000, tx: null }, ...unrelated, { signature: 'swap-980', slot: 980, blockTime: 1980, tx: swap(xntVault, quoteVault, 4, 2) }]
+    });
+
+    const sample = await fetchPoolPriceAtSlot(connection, pool, 1000, { targetTimestamp: 2000 });
+    expect(connection.calls.getSignaturesForAddress).to.deep.equal(['cursor', 'other-99']);
+    expect(sample).to.include({ price: 0.5, signature: 'swap-980' });
+  });
+
+  it('falls back to the next provider with a warning when the pool has no recent transaction', async function () {
+    const pool = key(51).toBase58();
+    const xntVault = key(52);
+    const quoteVault = key(53);
+    const connection = buildConnection({
+      pool, xntVault, quoteVault,
+      blocks: { 200000: ['cursor'] },
+      history: [
+        { signature: 'cursor', slot: 200000, blockTime: 200000, tx: null },
+        { signature: 'swap-old', slot: 1000, blockTime: 1000, tx: swap(xntVault, quoteVault, 1, 1) }
+      ]
+    });
+    const provider = createPriceProvider('pool,fallback', { poolAddress: pool, maxAgeHours: 24, fallbackPriceUsd: 1.5 });
+
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+      expect(await provider.getPrice({ connection, slot: 200000, timestamp: 200000 })).to.deep.equal({ priceUSD: 1.5, source: 'fallback' });
+      expect(await provider.getPrice({ connection, slot: 200000, timestamp: 200000 })).to.deep.equal({ priceUSD: 1.5, source: 'fallback' });
+    } finally {
+      console.warn = warn;
+    }
+    expect(warnings).to.deep.equal([`Pool ${pool} has no usable transaction shortly before slot 200000; using the next price provider`]);
+  });
+});
@@ -0,0 +1,35 @@
+const { expect } = require('chai');
+
+// Amounts: lamports and USD scaled by 10^15 (see amounts.js)
+const XNT = 1000000000n;
+const USD = 1000000000000000n;
+const reward = (epoch, lamports, valueUsd) => ({ epoch, rewardDate: `2025-01-0${epoch - 99} 00:00:00`, lamports, valueUsd });
+
+describe('Multi-validator portfolio rows (offline)', function () {
+  let buildPortfolioRows, aggregateRewards;
+
+  before(async function () {
+    ({ buildPortfolioRows } = await import('../portfolio.js'));
+    ({ aggregateRewards } = await import('../amounts.js'));
+  });
+
+  it('merges validators per epoch with per-validator and total cumulative values', function () {
+    const a = [reward(100, 1n * XNT, USD / 2n), reward(101, 2n * XNT, 1n * USD)];
+    const b = [reward(101, 3n * XNT + 1n, 3n * USD / 2n)];
+    aggregateRewards(a);
+    aggregateRewards(b);
+
+    const rows = buildPortfolioRows([{ votePubkey: 'A', rewards: a }, { votePubkey: 'B', rewards: b }]);
+
+    expect(rows.map(r => r.epoch)).to.deep.equal([100, 101]);
+
+    expect(rows[0].validators.B).to.deep.equal({ lamports: 0n, valueUsd: 0n, cumulativeLamports: 0n, cumulativeValueUsd: 0n });
+    expect(rows[0].totalLamports).to.equal(1n * XNT);
+
+    expect(rows[1].validators.A.cumulativeLamports).to.equal(3n * XNT);
+    expect(rows[1].validators.B.cumulativeValueUsd).to.equal(3n * USD / 2n);
+    expect(rows[1].totalLamports).to.equal(5n * XNT + 1n);
+    expect(rows[1].cumulativeLamports).to.equal(6n * XNT + 1n);
+    expect(rows[1].cumulativeValueUsd).to.equal(3n * USD);
+  });
+});
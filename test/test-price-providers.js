@@ -0,0 +1,48 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+
+const PRICE_CSV = 'test-prices.csv';
+const PRICE_JSON = 'test-prices.json';
+
+// 2025-03-01 12:00:00 UTC and 2025-03-02 12:00:00 UTC
+const MARCH_1 = 1740830400;
+const MARCH_2 = 1740916800;
+
+describe('Price providers (offline)', function () {
+  let providers;
+
+  before(async function () {
+    providers = await import('../priceProviders.js');
+    await fs.writeFile(PRICE_CSV, '\uFEFFdate,price\n2025-03-01,0.42\n');
+    await fs.writeFile(PRICE_JSON, JSON.stringify({ '2025-03-02': 0.55 }));
+  });
+
+  it('fallback provider returns the fixed price', async function () {
+    const provider = providers.createPriceProvider('fallback', { fallbackPriceUsd: 1.5 });
+    expect(await provider.getPrice({ timestamp: MARCH_1 })).to.deep.equal({ priceUSD: 1.5, source: 'fallback' });
+  });
+
+  it('file provider reads CSV and JSON price histories by UTC date', async function () {
+    const csv = providers.createPriceProvider('file', { priceFile: PRICE_CSV });
+    const json = providers.createPriceProvider('file', { priceFile: PRICE_JSON });
+    expect(await csv.getPrice({ timestamp: MARCH_1 })).to.deep.equal({ priceUSD: 0.42, source: 'file' });
+    expect(await json.getPrice({ timestamp: MARCH_2 })).to.deep.equal({ priceUSD: 0.55, source: 'file' });
+    expect(await csv.getPrice({ timestamp: MARCH_2 })).to.be.null;
+  });
+
+  it('chain provider tries each provider in order', async function () {
+    const chain = providers.createPriceProvider('file,fallback', { priceFile: PRICE_CSV, fallbackPriceUsd: 1 });
+    expect((await chain.getPrice({ timestamp: MARCH_1 })).source).to.equal('file');
+    expect((await chain.getPrice({ timestamp: MARCH_2 })).source).to.equal('fallback');
+  });
+
+  it('rejects unknown providers and a file provider without a file', function () {
+    expect(() => providers.createPriceProvider('oracle', {})).to.throw('Unknown price provider');
+    expect(() => providers.createPriceProvider('file', {})).to.throw('requires --price-file');
+  });
+
+  after(async function () {
+    try { await fs.unlink(PRICE_CSV); } catch {}
+    try { await fs.unlink(PRICE_JSON); } catch {}
+  });
+});
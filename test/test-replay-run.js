@@ -0,0 +1,88 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { runScript, readCsv } = require('./test-utils');
+
+describe('CLI run replayed from an RPC fixture (offline)', function () {
+  const VOTE_PUBKEY = 'Ce5RppixDArjtH588uXMCryNYcAtbNqaWncY4tBCdYUs';
+  const NODE_PUBKEY = 'GEw5kqT7kXCWxGeD4p8d1XkvuHAfnPvWKLWUqP1GXwUE';
+  // 1000 slots per epoch, current epoch 30, a block in every slot; block time = BASE + slot × 86
+  const SLOTS = 1000;
+  const BASE = 1700000000;
+
+  let dir;
+  let fixturePath;
+  let recorded;
+  let replayed;
+
+  // Local JSON-RPC stand-in for the chain, only up while recording
+  const handlers = {
+    getEpochInfo: () => ({ epoch: 30, absoluteSlot: 30005, slotIndex: 5, slotsInEpoch: SLOTS, blockHeight: 1, transactionCount: 1 }),
+    getEpochSchedule: () => ({ slotsPerEpoch: SLOTS, leaderScheduleSlotOffset: SLOTS, warmup: false, firstNormalEpoch: 0, firstNormalSlot: 0 }),
+    getBalance: () => ({ context: { slot: 1 }, value: 5000000000 }),
+    getVoteAccounts: () => ({
+      current: [{ votePubkey: VOTE_PUBKEY, nodePubkey: NODE_PUBKEY, activatedStake: 1e15, commission: 5, epochVoteAccount: true, lastVote: 1, rootSlot: 1, epochCredits: [[20, 1000, 0], [29, 10000, 9000]] }],
+      delinquent: []
+    }),
+    getInflationReward: ([pubkeys, { epoch }]) => pubkeys.map(() => ({ epoch, effectiveSlot: (epoch + 1) * SLOTS, amount: 1000000000 + epoch, postBalance: 1, commission: 5 })),
+    getBlocks: ([start, end]) => Array.from({ length: end - start + 1 }, (_, i) => start + i),
+    getBlockTime: ([slot]) => BASE + slot * 86,
+    getAccountInfo: () => ({ context: { slot: 1 }, value: null }),
+    getSlot: () => 30005,
+    getHealth: () => 'ok'
+  };
+
+  function startRpc() {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const answer = ({ id, method, params }) => (handlers[method]
+          ? { jsonrpc: '2.0', id, result: handlers[method](params ?? []) }
+          : { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } });
+        const request = JSON.parse(body);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(Array.isArray(request) ? request.map(answer) : answer(request)));
+      });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+  }
+
+  const outputs = name => ['-o', path.join(dir, `${name}.csv`), '--cache', 'false', '--epochs', '4', '--price-provider', 'fallback', '--fallback-price-usd', '0.5'];
+
+  before(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rewards-replay-run-'));
+    fixturePath = path.join(dir, 'rpc.json');
+
+    const server = await startRpc();
+    const rpcUrl = `http://127.0.0.1:${server.address().port}`;
+    try {
+      recorded = await runScript(['--rpc-url', rpcUrl, '--record', fixturePath, ...outputs('recorded')]);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+    // Same RPC URL, nothing listening any more: every answer has to come from the fixture
+    replayed = await runScript(['--rpc-url', rpcUrl, '--replay', fixturePath, ...outputs('replayed')]);
+  });
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+    // Written next to the tests, like those of the live runs
+    for (const file of ['xnt_rewards_analytics.csv', 'xnt_rewards_report.html']) fs.rmSync(file, { force: true });
+  });
+
+  it('records a run and replays it without the RPC, missing no request', function () {
+    expect(recorded.code, recorded.stderr).to.equal(0);
+    expect(recorded.stdout).to.match(/RPC responses recorded to .*rpc\.json \(\d+ new\)/);
+    expect(replayed.code, replayed.stderr).to.equal(0);
+    expect(replayed.stdout).to.match(/RPC responses replayed from .*rpc\.json: \d+ \(0 requests not in the fixture\)/);
+  });
+
+  it('writes the same rewards from the fixture as from the RPC', function () {
+    const records = readCsv(path.join(dir, 'replayed.csv'));
+    expect(records.map(r => r.Epoch)).to.deep.equal(['26', '27', '28', '29']);
+    expect(records).to.deep.equal(readCsv(path.join(dir, 'recorded.csv')));
+  });
+});
@@ -0,0 +1,104 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const { existsSync } = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { execFileSync } = require('child_process');
+
+const CACHE_DIR = 'test-rewards-cache';
+const VOTE_PUBKEY = 'Ce5RppixDArjtH588uXMCryNYcAtbNqaWncY4tBCdYUs';
+
+describe('Reward cache (offline)', function () {
+  let openRewardCache;
+
+  before(async function () {
+    ({ openRewardCache } = await import('../rewardCache.js'));
+    await fs.rm(CACHE_DIR, { recursive: true, force: true });
+  });
+
+  it('starts empty when no cache file exists', function () {
+    const cache = openRewardCache(CACHE_DIR, VOTE_PUBKEY);
+    expect(cache.size).to.equal(0);
+    expect(cache.has(100)).to.be.false;
+  });
+
+  it('persists each settled epoch so a new run resumes from it', function () {
+    const first = openRewardCache(CACHE_DIR, VOTE_PUBKEY);
+    first.set(100, { reward: { epoch: 100, xntAmount: '1.000000' }, lamports: 1000000000 });
+    first.set(99, { reward: null });
+
+    const second = openRewardCache(CACHE_DIR, VOTE_PUBKEY);
+    expect(second.size).to.equal(2);
+    expect(second.get(100).lamports).to.equal(1000000000);
+    expect(second.has(99)).to.be.true;
+    expect(second.get(99).reward).to.be.null;
+  });
+
+  it('persists activated-stake snapshots per epoch alongside the rewards', function () {
+    openRewardCache(CACHE_DIR, VOTE_PUBKEY).setStake(101, 5000000000000);
+
+    const reopened = openRewardCache(CACHE_DIR, VOTE_PUBKEY);
+    expect(reopened.getStake(101)).to.equal(5000000000000);
+    expect(reopened.getStake(100)).to.be.undefined;
+    expect(reopened.size).to.equal(2);
+  });
+
+  it('persists the last recorded vote account balance as exact lamports', function () {
+    expect(openRewardCache(CACHE_DIR, VOTE_PUBKEY).getLastBalance()).to.equal(null);
+    openRewardCache(CACHE_DIR, VOTE_PUBKEY).setLastBalance(101, 12345678901234567n);
+
+    const reopened = openRewardCache(CACHE_DIR, VOTE_PUBKEY);
+    expect(reopened.getLastBalance()).to.include({ epoch: 101, lamports: 12345678901234567n });
+    expect(reopened.size).to.equal(2);
+  });
+
+  it('persists vote transaction counts and keeps the sweep cursor reaching the oldest epoch', function () {
+    const cache = openRewardCache(CACHE_DIR, VOTE_PUBKEY);
+    cache.setVoteTransactions(new Map([[100, 250]]), { epoch: 100, signature: 'sigA' });
+    cache.setVoteTransactions(new Map([[99, 240]]), { epoch: 98, signature: 'sigB' });
+    // A later sweep of newer epochs does not move the cursor back up
+    cache.setVoteTransactions(new Map([[101, 260]]), { epoch: 101, signature: 'sigC' });
+
+    const reopened = openRewardCache(CACHE_DIR, VOTE_PUBKEY);
+    expect([99, 100, 101, 102].map(epoch => reopened.getVoteTransactions(epoch))).to.deep.equal([240, 250, 260, undefined]);
+    expect(reopened.getVoteSignatureCursor()).to.deep.equal({ epoch: 98, signature: 'sigB' });
+  });
+
+  it('batches writes until save(), a reopen or the process exit', function () {
+    const key = 'Vote111111111111111111111111111111111111111';
+    const filePath = path.join(CACHE_DIR, `${key}.json`);
+    const cache = openRewardCache(CACHE_DIR, key);
+    cache.set(100, { reward: null });
+    cache.setStake(100, 1);
+    expect(existsSync(filePath)).to.be.false;
+    cache.save();
+    expect(existsSync(filePath)).to.be.true;
+
+    // A process that exits before the batched write is due still saves its changes
+    const modulePath = JSON.stringify(pathToFileURL(path.join(__dirname, '..', 'rewardCache.js')).href);
+    const script = `import(${modulePath}).then(({ openRewardCache }) => openRewardCache(${JSON.stringify(path.resolve(CACHE_DIR))}, '${key}').set(101, { reward: null }))`;
+    execFileSync(process.execPath, ['-e', script]);
+    expect(openRewardCache(CACHE_DIR, key).has(101)).to.be.true;
+  });
+
+  it('registers its exit hook when the first cache is opened, not on import', function () {
+    const modulePath = JSON.stringify(pathToFileURL(path.join(__dirname, '..', 'rewardCache.js')).href);
+    const script = `import(${modulePath}).then(({ openRewardCache }) => {
+      const counts = [process.listenerCount('exit')];
+      openRewardCache(${JSON.stringify(path.resolve(CACHE_DIR))}, '${VOTE_PUBKEY}');
+      openRewardCache(${JSON.stringify(path.resolve(CACHE_DIR))}, '${VOTE_PUBKEY}');
+      counts.push(process.listenerCount('exit'));
+      console.log(JSON.stringify(counts));
+    })`;
+    expect(JSON.parse(execFileSync(process.execPath, ['-e', script], { encoding: 'utf8' }))).to.deep.equal([0, 1]);
+  });
+
+  it('keeps caches of different vote accounts apart', function () {
+    const other = openRewardCache(CACHE_DIR, '11111111111111111111111111111111');
+    expect(other.size).to.equal(0);
+  });
+
+  after(async function () {
+    await fs.rm(CACHE_DIR, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,74 @@
+const { expect } = require('chai');
+
+describe('HTTP API server (offline)', function () {
+  let server;
+  let baseUrl;
+
+  const VOTE_PUBKEY = 'Ce5RppixDArjtH588uXMCryNYcAtbNqaWncY4tBCdYUs';
+  // 1000 slots per epoch, a block in every slot; block time = BASE + slot
+  const BASE = Date.UTC(2025, 0, 1) / 1000;
+
+  const connection = {
+    getVoteAccounts: async () => ({
+      current: [{ votePubkey: VOTE_PUBKEY, activatedStake: 9000e9, epochCredits: [[20, 1000, 0]] }],
+      delinquent: []
+    }),
+    getBalance: async () => 5e9,
+    getEpochInfo: async () => ({ epoch: 30 }),
+    getEpochSchedule: async () => ({
+      getFirstSlotInEpoch: epoch => epoch * 1000,
+      getLastSlotInEpoch: epoch => epoch * 1000 + 999
+    }),
+    getBlocks: async (start, end) => Array.from({ length: end - start + 1 }, (_, i) => start + i).filter(slot => slot < 30500),
+    getBlockTime: async slot => BASE + slot,
+    getInflationReward: async (pubkeys, epoch) => pubkeys.map(() => ({ amount: 1e9 + epoch, effectiveSlot: (epoch + 1) * 1000, commission: 10 }))
+  };
+
+  before(async function () {
+    const { createRewardServer } = await import('../rewardServer.js');
+    server = createRewardServer({
+      connection,
+      votePubkeys: [VOTE_PUBKEY],
+      fetchOptions: { priceProvider: 'fallback', priceSettings: { fallbackPriceUsd: 0.5 } }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  it('reports health and serves reward JSON for an epoch range', async function () {
+    const health = await (await fetch(`${baseUrl}/health`)).json();
+    expect(health.status).to.equal('ok');
+    expect(health.currentEpoch).to.equal(30);
+
+    const res = await fetch(`${baseUrl}/validators/${VOTE_PUBKEY}/rewards?fromEpoch=27&toEpoch=28`);
+    expect(res.status).to.equal(200);
+    const data = await res.json();
+    expect(data.rewards.map(r => r.epoch)).to.deep.equal([27, 28]);
+    expect(data.summary.totalXNTEarned).to.equal('2.000000055');
+    expect(data.summary.totalUSDValue).to.equal('1.0000');
+  });
+
+  it('serves the rewards and summary as CSV for Accept: text/csv', async function () {
+    const rewards = await fetch(`${baseUrl}/validators/${VOTE_PUBKEY}/rewards?epochs=2`, { headers: { Accept: 'text/csv' } });
+    expect(rewards.headers.get('content-type')).to.match(/^text\/csv/);
+    const lines = (await rewards.text()).trim().split('\n');
+    expect(lines).to.have.lengthOf(3);
+    expect(lines[1]).to.match(/^28,/);
+
+    const summary = await fetch(`${baseUrl}/validators/${VOTE_PUBKEY}/summary?epochs=2`, { headers: { Accept: 'text/csv' } });
+    expect(await summary.text()).to.include('Total XNT Earned,2.000000057');
+  });
+
+  it('rejects invalid ranges, vote accounts not served and unknown paths', async function () {
+    const invalid = await fetch(`${baseUrl}/validators/${VOTE_PUBKEY}/summary?fromEpoch=29&toEpoch=28`);
+    expect(invalid.status).to.equal(400);
+    expect((await invalid.json()).error).to.match(/Empty epoch range/);
+
+    expect((await fetch(`${baseUrl}/validators/Vote111111111111111111111111111111111111111/rewards`)).status).to.equal(404);
+    expect((await fetch(`${baseUrl}/validators`)).status).to.equal(404);
+  });
+});
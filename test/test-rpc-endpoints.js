@@ -0,0 +1,71 @@
+const { expect } = require('chai');
+
+describe('RPC endpoint failover (offline)', function () {
+  let createRpcEndpoints;
+
+  const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+  // Fake endpoints: `down` answers HTTP 503, `lagging` is 500 slots behind, everything else is healthy
+  const createFakeRpc = ({ down = [], lagging = [] } = {}) => {
+    const calls = [];
+    const fetchImpl = async (url, init) => {
+      const { method, id } = JSON.parse(init.body);
+      calls.push(url);
+      if (down.includes(url)) return new Response('unavailable', { status: 503 });
+      if (method === 'getHealth') return json({ jsonrpc: '2.0', id, result: 'ok' });
+      if (method === 'getSlot') return json({ jsonrpc: '2.0', id, result: lagging.includes(url) ? 9500 : 10000 });
+      return json({ jsonrpc: '2.0', id, result: url });
+    };
+    return { fetchImpl, calls };
+  };
+
+  const request = async (endpoints) => {
+    const res = await endpoints.fetch('http://ignored', { method: 'POST', body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'getEpochInfo' }) });
+    return res.status === 200 ? (await res.json()).result : res.status;
+  };
+
+  before(async function () {
+    ({ createRpcEndpoints } = await import('../rpcEndpoints.js'));
+  });
+
+  it('fails over to the next endpoint and skips the failed one until its cooldown has passed', async function () {
+    const fake = createFakeRpc({ down: ['http://a'] });
+    const endpoints = createRpcEndpoints(['http://a', 'http://b', 'http://c'], { fetchImpl: fake.fetchImpl });
+
+    expect(await request(endpoints)).to.equal('http://b');
+    expect(await request(endpoints)).to.equal('http://b');
+    expect(fake.calls).to.deep.equal(['http://a', 'http://b', 'http://b']);
+    expect(endpoints.stats.failovers).to.equal(1);
+
+    // Without a cooldown the first endpoint is tried again on every request
+    const retrying = createRpcEndpoints(['http://a', 'http://b'], { fetchImpl: fake.fetchImpl, cooldownMs: 0 });
+    fake.calls.length = 0;
+    await request(retrying);
+    await request(retrying);
+    expect(fake.calls).to.deep.equal(['http://a', 'http://b', 'http://a', 'http://b']);
+  });
+
+  it('returns the failure when every endpoint is down', async function () {
+    const fake = createFakeRpc({ down: ['http://a', 'http://b'] });
+    const endpoints = createRpcEndpoints(['http://a', 'http://b'], { fetchImpl: fake.fetchImpl });
+
+    expect(await request(endpoints)).to.equal(503);
+    // All endpoints in cooldown: the first one is still tried
+    expect(await request(endpoints)).to.equal(503);
+    expect(fake.calls).to.deep.equal(['http://a', 'http://b', 'http://a']);
+  });
+
+  it('moves unhealthy and lagging endpoints to the end of the failover order', async function () {
+    const fake = createFakeRpc({ down: ['http://a'], lagging: ['http://b'] });
+    const endpoints = createRpcEndpoints(['http://a', 'http://b', 'http://c'], { fetchImpl: fake.fetchImpl, maxSlotLag: 100 });
+
+    const health = await endpoints.checkHealth();
+    expect(health.map(h => [h.url, h.healthy, h.slotLag, h.error])).to.deep.equal([
+      ['http://c', true, 0, null],
+      ['http://a', false, null, 'HTTP 503'],
+      ['http://b', false, 500, '500 slots behind']
+    ]);
+    expect(endpoints.urls()).to.deep.equal(['http://c', 'http://a', 'http://b']);
+    expect(await request(endpoints)).to.equal('http://c');
+  });
+});
@@ -0,0 +1,89 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('RPC record/replay fixtures (offline)', function () {
+  let createRecordingFetch, createReplayFetch, createFixtureServer, createConnection, PublicKey;
+  let dir;
+  let fixturePath;
+
+  const RPC_URL = 'http://rpc.invalid';
+  const VOTE_PUBKEY = 'Ce5RppixDArjtH588uXMCryNYcAtbNqaWncY4tBCdYUs';
+  let epoch = 30;
+
+  // Fake JSON-RPC endpoint: the epoch advances on every getEpochInfo call
+  const results = {
+    getEpochInfo: () => ({ epoch: epoch++, absoluteSlot: epoch * 1000, slotIndex: 0, slotsInEpoch: 1000, blockHeight: 1, transactionCount: 1 }),
+    getBalance: () => ({ context: { slot: 1 }, value: 5e9 })
+  };
+  const fakeRpc = async (url, init) => {
+    const request = JSON.parse(init.body);
+    return new Response(JSON.stringify({ jsonrpc: '2.0', id: request.id, result: results[request.method]() }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+
+  before(async function () {
+    ({ createRecordingFetch, createReplayFetch, createFixtureServer } = await import('../rpcFixtures.js'));
+    ({ createConnection } = await import('../validatorRewards.js'));
+    ({ PublicKey } = await import('@solana/web3.js'));
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rewards-rpc-fixtures-'));
+    fixturePath = path.join(dir, 'fixtures', 'rpc.json');
+
+    const recorder = createRecordingFetch(fixturePath, { rpcUrl: RPC_URL, fetchImpl: fakeRpc });
+    const connection = createConnection(RPC_URL, recorder.fetch);
+    await connection.getEpochInfo();
+    await connection.getEpochInfo();
+    await connection.getBalance(new PublicKey(VOTE_PUBKEY));
+    await connection.getBalance(new PublicKey(VOTE_PUBKEY));
+    recorder.save();
+    expect(recorder.stats.recorded).to.equal(3);
+  });
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('records each distinct response once', function () {
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    expect(fixture.version).to.equal(1);
+    expect(fixture.rpcUrl).to.equal(RPC_URL);
+    expect(fixture.entries.map(entry => entry.method)).to.deep.equal(['getEpochInfo', 'getEpochInfo', 'getBalance']);
+  });
+
+  it('replays responses in recorded order without network access and reports misses', async function () {
+    const replay = createReplayFetch(fixturePath);
+    const connection = createConnection(RPC_URL, replay.fetch);
+
+    expect((await connection.getEpochInfo()).epoch).to.equal(30);
+    expect((await connection.getEpochInfo()).epoch).to.equal(31);
+    // The last recorded response repeats
+    expect((await connection.getEpochInfo()).epoch).to.equal(31);
+    expect(await connection.getBalance(new PublicKey(VOTE_PUBKEY))).to.equal(5e9);
+
+    let error;
+    try {
+      await connection.getSlot();
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.an('error');
+    expect(error.message).to.match(/No recorded response for getSlot/);
+    expect(replay.stats).to.deep.equal({ served: 4, missed: 1 });
+  });
+
+  it('serves the fixture as a local JSON-RPC server', async function () {
+    const server = createFixtureServer(fixturePath);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const connection = createConnection(`http://127.0.0.1:${server.address().port}`);
+      expect((await connection.getEpochInfo()).epoch).to.equal(30);
+      expect(await connection.getBalance(new PublicKey(VOTE_PUBKEY))).to.equal(5e9);
+      expect(server.stats).to.deep.equal({ served: 2, missed: 0 });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,60 @@
+const { expect } = require('chai');
+
+const response = status => ({ status, ok: status === 200, text: async () => '{}' });
+
+describe('RPC throttling and retries (offline)', function () {
+  let throttle;
+
+  before(async function () {
+    throttle = await import('../rpcThrottle.js');
+  });
+
+  it('retries 429/5xx responses with backoff and records retry statistics', async function () {
+    const statuses = [429, 503, 200];
+    const { fetch, stats } = throttle.createThrottledFetch({
+      requestsPerSecond: 0,
+      baseDelayMs: 1,
+      fetchImpl: async () => response(statuses.shift())
+    });
+
+    const res = await fetch('http://rpc.invalid', { method: 'POST' });
+    expect(res.status).to.equal(200);
+    expect(stats).to.deep.equal({ requests: 1, retries: 2, retriedRequests: 1, failedRequests: 0 });
+  });
+
+  it('gives up after maxRetries and counts the request as failed', async function () {
+    const { fetch, stats } = throttle.createThrottledFetch({
+      requestsPerSecond: 0,
+      maxRetries: 2,
+      baseDelayMs: 1,
+      fetchImpl: async () => { throw Object.assign(new Error('connect ECONNRESET'), { code: 'ECONNRESET' }); }
+    });
+
+    let error;
+    try { await fetch('http://rpc.invalid', {}); } catch (e) { error = e; }
+    expect(error.message).to.include('failed after 2 retries');
+    expect(stats.failedRequests).to.equal(1);
+    expect(stats.retries).to.equal(2);
+  });
+
+  it('does not retry non-transient responses', async function () {
+    let calls = 0;
+    const { fetch } = throttle.createThrottledFetch({ requestsPerSecond: 0, fetchImpl: async () => { calls++; return response(400); } });
+    expect((await fetch('http://rpc.invalid', {})).status).to.equal(400);
+    expect(calls).to.equal(1);
+  });
+
+  it('maps with bounded concurrency and keeps input order', async function () {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const results = await throttle.mapWithConcurrency([5, 1, 4, 2, 3], 2, async n => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, n));
+      inFlight--;
+      return n * 10;
+    });
+    expect(results).to.deep.equal([50, 10, 40, 20, 30]);
+    expect(maxInFlight).to.equal(2);
+  });
+});
@@ -0,0 +1,60 @@
+const { expect } = require('chai');
+
+describe('Delegator yield analytics (offline)', function () {
+  let epochYield, estimateEpochsPerYear, attachYieldMetrics, summarizeYield;
+
+  // One epoch per day: 365 epochs per year
+  const reward = (epoch, lamports, commission = 10) => ({
+    epoch,
+    lamports,
+    commission,
+    rewardDate: `2025-01-${String(epoch).padStart(2, '0')} 00:00:00`
+  });
+
+  before(async function () {
+    ({ epochYield, estimateEpochsPerYear, attachYieldMetrics, summarizeYield } = await import('../stakeYield.js'));
+  });
+
+  it('derives the post-commission delegator yield from the vote reward', function () {
+    // 1 XNT at 10% commission → 9 XNT to delegators on 9000 XNT of stake
+    expect(epochYield(reward(1, 1000000000n), 9000e9)).to.be.closeTo(0.001, 1e-12);
+    expect(epochYield(reward(1, 1000000000n, 0), 9000e9)).to.equal(null);
+    expect(epochYield(reward(1, 1000000000n), 0)).to.equal(null);
+  });
+
+  it('measures epochs per year from reward block times', function () {
+    expect(estimateEpochsPerYear([reward(1, 1000000000n), reward(11, 1000000000n)])).to.be.closeTo(365, 1e-9);
+    expect(estimateEpochsPerYear([reward(1, 1000000000n)])).to.equal(null);
+  });
+
+  it('attaches stake, epoch yield and rolling APRs, counting missed epochs as 0%', function () {
+    const rewards = [reward(1, 1000000000n), reward(2, 1000000000n), reward(4, 1000000000n)];
+    attachYieldMetrics(rewards, epoch => (epoch === 4 ? { lamports: 9000e9, source: 'snapshot' } : { lamports: 9000e9, source: 'current' }));
+
+    expect(rewards.map(r => r.stakeSource)).to.deep.equal(['current', 'current', 'snapshot']);
+    expect(rewards[0].activatedStakeLamports).to.equal(9000000000000n);
+    expect(rewards[0].epochYield).to.equal('0.100000');
+    expect(rewards[1].apr10).to.equal('36.50');
+    // Epochs 1..4 with epoch 3 missed: 0.3% over 4 epochs × 365
+    expect(rewards[2].apr10).to.equal('27.38');
+    expect(rewards[2].apr30).to.equal('27.38');
+  });
+
+  it('summarizes the latest APRs and the compounded APY', function () {
+    const rewards = attachYieldMetrics([reward(1, 1000000000n), reward(2, 1000000000n)], () => ({ lamports: 9000e9, source: 'current' }));
+    const summary = summarizeYield(rewards);
+
+    expect(summary.apr30).to.equal('36.50');
+    expect(summary.apy).to.equal('44.03');
+    expect(summary.epochsPerYear).to.equal('365.0');
+    expect(summary.averageActivatedStake).to.equal('9000.000000000');
+    expect(summary.stakeEstimates).to.equal(2);
+  });
+
+  it('reports N/A without enough data', function () {
+    const summary = summarizeYield(attachYieldMetrics([reward(1, 1000000000n)], () => null));
+    expect(summary.apr10).to.equal('N/A');
+    expect(summary.apy).to.equal('N/A');
+    expect(summary.latestActivatedStake).to.equal('N/A');
+  });
+});
@@ -0,0 +1,91 @@
+const { expect } = require('chai');
+
+describe('Tax income lot export (offline)', function () {
+  let parseTaxYearStart, taxYearOf, buildIncomeLots, taxYearTotals, buildTaxLotsCsv;
+
+  const VOTE = 'Ce5RppixDArjtH588uXMCryNYcAtbNqaWncY4tBCdYUs';
+  const unix = iso => Math.floor(Date.parse(iso) / 1000);
+
+  const reward = (epoch, iso, fields = {}) => ({
+    epoch,
+    rewardDate: iso.replace('T', ' ').replace('Z', ''),
+    effectiveSlot: (epoch + 1) * 432000,
+    blockTime: unix(iso),
+    isApproxTimestamp: false,
+    lamports: 2000000000n,
+    priceMicros: 1500000n,
+    priceSource: 'file',
+    valueUsd: 3000000000000000n,
+    ...fields
+  });
+
+  const validator = {
+    votePubkey: VOTE,
+    rewards: [
+      reward(100, '2025-04-05T23:59:59Z'),
+      reward(101, '2025-04-06T00:00:01Z', { priceSource: 'fallback' }),
+      reward(102, '2025-12-31T12:00:00Z', { isApproxTimestamp: true })
+    ]
+  };
+
+  before(async function () {
+    ({ parseTaxYearStart, taxYearOf, buildIncomeLots, taxYearTotals } = await import('../taxExport.js'));
+    ({ buildTaxLotsCsv } = await import('../csvWriter.js'));
+  });
+
+  it('assigns receipt times to calendar or fiscal tax years in UTC', function () {
+    const calendar = parseTaxYearStart('01-01');
+    const uk = parseTaxYearStart('04-06');
+    expect(uk).to.deep.equal({ month: 4, day: 6 });
+
+    expect(taxYearOf(unix('2025-04-05T23:59:59Z'), calendar)).to.deep.equal({ taxYear: '2025', from: '2025-01-01', to: '2025-12-31' });
+    expect(taxYearOf(unix('2025-04-05T23:59:59Z'), uk)).to.deep.equal({ taxYear: '2024/25', from: '2024-04-06', to: '2025-04-05' });
+    expect(taxYearOf(unix('2025-04-06T00:00:00Z'), uk)).to.deep.equal({ taxYear: '2025/26', from: '2025-04-06', to: '2026-04-05' });
+    expect(taxYearOf(unix('2099-06-30T00:00:00Z'), parseTaxYearStart('07-01')).taxYear).to.equal('2098/99');
+
+    for (const invalid of ['02-29', '13-01', '4-6', '04/06', undefined]) {
+      expect(() => parseTaxYearStart(invalid)).to.throw('Invalid tax year start');
+    }
+  });
+
+  it('builds one lot per reward with its exact receipt time and source reference, and totals them per tax year', function () {
+    const start = parseTaxYearStart('04-06');
+    const lots = buildIncomeLots({ ...validator, rewards: [...validator.rewards].reverse() }, start);
+
+    expect(lots.map(lot => lot.epoch)).to.deep.equal([100, 101, 102]);
+    expect(lots[0]).to.deep.equal({
+      lotId: `${VOTE}:100`,
+      votePubkey: VOTE,
+      epoch: 100,
+      slot: 43632000,
+      receivedAt: unix('2025-04-05T23:59:59Z'),
+      timestampSource: 'block',
+      taxYear: '2024/25',
+      lamports: 2000000000n,
+      priceMicros: 1500000n,
+      priceSource: 'file',
+      value: 3000000000000000n,
+      currency: 'USD'
+    });
+    expect(lots[2].timestampSource).to.equal('estimated');
+
+    expect(taxYearTotals(lots, start)).to.deep.equal([
+      { taxYear: '2024/25', from: '2024-04-06', to: '2025-04-05', lots: 1, lamports: 2000000000n, value: 3000000000000000n, currency: 'USD', fallbackPricedLots: 0, estimatedTimeLots: 0 },
+      { taxYear: '2025/26', from: '2025-04-06', to: '2026-04-05', lots: 2, lamports: 4000000000n, value: 6000000000000000n, currency: 'USD', fallbackPricedLots: 1, estimatedTimeLots: 1 }
+    ]);
+  });
+
+  it('writes the lots in the generic and crypto-tax service layouts', function () {
+    const lots = buildIncomeLots({ ...validator, rewards: validator.rewards.slice(0, 1) }, parseTaxYearStart('01-01'));
+    const csv = preset => buildTaxLotsCsv(lots, preset).replace('\uFEFF', '').trim().split('\n');
+
+    expect(csv('generic')).to.deep.equal([
+      'Lot ID,Received At (UTC),Tax Year,Type,Asset,Amount,Price per Unit (USD),Fair Market Value,Currency,Price Source,Timestamp Source,Vote Account,Epoch,Slot',
+      `${VOTE}:100,2025-04-05T23:59:59Z,2025,Staking reward,XNT,2.000000000,1.500000,3.0000,USD,file,block,${VOTE},100,43632000`
+    ]);
+    expect(csv('koinly')[1]).to.equal(`2025-04-05 23:59:59 UTC,,,2.000000000,XNT,,,3.0000,USD,reward,"X1 staking reward, vote account ${VOTE}, epoch 100, slot 43632000",`);
+    expect(csv('cointracking')[1]).to.match(/^Staking,2\.000000000,XNT,,,,,X1 validator,,".*epoch 100, slot 43632000",05\.04\.2025 23:59:59,Ce5R.*:100,3\.0000,$/);
+    expect(csv('cryptotaxcalculator')[1]).to.match(/^05\/04\/2025 23:59:59,staking,XNT,2\.000000000,,,,,,Ce5R\w+,X1,Ce5R\w+:100,"X1 staking reward, epoch 100, slot 43632000",1\.500000,USD$/);
+    expect(() => buildTaxLotsCsv(lots, 'turbotax')).to.throw('Unknown tax export preset "turbotax"');
+  });
+});
@@ -2,6 +2,7 @@ const fs = require('fs');
 const { exec } = require('child_process');
 const util = require('util');
 const { parse } = require('csv-parse/sync');
+const { startRpcStandIn } = require('./rpc-stand-in');
 
 const execPromise = util.promisify(exec);
 
@@ -9,8 +10,29 @@ const MAIN_SCRIPT = '../fetch-total-validator-earnings.js';
 const FIXED_VOTE_PUBKEY = 'Ce5RppixDArjtH588uXMCryNYcAtbNqaWncY4tBCdYUs';
 const MAIN_CSV_FILENAME = 'xnt_rewards_with_prices.csv';
 
+// Committed recording of the integration test runs, replayed by default when present
+const DEFAULT_RPC_FIXTURE = 'fixtures/mainnet-rpc.json';
+// Reward cache of the stand-in runs, kept apart from that of live runs
+const STAND_IN_CACHE_DIR = '.rewards-cache/stand-in';
+
+let standIn = null;
+
+// RPC_RECORD=<file> records the RPC traffic of every run into a fixture file; RPC_REPLAY=<file> answers it
+// from that file without network access (see rpcFixtures.js). RPC_LIVE=1 queries the live RPC. Without any of
+// them, runs replay DEFAULT_RPC_FIXTURE when it exists, else query the local stand-in chain (rpc-stand-in.js),
+// so the suite needs no network. Runs given their own --rpc-url, --record or --replay keep them.
+async function rpcArgs(args) {
+  if (['--rpc-url', '--record', '--replay'].some(option => args.includes(option))) return [];
+  if (process.env.RPC_REPLAY) return ['--replay', process.env.RPC_REPLAY];
+  if (process.env.RPC_RECORD) return ['--record', process.env.RPC_RECORD];
+  if (process.env.RPC_LIVE === '1') return [];
+  if (fs.existsSync(DEFAULT_RPC_FIXTURE)) return ['--replay', DEFAULT_RPC_FIXTURE];
+  standIn = standIn || startRpcStandIn();
+  return ['--rpc-url', (await standIn).url, '--rps', '0', '--cache-dir', STAND_IN_CACHE_DIR];
+}
+
 async function runScript(args = []) {
-  const fullArgs = ['--vote-pubkey', FIXED_VOTE_PUBKEY, ...args];
+  const fullArgs = ['--vote-pubkey', FIXED_VOTE_PUBKEY, ...await rpcArgs(args), ...args];
   const cmd = `node ${MAIN_SCRIPT} ${fullArgs.join(' ')}`;
 
   try {
@@ -37,6 +59,7 @@ async function fileExists(path) {
 function readCsv(path) {
   const content = fs.readFileSync(path, 'utf-8');
   return parse(content, {
+    bom: true,
     columns: true,
     skip_empty_lines: true,
     trim: true
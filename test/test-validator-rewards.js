@@ -0,0 +1,188 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Programmatic API (offline)', function () {
+  let fetchValidatorRewards;
+
+  const VOTE_PUBKEY = 'Ce5RppixDArjtH588uXMCryNYcAtbNqaWncY4tBCdYUs';
+  // 1000 slots per epoch, a block in every slot; block time = BASE + slot
+  const BASE = Date.UTC(2025, 0, 1) / 1000;
+
+  const voteAccount = {
+    votePubkey: VOTE_PUBKEY,
+    nodePubkey: 'NodePubkey111111111111111111111111111111111',
+    activatedStake: 9000e9,
+    commission: 10,
+    epochCredits: [[23, 1000, 0], [24, 2000, 1000], [25, 3000, 2000]]
+  };
+
+  const mockConnection = () => ({
+    getVoteAccounts: async () => ({ current: [voteAccount], delinquent: [] }),
+    getBalance: async () => 5e9,
+    getEpochInfo: async () => ({ epoch: 30 }),
+    getEpochSchedule: async () => ({
+      getFirstSlotInEpoch: epoch => epoch * 1000,
+      getLastSlotInEpoch: epoch => epoch * 1000 + 999
+    }),
+    getBlocks: async (start, end) => Array.from({ length: end - start + 1 }, (_, i) => start + i).filter(slot => slot < 30500),
+    getBlockTime: async slot => BASE + slot,
+    // Epoch 26 has no reward, epoch 27 fails
+    getInflationReward: async (pubkeys, epoch) => {
+      if (epoch === 27) throw new Error('RPC error');
+      return pubkeys.map(() => (epoch === 26 ? null : { amount: 1e9 + epoch, effectiveSlot: (epoch + 1) * 1000, commission: 10 }));
+    }
+  });
+
+  before(async function () {
+    ({ fetchValidatorRewards } = await import('../validatorRewards.js'));
+  });
+
+  it('returns rewards, epoch statuses and summary metrics without console output or files', async function () {
+    const cwd = fs.readdirSync('.');
+    const logged = [];
+    const originalLog = console.log;
+    console.log = (...args) => logged.push(args);
+    let result;
+    try {
+      result = await fetchValidatorRewards({
+        connection: mockConnection(),
+        votePubkey: VOTE_PUBKEY,
+        range: { fromEpoch: 24 },
+        priceProvider: 'fallback',
+        priceSettings: { fallbackPriceUsd: 0.5 }
+      });
+    } finally {
+      console.log = originalLog;
+    }
+
+    expect(logged).to.deep.equal([]);
+    expect(fs.readdirSync('.')).to.deep.equal(cwd);
+    expect(result.currentEpoch).to.equal(30);
+    expect(result.range).to.deep.equal({ firstEpoch: 24, lastEpoch: 29 });
+    expect(result.cacheStats).to.equal(null);
+
+    const [validator] = result.validators;
+    expect(validator.votePubkey).to.equal(VOTE_PUBKEY);
+    expect(validator.activationEpoch).to.equal(23);
+    expect(validator.delinquent).to.equal(false);
+    expect(validator.commission).to.equal(10);
+    // The credit history ends at epoch 25, so epoch 29 has no entry
+    expect(validator.lastEpochVoteCredits).to.equal(null);
+    expect(validator.crossCheck).to.equal(null);
+    expect(validator.rewards.map(r => r.epoch)).to.deep.equal([24, 25, 28, 29]);
+    expect(validator.epochStatuses.map(e => e.status)).to.deep.equal(['rewarded', 'rewarded', 'zero_reward', 'rpc_error', 'rewarded', 'rewarded']);
+    expect(validator.summary.totalLamports).to.equal(4000000106n);
+    expect(validator.summary.totalValueUsd).to.equal(4000000106n * 500000n);
+    expect(validator.summary.unexpectedFailures).to.equal(1);
+    expect(validator.summary.priceSources.fallback).to.equal(4);
+    expect(validator.summary.yield.stakeEstimates).to.equal(4);
+    expect(validator.rewards[3].cumulativeLamports).to.equal(validator.summary.totalLamports);
+  });
+
+  it('uses a given price provider object and stores the reward cache only when a cache directory is given', async function () {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rewards-api-'));
+    try {
+      const options = {
+        connection: mockConnection(),
+        votePubkey: [VOTE_PUBKEY],
+        range: { fromEpoch: 28, toEpoch: 29 },
+        priceProvider: { name: 'fixed', getPrice: async () => ({ priceUSD: 2, source: 'file' }) },
+        cacheDir
+      };
+      const first = await fetchValidatorRewards(options);
+      const second = await fetchValidatorRewards(options);
+
+      expect(first.validators[0].rewards.map(r => r.priceMicros)).to.deep.equal([2000000n, 2000000n]);
+      expect(first.cacheStats).to.deep.equal({ loaded: 0, queried: 2 });
+      expect(second.cacheStats).to.deep.equal({ loaded: 2, queried: 0 });
+      expect(second.validators[0].summary.totalLamports).to.equal(first.validators[0].summary.totalLamports);
+    } finally {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+  });
+
+  it('re-queries the last completed epoch without a reward on the next run until its rewards are settled', async function () {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rewards-api-'));
+    // Just after the epoch 30 boundary, epoch 29's rewards are not distributed yet
+    let slotIndex = 10;
+    let distributed = false;
+    const connection = {
+      ...mockConnection(),
+      getEpochInfo: async () => ({ epoch: 30, slotIndex }),
+      getInflationReward: async (pubkeys, epoch) => pubkeys.map(() => (epoch === 29 && !distributed ? null : { amount: 1e9 + epoch, effectiveSlot: (epoch + 1) * 1000, commission: 10 }))
+    };
+    try {
+      const options = { connection, votePubkey: VOTE_PUBKEY, range: { fromEpoch: 28 }, priceProvider: 'fallback', settleSlots: 1000, cacheDir };
+      const early = await fetchValidatorRewards(options);
+      expect(early.validators[0].epochStatuses.map(e => e.status)).to.deep.equal(['rewarded', 'zero_reward']);
+
+      distributed = true;
+      const next = await fetchValidatorRewards(options);
+      expect(next.cacheStats).to.deep.equal({ loaded: 1, queried: 1 });
+      expect(next.validators[0].epochStatuses.map(e => e.status)).to.deep.equal(['rewarded', 'rewarded']);
+
+      // Once settled, an epoch without a reward is cached
+      slotIndex = 1000;
+      distributed = false;
+      const cached = { ...options, range: { fromEpoch: 26, toEpoch: 26 } };
+      await fetchValidatorRewards(cached);
+      expect((await fetchValidatorRewards(cached)).cacheStats).to.deep.equal({ loaded: 1, queried: 0 });
+    } finally {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+  });
+
+  it('cross-checks queried epochs on a second connection and does not cache disagreements', async function () {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rewards-api-'));
+    // The second endpoint reports a different amount for epoch 28 and fails for epoch 25
+    const crossCheckConnection = {
+      ...mockConnection(),
+      getInflationReward: async (pubkeys, epoch) => {
+        if (epoch === 25) throw new Error('RPC error');
+        return pubkeys.map(() => (epoch === 26 ? null : { amount: 1e9 + epoch + (epoch === 28 ? 1 : 0), effectiveSlot: (epoch + 1) * 1000, commission: 10 }));
+      }
+    };
+    try {
+      const options = {
+        connection: mockConnection(),
+        crossCheckConnection,
+        votePubkey: VOTE_PUBKEY,
+        range: { fromEpoch: 24 },
+        priceProvider: 'fallback',
+        cacheDir
+      };
+      const first = await fetchValidatorRewards(options);
+      const second = await fetchValidatorRewards(options);
+
+      // Epoch 27 failed on the primary connection and is not cross-checked
+      expect(first.validators[0].crossCheck).to.deep.equal({
+        comparedEpochs: 4,
+        uncheckedEpochs: 1,
+        mismatches: [{
+          epoch: 28,
+          primary: { amount: 1000000028, effectiveSlot: 29000, commission: 10 },
+          secondary: { amount: 1000000029, effectiveSlot: 29000, commission: 10 }
+        }]
+      });
+      expect(first.validators[0].rewards.find(r => r.epoch === 28).lamports).to.equal(1000000028n);
+      // Epochs 27 (failed) and 28 (disputed) are queried again
+      expect(second.cacheStats).to.deep.equal({ loaded: 4, queried: 2 });
+      expect(second.validators[0].crossCheck.mismatches.map(m => m.epoch)).to.deep.equal([28]);
+    } finally {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects unknown vote accounts', async function () {
+    let error;
+    try {
+      await fetchValidatorRewards({ connection: mockConnection(), votePubkey: 'Vote111111111111111111111111111111111111111', priceProvider: 'fallback' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.an('error');
+    expect(error.message).to.match(/Vote account not found/);
+  });
+});
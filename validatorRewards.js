@@ -0,0 +1,912 @@
+/**
+ * @fileoverview
+ * Programmatic API: fetches the inflation rewards of one or more X1 vote accounts over an epoch range,
+ * prices them, and returns a structured result (rewards, per-epoch statuses, summary metrics, vote-credit
+ * performance and, optionally, the identity's leader block income and the costs and net profit) for the CLI, the
+ * CSV/JSON writers or any other caller.
+ *
+ * fetchValidatorRewards() has no side effects of its own: it prints nothing unless `verbose` is set and
+ * writes no files unless a reward cache directory is given (see rewardCache.js). Defaults are the built-in
+ * configuration defaults (configLoader.js); config.json is not read.
+ *
+ * @example
+ * import { fetchValidatorRewards } from './validatorRewards.js';
+ * const result = await fetchValidatorRewards({
+ *   rpcUrl: 'https://rpc.mainnet.x1.xyz',
+ *   votePubkey: 'Ce5RppixDArjtH588uXMCryNYcAtbNqaWncY4tBCdYUs',
+ *   range: { since: '2025-01-01', until: '2025-12-31' },
+ *   priceProvider: 'pool,fallback'
+ * });
+ * const [validator] = result.validators;
+ * console.log(validator.summary.totalLamports, validator.rewards.length);
+ *
+ * Exports:
+ * - fetchValidatorRewards: Fetches, prices and analyzes the rewards of one or more vote accounts.
+ * - createConnection: Creates a Connection (optionally with a throttled fetch, see rpcThrottle.js).
+ * - parseVotePubkeys: Parses vote pubkeys given as lists and/or comma-separated strings.
+ * - resolvePriceProvider: Creates the price provider for a provider spec, or returns a given provider object.
+ * - resolveSlotContext: Block time and price of a reward's effectiveSlot (shared with delegatorRewards.js).
+ */
+
+import { Connection, PublicKey } from '@solana/web3.js';
+import moment from 'moment';
+import { DEFAULT_CONFIG } from './configLoader.js';
+import { createPriceProvider } from './priceProviders.js';
+import { openRewardCache } from './rewardCache.js';
+import { createThrottledFetch, mapWithConcurrency } from './rpcThrottle.js';
+import { createRpcEndpoints } from './rpcEndpoints.js';
+import { analyzeVoteCredits, earnedCreditsByEpoch } from './performance.js';
+import { attachYieldMetrics } from './stakeYield.js';
+import { resolveEpochRange } from './epochRange.js';
+import { createEpochTimes, formatBlockTime, SLOT_DURATION_SECONDS } from './epochTimes.js';
+import { toLamports, toPriceMicros, rewardValueUsd, aggregateRewards, formatPrice } from './amounts.js';
+import { EPOCH_STATUS, DEFAULT_ROLLBACK_MAX_EPOCH, classifyEpoch, countStatuses } from './epochStatus.js';
+import { summarizeRewards } from './rewardSummary.js';
+import { fetchEpochLeaderIncome, leaderIncomeTotals } from './leaderIncome.js';
+import { countVoteTransactions, monthlyCostUsd, epochFixedCostUsd, epochCosts, costTotals } from './costs.js';
+import { BASE_CURRENCY, parseCurrencies, createFxRates, attachCurrencyValues } from './fxRates.js';
+
+/**
+ * Fetches historical $XNT price at the given slot/time from the configured price provider.
+ *
+ * @param {Object} priceProvider - Price provider (see priceProviders.js).
+ * @param {Connection} connection - Solana connection instance.
+ * @param {number|undefined} slot - Slot to price at (reward effectiveSlot).
+ * @param {number} timestamp - Unix timestamp (seconds) of the slot.
+ * @param {boolean} verbose - Whether to log lookup details.
+ * @returns {Promise<{priceUSD: number, source: string}>} Price in USD and its source ('pool', 'file' or 'fallback').
+ * @throws {Error} If no provider has a price for the given time.
+ */
+async function fetchHistoricalPrice(priceProvider, connection, slot, timestamp, verbose) {
+  const date = moment.unix(timestamp).utc().format('YYYY-MM-DD');
+  const result = await priceProvider.getPrice({ connection, slot, timestamp, verbose });
+
+  if (!result) {
+    throw new Error(`No price available for ${date} from price provider "${priceProvider.name}"`);
+  }
+
+  if (verbose) {
+    console.log(`Price lookup for ${date}: $${result.priceUSD} (source: ${result.source})`);
+  }
+  return result;
+}
+
+/**
+ * Creates and returns a Solana Connection object.
+ *
+ * @param {string} rpcUrl - The RPC endpoint URL.
+ * @param {Function} [throttledFetch] - fetch() replacement handling rate limits and retries (see rpcThrottle.js).
+ * @returns {Connection} Initialized Solana Connection, with the fetch as `rpcFetch` for RPC methods the
+ *   Connection does not wrap (see leaderIncome.js).
+ */
+export function createConnection(rpcUrl, throttledFetch) {
+  const connection = new Connection(rpcUrl, {
+    commitment: 'confirmed',
+    fetch: throttledFetch,
+    // Retries (including 429) are handled by the throttled fetch
+    disableRetryOnRateLimit: Boolean(throttledFetch)
+  });
+  connection.rpcFetch = throttledFetch;
+  return connection;
+}
+
+/**
+ * Retrieves the current vote account balance.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {PublicKey} votePubkey - Vote account public key.
+ * @returns {Promise<bigint>} Balance in lamports.
+ */
+async function getVoteBalance(connection, votePubkey) {
+  return toLamports(await connection.getBalance(votePubkey));
+}
+
+/**
+ * Finds the vote account object from current and delinquent lists.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {PublicKey} votePubkey - Vote account public key.
+ * @param {Object} [voteAccounts] - Previously fetched getVoteAccounts result (fetched if omitted).
+ * @returns {Promise<{voteAccount: Object, delinquent: boolean}>} Vote account object and whether it is in the delinquent list.
+ * @throws {Error} If vote account is not found (code ERR_VOTE_ACCOUNT_NOT_FOUND).
+ */
+async function findVoteAccount(connection, votePubkey, voteAccounts) {
+  voteAccounts = voteAccounts ?? await connection.getVoteAccounts();
+  const isVoteAccount = acc => acc.votePubkey === votePubkey.toBase58();
+  const current = voteAccounts.current.find(isVoteAccount);
+  const delinquent = current ? undefined : voteAccounts.delinquent.find(isVoteAccount);
+
+  if (!current && !delinquent) {
+    throw Object.assign(new Error(`Vote account not found: ${votePubkey.toBase58()}`), { code: 'ERR_VOTE_ACCOUNT_NOT_FOUND' });
+  }
+
+  return { voteAccount: current || delinquent, delinquent: !current };
+}
+
+/**
+ * Fetches the current epoch number from the chain, with the newest epoch whose reward query result is final.
+ * Rewards are distributed at the start of the following epoch, so right after an epoch boundary the last
+ * completed epoch still answers without a reward; it counts as settled once the current epoch is settleSlots
+ * slots old.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {number} settleSlots - Slots into the current epoch after which the previous one is settled.
+ * @returns {Promise<{currentEpoch: number, settledEpoch: number}>} Current and newest settled epoch.
+ */
+async function getCurrentEpoch(connection, settleSlots) {
+  const epochInfo = await connection.getEpochInfo();
+  return { currentEpoch: epochInfo.epoch, settledEpoch: epochInfo.slotIndex >= settleSlots ? epochInfo.epoch - 1 : epochInfo.epoch - 2 };
+}
+
+/**
+ * Resolves the block time and price for a reward's effectiveSlot. If effectiveSlot was skipped or is
+ * missing, the block time of the next confirmed block (or of the next epoch's first block, where rewards
+ * are credited) is used; only if no block time is available is it estimated from the epoch schedule.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {number|undefined} effectiveSlot - Slot the reward was credited in.
+ * @param {number} epoch - Epoch number.
+ * @param {Object} epochTimes - Epoch-time lookups (see epochTimes.js).
+ * @param {Object} priceProvider - Price provider (see priceProviders.js).
+ * @param {boolean} verbose - Whether to log details.
+ * @returns {Promise<{timestamp: number, isApproxTimestamp: boolean, priceUSD: number, source: string}>}
+ */
+export async function resolveSlotContext(connection, effectiveSlot, epoch, epochTimes, priceProvider, verbose) {
+  let timestamp = null;
+  let isApproxTimestamp = false;
+
+  // Try to get real block time from effectiveSlot
+  if (effectiveSlot !== undefined) {
+    try {
+      timestamp = await connection.getBlockTime(effectiveSlot);
+      if (verbose && timestamp) {
+        console.log(`Using real block time for epoch ${epoch}: ${timestamp}`);
+      }
+    } catch (e) {
+      if (verbose) console.warn(`getBlockTime failed for slot ${effectiveSlot} in epoch ${epoch}: ${e.message}`);
+    }
+  }
+
+  // Skipped slot or no slot: skip forward to the next confirmed block
+  if (!timestamp) {
+    try {
+      timestamp = effectiveSlot !== undefined
+        ? await epochTimes.blockTimeAtOrAfter(effectiveSlot)
+        : await epochTimes.startTime(epoch + 1);
+      if (verbose && timestamp) console.log(`Using next confirmed block time for epoch ${epoch}: ${timestamp}`);
+    } catch (e) {
+      if (verbose) console.warn(`No confirmed block time after the reward slot of epoch ${epoch}: ${e.message}`);
+    }
+  }
+
+  // Last resort: estimate from the epoch schedule and the nominal slot duration
+  if (!timestamp) {
+    timestamp = await epochTimes.estimateSlotTime(effectiveSlot ?? await epochTimes.firstSlot(epoch + 1));
+    isApproxTimestamp = true;
+    if (verbose) console.log(`Using estimated timestamp for epoch ${epoch}`);
+  }
+
+  // Price lookup errors are not swallowed: a report must not silently use a price other than the configured one
+  const { priceUSD, source } = await fetchHistoricalPrice(priceProvider, connection, effectiveSlot, timestamp, verbose);
+
+  return { timestamp, isApproxTimestamp, priceUSD, source };
+}
+
+/**
+ * Resolves an epoch's start and end times (real block times, see epochTimes.js).
+ * Lookup failures leave the time empty rather than failing the epoch.
+ *
+ * @param {Object} epochTimes - Epoch-time lookups (see epochTimes.js).
+ * @param {number} epoch - Epoch number.
+ * @param {boolean} verbose - Whether to log details.
+ * @returns {Promise<{epochStart: string, epochEnd: string}>} UTC date-times ('' if unavailable).
+ */
+async function resolveEpochBounds(epochTimes, epoch, verbose) {
+  const lookup = async (name, fn) => {
+    try {
+      return formatBlockTime(await fn(epoch));
+    } catch (e) {
+      if (verbose) console.warn(`Epoch ${epoch} ${name} time unavailable: ${e.message}`);
+      return '';
+    }
+  };
+  return { epochStart: await lookup('start', epochTimes.startTime), epochEnd: await lookup('end', epochTimes.endTime) };
+}
+
+/**
+ * Builds the reward object for a positive inflation reward and stores it in the cache.
+ *
+ * @param {Object} reward - getInflationReward entry ({ amount, effectiveSlot, ... }).
+ * @param {number} epoch - Epoch number.
+ * @param {Object} slotContext - Block time and price of the effectiveSlot (see resolveSlotContext).
+ * @param {{epochStart: string, epochEnd: string}} epochBounds - Epoch start/end times (see resolveEpochBounds).
+ * @param {string} priceProviderName - Name of the price provider used.
+ * @param {Object|null} cache - Reward cache (see rewardCache.js).
+ * @returns {Object} Reward object (amounts as BigInt, see amounts.js), with the reward's `effectiveSlot`, its
+ *   `blockTime` (Unix seconds) and whether that time is estimated (`isApproxTimestamp`).
+ */
+function buildRewardEntry(reward, epoch, slotContext, epochBounds, priceProviderName, cache) {
+  const { timestamp, isApproxTimestamp, priceUSD, source } = slotContext;
+
+  const rewardEntry = {
+    epoch,
+    rewardDate: formatBlockTime(timestamp),
+    epochStart: epochBounds.epochStart,
+    epochEnd: epochBounds.epochEnd,
+    priceSource: source,
+    commission: reward.commission ?? null
+  };
+
+  // Estimated timestamps are not cached so the next run retries the block time lookups
+  if (!isApproxTimestamp) {
+    cache?.set(epoch, {
+      reward: { ...rewardEntry, priceUSD: formatPrice(toPriceMicros(priceUSD)) },
+      lamports: reward.amount,
+      effectiveSlot: reward.effectiveSlot,
+      blockTime: timestamp,
+      priceProvider: priceProviderName
+    });
+  }
+
+  return withAmounts({ ...rewardEntry, effectiveSlot: reward.effectiveSlot, blockTime: timestamp, isApproxTimestamp }, reward.amount, priceUSD);
+}
+
+/**
+ * Adds the exact amounts to a reward object: lamports, micro-USD price and scaled USD value.
+ *
+ * @param {Object} rewardEntry - Reward fields without amounts.
+ * @param {number|string} lamports - Reward in lamports.
+ * @param {number|string} priceUSD - Price in USD.
+ * @returns {Object} Reward object with `lamports`, `priceMicros` and `valueUsd` (BigInt, see amounts.js).
+ */
+function withAmounts(rewardEntry, lamports, priceUSD) {
+  const amount = toLamports(lamports);
+  const priceMicros = toPriceMicros(priceUSD);
+  return { ...rewardEntry, lamports: amount, priceMicros, valueUsd: rewardValueUsd(amount, priceMicros) };
+}
+
+/**
+ * The fields of a getInflationReward entry compared by the cross-check (null for no reward).
+ *
+ * @param {Object|null} reward - getInflationReward entry.
+ * @returns {{amount: number, effectiveSlot: number, commission: number|null}|null}
+ */
+function crossCheckFields(reward) {
+  return reward?.amount > 0
+    ? { amount: reward.amount, effectiveSlot: reward.effectiveSlot, commission: reward.commission ?? null }
+    : null;
+}
+
+/**
+ * Queries the same getInflationReward on the cross-check connection and compares the results.
+ *
+ * @param {Connection} crossCheckConnection - Connection to the second endpoint.
+ * @param {Array<PublicKey>} pubkeys - Queried vote account public keys.
+ * @param {number} epoch - Epoch number.
+ * @param {Array<Object|null>} inflationRewards - Result of the primary connection.
+ * @param {boolean} verbose - Whether to log query errors.
+ * @returns {Promise<Array<{agreed: boolean, primary?: Object|null, secondary?: Object|null, error?: string}>>}
+ *   Per queried vote account: whether both endpoints agree (with both values when they do not), or the error of
+ *   the cross-check query.
+ */
+async function crossCheckRewards(crossCheckConnection, pubkeys, epoch, inflationRewards, verbose) {
+  let secondaryRewards;
+  try {
+    secondaryRewards = await crossCheckConnection.getInflationReward(pubkeys, epoch);
+  } catch (e) {
+    if (verbose) console.warn(`Cross-check query for epoch ${epoch} failed: ${e.message}`);
+    return pubkeys.map(() => ({ agreed: false, error: e.message }));
+  }
+
+  return pubkeys.map((_, k) => {
+    const primary = crossCheckFields(inflationRewards?.[k] ?? null);
+    const secondary = crossCheckFields(secondaryRewards?.[k] ?? null);
+    return JSON.stringify(primary) === JSON.stringify(secondary) ? { agreed: true } : { agreed: false, primary, secondary };
+  });
+}
+
+/**
+ * Fetches reward data for one epoch for all vote accounts with a single batched getInflationReward call.
+ * Vote accounts whose epoch is already cached are served from their cache and left out of the query. An epoch
+ * without a reward is only cached once settled, since its rewards may not have been distributed yet.
+ * With a cross-check connection, the query is repeated there; results the two endpoints disagree on are kept
+ * from the primary connection but not cached, so the next run queries them again.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {Array<PublicKey>} votePubkeys - Vote account public keys.
+ * @param {number} epoch - Epoch number to query.
+ * @param {boolean} verbose - Whether to log raw response and errors.
+ * @param {Object} epochTimes - Epoch-time lookups (see epochTimes.js).
+ * @param {Object} priceProvider - Price provider (see priceProviders.js).
+ * @param {Array<Object|null>} caches - Reward cache per vote account (same order as votePubkeys).
+ * @param {Connection|null} [crossCheckConnection=null] - Connection to a second endpoint to compare the results with.
+ * @param {boolean} [settled=true] - Whether the epoch's rewards have been distributed (see getCurrentEpoch).
+ * @returns {Promise<Array<{reward: Object|null, error: string|null, crossCheck: Object|null}>>} Per vote account:
+ *   the reward object (positive reward) or null, the query error message if the query failed, and the
+ *   cross-check outcome (see crossCheckRewards; null when not cross-checked).
+ */
+async function fetchEpochRewards(connection, votePubkeys, epoch, verbose, epochTimes, priceProvider, caches, crossCheckConnection = null, settled = true) {
+  const results = await Promise.all(votePubkeys.map(async (_, i) => ({
+    reward: caches[i]?.has(epoch) ? await rewardFromCache(caches[i], epoch, priceProvider, connection, epochTimes, verbose) : null,
+    error: null,
+    crossCheck: null
+  })));
+
+  const queryIndexes = votePubkeys.map((_, i) => i).filter(i => !caches[i]?.has(epoch));
+  if (queryIndexes.length === 0) return results;
+
+  if (verbose) console.log(`Querying inflation reward for epoch ${epoch} (${queryIndexes.length} vote accounts)...`);
+
+  let inflationRewards;
+  try {
+    inflationRewards = await connection.getInflationReward(queryIndexes.map(i => votePubkeys[i]), epoch);
+
+    if (verbose) {
+      console.log(`Raw response for epoch ${epoch}:`, JSON.stringify(inflationRewards, null, 2));
+    }
+  } catch (e) {
+    if (verbose) console.warn(`Failed to query epoch ${epoch}: ${e.message}`);
+    queryIndexes.forEach(i => { results[i].error = e.message; });
+    return results;
+  }
+
+  if (crossCheckConnection) {
+    const crossChecks = await crossCheckRewards(crossCheckConnection, queryIndexes.map(i => votePubkeys[i]), epoch, inflationRewards, verbose);
+    queryIndexes.forEach((i, k) => { results[i].crossCheck = crossChecks[k]; });
+  }
+
+  // All rewards of an epoch normally share one effectiveSlot: resolve its block time and price once
+  const slotContexts = new Map();
+  let epochBounds = null;
+
+  for (const [k, i] of queryIndexes.entries()) {
+    const reward = inflationRewards?.[k] ?? null;
+    const disputed = results[i].crossCheck && !results[i].crossCheck.agreed && !results[i].crossCheck.error;
+    const cache = disputed ? null : caches[i];
+
+    if (!(reward?.amount > 0)) {
+      if (settled) cache?.set(epoch, { reward: null });
+      continue;
+    }
+
+    if (!slotContexts.has(reward.effectiveSlot)) {
+      slotContexts.set(reward.effectiveSlot, await resolveSlotContext(connection, reward.effectiveSlot, epoch, epochTimes, priceProvider, verbose));
+    }
+    epochBounds = epochBounds || await resolveEpochBounds(epochTimes, epoch, verbose);
+    results[i].reward = buildRewardEntry(reward, epoch, slotContexts.get(reward.effectiveSlot), epochBounds, priceProvider.name, cache);
+  }
+
+  return results;
+}
+
+/**
+ * Returns a settled epoch's reward from the cache, re-pricing it if the cached price
+ * came from a different price provider than the current one, and adding the epoch
+ * start/end times to entries cached before they were recorded.
+ *
+ * @param {Object} cache - Reward cache (see rewardCache.js).
+ * @param {number} epoch - Epoch number.
+ * @param {Object} priceProvider - Price provider (see priceProviders.js).
+ * @param {Connection} connection - Solana connection instance.
+ * @param {Object} epochTimes - Epoch-time lookups (see epochTimes.js).
+ * @param {boolean} verbose - Whether to log details.
+ * @returns {Promise<Object|null>} Reward object, or null for a settled epoch without reward.
+ */
+async function rewardFromCache(cache, epoch, priceProvider, connection, epochTimes, verbose) {
+  let entry = cache.get(epoch);
+  if (!entry.reward) return null;
+  if (entry.reward.epochStart === undefined) {
+    entry = { ...entry, reward: { ...entry.reward, ...await resolveEpochBounds(epochTimes, epoch, verbose) } };
+    cache.set(epoch, entry);
+  }
+
+  if (entry.priceProvider !== priceProvider.name) {
+    if (verbose) console.log(`Re-pricing cached epoch ${epoch} with price provider "${priceProvider.name}"`);
+    const { priceUSD, source } = await fetchHistoricalPrice(priceProvider, connection, entry.effectiveSlot, entry.blockTime, verbose);
+    entry = {
+      ...entry,
+      reward: { ...entry.reward, priceUSD: formatPrice(toPriceMicros(priceUSD)), priceSource: source },
+      priceProvider: priceProvider.name
+    };
+    cache.set(epoch, entry);
+  }
+
+  // Amounts are rebuilt from the cached lamports (older entries also hold formatted xntAmount/valueUSD)
+  const { priceUSD, xntAmount, valueUSD, ...fields } = entry.reward;
+  return withAmounts({ ...fields, effectiveSlot: entry.effectiveSlot, blockTime: entry.blockTime, isApproxTimestamp: false }, entry.lamports, priceUSD);
+}
+
+/**
+ * Returns an identity's leader block income in one epoch, from the cache or fetched (see leaderIncome.js).
+ * A failed fetch is returned with its error and not cached, so the next run fetches it again.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {string} identity - Validator identity public key (base58).
+ * @param {number} epoch - Epoch number.
+ * @param {Object} epochTimes - Epoch-time lookups (see epochTimes.js).
+ * @param {Object|null} cache - Reward cache (see rewardCache.js).
+ * @param {boolean} verbose - Whether to log details.
+ * @returns {Promise<Object>} Leader income (see fetchEpochLeaderIncome) with `error` (null, or the error message
+ *   with null counts and amounts).
+ */
+async function leaderIncomeForEpoch(connection, identity, epoch, epochTimes, cache, verbose) {
+  const cached = cache?.getLeaderIncome(epoch, identity);
+  if (cached) return { ...cached, error: null };
+
+  try {
+    const income = await fetchEpochLeaderIncome(connection, identity, epoch, epochTimes, verbose);
+    cache?.setLeaderIncome(epoch, income);
+    return { ...income, error: null };
+  } catch (e) {
+    if (verbose) console.warn(`Leader income for epoch ${epoch} unavailable: ${e.message}`);
+    return { identity, leaderSlots: null, blocksProduced: null, feeLamports: null, rentLamports: null, lamports: null, error: e.message };
+  }
+}
+
+/**
+ * Processes epochs with bounded concurrency and collects reward data for every vote account,
+ * with per-epoch error handling.
+ *
+ * @param {Object} options - Fetch options.
+ * @param {Connection} options.connection - Solana connection instance.
+ * @param {Array<PublicKey>} options.votePubkeys - Vote account public keys.
+ * @param {Object} options.epochTimes - Epoch-time lookups (see epochTimes.js).
+ * @param {{firstEpoch: number, lastEpoch: number}} options.range - Inclusive epoch range (see epochRange.js).
+ * @param {Object} options.priceProvider - Price provider (see priceProviders.js).
+ * @param {Array<Object|null>} options.caches - Reward cache per vote account (see rewardCache.js); cached settled
+ *   epochs are not re-queried.
+ * @param {boolean} [options.verbose=false] - Whether to log detailed information.
+ * @param {number} [options.concurrency=1] - Max epochs fetched in parallel.
+ * @param {Array<number>} [options.activationEpochs=[]] - Activation epoch per vote account (for before_activation).
+ * @param {number} [options.rollbackMaxEpoch] - Last epoch lost in the early X1 chain rollback.
+ * @param {Function} [options.onProgress] - Called as (completedEpochs, totalEpochs) after each epoch.
+ * @param {Connection|null} [options.crossCheckConnection=null] - Connection to a second endpoint to cross-check
+ *   queried epochs with.
+ * @param {Array<string|null>} [options.identities=[]] - Identity per vote account whose leader block income is
+ *   fetched (null or missing: not fetched).
+ * @param {number} [options.settledEpoch=Infinity] - Newest epoch whose rewards have been distributed (see
+ *   getCurrentEpoch); newer epochs without a reward are not cached.
+ * @returns {Promise<{results: Array<{range: Object, rewards: Array, epochStatuses: Array, statusCounts: Object, totalEpochsProcessed: number, failedEpochs: number, lowEpochFailures: number, unexpectedFailures: number, expectedEpochs: number, crossCheck: Object|null, leaderIncome: Object|null}>, cacheStats: {loaded: number, queried: number}}>}
+ *   One result per vote account (same order as votePubkeys). `epochStatuses` lists every processed epoch
+ *   (oldest → newest) with its status (see epochStatus.js) and leader income (null when not fetched; valued at
+ *   the epoch's reward price as `valueUsd`, null without a reward), which rewards also carry as `leaderIncome`;
+ *   `leaderIncome` holds its totals (see leaderIncomeTotals in leaderIncome.js). `lowEpochFailures` counts rollback_unavailable
+ *   epochs and `unexpectedFailures` counts rpc_error epochs. `crossCheck` (null without a cross-check
+ *   connection) counts the compared and unchecked epochs and lists the disagreements. `cacheStats` counts the
+ *   per-vote-account epoch results loaded from the caches and queried from the RPC.
+ */
+async function fetchRewardsForEpochs(options) {
+  const {
+    connection,
+    votePubkeys,
+    epochTimes,
+    range,
+    priceProvider,
+    caches,
+    verbose = false,
+    concurrency = 1,
+    activationEpochs = [],
+    rollbackMaxEpoch = DEFAULT_ROLLBACK_MAX_EPOCH,
+    onProgress = null,
+    crossCheckConnection = null,
+    identities = [],
+    settledEpoch = Infinity
+  } = options;
+  let cachedCount = 0;
+  let completedCount = 0;
+
+  const epochLimit = range.lastEpoch - range.firstEpoch + 1;
+  const epochs = Array.from({ length: epochLimit }, (_, i) => range.lastEpoch - i);
+
+  const epochResults = await mapWithConcurrency(epochs, concurrency, async epoch => {
+    cachedCount += caches.filter(cache => cache?.has(epoch)).length;
+    const rewards = await fetchEpochRewards(connection, votePubkeys, epoch, verbose, epochTimes, priceProvider, caches, crossCheckConnection, epoch <= settledEpoch);
+    for (const [v, identity] of identities.entries()) {
+      if (identity) rewards[v].leaderIncome = await leaderIncomeForEpoch(connection, identity, epoch, epochTimes, caches[v], verbose);
+    }
+
+    completedCount++;
+    onProgress?.(completedCount, epochLimit);
+    return rewards;
+  });
+
+  const results = votePubkeys.map((votePubkey, v) => {
+    const rewards = [];
+    const epochStatuses = [];
+    const crossCheck = crossCheckConnection ? { comparedEpochs: 0, uncheckedEpochs: 0, mismatches: [] } : null;
+
+    epochResults.forEach((epochRewards, i) => {
+      const epoch = epochs[i];
+      const { reward, error, crossCheck: epochCrossCheck, leaderIncome: income = null } = epochRewards[v];
+      const status = classifyEpoch(epoch, reward, error, activationEpochs[v], rollbackMaxEpoch);
+      // Leader income accrues over the epoch: it is valued at the epoch's reward price
+      const leaderIncome = income && { ...income, valueUsd: reward && !income.error ? rewardValueUsd(income.lamports, reward.priceMicros) : null };
+      epochStatuses.push({ epoch, status, reward, error, leaderIncome });
+
+      if (epochCrossCheck?.error) {
+        crossCheck.uncheckedEpochs++;
+      } else if (epochCrossCheck) {
+        crossCheck.comparedEpochs++;
+        if (!epochCrossCheck.agreed) crossCheck.mismatches.push({ epoch, primary: epochCrossCheck.primary, secondary: epochCrossCheck.secondary });
+      }
+
+      if (reward) {
+        reward.status = status;
+        if (leaderIncome) reward.leaderIncome = leaderIncome;
+        rewards.push(reward);
+        if (verbose) console.log(`Found reward in epoch ${epoch} for ${votePubkey.toBase58()}: ${reward.lamports} lamports`);
+      }
+    });
+
+    // Oldest → newest
+    epochStatuses.reverse();
+
+    const statusCounts = countStatuses(epochStatuses);
+    const failedCount = epochLimit - statusCounts[EPOCH_STATUS.REWARDED];
+    const lowEpochFailures = statusCounts[EPOCH_STATUS.ROLLBACK_UNAVAILABLE];
+    const unexpectedFailures = statusCounts[EPOCH_STATUS.RPC_ERROR];
+    const expectedEpochs = epochLimit - lowEpochFailures - statusCounts[EPOCH_STATUS.BEFORE_ACTIVATION];
+
+    // Oldest → newest, like epochStatuses
+    crossCheck?.mismatches.reverse();
+
+    const leaderIncome = identities[v] ? leaderIncomeTotals(epochStatuses.map(e => e.leaderIncome)) : null;
+
+    return { range, rewards, epochStatuses, statusCounts, totalEpochsProcessed: epochLimit, failedEpochs: failedCount, lowEpochFailures, unexpectedFailures, expectedEpochs, crossCheck, leaderIncome };
+  });
+
+  return { results, cacheStats: { loaded: cachedCount, queried: epochLimit * votePubkeys.length - cachedCount } };
+}
+
+/**
+ * Duration of an epoch in seconds: from the reward's epoch start/end times, else from the block times of the
+ * epoch's first and last blocks, else from its slot count and the nominal slot duration.
+ *
+ * @param {Object} epochTimes - Epoch-time lookups (see epochTimes.js).
+ * @param {number} epoch - Epoch number.
+ * @param {Object|null} reward - The epoch's reward object.
+ * @param {boolean} verbose - Whether to log details.
+ * @returns {Promise<number>} Duration in seconds.
+ */
+async function epochDurationSeconds(epochTimes, epoch, reward, verbose) {
+  const bounds = reward?.epochStart && reward?.epochEnd ? reward : await resolveEpochBounds(epochTimes, epoch, verbose);
+  if (bounds.epochStart && bounds.epochEnd) return moment.utc(bounds.epochEnd).diff(moment.utc(bounds.epochStart), 'seconds');
+  return (await epochTimes.lastSlot(epoch) - await epochTimes.firstSlot(epoch) + 1) * SLOT_DURATION_SECONDS;
+}
+
+/**
+ * Attaches each epoch's costs, gross earnings and net profit (see epochCosts in costs.js) to the epoch statuses
+ * (and to the rewards, as `costs`). Vote transaction counts of settled epochs come from the cache when present;
+ * the others are counted in one signature sweep of at most maxPages pages, continuing from the cached cursor
+ * when only older epochs are missing, and cached epoch by epoch as the sweep passes them. Epochs the sweep does
+ * not reach, or all uncounted ones when it fails, are left without vote fee data.
+ *
+ * @param {Connection} connection - Solana connection instance.
+ * @param {PublicKey} votePubkey - Vote account public key.
+ * @param {Array<Object>} epochStatuses - The vote account's epoch statuses (see fetchRewardsForEpochs); modified in place.
+ * @param {Object|null} cache - Reward cache (see rewardCache.js).
+ * @param {Object} epochTimes - Epoch-time lookups (see epochTimes.js).
+ * @param {{voteFeeLamports: bigint, monthlyUsd: bigint, maxPages: number}} costSettings - Fee per vote transaction,
+ *   monthly costs (scaled USD) and signature page limit of the sweep.
+ * @param {boolean} verbose - Whether to log details.
+ * @returns {Promise<Object>} Cost totals (see costTotals in costs.js).
+ */
+async function attachEpochCosts(connection, votePubkey, epochStatuses, cache, epochTimes, costSettings, verbose) {
+  const uncounted = epochStatuses.map(e => e.epoch).filter(epoch => cache?.getVoteTransactions(epoch) === undefined);
+  let counts = new Map();
+  try {
+    counts = await countVoteTransactions(connection, votePubkey, uncounted, {
+      maxPages: costSettings.maxPages,
+      cursor: cache?.getVoteSignatureCursor() ?? null,
+      onProgress: (finished, cursor) => cache?.setVoteTransactions(new Map([...finished].filter(([, count]) => count !== null)), cursor),
+      verbose
+    });
+  } catch (e) {
+    if (verbose) console.warn(`Vote transactions of ${votePubkey.toBase58()} unavailable: ${e.message}`);
+  }
+
+  const entries = [];
+  for (const epochStatus of epochStatuses) {
+    const { epoch, reward, leaderIncome } = epochStatus;
+    const durationSeconds = await epochDurationSeconds(epochTimes, epoch, reward, verbose);
+    epochStatus.costs = epochCosts({
+      grossLamports: (reward?.lamports ?? 0n) + (leaderIncome && !leaderIncome.error ? leaderIncome.lamports : 0n),
+      priceMicros: reward?.priceMicros ?? null,
+      voteTransactions: cache?.getVoteTransactions(epoch) ?? counts.get(epoch) ?? null,
+      voteFeeLamportsEach: costSettings.voteFeeLamports,
+      fixedCostUsd: epochFixedCostUsd(costSettings.monthlyUsd, durationSeconds)
+    });
+    if (reward) reward.costs = epochStatus.costs;
+    entries.push(epochStatus.costs);
+  }
+  return costTotals(entries);
+}
+
+/**
+ * Adds the FX rates of the epoch end date to the costs of epochs without a reward, as
+ * `fxRates: { [currency]: rate }`, so their fixed costs convert to the report currencies other than USD like those
+ * of rewarded epochs (at the reward date, see valuesIn in fxRates.js). Epochs whose end time cannot be looked up
+ * keep them unconverted.
+ *
+ * @param {Array<Object>} epochStatuses - Epoch statuses with costs (see attachEpochCosts); modified in place.
+ * @param {Array<string>} currencies - Report currencies (see parseCurrencies in fxRates.js).
+ * @param {Object} fxRates - Rate lookups (see createFxRates in fxRates.js).
+ * @param {Object} epochTimes - Epoch-time lookups (see epochTimes.js).
+ * @param {boolean} verbose - Whether to log details.
+ * @returns {Promise<void>}
+ */
+async function attachCostFxRates(epochStatuses, currencies, fxRates, epochTimes, verbose) {
+  const converted = currencies.filter(code => code !== BASE_CURRENCY);
+  if (converted.length === 0) return;
+
+  for (const { epoch, reward, costs } of epochStatuses) {
+    if (reward || !costs) continue;
+    let endTime = null;
+    try {
+      endTime = await epochTimes.endTime(epoch);
+    } catch (e) {
+      if (verbose) console.warn(`Epoch ${epoch} end time unavailable for the cost FX rates: ${e.message}`);
+    }
+    if (endTime === null) continue;
+    const date = moment.unix(endTime).utc().format('YYYY-MM-DD');
+    costs.fxRates = Object.fromEntries(converted.map(code => [code, fxRates.rate(code, date)]));
+  }
+}
+
+/**
+ * Parses vote pubkeys given as repeated options and/or comma-separated lists.
+ *
+ * @param {string|PublicKey|Array<string|PublicKey>} values - --vote-pubkey value(s), config list or API option.
+ * @returns {Array<PublicKey>} Unique vote account public keys.
+ * @throws {Error} If no vote pubkey is given or a pubkey is invalid (code ERR_INVALID_VOTE_PUBKEY).
+ */
+export function parseVotePubkeys(values) {
+  const keys = [values].flat()
+    .flatMap(value => String(value ?? '').split(','))
+    .map(key => key.trim())
+    .filter(Boolean);
+
+  if (keys.length === 0) {
+    throw Object.assign(new Error('No vote pubkey given'), { code: 'ERR_INVALID_VOTE_PUBKEY' });
+  }
+
+  return [...new Set(keys)].map(key => {
+    try {
+      return new PublicKey(key);
+    } catch {
+      throw Object.assign(new Error(`Invalid vote pubkey: ${key}`), { code: 'ERR_INVALID_VOTE_PUBKEY' });
+    }
+  });
+}
+
+/**
+ * Creates the price provider for a provider spec, with the built-in defaults for settings not given,
+ * or returns a given provider object unchanged.
+ *
+ * @param {string|Object} priceProvider - Price provider spec (e.g. "file,pool,fallback") or provider object (see priceProviders.js).
+ * @param {Object} [priceSettings={}] - Settings for a spec: { fallbackPriceUsd, priceFile, poolAddress, maxAgeHours }.
+ * @returns {Object} Price provider.
+ */
+export function resolvePriceProvider(priceProvider, priceSettings = {}) {
+  if (typeof priceProvider !== 'string') return priceProvider;
+  return createPriceProvider(priceProvider, {
+    fallbackPriceUsd: DEFAULT_CONFIG.fallbackPriceUsd,
+    poolAddress: DEFAULT_CONFIG.liquidityPoolAddress,
+    maxAgeHours: DEFAULT_CONFIG.poolPriceMaxAgeHours,
+    ...priceSettings
+  });
+}
+
+/**
+ * Fetches, prices and analyzes the inflation rewards of one or more vote accounts over an epoch range.
+ *
+ * Options not given default to the built-in configuration defaults (DEFAULT_CONFIG in configLoader.js).
+ *
+ * @param {Object} options - Options.
+ * @param {string|PublicKey|Array<string|PublicKey>} options.votePubkey - Vote account(s); strings may be comma-separated lists.
+ * @param {string|Array<string>} [options.rpcUrl] - RPC endpoint, or several in failover order (see rpcEndpoints.js);
+ *   ignored when `connection` is given.
+ * @param {Connection} [options.connection] - Connection to use instead of a throttled one created for `rpcUrl`.
+ * @param {string} [options.crossCheckRpcUrl] - Second RPC endpoint every queried epoch is also fetched from, to flag
+ *   disagreeing getInflationReward results (ignored when `crossCheckConnection` is given).
+ * @param {Connection} [options.crossCheckConnection] - Connection to use instead of one created for `crossCheckRpcUrl`.
+ * @param {Object} [options.range] - Epoch range options (see resolveEpochRange in epochRange.js):
+ *   { maxEpochs, fromEpoch, toEpoch, since, until }; full history by default.
+ * @param {string|Object} [options.priceProvider] - Price provider spec (e.g. "file,pool,fallback") or a provider object (see priceProviders.js).
+ * @param {Object} [options.priceSettings] - Settings for a provider spec: { fallbackPriceUsd, priceFile, poolAddress, maxAgeHours }.
+ * @param {string|null} [options.cacheDir=null] - Reward cache directory (see rewardCache.js); no cache, and no files written, when null.
+ * @param {number} [options.concurrency] - Max epochs fetched in parallel.
+ * @param {number} [options.requestsPerSecond] - Max RPC requests per second (0 = unlimited).
+ * @param {number} [options.maxRetries] - Retries per RPC request on 429/5xx/timeout.
+ * @param {number} [options.retryBaseDelayMs] - Base delay of the exponential retry backoff.
+ * @param {number} [options.requestTimeoutMs] - Timeout per RPC request.
+ * @param {number} [options.rollbackMaxEpoch] - Last epoch lost in the early X1 chain rollback.
+ * @param {number} [options.worstEpochsCount] - Worst vote-credit epochs to report.
+ * @param {number} [options.settleSlots] - Slots into the current epoch after which the previous epoch's rewards
+ *   count as distributed; before that, a missing reward for it is not cached, so the next run queries it again.
+ * @param {boolean} [options.leaderIncome] - Also fetch the fee/rent income of the blocks each validator's identity
+ *   produced as leader (see leaderIncome.js; one getBlock request per leader slot of every uncached epoch).
+ * @param {boolean} [options.costAccounting] - Also compute each epoch's costs (vote transaction fees and fixed
+ *   monthly costs) and net profit (see costs.js; pages through the vote account's signature history once).
+ * @param {number} [options.voteTransactionFeeLamports] - Fee charged per vote transaction (the vote fees are an estimate).
+ * @param {number} [options.voteTransactionMaxPages] - Signature pages the vote transaction sweep may request per run.
+ * @param {Object<string, number>} [options.monthlyCostsUsd] - Fixed operating costs per month in USD, by item.
+ * @param {string|Array<string>} [options.currencies] - Currencies to value the rewards in, the first being the
+ *   reporting currency (see fxRates.js; e.g. ['EUR', 'USD']).
+ * @param {string|null} [options.fxRateFile] - Daily FX rate file, needed for any currency other than USD.
+ * @param {number} [options.fxRateMaxAgeDays] - Days to look back for a reward date without an FX rate.
+ * @param {boolean} [options.verbose=false] - Log lookup details to the console.
+ * @param {Function} [options.onStart] - Called once the range is resolved, before epochs are fetched, with
+ *   { currentEpoch, range, validators: [{ votePubkey, balanceLamports }] }.
+ * @param {Function} [options.onProgress] - Called as (completedEpochs, totalEpochs) after each epoch.
+ * @returns {Promise<{currentEpoch: number, settledEpoch: number, range: {firstEpoch: number, lastEpoch: number},
+ *   validators: Array<Object>, cacheStats: {loaded: number, queried: number}|null, rpcStats: Object|null}>} Result.
+ *   `settledEpoch` is the newest epoch whose rewards have been distributed (currentEpoch - 1 once the current epoch
+ *   is settleSlots old, else currentEpoch - 2); a later epoch without a reward may still receive one. One validator
+ *   entry per vote account (in the given order): { votePubkey, nodePubkey, activationEpoch, activatedStakeLamports,
+ *   balanceLamports, previousBalance, delinquent, commission, lastEpochVoteCredits, range, settledEpoch, currencies,
+ *   rewards, epochStatuses, crossCheck, summary, performance }, where `previousBalance` is the balance recorded in the reward cache by the previous run
+ *   ({ epoch, lamports, recordedAt }, null without a cache or record),
+ *   `delinquent` tells whether the vote account is in the RPC's delinquent list, `commission` is its current
+ *   commission (%) and `lastEpochVoteCredits` the vote credits it earned in epoch currentEpoch - 1 (null when the
+ *   credit history has no entry for it), `rewards` are aggregated reward objects with yield
+ *   fields and the reward's `effectiveSlot` and `blockTime` (oldest → newest, amounts as BigInt, see amounts.js), `epochStatuses` lists every processed epoch
+ *   (oldest → newest, see epochStatus.js), `crossCheck` is null without a cross-check endpoint, otherwise
+ *   { comparedEpochs, uncheckedEpochs, mismatches: [{ epoch, primary, secondary }] } for the epochs queried in
+ *   this run (primary/secondary: { amount, effectiveSlot, commission } or null for no reward), `summary` is the
+ *   summarizeRewards() result (rewardSummary.js) and `performance` the analyzeVoteCredits() result (performance.js).
+ *   With `leaderIncome`, the epoch statuses and rewards carry each epoch's leader block income (see
+ *   fetchRewardsForEpochs) and the summary its totals; with `costAccounting`, they carry each epoch's `costs`
+ *   (see epochCosts in costs.js) and the summary the cost totals. `currencies` lists the valuation currencies;
+ *   rewards carry their values in those other than USD as `currencyValues` (see attachCurrencyValues in
+ *   fxRates.js). `rpcStats` are the retry statistics of the
+ *   created connection, with the number of `failovers` to another endpoint (null when a connection was given).
+ * @throws {Error} On invalid options, unknown vote accounts, RPC failures outside the per-epoch queries, or
+ *   when no price provider has a price for a reward.
+ */
+export async function fetchValidatorRewards(options) {
+  const {
+    votePubkey,
+    rpcUrl = DEFAULT_CONFIG.rpcUrl,
+    range: rangeOptions = {},
+    priceProvider: priceProviderOption = DEFAULT_CONFIG.priceProvider,
+    priceSettings = {},
+    cacheDir = null,
+    concurrency = DEFAULT_CONFIG.concurrency,
+    requestsPerSecond = DEFAULT_CONFIG.requestsPerSecond,
+    maxRetries = DEFAULT_CONFIG.maxRetries,
+    retryBaseDelayMs = DEFAULT_CONFIG.retryBaseDelayMs,
+    requestTimeoutMs = DEFAULT_CONFIG.requestTimeoutMs,
+    rollbackMaxEpoch = DEFAULT_CONFIG.rollbackMaxEpoch,
+    worstEpochsCount = DEFAULT_CONFIG.worstEpochsCount,
+    settleSlots = DEFAULT_CONFIG.watchSettleSlots,
+    crossCheckRpcUrl = null,
+    leaderIncome = DEFAULT_CONFIG.leaderIncome,
+    costAccounting = DEFAULT_CONFIG.costAccounting,
+    voteTransactionFeeLamports = DEFAULT_CONFIG.voteTransactionFeeLamports,
+    voteTransactionMaxPages = DEFAULT_CONFIG.voteTransactionMaxPages,
+    monthlyCostsUsd = DEFAULT_CONFIG.monthlyCostsUsd,
+    currencies: currencyOption = DEFAULT_CONFIG.currencies,
+    fxRateFile = DEFAULT_CONFIG.fxRateFile,
+    fxRateMaxAgeDays = DEFAULT_CONFIG.fxRateMaxAgeDays,
+    verbose = false,
+    onStart = null,
+    onProgress = null
+  } = options;
+
+  const votePubkeys = parseVotePubkeys(votePubkey);
+  const priceProvider = resolvePriceProvider(priceProviderOption, priceSettings);
+  const costSettings = costAccounting
+    ? { voteFeeLamports: toLamports(voteTransactionFeeLamports), monthlyUsd: monthlyCostUsd(monthlyCostsUsd), maxPages: voteTransactionMaxPages }
+    : null;
+  const currencies = parseCurrencies(currencyOption);
+  const fxRates = createFxRates(currencies, { fxRateFile, maxAgeDays: fxRateMaxAgeDays });
+
+  const throttleOptions = { requestsPerSecond, maxRetries, baseDelayMs: retryBaseDelayMs, timeoutMs: requestTimeoutMs, verbose };
+  const rpcUrls = [rpcUrl].flat();
+  const endpoints = options.connection || rpcUrls.length < 2 ? null : createRpcEndpoints(rpcUrls, { timeoutMs: requestTimeoutMs, verbose });
+  const throttle = options.connection ? null : createThrottledFetch({ ...throttleOptions, fetchImpl: endpoints?.fetch });
+  const connection = options.connection ?? createConnection(rpcUrls[0], throttle.fetch);
+  const crossCheckThrottle = options.crossCheckConnection || !crossCheckRpcUrl ? null : createThrottledFetch(throttleOptions);
+  const crossCheckConnection = options.crossCheckConnection ?? (crossCheckThrottle ? createConnection(crossCheckRpcUrl, crossCheckThrottle.fetch) : null);
+
+  const voteAccounts = await connection.getVoteAccounts();
+  const accounts = [];
+  for (const pubkey of votePubkeys) {
+    accounts.push({
+      ...await findVoteAccount(connection, pubkey, voteAccounts),
+      balanceLamports: await getVoteBalance(connection, pubkey)
+    });
+  }
+  const activationEpochs = accounts.map(({ voteAccount }) => voteAccount.epochCredits?.[0]?.[0] || 0);
+
+  const { currentEpoch, settledEpoch } = await getCurrentEpoch(connection, settleSlots);
+  const epochTimes = createEpochTimes(connection, currentEpoch);
+  const range = await resolveEpochRange(rangeOptions, currentEpoch, epochTimes.startTime);
+
+  const caches = votePubkeys.map(pubkey => (cacheDir ? openRewardCache(cacheDir, pubkey.toBase58()) : null));
+  // The RPC only reports the current activated stake, so snapshot it for later runs
+  caches.forEach((cache, i) => cache?.setStake(currentEpoch, accounts[i].voteAccount.activatedStake));
+  // Keep the previous run's balance for balance-drop alerts (alerts.js) before recording this one
+  const previousBalances = caches.map(cache => cache?.getLastBalance() ?? null);
+  caches.forEach((cache, i) => cache?.setLastBalance(currentEpoch, accounts[i].balanceLamports));
+
+  onStart?.({
+    currentEpoch,
+    range,
+    validators: votePubkeys.map((pubkey, i) => ({ votePubkey: pubkey.toBase58(), balanceLamports: accounts[i].balanceLamports }))
+  });
+
+  const { results, cacheStats } = await fetchRewardsForEpochs({
+    connection,
+    votePubkeys,
+    epochTimes,
+    range,
+    priceProvider,
+    caches,
+    verbose,
+    concurrency,
+    activationEpochs,
+    rollbackMaxEpoch,
+    onProgress,
+    crossCheckConnection,
+    identities: leaderIncome ? accounts.map(({ voteAccount }) => voteAccount.nodePubkey) : [],
+    settledEpoch
+  });
+
+  if (costSettings) {
+    for (const [i, result] of results.entries()) {
+      result.costs = await attachEpochCosts(connection, votePubkeys[i], result.epochStatuses, caches[i], epochTimes, costSettings, verbose);
+      await attachCostFxRates(result.epochStatuses, currencies, fxRates, epochTimes, verbose);
+    }
+  }
+  caches.forEach(cache => cache?.save());
+
+  const validators = results.map((result, i) => {
+    const { voteAccount, delinquent, balanceLamports } = accounts[i];
+    const rewards = result.rewards.sort((a, b) => moment.utc(a.rewardDate).unix() - moment.utc(b.rewardDate).unix());
+
+    // The one aggregation step: all outputs read these running totals
+    aggregateRewards(rewards);
+    attachCurrencyValues(rewards, currencies, fxRates);
+    attachYieldMetrics(rewards, epoch => {
+      const snapshot = caches[i]?.getStake(epoch);
+      return snapshot !== undefined
+        ? { lamports: snapshot, source: 'snapshot' }
+        : { lamports: voteAccount.activatedStake, source: 'current' };
+    });
+
+    return {
+      votePubkey: votePubkeys[i].toBase58(),
+      nodePubkey: voteAccount.nodePubkey,
+      activationEpoch: activationEpochs[i],
+      activatedStakeLamports: toLamports(voteAccount.activatedStake),
+      balanceLamports,
+      previousBalance: previousBalances[i],
+      delinquent,
+      commission: voteAccount.commission ?? null,
+      lastEpochVoteCredits: earnedCreditsByEpoch(voteAccount).get(currentEpoch - 1) ?? null,
+      range,
+      settledEpoch,
+      currencies,
+      rewards,
+      epochStatuses: result.epochStatuses,
+      crossCheck: result.crossCheck,
+      summary: summarizeRewards(rewards, { ...result, currencies }),
+      performance: analyzeVoteCredits(voteAccount, voteAccounts, {
+        fromEpoch: range.firstEpoch,
+        toEpoch: range.lastEpoch,
+        worstCount: worstEpochsCount
+      })
+    };
+  });
+
+  return {
+    currentEpoch,
+    settledEpoch,
+    range,
+    validators,
+    cacheStats: cacheDir ? cacheStats : null,
+    rpcStats: throttle ? { ...throttle.stats, failovers: endpoints?.stats.failovers ?? 0 } : null
+  };
+}